@@ -15,6 +15,84 @@
 -- Enable required extensions
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 
+-- ============================================================================
+-- Table: monitored_urls
+-- URLs tested by batch-urls.spec.js (replaces tests/urls.txt)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS monitored_urls (
+    id SERIAL PRIMARY KEY,
+    url TEXT NOT NULL UNIQUE,
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,  -- Disabled URLs are kept but not tested
+    tags TEXT[] NOT NULL DEFAULT '{}',
+    owner VARCHAR(255),
+    notes TEXT,
+
+    -- Screenshot settings: CSS selectors to wait for, hide (visibility: hidden) or mask
+    -- (covered with a solid box) before the screenshot, and to skip when diffing screenshots
+    wait_for_selectors TEXT[] NOT NULL DEFAULT '{}',
+    hide_selectors TEXT[] NOT NULL DEFAULT '{}',
+    mask_selectors TEXT[] NOT NULL DEFAULT '{}',
+    diff_ignore_selectors TEXT[] NOT NULL DEFAULT '{}',
+
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_monitored_urls_enabled ON monitored_urls(enabled);
+CREATE INDEX idx_monitored_urls_tags ON monitored_urls USING GIN (tags);
+
+-- ============================================================================
+-- Table: suites
+-- Named groups of monitored URLs, each run with its own settings
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS suites (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL UNIQUE,
+    description TEXT,
+    browsers TEXT[] NOT NULL DEFAULT ARRAY['firefox'],  -- Any of 'firefox', 'chromium', 'webkit'; each URL is tested in every one
+    device_profiles TEXT[] NOT NULL DEFAULT ARRAY['desktop'],  -- Device profiles (src/runner/device-profiles.js); each URL is tested under every one
+    network_profile VARCHAR(50) NOT NULL DEFAULT 'none',  -- Network/CPU throttling (src/runner/network-profiles.js); 'none' = unthrottled
+    viewport_width INTEGER NOT NULL DEFAULT 1280,
+    viewport_height INTEGER NOT NULL DEFAULT 720,
+    timeout_ms INTEGER NOT NULL DEFAULT 60000,       -- Navigation and load timeout per URL
+    parallel_workers INTEGER NOT NULL DEFAULT 4,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- ============================================================================
+-- Table: suite_urls
+-- Monitored URLs in each suite (a URL can belong to several suites)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS suite_urls (
+    suite_id INTEGER NOT NULL REFERENCES suites(id) ON DELETE CASCADE,
+    monitored_url_id INTEGER NOT NULL REFERENCES monitored_urls(id) ON DELETE CASCADE,
+    PRIMARY KEY (suite_id, monitored_url_id)
+);
+
+CREATE INDEX idx_suite_urls_url ON suite_urls(monitored_url_id);
+
+-- ============================================================================
+-- Table: schedules
+-- Cron schedules for the built-in run scheduler
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS schedules (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    cron_expression VARCHAR(100) NOT NULL,  -- e.g. '0 6 * * *' or '@hourly'
+    timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',  -- IANA timezone the expression is evaluated in
+    parallel_workers INTEGER NOT NULL DEFAULT 4,
+    suite_id INTEGER REFERENCES suites(id) ON DELETE SET NULL,  -- Suite to run; NULL runs every monitored URL
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    next_run_at TIMESTAMPTZ,
+    last_triggered_at TIMESTAMPTZ,
+    last_message TEXT,                 -- Outcome of the last trigger (started, skipped, failed)
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_schedules_next_run ON schedules(next_run_at) WHERE enabled;
+
 -- ============================================================================
 -- Table: test_runs
 -- Represents each execution of test-urls-parallel.sh
@@ -28,8 +106,10 @@ CREATE TABLE IF NOT EXISTS test_runs (
     duration_ms INTEGER,
     passed_count INTEGER DEFAULT 0,
     failed_count INTEGER DEFAULT 0,
-    status VARCHAR(20) NOT NULL DEFAULT 'RUNNING', -- 'RUNNING', 'COMPLETED', 'PARTIAL', 'FAILED'
+    status VARCHAR(20) NOT NULL DEFAULT 'RUNNING', -- 'RUNNING', 'COMPLETED', 'PARTIAL', 'FAILED', 'CANCELLED'
     notes TEXT,
+    schedule_id INTEGER REFERENCES schedules(id) ON DELETE SET NULL,  -- NULL for runs started by hand
+    suite_id INTEGER REFERENCES suites(id) ON DELETE SET NULL,        -- NULL for runs of every monitored URL
     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
     updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
@@ -37,6 +117,8 @@ CREATE TABLE IF NOT EXISTS test_runs (
 CREATE INDEX idx_test_runs_timestamp ON test_runs(run_timestamp DESC);
 CREATE INDEX idx_test_runs_status ON test_runs(status);
 CREATE INDEX idx_test_runs_uuid ON test_runs(run_uuid);
+CREATE INDEX idx_test_runs_schedule ON test_runs(schedule_id);
+CREATE INDEX idx_test_runs_suite ON test_runs(suite_id);
 
 -- ============================================================================
 -- Table: url_tests
@@ -54,6 +136,13 @@ CREATE TABLE IF NOT EXISTS url_tests (
 
     -- Test metadata
     browser VARCHAR(50) NOT NULL,
+    device_profile VARCHAR(50) NOT NULL DEFAULT 'desktop',  -- e.g. 'desktop', 'iphone-13', 'pixel-7'
+    viewport_width INTEGER,
+    viewport_height INTEGER,
+    device_scale_factor DECIMAL(5,3),
+    network_profile VARCHAR(50) NOT NULL DEFAULT 'none',  -- e.g. 'none', 'slow-3g', 'fast-4g', 'cable'
+    crawl_seed_url VARCHAR(2048),          -- Seed URL of the crawl that found the page (NULL when not crawled)
+    crawl_depth INTEGER,                   -- Links between the seed (0) and the page
     user_agent TEXT NOT NULL,
     page_title TEXT,
     test_duration_ms INTEGER NOT NULL,
@@ -71,6 +160,12 @@ CREATE TABLE IF NOT EXISTS url_tests (
     dom_interactive_ms DECIMAL(10,2),
     total_page_load_ms DECIMAL(10,2),
 
+    -- Core Web Vitals (lab values, NULL when the browser engine doesn't support them)
+    largest_contentful_paint_ms DECIMAL(10,2),
+    first_contentful_paint_ms DECIMAL(10,2),
+    cumulative_layout_shift DECIMAL(10,4),
+    total_blocking_time_ms DECIMAL(10,2),
+
     -- Document sizes (in bytes)
     doc_transfer_size_bytes BIGINT,
     doc_encoded_size_bytes BIGINT,
@@ -94,6 +189,31 @@ CREATE TABLE IF NOT EXISTS url_tests (
     har_path TEXT NOT NULL,
     report_path TEXT,  -- Nullable - no longer generated as of report.txt removal
 
+    -- Screenshot settings of the monitored URL that were applied, with the selectors that matched
+    -- nothing and the regions skipped by the visual diff
+    -- Example: {"hidden": [".cookie-banner"], "masked": [], "waitedFor": [], "ignored": [".carousel"],
+    --           "notFound": [], "ignoredRegions": [{"x": 0, "y": 120, "width": 1280, "height": 400}]}
+    screenshot_masks JSONB,
+
+    -- Visual diff against the approved baseline (or else the previous screenshot) of the same
+    -- URL, browser and device profile (all NULL when there was nothing to compare with)
+    visual_baseline_test_id INTEGER REFERENCES url_tests(id) ON DELETE SET NULL,
+    visual_baseline_approved BOOLEAN,      -- Compared with an approved baseline rather than the previous screenshot
+    visual_diff_path TEXT,
+    visual_mismatch_percent DECIMAL(7,4),  -- Percent of pixels that changed
+    visually_changed BOOLEAN,              -- Mismatch above VISUAL_DIFF_THRESHOLD
+    visual_review_status VARCHAR(20),      -- 'ACCEPTED' (screenshot became the baseline), 'REJECTED' or NULL
+    visual_reviewed_by VARCHAR(255),
+    visual_reviewed_at TIMESTAMPTZ,
+
+    -- Accessibility rules the page violated (see accessibility_violations; NULL when not audited)
+    accessibility_violation_count INTEGER,
+
+    -- Links of the page's anchors that were checked, and how many were broken (see broken_links;
+    -- both NULL when links weren't checked)
+    links_checked_count INTEGER,
+    broken_link_count INTEGER,
+
     -- Binary data (optional - can store files directly in DB)
     -- For now we'll store paths only, but these columns are ready if needed
     screenshot_data BYTEA,
@@ -105,11 +225,15 @@ CREATE TABLE IF NOT EXISTS url_tests (
 CREATE INDEX idx_url_tests_run ON url_tests(test_run_id);
 CREATE INDEX idx_url_tests_timestamp ON url_tests(test_timestamp DESC);
 CREATE INDEX idx_url_tests_url ON url_tests(url);
+CREATE INDEX idx_url_tests_url_browser ON url_tests(url, browser);
 CREATE INDEX idx_url_tests_domain ON url_tests(domain);
 CREATE INDEX idx_url_tests_status ON url_tests(status);
 CREATE INDEX idx_url_tests_uuid ON url_tests(test_uuid);
 CREATE INDEX idx_url_tests_page_load ON url_tests(total_page_load_ms);
 CREATE INDEX idx_url_tests_ttfb ON url_tests(time_to_first_byte_ms);
+CREATE INDEX idx_url_tests_lcp ON url_tests(largest_contentful_paint_ms);
+CREATE INDEX idx_url_tests_visually_changed ON url_tests(test_run_id) WHERE visually_changed;
+CREATE INDEX idx_url_tests_crawl_seed ON url_tests(crawl_seed_url, test_run_id) WHERE crawl_seed_url IS NOT NULL;
 
 -- GIN index for JSONB columns to enable efficient querying
 CREATE INDEX idx_url_tests_http_codes ON url_tests USING GIN (http_response_codes);
@@ -146,6 +270,243 @@ CREATE TABLE IF NOT EXISTS resource_types (
 CREATE INDEX idx_resource_types_test ON resource_types(url_test_id);
 CREATE INDEX idx_resource_types_type ON resource_types(resource_type);
 
+-- ============================================================================
+-- Table: content_type_sizes
+-- Page weight per content type, from the MIME types of each test's HAR file
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS content_type_sizes (
+    id SERIAL PRIMARY KEY,
+    url_test_id INTEGER NOT NULL REFERENCES url_tests(id) ON DELETE CASCADE,
+    content_type VARCHAR(20) NOT NULL,  -- 'document', 'script', 'stylesheet', 'image', 'font', 'media' or 'other'
+    request_count INTEGER NOT NULL,
+    transfer_size_bytes BIGINT NOT NULL,
+    content_size_bytes BIGINT NOT NULL, -- Uncompressed
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_content_type_sizes_test ON content_type_sizes(url_test_id);
+CREATE INDEX idx_content_type_sizes_type ON content_type_sizes(content_type);
+
+-- ============================================================================
+-- Table: budget_violations
+-- Performance budget breaches recorded for each URL test
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS budget_violations (
+    id SERIAL PRIMARY KEY,
+    url_test_id INTEGER NOT NULL REFERENCES url_tests(id) ON DELETE CASCADE,
+    budget_name VARCHAR(255) NOT NULL,
+    metric VARCHAR(100) NOT NULL,      -- url_tests column name or http_4xx_count / http_5xx_count
+    threshold_value DECIMAL(16,4) NOT NULL,
+    actual_value DECIMAL(16,4) NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_budget_violations_test ON budget_violations(url_test_id);
+CREATE INDEX idx_budget_violations_metric ON budget_violations(metric);
+
+-- ============================================================================
+-- Table: accessibility_violations
+-- WCAG rules (axe-core) each URL test's page violated, one row per rule
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS accessibility_violations (
+    id SERIAL PRIMARY KEY,
+    url_test_id INTEGER NOT NULL REFERENCES url_tests(id) ON DELETE CASCADE,
+    rule_id VARCHAR(100) NOT NULL,     -- axe-core rule, e.g. 'color-contrast'
+    impact VARCHAR(20),                -- 'critical', 'serious', 'moderate' or 'minor'
+    description TEXT NOT NULL,
+    help_url TEXT,
+    wcag_tags TEXT[] NOT NULL DEFAULT '{}',  -- e.g. {wcag2aa,wcag143}
+    node_count INTEGER NOT NULL,       -- Elements violating the rule
+    example_targets TEXT[] NOT NULL DEFAULT '{}',  -- CSS selectors of the first few elements
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_accessibility_violations_test ON accessibility_violations(url_test_id);
+CREATE INDEX idx_accessibility_violations_rule ON accessibility_violations(rule_id);
+
+-- ============================================================================
+-- Table: broken_links
+-- Anchor links on each URL test's page that returned an error or couldn't be fetched
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS broken_links (
+    id SERIAL PRIMARY KEY,
+    url_test_id INTEGER NOT NULL REFERENCES url_tests(id) ON DELETE CASCADE,
+    link_url TEXT NOT NULL,
+    anchor_text TEXT,                  -- Text of the first anchor linking to the URL
+    status_code INTEGER,               -- Final HTTP status, NULL when the request failed
+    error_message TEXT,                -- Why the request failed (e.g. 'ENOTFOUND', timeout)
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_broken_links_test ON broken_links(url_test_id);
+
+-- ============================================================================
+-- Table: requests
+-- Every request in each URL test's HAR file, stored when the test is ingested
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS requests (
+    id SERIAL PRIMARY KEY,
+    url_test_id INTEGER NOT NULL REFERENCES url_tests(id) ON DELETE CASCADE,
+    request_index INTEGER NOT NULL,    -- Order the requests started in (0 = first)
+    url TEXT NOT NULL,
+    host VARCHAR(512) NOT NULL,        -- Empty for URLs without a host (e.g. data:)
+    method VARCHAR(16) NOT NULL,
+    status_code INTEGER,               -- NULL when the request failed or was aborted
+    status_text VARCHAR(255),
+    mime_type VARCHAR(255),            -- Response Content-Type
+    content_type VARCHAR(20) NOT NULL, -- document, script, stylesheet, image, font, media or other
+    http_version VARCHAR(20),
+    server_ip VARCHAR(64),
+
+    -- Timing (ms); start_offset_ms is relative to the test's first request, and
+    -- the phases (NULL when the browser didn't report them) add up to duration_ms
+    start_offset_ms DECIMAL(10,2) NOT NULL,
+    duration_ms DECIMAL(10,2) NOT NULL,
+    blocked_ms DECIMAL(10,2),
+    dns_ms DECIMAL(10,2),
+    connect_ms DECIMAL(10,2),          -- Without TLS (see ssl_ms)
+    ssl_ms DECIMAL(10,2),
+    send_ms DECIMAL(10,2),
+    wait_ms DECIMAL(10,2),
+    receive_ms DECIMAL(10,2),
+
+    -- Sizes (bytes)
+    transfer_size_bytes BIGINT,        -- Bytes on the wire (headers + body)
+    content_size_bytes BIGINT,         -- Uncompressed body
+
+    -- Caching
+    from_cache BOOLEAN NOT NULL DEFAULT FALSE,
+    cache_control TEXT,
+    expires TEXT,
+    etag TEXT,
+    last_modified TEXT,
+
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_requests_test ON requests(url_test_id);
+CREATE INDEX idx_requests_url ON requests USING HASH (url); -- Hash: URLs can be longer than a btree entry allows
+CREATE INDEX idx_requests_host ON requests(host);
+CREATE INDEX idx_requests_failed ON requests(status_code) WHERE status_code >= 400;
+
+-- ============================================================================
+-- Table: third_parties
+-- Each URL test's requests totalled per vendor (first party and third parties)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS third_parties (
+    id SERIAL PRIMARY KEY,
+    url_test_id INTEGER NOT NULL REFERENCES url_tests(id) ON DELETE CASCADE,
+    entity_name VARCHAR(255) NOT NULL, -- Vendor from the entity map, or the registrable domain
+    category VARCHAR(50) NOT NULL,     -- e.g. 'analytics', 'cdn', 'fonts'; 'first-party' for the page's own requests
+    first_party BOOLEAN NOT NULL DEFAULT FALSE,
+    hosts TEXT[] NOT NULL,             -- Hosts the requests went to
+    request_count INTEGER NOT NULL,
+    transfer_size_bytes BIGINT NOT NULL,
+    blocking_time_ms DECIMAL(10,2) NOT NULL,  -- Scripts and stylesheets loading before the DOM was interactive
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_third_parties_test ON third_parties(url_test_id);
+CREATE INDEX idx_third_parties_entity ON third_parties(entity_name);
+
+-- ============================================================================
+-- Table: regressions
+-- URL tests that were significantly slower or heavier than their own baseline
+-- (median of the URL's previous passed tests)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS regressions (
+    id SERIAL PRIMARY KEY,
+    url_test_id INTEGER NOT NULL REFERENCES url_tests(id) ON DELETE CASCADE,
+    metric VARCHAR(100) NOT NULL,      -- url_tests column name
+    baseline_value DECIMAL(16,4) NOT NULL,  -- Median of the baseline tests
+    baseline_mad DECIMAL(16,4) NOT NULL,    -- Median absolute deviation of the baseline tests
+    actual_value DECIMAL(16,4) NOT NULL,
+    percent_change DECIMAL(10,2) NOT NULL,
+    sample_count INTEGER NOT NULL,     -- Number of baseline tests
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_regressions_test ON regressions(url_test_id);
+CREATE INDEX idx_regressions_metric ON regressions(metric);
+
+-- ============================================================================
+-- Table: notification_deliveries
+-- Webhook notifications sent when a test run finishes
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS notification_deliveries (
+    id SERIAL PRIMARY KEY,
+    test_run_id INTEGER NOT NULL REFERENCES test_runs(id) ON DELETE CASCADE,
+    target VARCHAR(255) NOT NULL,      -- Webhook host (full URLs may contain secret tokens)
+    format VARCHAR(20) NOT NULL,       -- 'generic', 'slack'
+    status VARCHAR(20) NOT NULL,       -- 'DELIVERED', 'FAILED'
+    attempts INTEGER NOT NULL,
+    response_status INTEGER,           -- Last HTTP status received (NULL on network errors)
+    error_message TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_notification_deliveries_run ON notification_deliveries(test_run_id);
+
+-- ============================================================================
+-- Table: visual_baselines
+-- Screenshots approved as the baseline of a URL in a browser and device profile.
+-- The latest approval is the current baseline; earlier rows are its history.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS visual_baselines (
+    id SERIAL PRIMARY KEY,
+    url VARCHAR(2048) NOT NULL,
+    browser VARCHAR(50) NOT NULL,
+    device_profile VARCHAR(50) NOT NULL,
+    url_test_id INTEGER NOT NULL REFERENCES url_tests(id) ON DELETE CASCADE,  -- Test whose screenshot was approved
+    approved_by VARCHAR(255) NOT NULL,
+    note TEXT,
+    approved_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_visual_baselines_url ON visual_baselines(url, browser, device_profile, approved_at DESC);
+CREATE INDEX idx_visual_baselines_test ON visual_baselines(url_test_id);
+
+-- ============================================================================
+-- Table: journey_tests
+-- Scripted user journeys (tests/journeys.yaml) tested within a test run
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS journey_tests (
+    id SERIAL PRIMARY KEY,
+    test_run_id INTEGER NOT NULL REFERENCES test_runs(id) ON DELETE CASCADE,
+    journey_name VARCHAR(255) NOT NULL,
+    browser VARCHAR(50) NOT NULL,
+    device_profile VARCHAR(50) NOT NULL DEFAULT 'desktop',
+    status VARCHAR(20) NOT NULL,       -- 'PASSED', 'FAILED'
+    error_message TEXT,                -- Why the failed step failed
+    step_count INTEGER NOT NULL,
+    total_duration_ms DECIMAL(10,2),   -- Sum of the durations of the steps that ran
+    test_timestamp TIMESTAMPTZ NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_journey_tests_run ON journey_tests(test_run_id);
+CREATE INDEX idx_journey_tests_name ON journey_tests(journey_name, test_timestamp DESC);
+
+-- ============================================================================
+-- Table: journey_steps
+-- Each step of a journey test, with its duration, screenshot and outcome
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS journey_steps (
+    id SERIAL PRIMARY KEY,
+    journey_test_id INTEGER NOT NULL REFERENCES journey_tests(id) ON DELETE CASCADE,
+    step_number INTEGER NOT NULL,      -- 1 for the first step
+    name TEXT NOT NULL,                -- Step name, or its action and target
+    action VARCHAR(50) NOT NULL,       -- 'goto', 'click', 'fill', 'press', 'waitForSelector', 'assertText'
+    target TEXT,                       -- URL or CSS selector
+    value TEXT,                        -- Text filled in, key pressed or text expected
+    status VARCHAR(20) NOT NULL,       -- 'PASSED', 'FAILED', 'SKIPPED' (after a failed step)
+    duration_ms DECIMAL(10,2),         -- NULL for skipped steps
+    page_url TEXT,                     -- Page URL once the step finished
+    screenshot_path TEXT,
+    error_message TEXT,
+    UNIQUE (journey_test_id, step_number)
+);
+
 -- ============================================================================
 -- Useful Views
 -- ============================================================================
@@ -186,7 +547,14 @@ SELECT
     ut.total_resources,
     ut.total_transfer_size_bytes,
     ut.status,
-    tr.id as test_run_id
+    tr.id as test_run_id,
+    ut.largest_contentful_paint_ms,
+    ut.first_contentful_paint_ms,
+    ut.cumulative_layout_shift,
+    ut.total_blocking_time_ms,
+    ut.browser,
+    ut.device_profile,
+    ut.network_profile
 FROM url_tests ut
 JOIN test_runs tr ON tr.id = ut.test_run_id
 ORDER BY ut.domain, tr.run_timestamp DESC;
@@ -201,7 +569,8 @@ SELECT
     ut.page_title,
     ut.status,
     ut.http_response_codes,
-    tr.run_timestamp as run_timestamp
+    tr.run_timestamp as run_timestamp,
+    ut.error_message
 FROM url_tests ut
 JOIN test_runs tr ON tr.id = ut.test_run_id
 WHERE
@@ -0,0 +1,33 @@
+-- ============================================================================
+-- Migration: Expose url_tests.error_message in v_tests_with_errors
+-- ============================================================================
+-- runWebsiteTest now records FAILED, TIMEOUT and ERROR results (with the
+-- failure reason in error_message) instead of dropping them. This adds the
+-- error message to the errors view so reports can explain each failure.
+-- ============================================================================
+
+BEGIN;
+
+CREATE OR REPLACE VIEW v_tests_with_errors AS
+SELECT
+    ut.id,
+    ut.test_timestamp,
+    ut.domain,
+    ut.url,
+    ut.page_title,
+    ut.status,
+    ut.http_response_codes,
+    tr.run_timestamp as run_timestamp,
+    ut.error_message
+FROM url_tests ut
+JOIN test_runs tr ON tr.id = ut.test_run_id
+WHERE
+    ut.http_response_codes::text ~ '"[45][0-9]{2}"'
+    OR ut.status != 'PASSED'
+ORDER BY ut.test_timestamp DESC;
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
+
+COMMIT;
@@ -0,0 +1,47 @@
+-- ============================================================================
+-- Migration: Add Core Web Vitals columns to url_tests
+-- ============================================================================
+-- collectPerformanceMetrics now records Largest Contentful Paint, First
+-- Contentful Paint, Cumulative Layout Shift and Total Blocking Time using
+-- PerformanceObserver during the load-and-scroll phase.
+--
+-- Values are NULL for older tests and for metrics the browser engine does
+-- not support (e.g. Firefox has no layout-shift or longtask entries).
+-- ============================================================================
+
+BEGIN;
+
+ALTER TABLE url_tests ADD COLUMN IF NOT EXISTS largest_contentful_paint_ms DECIMAL(10,2);
+ALTER TABLE url_tests ADD COLUMN IF NOT EXISTS first_contentful_paint_ms DECIMAL(10,2);
+ALTER TABLE url_tests ADD COLUMN IF NOT EXISTS cumulative_layout_shift DECIMAL(10,4);
+ALTER TABLE url_tests ADD COLUMN IF NOT EXISTS total_blocking_time_ms DECIMAL(10,2);
+
+CREATE INDEX IF NOT EXISTS idx_url_tests_lcp ON url_tests(largest_contentful_paint_ms);
+
+-- Expose the new metrics in the trend view (new columns must be appended)
+CREATE OR REPLACE VIEW v_performance_trends AS
+SELECT
+    ut.domain,
+    ut.url,
+    tr.run_timestamp,
+    ut.total_page_load_ms,
+    ut.time_to_first_byte_ms,
+    ut.dns_lookup_ms,
+    ut.tcp_connection_ms,
+    ut.total_resources,
+    ut.total_transfer_size_bytes,
+    ut.status,
+    tr.id as test_run_id,
+    ut.largest_contentful_paint_ms,
+    ut.first_contentful_paint_ms,
+    ut.cumulative_layout_shift,
+    ut.total_blocking_time_ms
+FROM url_tests ut
+JOIN test_runs tr ON tr.id = ut.test_run_id
+ORDER BY ut.domain, tr.run_timestamp DESC;
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
+
+COMMIT;
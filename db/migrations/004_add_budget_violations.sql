@@ -0,0 +1,28 @@
+-- ============================================================================
+-- Migration: Add budget_violations table
+-- ============================================================================
+-- runWebsiteTest evaluates performance budgets (tests/budgets.json) after
+-- collecting metrics. Each breached limit is stored here, and the URL test
+-- is marked FAILED.
+-- ============================================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS budget_violations (
+    id SERIAL PRIMARY KEY,
+    url_test_id INTEGER NOT NULL REFERENCES url_tests(id) ON DELETE CASCADE,
+    budget_name VARCHAR(255) NOT NULL,
+    metric VARCHAR(100) NOT NULL,      -- url_tests column name or http_4xx_count / http_5xx_count
+    threshold_value DECIMAL(16,4) NOT NULL,
+    actual_value DECIMAL(16,4) NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_budget_violations_test ON budget_violations(url_test_id);
+CREATE INDEX IF NOT EXISTS idx_budget_violations_metric ON budget_violations(metric);
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
+
+COMMIT;
@@ -0,0 +1,30 @@
+-- ============================================================================
+-- Migration: Add regressions table
+-- ============================================================================
+-- After a test run finishes, each URL test is compared to the URL's own
+-- baseline (median of its previous passed tests). Significant slowdowns in
+-- load time, TTFB and page weight are stored here.
+-- ============================================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS regressions (
+    id SERIAL PRIMARY KEY,
+    url_test_id INTEGER NOT NULL REFERENCES url_tests(id) ON DELETE CASCADE,
+    metric VARCHAR(100) NOT NULL,      -- url_tests column name
+    baseline_value DECIMAL(16,4) NOT NULL,  -- Median of the baseline tests
+    baseline_mad DECIMAL(16,4) NOT NULL,    -- Median absolute deviation of the baseline tests
+    actual_value DECIMAL(16,4) NOT NULL,
+    percent_change DECIMAL(10,2) NOT NULL,
+    sample_count INTEGER NOT NULL,     -- Number of baseline tests
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_regressions_test ON regressions(url_test_id);
+CREATE INDEX IF NOT EXISTS idx_regressions_metric ON regressions(metric);
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
+
+COMMIT;
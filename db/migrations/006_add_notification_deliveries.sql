@@ -0,0 +1,29 @@
+-- ============================================================================
+-- Migration: Add notification_deliveries table
+-- ============================================================================
+-- update-test-run.js sends webhook notifications (generic JSON or Slack) when
+-- a run finishes with failures or regressions. Every delivery, successful or
+-- not, is logged here.
+-- ============================================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS notification_deliveries (
+    id SERIAL PRIMARY KEY,
+    test_run_id INTEGER NOT NULL REFERENCES test_runs(id) ON DELETE CASCADE,
+    target VARCHAR(255) NOT NULL,      -- Webhook host (full URLs may contain secret tokens)
+    format VARCHAR(20) NOT NULL,       -- 'generic', 'slack'
+    status VARCHAR(20) NOT NULL,       -- 'DELIVERED', 'FAILED'
+    attempts INTEGER NOT NULL,
+    response_status INTEGER,           -- Last HTTP status received (NULL on network errors)
+    error_message TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_run ON notification_deliveries(test_run_id);
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
+
+COMMIT;
@@ -0,0 +1,36 @@
+-- ============================================================================
+-- Migration: Add schedules table
+-- ============================================================================
+-- The Node app now includes a scheduler that starts test runs from cron
+-- expressions stored in this table. Runs it starts are linked to their
+-- schedule through test_runs.schedule_id.
+-- ============================================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS schedules (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    cron_expression VARCHAR(100) NOT NULL,  -- e.g. '0 6 * * *' or '@hourly'
+    timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',  -- IANA timezone the expression is evaluated in
+    parallel_workers INTEGER NOT NULL DEFAULT 4,
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    next_run_at TIMESTAMPTZ,
+    last_triggered_at TIMESTAMPTZ,
+    last_message TEXT,                 -- Outcome of the last trigger (started, skipped, failed)
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_schedules_next_run ON schedules(next_run_at) WHERE enabled;
+
+ALTER TABLE test_runs
+    ADD COLUMN IF NOT EXISTS schedule_id INTEGER REFERENCES schedules(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_test_runs_schedule ON test_runs(schedule_id);
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
+
+COMMIT;
@@ -0,0 +1,29 @@
+-- ============================================================================
+-- Migration: Add monitored_urls table
+-- ============================================================================
+-- The list of URLs to test moves from tests/urls.txt into the database so it
+-- can be managed from the dashboard. tests/urls.txt is still used when the
+-- table is empty. Import the existing file with: npm run urls:import
+-- ============================================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS monitored_urls (
+    id SERIAL PRIMARY KEY,
+    url TEXT NOT NULL UNIQUE,
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,  -- Disabled URLs are kept but not tested
+    tags TEXT[] NOT NULL DEFAULT '{}',
+    owner VARCHAR(255),
+    notes TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_monitored_urls_enabled ON monitored_urls(enabled);
+CREATE INDEX IF NOT EXISTS idx_monitored_urls_tags ON monitored_urls USING GIN (tags);
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
+
+COMMIT;
@@ -0,0 +1,41 @@
+-- ============================================================================
+-- Migration: Add suites
+-- ============================================================================
+-- Suites are named groups of monitored URLs, each with its own browser,
+-- viewport, timeout and worker count. Runs of a suite are linked to it
+-- through test_runs.suite_id (NULL for runs of every monitored URL).
+-- ============================================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS suites (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL UNIQUE,
+    description TEXT,
+    browser VARCHAR(20) NOT NULL DEFAULT 'firefox',  -- 'firefox', 'chromium', 'webkit'
+    viewport_width INTEGER NOT NULL DEFAULT 1280,
+    viewport_height INTEGER NOT NULL DEFAULT 720,
+    timeout_ms INTEGER NOT NULL DEFAULT 60000,       -- Navigation and load timeout per URL
+    parallel_workers INTEGER NOT NULL DEFAULT 4,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS suite_urls (
+    suite_id INTEGER NOT NULL REFERENCES suites(id) ON DELETE CASCADE,
+    monitored_url_id INTEGER NOT NULL REFERENCES monitored_urls(id) ON DELETE CASCADE,
+    PRIMARY KEY (suite_id, monitored_url_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_suite_urls_url ON suite_urls(monitored_url_id);
+
+ALTER TABLE test_runs
+    ADD COLUMN IF NOT EXISTS suite_id INTEGER REFERENCES suites(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_test_runs_suite ON test_runs(suite_id);
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
+
+COMMIT;
@@ -0,0 +1,32 @@
+-- ============================================================================
+-- Migration: Run suites in several browsers
+-- ============================================================================
+-- Replaces suites.browser with suites.browsers so one run can test each URL
+-- in several engines (results are stored side by side, keyed by
+-- url_tests.browser). Existing suites keep their single browser.
+-- ============================================================================
+
+BEGIN;
+
+ALTER TABLE suites
+    ADD COLUMN IF NOT EXISTS browsers TEXT[] NOT NULL DEFAULT ARRAY['firefox'];  -- Any of 'firefox', 'chromium', 'webkit'
+
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'suites' AND column_name = 'browser'
+    ) THEN
+        UPDATE suites SET browsers = ARRAY[browser];
+        ALTER TABLE suites DROP COLUMN browser;
+    END IF;
+END $$;
+
+-- Baselines and browser comparisons look up a URL's tests per browser
+CREATE INDEX IF NOT EXISTS idx_url_tests_url_browser ON url_tests(url, browser);
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
+
+COMMIT;
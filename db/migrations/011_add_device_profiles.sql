@@ -0,0 +1,25 @@
+-- ============================================================================
+-- Migration: Device profiles
+-- ============================================================================
+-- Each URL can be tested under named device profiles (desktop, laptop,
+-- iPhone 13, Pixel 7). Suites choose their profiles, and each URL test
+-- records the profile with the viewport and device scale factor it ran at.
+-- Existing tests were all run on the desktop profile.
+-- ============================================================================
+
+BEGIN;
+
+ALTER TABLE suites
+    ADD COLUMN IF NOT EXISTS device_profiles TEXT[] NOT NULL DEFAULT ARRAY['desktop'];
+
+ALTER TABLE url_tests
+    ADD COLUMN IF NOT EXISTS device_profile VARCHAR(50) NOT NULL DEFAULT 'desktop',
+    ADD COLUMN IF NOT EXISTS viewport_width INTEGER,
+    ADD COLUMN IF NOT EXISTS viewport_height INTEGER,
+    ADD COLUMN IF NOT EXISTS device_scale_factor DECIMAL(5,3);
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
+
+COMMIT;
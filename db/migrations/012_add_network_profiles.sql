@@ -0,0 +1,47 @@
+-- ============================================================================
+-- Migration: Network profiles
+-- ============================================================================
+-- Runs can throttle the network and CPU to a named profile (Slow 3G, Fast 4G,
+-- cable). Suites choose their profile, and each URL test records the profile
+-- it ran under. The performance trend view gains the browser, device profile
+-- and network profile so trends only compare tests run under the same
+-- conditions. Existing tests were all unthrottled.
+-- ============================================================================
+
+BEGIN;
+
+ALTER TABLE suites
+    ADD COLUMN IF NOT EXISTS network_profile VARCHAR(50) NOT NULL DEFAULT 'none';
+
+ALTER TABLE url_tests
+    ADD COLUMN IF NOT EXISTS network_profile VARCHAR(50) NOT NULL DEFAULT 'none';
+
+CREATE OR REPLACE VIEW v_performance_trends AS
+SELECT
+    ut.domain,
+    ut.url,
+    tr.run_timestamp,
+    ut.total_page_load_ms,
+    ut.time_to_first_byte_ms,
+    ut.dns_lookup_ms,
+    ut.tcp_connection_ms,
+    ut.total_resources,
+    ut.total_transfer_size_bytes,
+    ut.status,
+    tr.id as test_run_id,
+    ut.largest_contentful_paint_ms,
+    ut.first_contentful_paint_ms,
+    ut.cumulative_layout_shift,
+    ut.total_blocking_time_ms,
+    ut.browser,
+    ut.device_profile,
+    ut.network_profile
+FROM url_tests ut
+JOIN test_runs tr ON tr.id = ut.test_run_id
+ORDER BY ut.domain, tr.run_timestamp DESC;
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
+
+COMMIT;
@@ -0,0 +1,25 @@
+-- ============================================================================
+-- Migration: Visual diffs
+-- ============================================================================
+-- Each screenshot is compared with the previous screenshot of the same URL,
+-- browser and device profile. URL tests record which test they were compared
+-- with, the diff image, the percentage of pixels that changed and whether
+-- that is enough to count as a visual change. Existing tests were never
+-- compared, so their columns stay NULL.
+-- ============================================================================
+
+BEGIN;
+
+ALTER TABLE url_tests
+    ADD COLUMN IF NOT EXISTS visual_baseline_test_id INTEGER REFERENCES url_tests(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS visual_diff_path TEXT,
+    ADD COLUMN IF NOT EXISTS visual_mismatch_percent DECIMAL(7,4),
+    ADD COLUMN IF NOT EXISTS visually_changed BOOLEAN;
+
+CREATE INDEX IF NOT EXISTS idx_url_tests_visually_changed ON url_tests(test_run_id) WHERE visually_changed;
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
+
+COMMIT;
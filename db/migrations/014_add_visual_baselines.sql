@@ -0,0 +1,38 @@
+-- ============================================================================
+-- Migration: Approved visual baselines
+-- ============================================================================
+-- A URL test's screenshot can be approved as the baseline of its URL, browser
+-- and device profile. New screenshots are compared with the latest approved
+-- baseline instead of the previous screenshot (visual_baseline_approved records
+-- which one a test was compared with). Visual changes can be accepted
+-- (promoting the new screenshot to baseline) or rejected; the review is kept
+-- on the URL test and every approval in visual_baselines.
+-- ============================================================================
+
+BEGIN;
+
+ALTER TABLE url_tests
+    ADD COLUMN IF NOT EXISTS visual_baseline_approved BOOLEAN,
+    ADD COLUMN IF NOT EXISTS visual_review_status VARCHAR(20),
+    ADD COLUMN IF NOT EXISTS visual_reviewed_by VARCHAR(255),
+    ADD COLUMN IF NOT EXISTS visual_reviewed_at TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS visual_baselines (
+    id SERIAL PRIMARY KEY,
+    url VARCHAR(2048) NOT NULL,
+    browser VARCHAR(50) NOT NULL,
+    device_profile VARCHAR(50) NOT NULL,
+    url_test_id INTEGER NOT NULL REFERENCES url_tests(id) ON DELETE CASCADE,
+    approved_by VARCHAR(255) NOT NULL,
+    note TEXT,
+    approved_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_visual_baselines_url ON visual_baselines(url, browser, device_profile, approved_at DESC);
+CREATE INDEX IF NOT EXISTS idx_visual_baselines_test ON visual_baselines(url_test_id);
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
+
+COMMIT;
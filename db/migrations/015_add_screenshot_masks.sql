@@ -0,0 +1,24 @@
+-- ============================================================================
+-- Migration: Screenshot masks
+-- ============================================================================
+-- Monitored URLs can list CSS selectors to wait for, hide or mask before the
+-- screenshot, and selectors whose regions the visual diff skips (carousels,
+-- dates, cookie banners). URL tests record the settings that were applied.
+-- ============================================================================
+
+BEGIN;
+
+ALTER TABLE monitored_urls
+    ADD COLUMN IF NOT EXISTS wait_for_selectors TEXT[] NOT NULL DEFAULT '{}',
+    ADD COLUMN IF NOT EXISTS hide_selectors TEXT[] NOT NULL DEFAULT '{}',
+    ADD COLUMN IF NOT EXISTS mask_selectors TEXT[] NOT NULL DEFAULT '{}',
+    ADD COLUMN IF NOT EXISTS diff_ignore_selectors TEXT[] NOT NULL DEFAULT '{}';
+
+ALTER TABLE url_tests
+    ADD COLUMN IF NOT EXISTS screenshot_masks JSONB;
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
+
+COMMIT;
@@ -0,0 +1,34 @@
+-- ============================================================================
+-- Migration: Add accessibility_violations table
+-- ============================================================================
+-- runWebsiteTest runs the axe-core WCAG rules against each loaded page. Each
+-- violated rule is stored here with its impact and the number of elements
+-- breaking it; url_tests counts the violated rules (NULL when not audited).
+-- ============================================================================
+
+BEGIN;
+
+ALTER TABLE url_tests
+    ADD COLUMN IF NOT EXISTS accessibility_violation_count INTEGER;
+
+CREATE TABLE IF NOT EXISTS accessibility_violations (
+    id SERIAL PRIMARY KEY,
+    url_test_id INTEGER NOT NULL REFERENCES url_tests(id) ON DELETE CASCADE,
+    rule_id VARCHAR(100) NOT NULL,     -- axe-core rule, e.g. 'color-contrast'
+    impact VARCHAR(20),                -- 'critical', 'serious', 'moderate' or 'minor'
+    description TEXT NOT NULL,
+    help_url TEXT,
+    wcag_tags TEXT[] NOT NULL DEFAULT '{}',  -- e.g. {wcag2aa,wcag143}
+    node_count INTEGER NOT NULL,       -- Elements violating the rule
+    example_targets TEXT[] NOT NULL DEFAULT '{}',  -- CSS selectors of the first few elements
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_accessibility_violations_test ON accessibility_violations(url_test_id);
+CREATE INDEX IF NOT EXISTS idx_accessibility_violations_rule ON accessibility_violations(rule_id);
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
+
+COMMIT;
@@ -0,0 +1,31 @@
+-- ============================================================================
+-- Migration: Add broken_links table
+-- ============================================================================
+-- With LINK_CHECK=true, runWebsiteTest checks the page's <a href> links after
+-- the page has loaded. Broken links (status 400+ or failed requests) are stored
+-- here with their anchor text; url_tests counts the links checked and broken.
+-- ============================================================================
+
+BEGIN;
+
+ALTER TABLE url_tests
+    ADD COLUMN IF NOT EXISTS links_checked_count INTEGER,
+    ADD COLUMN IF NOT EXISTS broken_link_count INTEGER;
+
+CREATE TABLE IF NOT EXISTS broken_links (
+    id SERIAL PRIMARY KEY,
+    url_test_id INTEGER NOT NULL REFERENCES url_tests(id) ON DELETE CASCADE,
+    link_url TEXT NOT NULL,
+    anchor_text TEXT,                  -- Text of the first anchor linking to the URL
+    status_code INTEGER,               -- Final HTTP status, NULL when the request failed
+    error_message TEXT,                -- Why the request failed (e.g. 'ENOTFOUND', timeout)
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_broken_links_test ON broken_links(url_test_id);
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
+
+COMMIT;
@@ -0,0 +1,21 @@
+-- ============================================================================
+-- Migration: Crawl seeds
+-- ============================================================================
+-- test-urls-parallel.sh --crawl discovers the pages of a site from a seed URL
+-- and tests each one. URL tests record the seed that led to them and how many
+-- links away from it they are, for the site rollup on the URL results page.
+-- ============================================================================
+
+BEGIN;
+
+ALTER TABLE url_tests
+    ADD COLUMN IF NOT EXISTS crawl_seed_url VARCHAR(2048),
+    ADD COLUMN IF NOT EXISTS crawl_depth INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_url_tests_crawl_seed ON url_tests(crawl_seed_url, test_run_id) WHERE crawl_seed_url IS NOT NULL;
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
+
+COMMIT;
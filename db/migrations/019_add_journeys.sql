@@ -0,0 +1,49 @@
+-- ============================================================================
+-- Migration: Add journey_tests and journey_steps tables
+-- ============================================================================
+-- Scripted user journeys (tests/journeys.yaml, run by test-journeys.sh) are
+-- multi-step flows such as search, then results, then a detail page. Each
+-- journey tested in a run is a journey_tests row; each of its steps is a
+-- journey_steps row with its duration, screenshot and outcome.
+-- ============================================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS journey_tests (
+    id SERIAL PRIMARY KEY,
+    test_run_id INTEGER NOT NULL REFERENCES test_runs(id) ON DELETE CASCADE,
+    journey_name VARCHAR(255) NOT NULL,
+    browser VARCHAR(50) NOT NULL,
+    device_profile VARCHAR(50) NOT NULL DEFAULT 'desktop',
+    status VARCHAR(20) NOT NULL,       -- 'PASSED', 'FAILED'
+    error_message TEXT,                -- Why the failed step failed
+    step_count INTEGER NOT NULL,
+    total_duration_ms DECIMAL(10,2),   -- Sum of the durations of the steps that ran
+    test_timestamp TIMESTAMPTZ NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_journey_tests_run ON journey_tests(test_run_id);
+CREATE INDEX IF NOT EXISTS idx_journey_tests_name ON journey_tests(journey_name, test_timestamp DESC);
+
+CREATE TABLE IF NOT EXISTS journey_steps (
+    id SERIAL PRIMARY KEY,
+    journey_test_id INTEGER NOT NULL REFERENCES journey_tests(id) ON DELETE CASCADE,
+    step_number INTEGER NOT NULL,      -- 1 for the first step
+    name TEXT NOT NULL,                -- Step name, or its action and target
+    action VARCHAR(50) NOT NULL,       -- 'goto', 'click', 'fill', 'press', 'waitForSelector', 'assertText'
+    target TEXT,                       -- URL or CSS selector
+    value TEXT,                        -- Text filled in, key pressed or text expected
+    status VARCHAR(20) NOT NULL,       -- 'PASSED', 'FAILED', 'SKIPPED' (after a failed step)
+    duration_ms DECIMAL(10,2),         -- NULL for skipped steps
+    page_url TEXT,                     -- Page URL once the step finished
+    screenshot_path TEXT,
+    error_message TEXT,
+    UNIQUE (journey_test_id, step_number)
+);
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
+
+COMMIT;
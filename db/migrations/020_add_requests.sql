@@ -0,0 +1,62 @@
+-- ============================================================================
+-- Migration: Add requests table
+-- ============================================================================
+-- insertUrlTest stores every request in the test's HAR file (URL, host, status,
+-- MIME type, sizes, timings and cache headers), so failed requests and assets
+-- can be queried across runs without reading HAR files from disk.
+-- Tests ingested before this migration can be backfilled from their HAR files
+-- with npm run db:backfill-requests.
+-- ============================================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS requests (
+    id SERIAL PRIMARY KEY,
+    url_test_id INTEGER NOT NULL REFERENCES url_tests(id) ON DELETE CASCADE,
+    request_index INTEGER NOT NULL,    -- Order the requests started in (0 = first)
+    url TEXT NOT NULL,
+    host VARCHAR(512) NOT NULL,        -- Empty for URLs without a host (e.g. data:)
+    method VARCHAR(16) NOT NULL,
+    status_code INTEGER,               -- NULL when the request failed or was aborted
+    status_text VARCHAR(255),
+    mime_type VARCHAR(255),            -- Response Content-Type
+    content_type VARCHAR(20) NOT NULL, -- document, script, stylesheet, image, font, media or other
+    http_version VARCHAR(20),
+    server_ip VARCHAR(64),
+
+    -- Timing (ms); start_offset_ms is relative to the test's first request, and
+    -- the phases (NULL when the browser didn't report them) add up to duration_ms
+    start_offset_ms DECIMAL(10,2) NOT NULL,
+    duration_ms DECIMAL(10,2) NOT NULL,
+    blocked_ms DECIMAL(10,2),
+    dns_ms DECIMAL(10,2),
+    connect_ms DECIMAL(10,2),          -- Without TLS (see ssl_ms)
+    ssl_ms DECIMAL(10,2),
+    send_ms DECIMAL(10,2),
+    wait_ms DECIMAL(10,2),
+    receive_ms DECIMAL(10,2),
+
+    -- Sizes (bytes)
+    transfer_size_bytes BIGINT,        -- Bytes on the wire (headers + body)
+    content_size_bytes BIGINT,         -- Uncompressed body
+
+    -- Caching
+    from_cache BOOLEAN NOT NULL DEFAULT FALSE,
+    cache_control TEXT,
+    expires TEXT,
+    etag TEXT,
+    last_modified TEXT,
+
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_requests_test ON requests(url_test_id);
+CREATE INDEX IF NOT EXISTS idx_requests_url ON requests USING HASH (url); -- Hash: URLs can be longer than a btree entry allows
+CREATE INDEX IF NOT EXISTS idx_requests_host ON requests(host);
+CREATE INDEX IF NOT EXISTS idx_requests_failed ON requests(status_code) WHERE status_code >= 400;
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
+
+COMMIT;
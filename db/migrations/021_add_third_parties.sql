@@ -0,0 +1,33 @@
+-- ============================================================================
+-- Migration: Add third_parties table
+-- ============================================================================
+-- insertUrlTest groups the requests of each URL test by vendor
+-- (src/analysis/third-parties.js): the tested site itself, vendors of the
+-- bundled entity map, and other third parties by registrable domain. Each
+-- group's requests, bytes and blocking time are stored here.
+-- npm run db:backfill-requests fills this in for earlier tests.
+-- ============================================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS third_parties (
+    id SERIAL PRIMARY KEY,
+    url_test_id INTEGER NOT NULL REFERENCES url_tests(id) ON DELETE CASCADE,
+    entity_name VARCHAR(255) NOT NULL, -- Vendor from the entity map, or the registrable domain
+    category VARCHAR(50) NOT NULL,     -- e.g. 'analytics', 'cdn', 'fonts'; 'first-party' for the page's own requests
+    first_party BOOLEAN NOT NULL DEFAULT FALSE,
+    hosts TEXT[] NOT NULL,             -- Hosts the requests went to
+    request_count INTEGER NOT NULL,
+    transfer_size_bytes BIGINT NOT NULL,
+    blocking_time_ms DECIMAL(10,2) NOT NULL,  -- Scripts and stylesheets loading before the DOM was interactive
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_third_parties_test ON third_parties(url_test_id);
+CREATE INDEX IF NOT EXISTS idx_third_parties_entity ON third_parties(entity_name);
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
+
+COMMIT;
@@ -0,0 +1,30 @@
+-- ============================================================================
+-- Migration: Add content_type_sizes table
+-- ============================================================================
+-- resource_types only counts each test's resources per initiator type.
+-- insertUrlTest now also totals the requests of each test's HAR file per
+-- content type (taken from the response MIME type): requests, bytes
+-- transferred and uncompressed bytes, so page weight can be broken down.
+-- npm run db:backfill-requests fills this in for earlier tests.
+-- ============================================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS content_type_sizes (
+    id SERIAL PRIMARY KEY,
+    url_test_id INTEGER NOT NULL REFERENCES url_tests(id) ON DELETE CASCADE,
+    content_type VARCHAR(20) NOT NULL,  -- 'document', 'script', 'stylesheet', 'image', 'font', 'media' or 'other'
+    request_count INTEGER NOT NULL,
+    transfer_size_bytes BIGINT NOT NULL,
+    content_size_bytes BIGINT NOT NULL, -- Uncompressed
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_content_type_sizes_test ON content_type_sizes(url_test_id);
+CREATE INDEX IF NOT EXISTS idx_content_type_sizes_type ON content_type_sizes(content_type);
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
+
+COMMIT;
@@ -0,0 +1,19 @@
+-- ============================================================================
+-- Migration: Let schedules run a suite
+-- ============================================================================
+-- Adds schedules.suite_id so a schedule can start runs of one suite, with the
+-- suite's URLs, browsers, device profiles and settings. Schedules without a
+-- suite (and those whose suite is deleted) keep running every enabled
+-- monitored URL with the default settings.
+-- ============================================================================
+
+BEGIN;
+
+ALTER TABLE schedules
+    ADD COLUMN IF NOT EXISTS suite_id INTEGER REFERENCES suites(id) ON DELETE SET NULL;  -- NULL runs every monitored URL
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
+
+COMMIT;
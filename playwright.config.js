@@ -56,6 +56,19 @@ export default defineConfig({
       testMatch: /batch-urls\.spec\.js/,
     },
 
+    /* Batch projects for suites that run in other browsers */
+    {
+      name: 'chromium-parallel',
+      use: { ...devices['Desktop Chrome'] },
+      testMatch: /batch-urls\.spec\.js/,
+    },
+
+    {
+      name: 'webkit-parallel',
+      use: { ...devices['Desktop Safari'] },
+      testMatch: /batch-urls\.spec\.js/,
+    },
+
     {
       name: 'webkit',
       use: { ...devices['Desktop Safari'] },
@@ -15,6 +15,12 @@ function formatDuration(ms) {
   return minutes > 0 ? `${minutes}m ${remainingSeconds}s` : `${seconds}s`;
 }
 
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text ?? '';
+  return div.innerHTML;
+}
+
 function formatNumber(num) {
   if (num === null || num === undefined) return 'N/A';
   return Math.round(num).toLocaleString();
@@ -38,19 +44,218 @@ function getStatusBadge(run) {
     'FAILED': 'danger',
     'PASSED': 'success',
     'ERROR': 'danger',
-    'TIMEOUT': 'warning'
+    'TIMEOUT': 'warning',
+    'CANCELLED': 'secondary'
   };
   const badgeClass = statusMap[status] || 'secondary';
   return `<span class="badge bg-${badgeClass}">${status}</span>`;
 }
 
+// Suite filter - an empty value shows runs of every suite
+function withSuiteFilter(url) {
+  const suiteId = document.getElementById('suite-filter').value;
+  if (!suiteId) return url;
+  return `${url}${url.includes('?') ? '&' : '?'}suiteId=${encodeURIComponent(suiteId)}`;
+}
+
+async function fetchSuites() {
+  try {
+    const response = await fetch('/api/suites');
+    const result = await response.json();
+    if (result.success) {
+      displaySuiteFilter(result.data);
+    }
+  } catch (error) {
+    console.error('Failed to fetch suites:', error);
+  }
+}
+
+function displaySuiteFilter(suites) {
+  fillSuiteSelect(document.getElementById('suite-filter'), 'All runs', suites);
+  fillSuiteSelect(document.getElementById('schedule-suite'), 'All enabled URLs', suites);
+}
+
+function fillSuiteSelect(select, emptyLabel, suites) {
+  const selected = select.value;
+
+  select.innerHTML = `<option value="">${emptyLabel}</option>` +
+    suites.map(suite => `<option value="${suite.id}">${escapeHtml(suite.name)}</option>`).join('');
+  select.value = suites.some(suite => String(suite.id) === selected) ? selected : '';
+}
+
+// Run now / live progress of the run in progress (streamed from /api/test-runs/:id/events)
+let trackedRunId = null;
+let runEventSource = null;
+let hideRunProgressTimer = null;
+
+async function startRun(body) {
+  try {
+    const response = await fetch('/api/test-runs', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const result = await response.json();
+    if (!result.success) {
+      alert(`Failed to start test run: ${result.error}`);
+      return;
+    }
+    trackRunProgress(result.data.testRunId);
+    fetchLatestRun();
+    fetchTestRuns();
+  } catch (error) {
+    console.error('Failed to start test run:', error);
+    alert('Failed to start test run');
+  }
+}
+
+function trackRunProgress(testRunId) {
+  if (trackedRunId === testRunId) return;
+  runEventSource?.close();
+  clearTimeout(hideRunProgressTimer);
+  trackedRunId = testRunId;
+  document.getElementById('run-progress-urls').innerHTML = '';
+
+  const source = new EventSource(`/api/test-runs/${testRunId}/events`);
+  runEventSource = source;
+  source.addEventListener('progress', event => handleRunProgress(JSON.parse(event.data)));
+  source.addEventListener('status', event => handleRunProgress(JSON.parse(event.data)));
+  source.addEventListener('url-test', event => {
+    const { test, progress } = JSON.parse(event.data);
+    if (test) displayFinishedUrl(test);
+    handleRunProgress(progress);
+  });
+  source.onerror = () => {
+    // CLOSED means the stream was refused (e.g. run not found); otherwise the browser reconnects
+    if (source.readyState === EventSource.CLOSED && runEventSource === source) {
+      stopTrackingRun();
+      hideRunProgress();
+    }
+  };
+}
+
+function handleRunProgress(progress) {
+  if (progress.testRunId !== trackedRunId) return;
+  displayRunProgress(progress);
+
+  if (progress.status !== 'RUNNING') {
+    // Run finished - refresh the dashboard and hide the panel shortly after
+    stopTrackingRun();
+    fetchLatestRun();
+    fetchStats();
+    fetchTestRuns();
+    hideRunProgressTimer = setTimeout(hideRunProgress, 5000);
+  }
+}
+
+function stopTrackingRun() {
+  runEventSource?.close();
+  runEventSource = null;
+  trackedRunId = null;
+}
+
+function displayRunProgress(progress) {
+  const bar = document.getElementById('run-progress-bar');
+  const cancelButton = document.getElementById('run-cancel-btn');
+  const running = progress.status === 'RUNNING';
+
+  document.getElementById('run-progress').style.display = '';
+  document.getElementById('run-progress-title').innerHTML =
+    `Test run <a href="/run-details.html?id=${progress.testRunId}">#${progress.testRunId}</a>` +
+    (progress.suiteName ? ` - ${escapeHtml(progress.suiteName)}` : '');
+  document.getElementById('run-progress-status').innerHTML = getStatusBadge(progress.status);
+  document.getElementById('run-progress-detail').textContent =
+    `${progress.completed} of ${progress.totalUrls} URLs tested (${progress.passed} passed, ${progress.failed} failed)` +
+    (progress.cancelling ? ' - cancelling...' : '');
+
+  bar.style.width = `${progress.percent}%`;
+  bar.textContent = `${progress.percent}%`;
+  bar.classList.toggle('progress-bar-animated', running);
+  bar.classList.toggle('bg-danger', progress.failed > 0);
+
+  cancelButton.style.display = progress.cancellable || progress.cancelling ? '' : 'none';
+  cancelButton.disabled = progress.cancelling;
+}
+
+// Show the most recently finished URLs under the progress bar
+function displayFinishedUrl(test) {
+  const list = document.getElementById('run-progress-urls');
+  const item = document.createElement('li');
+  item.className = 'list-group-item px-0 py-1';
+  item.innerHTML = `
+    ${getStatusBadge(test.status)}
+    <a href="/test-detail.html?id=${test.id}" class="text-decoration-none ms-1">${escapeHtml(test.url)}</a>
+    <span class="text-muted ms-1">${formatNumber(test.total_page_load_ms)} ms</span>
+  `;
+  list.prepend(item);
+  while (list.children.length > 5) {
+    list.lastElementChild.remove();
+  }
+}
+
+function hideRunProgress() {
+  if (trackedRunId !== null) return;
+  document.getElementById('run-progress').style.display = 'none';
+}
+
+async function cancelRun() {
+  const testRunId = trackedRunId;
+  if (testRunId === null || !confirm(`Cancel test run #${testRunId}?`)) {
+    return;
+  }
+
+  try {
+    const response = await fetch(`/api/test-runs/${testRunId}/cancel`, { method: 'POST' });
+    const result = await response.json();
+    if (!result.success) {
+      alert(`Failed to cancel test run: ${result.error}`);
+      return;
+    }
+
+    // Show "cancelling" until the stream reports the CANCELLED status
+    const progressResponse = await fetch(`/api/test-runs/${testRunId}/progress`);
+    const progressResult = await progressResponse.json();
+    if (progressResult.success) {
+      handleRunProgress(progressResult.data);
+    }
+  } catch (error) {
+    console.error('Failed to cancel test run:', error);
+  }
+}
+
+function setupRunControls() {
+  document.getElementById('run-now-btn').addEventListener('click', () => {
+    const select = document.getElementById('suite-filter');
+    const target = select.value ? `suite "${select.selectedOptions[0].textContent}"` : 'all enabled URLs';
+    if (!confirm(`Start a test run of ${target}?`)) {
+      return;
+    }
+    startRun(select.value ? { suiteId: parseInt(select.value) } : {});
+  });
+
+  document.getElementById('run-cancel-btn').addEventListener('click', cancelRun);
+
+  // Ad-hoc test of the URL in the search box
+  document.getElementById('url-test-now-btn').addEventListener('click', () => {
+    const url = document.getElementById('url-search-input').value.trim();
+    if (!/^https?:\/\//.test(url)) {
+      alert('Enter a full URL starting with http:// or https:// to test it');
+      return;
+    }
+    startRun({ urls: [url] });
+  });
+}
+
 // API calls
 async function fetchLatestRun() {
   try {
-    const response = await fetch('/api/test-runs/latest');
+    const response = await fetch(withSuiteFilter('/api/test-runs/latest'));
     const result = await response.json();
     if (result.success) {
       displayLatestRun(result.data);
+      if (result.data.status === 'RUNNING') {
+        trackRunProgress(result.data.id);
+      }
     } else {
       displayError('latest-run-card', 'No test runs found');
     }
@@ -62,10 +267,12 @@ async function fetchLatestRun() {
 
 async function fetchStats() {
   try {
-    const response = await fetch('/api/stats/latest');
+    const response = await fetch(withSuiteFilter('/api/stats/latest'));
     const result = await response.json();
     if (result.success) {
       displayStats(result.data);
+    } else {
+      clearStats();
     }
   } catch (error) {
     console.error('Failed to fetch stats:', error);
@@ -74,7 +281,7 @@ async function fetchStats() {
 
 async function fetchTestRuns() {
   try {
-    const response = await fetch('/api/test-runs?limit=5');
+    const response = await fetch(withSuiteFilter('/api/test-runs?limit=5'));
     const result = await response.json();
     if (result.success) {
       displayTestRuns(result.data);
@@ -95,6 +302,7 @@ function displayLatestRun(run) {
       <div class="row">
         <div class="col-md-6">
           <h5 class="card-title">Run #${run.id} ${getStatusBadge(run)}</h5>
+          ${run.suite_name ? `<p class="card-text mb-1"><strong>Suite:</strong> ${escapeHtml(run.suite_name)}</p>` : ''}
           <p class="card-text mb-1"><strong>Timestamp:</strong> ${formatTimestamp(run.run_timestamp)}</p>
           <p class="card-text mb-1"><strong>Total URLs:</strong> ${run.total_urls}</p>
           <p class="card-text mb-1"><strong>Parallel Workers:</strong> ${run.parallel_workers}</p>
@@ -125,7 +333,7 @@ function displayStats(stats) {
 
   // Get latest run for failed count
   fetchLatestRun().then(() => {
-    fetch('/api/test-runs/latest')
+    fetch(withSuiteFilter('/api/test-runs/latest'))
       .then(res => res.json())
       .then(result => {
         if (result.success) {
@@ -135,6 +343,18 @@ function displayStats(stats) {
   });
 }
 
+function clearStats() {
+  ['stat-load-time', 'stat-ttfb', 'stat-passed', 'stat-failed'].forEach(id => {
+    document.getElementById(id).textContent = '--';
+  });
+}
+
+function formatRunId(run) {
+  return run.suite_name
+    ? `${run.id}<br><small class="text-muted">${escapeHtml(run.suite_name)}</small>`
+    : `${run.id}`;
+}
+
 function displayTestRuns(runs) {
   const tbody = document.querySelector('#test-runs-table tbody');
 
@@ -145,7 +365,7 @@ function displayTestRuns(runs) {
 
   tbody.innerHTML = runs.map(run => `
     <tr>
-      <td>${run.id}</td>
+      <td>${formatRunId(run)}</td>
       <td>${formatTimestamp(run.run_timestamp)}</td>
       <td>${getStatusBadge(run)}</td>
       <td>${run.total_urls}</td>
@@ -174,6 +394,150 @@ function displayTableError(tableId, message) {
   tbody.innerHTML = `<tr><td colspan="9" class="text-center text-muted">${message}</td></tr>`;
 }
 
+// Scheduled runs
+async function fetchSchedules() {
+  try {
+    const response = await fetch('/api/schedules');
+    const result = await response.json();
+    if (result.success) {
+      displaySchedules(result.data);
+    } else {
+      displayScheduleTableError('Failed to load schedules');
+    }
+  } catch (error) {
+    console.error('Failed to fetch schedules:', error);
+    displayScheduleTableError('Failed to load schedules');
+  }
+}
+
+function displaySchedules(schedules) {
+  const tbody = document.querySelector('#schedules-table tbody');
+
+  if (schedules.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="8" class="text-center text-muted">No schedules yet. Add one below to run tests automatically.</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = schedules.map(schedule => {
+    const lastRun = schedule.last_run_id
+      ? `<a href="/run-details.html?id=${schedule.last_run_id}">#${schedule.last_run_id}</a> ${getStatusBadge(schedule.last_run_status)}`
+      : '<span class="text-muted">Never</span>';
+    const suite = schedule.suite_name
+      ? escapeHtml(schedule.suite_name)
+      : '<span class="text-muted">All enabled URLs</span>';
+    const lastMessage = schedule.last_message
+      ? `<br><small class="text-muted">${escapeHtml(schedule.last_message)}</small>`
+      : '';
+
+    return `
+      <tr>
+        <td>${escapeHtml(schedule.name)}</td>
+        <td><code>${escapeHtml(schedule.cron_expression)}</code><br><small class="text-muted">${escapeHtml(schedule.timezone)}</small></td>
+        <td>${suite}</td>
+        <td>${schedule.parallel_workers}</td>
+        <td>${schedule.next_run_at ? formatTimestamp(schedule.next_run_at) : '<span class="text-muted">--</span>'}</td>
+        <td>${lastRun}${lastMessage}</td>
+        <td>${schedule.enabled ? '<span class="badge bg-success">Yes</span>' : '<span class="badge bg-secondary">No</span>'}</td>
+        <td class="text-nowrap">
+          <button type="button" class="btn btn-sm btn-outline-secondary" data-action="toggle" data-id="${schedule.id}">
+            ${schedule.enabled ? 'Disable' : 'Enable'}
+          </button>
+          <button type="button" class="btn btn-sm btn-outline-danger" data-action="delete" data-id="${schedule.id}">Delete</button>
+        </td>
+      </tr>
+    `;
+  }).join('');
+
+  tbody.querySelectorAll('button[data-action]').forEach(button => {
+    button.addEventListener('click', () => {
+      const schedule = schedules.find(s => s.id === parseInt(button.getAttribute('data-id')));
+      if (button.getAttribute('data-action') === 'toggle') {
+        toggleSchedule(schedule);
+      } else {
+        deleteSchedule(schedule);
+      }
+    });
+  });
+}
+
+function displayScheduleTableError(message) {
+  const tbody = document.querySelector('#schedules-table tbody');
+  tbody.innerHTML = `<tr><td colspan="8" class="text-center text-muted">${message}</td></tr>`;
+}
+
+async function saveSchedule(method, url, schedule) {
+  const response = await fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(schedule)
+  });
+  return response.json();
+}
+
+async function toggleSchedule(schedule) {
+  try {
+    const result = await saveSchedule('PUT', `/api/schedules/${schedule.id}`, {
+      name: schedule.name,
+      cronExpression: schedule.cron_expression,
+      timezone: schedule.timezone,
+      parallelWorkers: schedule.parallel_workers,
+      suiteId: schedule.suite_id,
+      enabled: !schedule.enabled
+    });
+    if (!result.success) {
+      alert(`Failed to update schedule: ${result.error}`);
+    }
+  } catch (error) {
+    console.error('Failed to update schedule:', error);
+  }
+  fetchSchedules();
+}
+
+async function deleteSchedule(schedule) {
+  if (!confirm(`Delete schedule "${schedule.name}"? Test runs it started are kept.`)) {
+    return;
+  }
+
+  try {
+    await fetch(`/api/schedules/${schedule.id}`, { method: 'DELETE' });
+  } catch (error) {
+    console.error('Failed to delete schedule:', error);
+  }
+  fetchSchedules();
+}
+
+function setupScheduleForm() {
+  const form = document.getElementById('schedule-form');
+  const errorBox = document.getElementById('schedule-form-error');
+
+  form.addEventListener('submit', async function(e) {
+    e.preventDefault();
+    errorBox.style.display = 'none';
+
+    try {
+      const result = await saveSchedule('POST', '/api/schedules', {
+        name: document.getElementById('schedule-name').value,
+        cronExpression: document.getElementById('schedule-cron').value,
+        timezone: document.getElementById('schedule-timezone').value.trim() || 'UTC',
+        parallelWorkers: parseInt(document.getElementById('schedule-workers').value) || 4,
+        suiteId: document.getElementById('schedule-suite').value || null
+      });
+
+      if (result.success) {
+        form.reset();
+        fetchSchedules();
+      } else {
+        errorBox.textContent = result.error;
+        errorBox.style.display = 'block';
+      }
+    } catch (error) {
+      console.error('Failed to create schedule:', error);
+      errorBox.textContent = 'Failed to create schedule';
+      errorBox.style.display = 'block';
+    }
+  });
+}
+
 // Calendar and date search functionality
 let availableDates = [];
 let calendarInstance = null;
@@ -252,7 +616,7 @@ function displayDateSearchResults(date, runs) {
 
   tbody.innerHTML = runs.map(run => `
     <tr>
-      <td>${run.id}</td>
+      <td>${formatRunId(run)}</td>
       <td>${formatTimestamp(run.run_timestamp)}</td>
       <td>${getStatusBadge(run)}</td>
       <td>${run.total_urls}</td>
@@ -385,20 +749,32 @@ document.addEventListener('DOMContentLoaded', () => {
   fetchLatestRun();
   fetchStats();
   fetchTestRuns();
+  fetchSchedules();
+  fetchSuites();
   fetchAvailableDates();
   setupUrlSearch();
+  setupScheduleForm();
+  setupRunControls();
+
+  document.getElementById('suite-filter').addEventListener('change', () => {
+    fetchLatestRun();
+    fetchStats();
+    fetchTestRuns();
+  });
 
   // Auto-refresh every 30 seconds
   setInterval(() => {
     fetchLatestRun();
     fetchStats();
     fetchTestRuns();
+    fetchSchedules();
   }, 30000);
 
   // Listen for timezone changes and refresh displays
   window.addEventListener('timezoneChanged', () => {
     fetchLatestRun();
     fetchTestRuns();
+    fetchSchedules();
     fetchAvailableDates(); // Refresh calendar dates for new timezone
   });
 });
@@ -0,0 +1,153 @@
+// Browser Comparison for Project Pumpkin
+// Renders per-browser metrics from the browser-comparison API endpoints
+
+const BROWSER_NAMES = {
+  firefox: 'Firefox',
+  chromium: 'Chromium',
+  webkit: 'WebKit'
+};
+
+// Differences at least this large (percent) are highlighted
+const HIGHLIGHT_PERCENT = 10;
+const MAX_HIGHLIGHTS = 5;
+
+/**
+ * Display name of a Playwright browser
+ * @param {string} browser - 'firefox', 'chromium' or 'webkit'
+ * @returns {string}
+ */
+export function formatBrowser(browser) {
+  return BROWSER_NAMES[browser] || browser || 'N/A';
+}
+
+/**
+ * Describe a difference from the reference browser in words
+ * e.g. "WebKit TTFB 40% slower than Firefox on bursar.uchicago.edu"
+ * @param {Object} difference - Entry of a URL's differences array
+ * @param {string} reference - Reference browser of the URL
+ * @param {Object} metrics - Metric labels and units from the API
+ * @param {string} [domain] - Domain to name in the sentence
+ * @param {string} [deviceLabel] - Device and network profiles to name in the sentence (omitted for unthrottled desktop)
+ * @returns {string}
+ */
+export function describeDifference(difference, reference, metrics, domain, deviceLabel) {
+  const metric = metrics[difference.metric];
+  const label = metric.label === metric.label.toUpperCase() ? metric.label : metric.label.toLowerCase();
+  const isBytes = metric.unit === 'bytes';
+  const direction = difference.percentDifference >= 0
+    ? (isBytes ? 'heavier' : 'slower')
+    : (isBytes ? 'lighter' : 'faster');
+  const where = (domain ? ` on ${domain}` : '') + (deviceLabel ? ` (${deviceLabel})` : '');
+  return `${formatBrowser(difference.browser)} ${label} ${Math.abs(difference.percentDifference)}% ${direction} than ${formatBrowser(reference)}${where}`;
+}
+
+/**
+ * Render a browser comparison into a section
+ * The section is hidden when no URL was tested in more than one browser.
+ * @param {string} sectionId - Section element; its .card-body receives the content
+ * @param {{browsers: string[], metrics: Object, urls: Array}} data - API response data
+ */
+export function displayBrowserComparison(sectionId, data) {
+  const section = document.getElementById(sectionId);
+  const compared = data.urls.filter(entry => Object.keys(entry.browsers).length > 1);
+
+  if (compared.length === 0) {
+    section.style.display = 'none';
+    return;
+  }
+  section.style.display = 'block';
+
+  const highlights = compared
+    .flatMap(entry => entry.differences.map(difference => ({ entry, difference })))
+    .filter(({ difference }) => Math.abs(difference.percentDifference) >= HIGHLIGHT_PERCENT)
+    .sort((a, b) => Math.abs(b.difference.percentDifference) - Math.abs(a.difference.percentDifference))
+    .slice(0, MAX_HIGHLIGHTS);
+
+  const highlightsHtml = highlights.length > 0
+    ? `<ul class="mb-3">${highlights.map(({ entry, difference }) => `
+        <li>${escapeHtml(describeDifference(difference, entry.reference, data.metrics, entry.domain, getDeviceLabel(entry)))}</li>
+      `).join('')}</ul>`
+    : `<p class="text-muted">No differences of ${HIGHLIGHT_PERCENT}% or more between browsers.</p>`;
+
+  const browsers = data.browsers.filter(browser => compared.some(entry => entry.browsers[browser]));
+
+  section.querySelector('.card-body').innerHTML = `
+    ${highlightsHtml}
+    <div class="table-responsive">
+      <table class="table table-sm table-hover mb-0">
+        <thead>
+          <tr>
+            <th>URL</th>
+            <th>Metric</th>
+            ${browsers.map(browser => `<th class="text-end">${formatBrowser(browser)}</th>`).join('')}
+          </tr>
+        </thead>
+        <tbody>
+          ${compared.map(entry => renderUrlRows(entry, browsers, data.metrics)).join('')}
+        </tbody>
+      </table>
+    </div>
+  `;
+}
+
+// Results of the default desktop profile and unthrottled network aren't labelled
+function getDeviceLabel(entry) {
+  const labels = [];
+  if (entry.deviceProfile && entry.deviceProfile !== 'desktop') labels.push(entry.deviceLabel);
+  if (entry.networkProfile && entry.networkProfile !== 'none') labels.push(entry.networkLabel);
+  return labels.length > 0 ? labels.join(', ') : null;
+}
+
+function renderUrlRows(entry, browsers, metrics) {
+  const metricKeys = Object.keys(metrics)
+    .filter(metric => browsers.some(browser => entry.browsers[browser]?.[metric] != null));
+
+  return metricKeys.map((metric, index) => `
+    <tr>
+      ${index === 0 ? `
+        <td rowspan="${metricKeys.length}" class="text-truncate" style="max-width: 300px;" title="${escapeHtml(entry.url)}">
+          ${escapeHtml(entry.url)}
+          ${getDeviceLabel(entry) ? `<span class="badge bg-info text-dark ms-1">${escapeHtml(getDeviceLabel(entry))}</span>` : ''}
+        </td>
+      ` : ''}
+      <td>${metrics[metric].label}</td>
+      ${browsers.map(browser => `<td class="text-end">${renderMetricCell(entry, browser, metric, metrics[metric])}</td>`).join('')}
+    </tr>
+  `).join('');
+}
+
+function renderMetricCell(entry, browser, metric, definition) {
+  const value = entry.browsers[browser]?.[metric];
+  if (value == null) {
+    return '<span class="text-muted">N/A</span>';
+  }
+
+  const formatted = formatMetricValue(value, definition.unit);
+  if (browser === entry.reference) {
+    return `${formatted} <small class="text-muted">(reference)</small>`;
+  }
+
+  const difference = entry.differences.find(d => d.browser === browser && d.metric === metric);
+  if (!difference) {
+    return formatted;
+  }
+
+  const percent = difference.percentDifference;
+  const colorClass = percent >= HIGHLIGHT_PERCENT ? 'text-danger'
+    : percent <= -HIGHLIGHT_PERCENT ? 'text-success'
+    : 'text-muted';
+  return `${formatted} <small class="${colorClass}">${percent > 0 ? '+' : ''}${percent}%</small>`;
+}
+
+function formatMetricValue(value, unit) {
+  if (unit === 'bytes') {
+    return `${(value / 1024).toFixed(1)} KB`;
+  }
+  return `${Math.round(value).toLocaleString()} ms`;
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML.replace(/"/g, '&quot;');
+}
@@ -0,0 +1,232 @@
+// Journey Detail JavaScript - Single user journey test detail page
+
+import { formatTimestamp as tzFormatTimestamp } from './timezone-utils.js';
+
+// Utility functions
+function formatTimestamp(timestamp) {
+  return tzFormatTimestamp(timestamp);
+}
+
+function formatNumber(num) {
+  if (num === null || num === undefined) return 'N/A';
+  return Math.round(num).toLocaleString();
+}
+
+function getStatusBadge(status) {
+  const statusMap = {
+    'PASSED': 'success',
+    'FAILED': 'danger',
+    'SKIPPED': 'secondary'
+  };
+  const badgeClass = statusMap[status] || 'secondary';
+  return `<span class="badge bg-${badgeClass}">${status}</span>`;
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML.replace(/"/g, '&quot;');
+}
+
+// Convert a container path to a web-accessible path
+// Path format: /app/test-history/TIMESTAMP__journey__NAME/step-01.png
+function toWebPath(filePath) {
+  return filePath.replace('/app/', '/');
+}
+
+// Get journey test ID from URL parameters
+function getJourneyTestIdFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+  return params.get('id');
+}
+
+// API calls
+async function fetchJourneyTest(journeyTestId) {
+  try {
+    const response = await fetch(`/api/journey-tests/${journeyTestId}`);
+    const result = await response.json();
+
+    if (result.success) {
+      displayJourneyTest(result.data);
+    } else {
+      displayError('Journey test not found');
+    }
+  } catch (error) {
+    console.error('Failed to fetch journey test:', error);
+    displayError('Failed to load journey test');
+  }
+}
+
+async function fetchJourneyHistory(journeyTest) {
+  try {
+    const response = await fetch(`/api/journey-tests/${journeyTest.id}/history`);
+    const result = await response.json();
+
+    if (result.success) {
+      displayJourneyHistory(journeyTest, result.data);
+    }
+  } catch (error) {
+    console.error('Failed to fetch journey history:', error);
+  }
+}
+
+// Display functions
+function displayJourneyTest(journeyTest) {
+  document.title = `${journeyTest.journey_name} - Journey Details`;
+  document.getElementById('journey-title').textContent = journeyTest.journey_name;
+  document.getElementById('back-to-run').href = `/run-details.html?id=${journeyTest.test_run_id}`;
+
+  displayOverview(journeyTest);
+  displaySteps(journeyTest.steps);
+  displayStepScreenshots(journeyTest.steps);
+  fetchJourneyHistory(journeyTest);
+}
+
+function displayOverview(journeyTest) {
+  const passedSteps = journeyTest.steps.filter(step => step.status === 'PASSED').length;
+  const slowestStep = journeyTest.steps
+    .filter(step => step.duration_ms !== null)
+    .reduce((slowest, step) => (!slowest || parseFloat(step.duration_ms) > parseFloat(slowest.duration_ms) ? step : slowest), null);
+
+  document.getElementById('journey-overview-card').innerHTML = `
+    <div class="card-body">
+      <div class="row">
+        <div class="col-md-6">
+          <h5 class="card-title">${escapeHtml(journeyTest.journey_name)} ${getStatusBadge(journeyTest.status)}</h5>
+          <p class="card-text mb-1"><strong>Test Timestamp:</strong> ${formatTimestamp(journeyTest.test_timestamp)}</p>
+          <p class="card-text mb-1"><strong>Browser:</strong> ${journeyTest.browser}</p>
+          <p class="card-text mb-1"><strong>Device:</strong> ${journeyTest.device_profile}</p>
+          <p class="card-text mb-1"><strong>Test Run:</strong> <a href="/run-details.html?id=${journeyTest.test_run_id}">#${journeyTest.test_run_id}</a></p>
+        </div>
+        <div class="col-md-6">
+          <h6>Quick Stats</h6>
+          <p class="card-text mb-1"><strong>Total Duration:</strong> ${formatNumber(journeyTest.total_duration_ms)} ms</p>
+          <p class="card-text mb-1"><strong>Steps Passed:</strong> ${passedSteps} / ${journeyTest.step_count}</p>
+          ${slowestStep ? `<p class="card-text mb-1"><strong>Slowest Step:</strong> ${slowestStep.step_number}. ${escapeHtml(slowestStep.name)} (${formatNumber(slowestStep.duration_ms)} ms)</p>` : ''}
+          ${journeyTest.error_message ? `<div class="alert alert-danger mt-2 mb-0"><strong>Error:</strong> ${escapeHtml(journeyTest.error_message)}</div>` : ''}
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+function formatStepAction(step) {
+  const target = step.target ? ` <code>${escapeHtml(step.target)}</code>` : '';
+  const value = step.value !== null && step.value !== undefined ? ` <span class="text-muted">"${escapeHtml(step.value)}"</span>` : '';
+  return `${step.action}${target}${value}`;
+}
+
+// Each step's bar starts where the previous steps ended, so the bars read as a timeline
+function displaySteps(steps) {
+  const tbody = document.querySelector('#journey-steps-table tbody');
+  const total = steps.reduce((sum, step) => sum + (parseFloat(step.duration_ms) || 0), 0);
+  let elapsed = 0;
+
+  tbody.innerHTML = steps.map(step => {
+    const duration = parseFloat(step.duration_ms) || 0;
+    const left = total > 0 ? elapsed / total * 100 : 0;
+    const width = total > 0 ? duration / total * 100 : 0;
+    elapsed += duration;
+    const barClass = step.status === 'FAILED' ? 'bg-danger' : 'bg-primary';
+
+    return `
+      <tr>
+        <td>${step.step_number}</td>
+        <td>${getStatusBadge(step.status)}</td>
+        <td>
+          ${escapeHtml(step.name)}
+          ${step.page_url ? `<br><small class="text-muted text-break">${escapeHtml(step.page_url)}</small>` : ''}
+          ${step.error_message ? `<br><small class="text-danger">${escapeHtml(step.error_message)}</small>` : ''}
+        </td>
+        <td class="small">${formatStepAction(step)}</td>
+        <td class="text-end">${step.duration_ms !== null ? formatNumber(step.duration_ms) : '—'}</td>
+        <td>
+          ${step.duration_ms !== null ? `
+          <div class="position-relative bg-light rounded" style="height: 12px;">
+            <div class="position-absolute rounded ${barClass}" style="left: ${left}%; width: ${Math.max(width, 0.5)}%; height: 100%;"></div>
+          </div>` : ''}
+        </td>
+      </tr>
+    `;
+  }).join('');
+}
+
+function displayStepScreenshots(steps) {
+  const container = document.getElementById('step-screenshots');
+  const withScreenshots = steps.filter(step => step.screenshot_path);
+
+  if (withScreenshots.length === 0) {
+    container.innerHTML = '<div class="col-12"><div class="alert alert-warning mb-0">No step screenshots available</div></div>';
+    return;
+  }
+
+  container.innerHTML = withScreenshots.map(step => `
+    <div class="col-md-6 col-lg-4">
+      <div class="card h-100${step.status === 'FAILED' ? ' border-danger' : ''}">
+        <a href="${toWebPath(step.screenshot_path)}" target="_blank">
+          <img src="${toWebPath(step.screenshot_path)}" class="card-img-top" alt="Screenshot after step ${step.step_number}"
+               onerror="this.onerror=null; this.replaceWith(Object.assign(document.createElement('div'), { className: 'alert alert-warning m-2', textContent: 'Screenshot not available' }));">
+        </a>
+        <div class="card-body py-2">
+          <small>${step.step_number}. ${escapeHtml(step.name)} ${getStatusBadge(step.status)}</small>
+        </div>
+      </div>
+    </div>
+  `).join('');
+}
+
+// Earlier tests of the journey (same browser and device), with each step's duration
+function displayJourneyHistory(journeyTest, history) {
+  const section = document.getElementById('journey-history-section');
+
+  if (history.length < 2) {
+    section.style.display = 'none';
+    return;
+  }
+
+  section.style.display = 'block';
+  document.querySelector('#journey-history-table thead').innerHTML = `
+    <tr>
+      <th>Timestamp</th>
+      <th>Status</th>
+      <th class="text-end">Total (ms)</th>
+      ${journeyTest.steps.map(step => `<th class="text-end" title="${escapeHtml(step.name)}">Step ${step.step_number}</th>`).join('')}
+    </tr>
+  `;
+  document.querySelector('#journey-history-table tbody').innerHTML = history.map(test => `
+    <tr${test.id === journeyTest.id ? ' class="table-active"' : ''}>
+      <td>
+        <a href="/journey-detail.html?id=${test.id}">${formatTimestamp(test.test_timestamp)}</a>
+      </td>
+      <td>${getStatusBadge(test.status)}</td>
+      <td class="text-end">${formatNumber(test.total_duration_ms)}</td>
+      ${journeyTest.steps.map((step, index) => `<td class="text-end">${formatNumber(test.step_durations[index])}</td>`).join('')}
+    </tr>
+  `).join('');
+}
+
+function displayError(message) {
+  document.getElementById('journey-overview-card').innerHTML = `
+    <div class="alert alert-danger mb-0" role="alert">
+      ${message}
+    </div>
+  `;
+  document.querySelector('#journey-steps-table tbody').innerHTML = '';
+}
+
+// Initialize on page load
+document.addEventListener('DOMContentLoaded', () => {
+  const journeyTestId = getJourneyTestIdFromUrl();
+
+  if (!journeyTestId) {
+    displayError('No journey test ID specified');
+    return;
+  }
+
+  fetchJourneyTest(journeyTestId);
+
+  // Listen for timezone changes and refresh displays
+  window.addEventListener('timezoneChanged', () => {
+    fetchJourneyTest(journeyTestId);
+  });
+});
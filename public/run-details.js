@@ -1,6 +1,7 @@
 // Run Details JavaScript - Details page functionality
 
 import { formatTimestamp as tzFormatTimestamp } from './timezone-utils.js';
+import { formatBrowser, displayBrowserComparison } from './browser-comparison.js';
 
 // Utility functions (duplicated for standalone page)
 function formatTimestamp(timestamp) {
@@ -38,7 +39,8 @@ function getStatusBadge(run) {
     'FAILED': 'danger',
     'PASSED': 'success',
     'ERROR': 'danger',
-    'TIMEOUT': 'warning'
+    'TIMEOUT': 'warning',
+    'CANCELLED': 'secondary'
   };
   const badgeClass = statusMap[status] || 'secondary';
   return `<span class="badge bg-${badgeClass}">${status}</span>`;
@@ -70,6 +72,40 @@ function getRunIdFromUrl() {
   return params.get('id');
 }
 
+// Live updates while the run is RUNNING (streamed from /api/test-runs/:id/events)
+let runEventSource = null;
+
+function watchRun(runId) {
+  if (runEventSource) return;
+
+  const source = new EventSource(`/api/test-runs/${runId}/events`);
+  runEventSource = source;
+  source.addEventListener('url-test', event => {
+    const { test } = JSON.parse(event.data);
+    if (test) appendUrlTest(test);
+    fetchRunSummary(runId);
+  });
+
+  // Once the run has finished, reload everything (budget breaches are only complete then)
+  const handleProgress = event => {
+    if (JSON.parse(event.data).status === 'RUNNING') return;
+    source.close();
+    runEventSource = null;
+    fetchRunSummary(runId);
+    fetchUrlTests(runId);
+    fetchBrowserComparison(runId);
+    fetchJourneys(runId);
+    fetchBudgetViolations(runId);
+  };
+  source.addEventListener('progress', handleProgress);
+  source.addEventListener('status', handleProgress);
+  source.onerror = () => {
+    if (source.readyState === EventSource.CLOSED) {
+      runEventSource = null;
+    }
+  };
+}
+
 // API calls
 async function fetchRunSummary(runId) {
   try {
@@ -77,6 +113,9 @@ async function fetchRunSummary(runId) {
     const result = await response.json();
     if (result.success) {
       displayRunSummary(result.data);
+      if (result.data.status === 'RUNNING') {
+        watchRun(runId);
+      }
     } else {
       displayError('run-summary-card', 'Test run not found');
     }
@@ -101,17 +140,66 @@ async function fetchUrlTests(runId) {
   }
 }
 
+async function fetchBrowserComparison(runId) {
+  try {
+    const response = await fetch(`/api/test-runs/${runId}/browser-comparison`);
+    const result = await response.json();
+    if (result.success) {
+      displayBrowserComparison('browser-comparison-section', result.data);
+    }
+  } catch (error) {
+    console.error('Failed to fetch browser comparison:', error);
+  }
+}
+
+async function fetchJourneys(runId) {
+  try {
+    const response = await fetch(`/api/test-runs/${runId}/journeys`);
+    const result = await response.json();
+    if (result.success) {
+      displayJourneys(result.data);
+    }
+  } catch (error) {
+    console.error('Failed to fetch journeys:', error);
+  }
+}
+
+async function fetchBudgetViolations(runId) {
+  try {
+    const response = await fetch(`/api/test-runs/${runId}/budget-violations`);
+    const result = await response.json();
+    if (result.success) {
+      displayBudgetViolations(result.data);
+    }
+  } catch (error) {
+    console.error('Failed to fetch budget violations:', error);
+  }
+}
+
 // Display functions
 function displayRunSummary(run) {
   const card = document.getElementById('run-summary-card');
+  const completed = parseInt(run.tests_completed) || 0;
+  const percent = run.total_urls > 0 ? Math.min(100, Math.round(completed / run.total_urls * 100)) : 0;
+  const progressBar = run.status !== 'RUNNING' ? '' : `
+    <div class="progress mt-3" role="progressbar" aria-label="Test run progress">
+      <div class="progress-bar progress-bar-striped progress-bar-animated" style="width: ${percent}%">
+        ${completed} / ${run.total_urls}
+      </div>
+    </div>
+  `;
   card.innerHTML = `
     <div class="card-body">
       <div class="row">
         <div class="col-md-6">
           <h5 class="card-title">Run #${run.id} ${getStatusBadge(run)}</h5>
           <p class="card-text mb-1"><strong>UUID:</strong> <code>${run.run_uuid || 'N/A'}</code></p>
+          <p class="card-text mb-1"><strong>Suite:</strong> ${run.suite_name ? escapeHtml(run.suite_name) : 'All monitored URLs'}</p>
           <p class="card-text mb-1"><strong>Timestamp:</strong> ${formatTimestamp(run.run_timestamp)}</p>
           <p class="card-text mb-1"><strong>Total Domains:</strong> ${run.total_domains}</p>
+          <p class="card-text mb-1"><strong>Browsers:</strong> ${run.browsers?.length ? run.browsers.map(formatBrowser).join(', ') : 'N/A'}</p>
+          <p class="card-text mb-1"><strong>Device Profiles:</strong> ${run.device_profiles?.length ? run.device_profiles.join(', ') : 'N/A'}</p>
+          <p class="card-text mb-1"><strong>Network:</strong> ${run.network_profiles?.length ? escapeHtml(run.network_profiles.join(', ')) : 'N/A'}</p>
           <p class="card-text mb-1"><strong>Parallel Workers:</strong> ${run.parallel_workers}</p>
           <p class="card-text mb-1"><strong>Duration:</strong> ${formatDuration(run.duration_ms)}</p>
         </div>
@@ -119,10 +207,12 @@ function displayRunSummary(run) {
           <p class="card-text mb-1"><strong>Tests Completed:</strong> ${run.tests_completed || 0}</p>
           <p class="card-text mb-1"><strong>Passed:</strong> <span class="text-success">${run.passed_count || 0}</span></p>
           <p class="card-text mb-1"><strong>Failed:</strong> <span class="text-danger">${run.failed_count || 0}</span></p>
+          <p class="card-text mb-1"><strong>Visual Changes:</strong> <span class="${run.visually_changed_count > 0 ? 'text-warning' : ''}">${run.visually_changed_count || 0}</span></p>
           <p class="card-text mb-1"><strong>Avg Load Time:</strong> ${formatNumber(run.avg_page_load_ms)} ms</p>
           <p class="card-text mb-1"><strong>Avg TTFB:</strong> ${formatNumber(run.avg_ttfb_ms)} ms</p>
         </div>
       </div>
+      ${progressBar}
     </div>
   `;
 }
@@ -131,18 +221,59 @@ function displayUrlTests(tests) {
   const tbody = document.querySelector('#domain-tests-table tbody');
 
   if (tests.length === 0) {
-    tbody.innerHTML = '<tr><td colspan="9" class="text-center text-muted">No domain tests found</td></tr>';
+    tbody.innerHTML = '<tr><td colspan="11" class="text-center text-muted">No domain tests found</td></tr>';
     return;
   }
 
-  tbody.innerHTML = tests.map(test => `
-    <tr>
-      <td>${getStatusBadge(test.status)}</td>
+  tbody.innerHTML = tests.map(renderUrlTestRow).join('');
+
+  // Initialize DataTables
+  if ($.fn.DataTable.isDataTable('#domain-tests-table')) {
+    $('#domain-tests-table').DataTable().destroy();
+  }
+
+  $('#domain-tests-table').DataTable({
+    pageLength: 20,
+    order: [[1, 'asc']], // Sort by URL (ascending, A to Z) by default
+    columnDefs: [
+      { orderable: false, targets: 10 } // Disable sorting on Actions column
+    ],
+    language: {
+      search: "Filter:",
+      lengthMenu: "Show _MENU_ entries per page"
+    }
+  });
+}
+
+// Add a URL that just finished without resetting the table's paging and filter
+function appendUrlTest(test) {
+  if (!$.fn.DataTable.isDataTable('#domain-tests-table')) {
+    displayUrlTests([test]);
+    return;
+  }
+
+  const table = $('#domain-tests-table').DataTable();
+  if (table.row(`#url-test-${test.id}`).any()) return;
+  table.row.add($(renderUrlTestRow(test).trim())[0]).draw(false);
+}
+
+function renderUrlTestRow(test) {
+  return `
+    <tr id="url-test-${test.id}">
+      <td title="${test.error_message ? escapeHtml(test.error_message) : ''}">
+        ${getStatusBadge(test.status)}
+        ${test.visually_changed ? getVisualChangeBadge(test) : ''}
+      </td>
       <td>
         <a href="${test.url}" target="_blank" class="text-decoration-none">
           ${test.domain}
         </a>
       </td>
+      <td>${formatBrowser(test.browser)}</td>
+      <td>
+        ${test.device_profile}
+        ${test.network_profile && test.network_profile !== 'none' ? `<br><small class="text-muted">${escapeHtml(test.network_profile)}</small>` : ''}
+      </td>
       <td class="text-truncate" style="max-width: 200px;" title="${test.page_title || 'N/A'}">
         ${test.page_title || 'N/A'}
       </td>
@@ -155,24 +286,84 @@ function displayUrlTests(tests) {
         <a href="/test-detail.html?id=${test.id}" class="btn btn-sm btn-outline-primary">View Details</a>
       </td>
     </tr>
+  `;
+}
+
+function getVisualChangeBadge(test) {
+  const title = `${parseFloat(test.visual_mismatch_percent).toFixed(2)}% of pixels differ from the baseline screenshot`;
+  if (test.visual_review_status === 'ACCEPTED') {
+    return `<span class="badge bg-success" title="${title}">Visual Change Accepted</span>`;
+  }
+  if (test.visual_review_status === 'REJECTED') {
+    return `<span class="badge bg-danger" title="${title}">Visual Change Rejected</span>`;
+  }
+  return `<span class="badge bg-warning" title="${title}">Visual Change</span>`;
+}
+
+function formatBudgetValue(metric, value) {
+  const numValue = parseFloat(value);
+  if (metric.endsWith('_bytes')) return `${formatNumber(numValue / 1024)} KB`;
+  if (metric.endsWith('_ms')) return `${formatNumber(numValue)} ms`;
+  return String(numValue);
+}
+
+function displayBudgetViolations(violations) {
+  const section = document.getElementById('budget-section');
+  const tbody = document.querySelector('#budget-violations-table tbody');
+
+  if (violations.length === 0) {
+    section.style.display = 'none';
+    return;
+  }
+
+  section.style.display = 'block';
+  tbody.innerHTML = violations.map(violation => `
+    <tr>
+      <td>
+        <a href="${violation.url}" target="_blank" class="text-decoration-none">${escapeHtml(violation.domain)}</a>
+      </td>
+      <td><code>${escapeHtml(violation.metric)}</code></td>
+      <td class="text-end text-danger">${formatBudgetValue(violation.metric, violation.actual_value)}</td>
+      <td class="text-end">${formatBudgetValue(violation.metric, violation.threshold_value)}</td>
+      <td>${escapeHtml(violation.budget_name)}</td>
+      <td>
+        <a href="/test-detail.html?id=${violation.url_test_id}" class="btn btn-sm btn-outline-primary">View Details</a>
+      </td>
+    </tr>
   `).join('');
+}
 
-  // Initialize DataTables
-  if ($.fn.DataTable.isDataTable('#domain-tests-table')) {
-    $('#domain-tests-table').DataTable().destroy();
+function displayJourneys(journeyTests) {
+  const section = document.getElementById('journeys-section');
+  const tbody = document.querySelector('#journeys-table tbody');
+
+  if (journeyTests.length === 0) {
+    section.style.display = 'none';
+    return;
   }
 
-  $('#domain-tests-table').DataTable({
-    pageLength: 20,
-    order: [[1, 'asc']], // Sort by URL (ascending, A to Z) by default
-    columnDefs: [
-      { orderable: false, targets: 8 } // Disable sorting on Actions column
-    ],
-    language: {
-      search: "Filter:",
-      lengthMenu: "Show _MENU_ entries per page"
-    }
-  });
+  section.style.display = 'block';
+  tbody.innerHTML = journeyTests.map(journeyTest => `
+    <tr>
+      <td title="${journeyTest.error_message ? escapeHtml(journeyTest.error_message) : ''}">${getStatusBadge(journeyTest.status)}</td>
+      <td>${escapeHtml(journeyTest.journey_name)}</td>
+      <td>${formatBrowser(journeyTest.browser)}</td>
+      <td>${journeyTest.device_profile}</td>
+      <td class="text-end">${journeyTest.step_count}</td>
+      <td class="text-end">${formatNumber(journeyTest.total_duration_ms)}</td>
+      <td>${journeyTest.failed_step_number ? `${journeyTest.failed_step_number}. ${escapeHtml(journeyTest.failed_step_name)}` : ''}</td>
+      <td>${formatTimestamp(journeyTest.test_timestamp)}</td>
+      <td>
+        <a href="/journey-detail.html?id=${journeyTest.id}" class="btn btn-sm btn-outline-primary">View Details</a>
+      </td>
+    </tr>
+  `).join('');
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML.replace(/"/g, '&quot;');
 }
 
 function displayError(elementId, message) {
@@ -186,7 +377,7 @@ function displayError(elementId, message) {
 
 function displayTableError(message) {
   const tbody = document.querySelector('#domain-tests-table tbody');
-  tbody.innerHTML = `<tr><td colspan="9" class="text-center text-muted">${message}</td></tr>`;
+  tbody.innerHTML = `<tr><td colspan="11" class="text-center text-muted">${message}</td></tr>`;
 }
 
 // Initialize on page load
@@ -201,10 +392,14 @@ document.addEventListener('DOMContentLoaded', () => {
 
   fetchRunSummary(runId);
   fetchUrlTests(runId);
+  fetchBrowserComparison(runId);
+  fetchJourneys(runId);
+  fetchBudgetViolations(runId);
 
   // Listen for timezone changes and refresh displays
   window.addEventListener('timezoneChanged', () => {
     fetchRunSummary(runId);
     fetchUrlTests(runId);
+    fetchJourneys(runId);
   });
 });
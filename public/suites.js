@@ -0,0 +1,286 @@
+// Suites JavaScript - named groups of monitored URLs with their own run settings
+
+import { formatTimestamp as tzFormatTimestamp } from './timezone-utils.js';
+
+let suites = [];
+let monitoredUrls = [];
+let networkProfiles = [];
+
+// Utility functions
+function formatTimestamp(timestamp) {
+  return tzFormatTimestamp(timestamp);
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text ?? '';
+  return div.innerHTML;
+}
+
+function getStatusBadge(status) {
+  const statusMap = {
+    'COMPLETED': 'success',
+    'RUNNING': 'primary',
+    'PARTIAL': 'warning',
+    'FAILED': 'danger'
+  };
+  const badgeClass = statusMap[status] || 'secondary';
+  return `<span class="badge bg-${badgeClass}">${status}</span>`;
+}
+
+// API calls
+async function fetchSuites() {
+  try {
+    const response = await fetch('/api/suites');
+    const result = await response.json();
+    if (result.success) {
+      suites = result.data;
+      displaySuites();
+    } else {
+      displayTableError('Failed to load suites');
+    }
+  } catch (error) {
+    console.error('Failed to fetch suites:', error);
+    displayTableError('Failed to load suites');
+  }
+}
+
+async function fetchMonitoredUrls() {
+  try {
+    const response = await fetch('/api/urls');
+    const result = await response.json();
+    if (result.success) {
+      monitoredUrls = result.data;
+      displayUrlChecklist(getCheckedUrlIds());
+    }
+  } catch (error) {
+    console.error('Failed to fetch URLs:', error);
+  }
+}
+
+async function fetchNetworkProfiles() {
+  try {
+    const response = await fetch('/api/network-profiles');
+    const result = await response.json();
+    if (result.success) {
+      networkProfiles = result.data;
+      displayNetworkOptions();
+      displaySuites();
+    }
+  } catch (error) {
+    console.error('Failed to fetch network profiles:', error);
+  }
+}
+
+// Display functions
+function formatNetworkProfile(name) {
+  const profile = networkProfiles.find(p => p.name === name);
+  if (!profile || !profile.downloadKbps) {
+    return escapeHtml(profile?.label || name);
+  }
+  return `${escapeHtml(profile.label)}<br><small class="text-muted">${profile.latencyMs}ms, ${profile.downloadKbps}/${profile.uploadKbps} Kbps</small>`;
+}
+
+function displayNetworkOptions() {
+  const select = document.getElementById('suite-network');
+  const selected = select.value;
+  select.innerHTML = networkProfiles.map(profile => `
+    <option value="${escapeHtml(profile.name)}">${escapeHtml(profile.label)}</option>
+  `).join('');
+  select.value = selected;
+}
+
+function displaySuites() {
+  const tbody = document.querySelector('#suites-table tbody');
+
+  if (suites.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="10" class="text-center text-muted">No suites yet. Add one below.</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = suites.map(suite => {
+    const lastRun = suite.last_run_id
+      ? `<a href="/run-details.html?id=${suite.last_run_id}">#${suite.last_run_id}</a> ${getStatusBadge(suite.last_run_status)}<br><small class="text-muted">${formatTimestamp(suite.last_run_timestamp)}</small>`
+      : '<span class="text-muted">Never</span>';
+    const description = suite.description
+      ? `<br><small class="text-muted">${escapeHtml(suite.description)}</small>`
+      : '';
+
+    return `
+      <tr>
+        <td>${escapeHtml(suite.name)}${description}</td>
+        <td>${escapeHtml(suite.browsers.join(', '))}</td>
+        <td>${escapeHtml(suite.device_profiles.join(', '))}</td>
+        <td>${formatNetworkProfile(suite.network_profile)}</td>
+        <td>${suite.viewport_width}x${suite.viewport_height}</td>
+        <td>${Math.round(suite.timeout_ms / 1000)}s</td>
+        <td>${suite.parallel_workers}</td>
+        <td>${suite.enabled_url_count} <small class="text-muted">of ${suite.monitored_url_ids.length}</small></td>
+        <td>${lastRun}</td>
+        <td class="text-nowrap">
+          <button type="button" class="btn btn-sm btn-outline-primary" data-action="edit" data-id="${suite.id}">Edit</button>
+          <button type="button" class="btn btn-sm btn-outline-danger" data-action="delete" data-id="${suite.id}">Delete</button>
+        </td>
+      </tr>
+    `;
+  }).join('');
+
+  tbody.querySelectorAll('button[data-action]').forEach(button => {
+    button.addEventListener('click', () => {
+      const suite = suites.find(s => s.id === parseInt(button.getAttribute('data-id')));
+      if (button.getAttribute('data-action') === 'edit') {
+        editSuite(suite);
+      } else {
+        deleteSuite(suite);
+      }
+    });
+  });
+}
+
+function displayTableError(message) {
+  const tbody = document.querySelector('#suites-table tbody');
+  tbody.innerHTML = `<tr><td colspan="10" class="text-center text-muted">${message}</td></tr>`;
+}
+
+function displayUrlChecklist(checkedIds) {
+  const container = document.getElementById('suite-url-list');
+
+  if (monitoredUrls.length === 0) {
+    container.innerHTML = '<span class="text-muted">No monitored URLs yet. Add some on the <a href="/urls.html">Manage URLs</a> page.</span>';
+    return;
+  }
+
+  container.innerHTML = monitoredUrls.map(monitoredUrl => `
+    <div class="form-check" data-url="${escapeHtml(monitoredUrl.url.toLowerCase())}">
+      <input class="form-check-input" type="checkbox" value="${monitoredUrl.id}" id="suite-url-${monitoredUrl.id}"
+        ${checkedIds.includes(monitoredUrl.id) ? 'checked' : ''}>
+      <label class="form-check-label ${monitoredUrl.enabled ? '' : 'text-muted'}" for="suite-url-${monitoredUrl.id}">
+        ${escapeHtml(monitoredUrl.url)}${monitoredUrl.enabled ? '' : ' (disabled)'}
+      </label>
+    </div>
+  `).join('');
+  filterUrlChecklist();
+}
+
+function filterUrlChecklist() {
+  const filter = document.getElementById('suite-url-filter').value.trim().toLowerCase();
+  document.querySelectorAll('#suite-url-list .form-check').forEach(item => {
+    item.style.display = item.getAttribute('data-url').includes(filter) ? '' : 'none';
+  });
+}
+
+function getCheckedUrlIds() {
+  return [...document.querySelectorAll('#suite-url-list input:checked')].map(input => parseInt(input.value));
+}
+
+async function saveSuite(method, url, suite) {
+  const response = await fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(suite)
+  });
+  return response.json();
+}
+
+async function deleteSuite(suite) {
+  if (!confirm(`Delete suite "${suite.name}"? Its test runs and URLs are kept.`)) {
+    return;
+  }
+
+  try {
+    await fetch(`/api/suites/${suite.id}`, { method: 'DELETE' });
+  } catch (error) {
+    console.error('Failed to delete suite:', error);
+  }
+  fetchSuites();
+}
+
+function editSuite(suite) {
+  document.getElementById('suite-id').value = suite.id;
+  document.getElementById('suite-name').value = suite.name;
+  document.getElementById('suite-description').value = suite.description || '';
+  document.querySelectorAll('.suite-browser').forEach(checkbox => {
+    checkbox.checked = suite.browsers.includes(checkbox.value);
+  });
+  document.querySelectorAll('.suite-device').forEach(checkbox => {
+    checkbox.checked = suite.device_profiles.includes(checkbox.value);
+  });
+  document.getElementById('suite-network').value = suite.network_profile;
+  document.getElementById('suite-viewport-width').value = suite.viewport_width;
+  document.getElementById('suite-viewport-height').value = suite.viewport_height;
+  document.getElementById('suite-timeout').value = Math.round(suite.timeout_ms / 1000);
+  document.getElementById('suite-workers').value = suite.parallel_workers;
+  displayUrlChecklist(suite.monitored_url_ids);
+
+  document.getElementById('suite-form-title').textContent = `Edit Suite: ${suite.name}`;
+  document.getElementById('suite-form-submit').textContent = 'Save Changes';
+  document.getElementById('suite-form-cancel').style.display = 'inline-block';
+  document.getElementById('suite-form-error').style.display = 'none';
+  document.getElementById('suite-form').scrollIntoView({ behavior: 'smooth' });
+}
+
+function resetForm() {
+  document.getElementById('suite-form').reset();
+  document.getElementById('suite-id').value = '';
+  displayUrlChecklist([]);
+  document.getElementById('suite-form-title').textContent = 'Add Suite';
+  document.getElementById('suite-form-submit').textContent = 'Add Suite';
+  document.getElementById('suite-form-cancel').style.display = 'none';
+  document.getElementById('suite-form-error').style.display = 'none';
+}
+
+function setupSuiteForm() {
+  const form = document.getElementById('suite-form');
+  const errorBox = document.getElementById('suite-form-error');
+
+  form.addEventListener('submit', async function(e) {
+    e.preventDefault();
+    errorBox.style.display = 'none';
+
+    const id = document.getElementById('suite-id').value;
+    const suite = {
+      name: document.getElementById('suite-name').value,
+      description: document.getElementById('suite-description').value,
+      browsers: [...document.querySelectorAll('.suite-browser:checked')].map(checkbox => checkbox.value),
+      deviceProfiles: [...document.querySelectorAll('.suite-device:checked')].map(checkbox => checkbox.value),
+      networkProfile: document.getElementById('suite-network').value,
+      viewportWidth: parseInt(document.getElementById('suite-viewport-width').value),
+      viewportHeight: parseInt(document.getElementById('suite-viewport-height').value),
+      timeoutMs: parseInt(document.getElementById('suite-timeout').value) * 1000,
+      parallelWorkers: parseInt(document.getElementById('suite-workers').value),
+      monitoredUrlIds: getCheckedUrlIds()
+    };
+
+    try {
+      const result = id
+        ? await saveSuite('PUT', `/api/suites/${id}`, suite)
+        : await saveSuite('POST', '/api/suites', suite);
+
+      if (result.success) {
+        resetForm();
+        fetchSuites();
+      } else {
+        errorBox.textContent = result.error;
+        errorBox.style.display = 'block';
+      }
+    } catch (error) {
+      console.error('Failed to save suite:', error);
+      errorBox.textContent = 'Failed to save suite';
+      errorBox.style.display = 'block';
+    }
+  });
+
+  document.getElementById('suite-form-cancel').addEventListener('click', resetForm);
+  document.getElementById('suite-url-filter').addEventListener('input', filterUrlChecklist);
+}
+
+// Initialize on page load
+document.addEventListener('DOMContentLoaded', () => {
+  fetchSuites();
+  fetchMonitoredUrls();
+  fetchNetworkProfiles();
+  setupSuiteForm();
+
+  // Listen for timezone changes and refresh displays
+  window.addEventListener('timezoneChanged', displaySuites);
+});
@@ -31,7 +31,8 @@ function getStatusBadge(status) {
     'FAILED': 'danger',
     'PASSED': 'success',
     'ERROR': 'danger',
-    'TIMEOUT': 'warning'
+    'TIMEOUT': 'warning',
+    'CANCELLED': 'secondary'
   };
   const badgeClass = statusMap[status] || 'secondary';
   return `<span class="badge bg-${badgeClass}">${status}</span>`;
@@ -89,6 +90,9 @@ function getTestIdFromUrl() {
   return params.get('id');
 }
 
+// Test currently shown (changes when switching device profile)
+let currentTestId = null;
+
 // API call
 async function fetchTestDetails(testId) {
   try {
@@ -106,7 +110,69 @@ async function fetchTestDetails(testId) {
   }
 }
 
+// Tests of the same URL, run and browser under the other device profiles
+async function fetchDeviceProfiles(testId) {
+  try {
+    const response = await fetch(`/api/url-tests/${testId}/devices`);
+    const result = await response.json();
+
+    if (result.success) {
+      displayDeviceSwitcher(result.data);
+    }
+  } catch (error) {
+    console.error('Failed to fetch device profiles:', error);
+  }
+}
+
 // Display functions
+function displayDeviceSwitcher(devices) {
+  const switcher = document.getElementById('device-switcher');
+
+  if (devices.length < 2) {
+    switcher.style.display = 'none';
+    return;
+  }
+
+  switcher.innerHTML = devices.map(device => `
+    <button type="button" class="btn btn-sm btn-outline-primary" data-test-id="${device.id}"
+            title="${device.viewport_width && device.viewport_height ? `${device.viewport_width}x${device.viewport_height}` : ''}">
+      ${escapeHtml(device.label)}${device.status !== 'PASSED' ? ` ${getStatusBadge(device.status)}` : ''}
+    </button>
+  `).join('');
+  switcher.style.display = 'inline-flex';
+
+  switcher.querySelectorAll('button').forEach(button => {
+    button.addEventListener('click', () => showTest(button.getAttribute('data-test-id')));
+  });
+  highlightDevice();
+}
+
+function highlightDevice() {
+  document.querySelectorAll('#device-switcher button').forEach(button => {
+    const active = button.getAttribute('data-test-id') === String(currentTestId);
+    button.classList.toggle('btn-primary', active);
+    button.classList.toggle('btn-outline-primary', !active);
+  });
+}
+
+// Switch to another device profile's test without leaving the page
+function showTest(testId) {
+  if (String(testId) === String(currentTestId)) return;
+
+  currentTestId = testId;
+  history.replaceState(null, '', `?id=${testId}`);
+  highlightDevice();
+  fetchTestDetails(testId);
+}
+
+function formatDevice(test) {
+  if (!test.viewport_width || !test.viewport_height) {
+    return escapeHtml(test.device_profile);
+  }
+  const scale = test.device_scale_factor ? ` @ ${parseFloat(test.device_scale_factor)}x` : '';
+  return `${escapeHtml(test.device_profile)} (${test.viewport_width}x${test.viewport_height}${scale})`;
+}
+
 function displayTestDetails(test) {
   // Update page title
   document.title = `${test.domain} - Test Details`;
@@ -122,6 +188,10 @@ function displayTestDetails(test) {
   // Display screenshot
   displayScreenshot(test);
 
+  // Display visual review and baseline history
+  displayVisualReview(test);
+  fetchVisualBaselines(test.id);
+
   // Display performance metrics
   displayPerformanceMetrics(test);
 
@@ -131,8 +201,23 @@ function displayTestDetails(test) {
   // Display resource types
   displayResourceTypes(test.resources_by_type);
 
+  // Display the request waterfall from the HAR file
+  fetchWaterfall(test.id);
+
+  // Display the page's requests totalled per vendor
+  displayThirdParties(test);
+
+  // Display the assets added, removed or resized since the previous test of the URL
+  displayAssetChanges(test);
+
   // Display failed requests if there are any 4xx/5xx errors
   displayFailedRequests(test.id);
+
+  // Display broken links if the page's links were checked
+  displayBrokenLinks(test);
+
+  // Display accessibility violations if the page was audited
+  displayAccessibilityViolations(test);
 }
 
 function displayOverview(test) {
@@ -146,6 +231,8 @@ function displayOverview(test) {
           <p class="card-text mb-1"><strong>Page Title:</strong> ${test.page_title || 'N/A'}</p>
           <p class="card-text mb-1"><strong>Test Timestamp:</strong> ${formatTimestamp(test.test_timestamp)}</p>
           <p class="card-text mb-1"><strong>Browser:</strong> ${test.browser}</p>
+          <p class="card-text mb-1"><strong>Device:</strong> ${formatDevice(test)}</p>
+          <p class="card-text mb-1"><strong>Network:</strong> ${test.network_profile === 'none' ? 'Unthrottled' : escapeHtml(test.network_profile)}</p>
           <p class="card-text mb-1"><strong>Test Duration:</strong> ${formatNumber(test.test_duration_ms)} ms</p>
           <p class="card-text mb-1"><strong>Scroll Duration:</strong> ${formatNumber(test.scroll_duration_ms)} ms</p>
         </div>
@@ -155,13 +242,148 @@ function displayOverview(test) {
           <p class="card-text mb-1"><strong>Time to First Byte:</strong> ${formatNumber(test.time_to_first_byte_ms)} ms</p>
           <p class="card-text mb-1"><strong>Total Resources:</strong> ${test.total_resources || 'N/A'}</p>
           <p class="card-text mb-1"><strong>Total Transfer Size:</strong> ${formatBytes(test.total_transfer_size_bytes)}</p>
-          ${test.error_message ? `<div class="alert alert-danger mt-2 mb-0"><strong>Error:</strong> ${test.error_message}</div>` : ''}
+          <p class="card-text mb-1"><strong>Visual Change:</strong> ${formatVisualChange(test)}</p>
+          ${test.links_checked_count !== null && test.links_checked_count !== undefined ? `<p class="card-text mb-1"><strong>Links Checked:</strong> ${formatLinkCheck(test)}</p>` : ''}
+          <p class="card-text mb-1"><strong>Accessibility:</strong> ${formatAccessibilityCount(test.accessibility_violation_count)}</p>
+          ${test.screenshot_masks ? `<p class="card-text mb-1"><strong>Screenshot Masks:</strong> ${formatScreenshotMasks(test.screenshot_masks)}</p>` : ''}
+          ${test.error_message ? `<div class="alert alert-danger mt-2 mb-0"><strong>Error:</strong> ${escapeHtml(test.error_message)}</div>` : ''}
         </div>
       </div>
     </div>
   `;
 }
 
+function formatVisualChange(test) {
+  if (test.visual_mismatch_percent === null || test.visual_mismatch_percent === undefined) {
+    return '<span class="text-muted">Not compared</span>';
+  }
+  const badge = test.visually_changed
+    ? '<span class="badge bg-warning">Changed</span>'
+    : '<span class="badge bg-success">No Change</span>';
+  const baseline = test.visual_baseline_test_id
+    ? ` vs. ${test.visual_baseline_approved ? 'approved baseline' : 'previous screenshot'}
+       (<a href="/test-detail.html?id=${test.visual_baseline_test_id}">test #${test.visual_baseline_test_id}</a>)`
+    : '';
+  return `${parseFloat(test.visual_mismatch_percent).toFixed(2)}% of pixels ${badge}${baseline}`;
+}
+
+// Selectors of the monitored URL's screenshot settings that were applied to this test
+function formatScreenshotMasks(masks) {
+  const groups = [
+    ['Waited for', masks.waitedFor],
+    ['Hidden', masks.hidden],
+    ['Masked', masks.masked],
+    ['Ignored in diff', masks.ignored],
+    ['Not found', masks.notFound]
+  ].filter(([, selectors]) => selectors?.length > 0);
+
+  if (groups.length === 0) return 'None';
+  return groups
+    .map(([label, selectors]) => `${label} ${selectors.map(selector => `<code>${escapeHtml(selector)}</code>`).join(', ')}`)
+    .join('; ');
+}
+
+// API calls for the visual baseline section
+async function fetchVisualBaselines(testId) {
+  try {
+    const response = await fetch(`/api/url-tests/${testId}/visual-baselines`);
+    const result = await response.json();
+
+    if (result.success) {
+      displayVisualBaselines(result.data, testId);
+    }
+  } catch (error) {
+    console.error('Failed to fetch visual baselines:', error);
+  }
+}
+
+async function submitVisualReview(decision) {
+  const errorBox = document.getElementById('visual-review-error');
+  const reviewer = document.getElementById('visual-reviewer').value.trim();
+  errorBox.style.display = 'none';
+  localStorage.setItem('visualReviewer', reviewer);
+
+  try {
+    const response = await fetch(`/api/url-tests/${currentTestId}/visual-review`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        decision,
+        reviewer,
+        note: document.getElementById('visual-review-note').value
+      })
+    });
+    const result = await response.json();
+
+    if (result.success) {
+      document.getElementById('visual-review-note').value = '';
+      fetchTestDetails(currentTestId);
+    } else {
+      errorBox.textContent = result.error;
+      errorBox.style.display = 'block';
+    }
+  } catch (error) {
+    console.error('Failed to save visual review:', error);
+    errorBox.textContent = 'Failed to save review';
+    errorBox.style.display = 'block';
+  }
+}
+
+// Review status and accept/reject buttons; only tests with a screenshot can be reviewed
+function displayVisualReview(test) {
+  const section = document.getElementById('visual-baseline-section');
+  if (!test.screenshot_path || ['ERROR', 'TIMEOUT'].includes(test.status)) {
+    section.style.display = 'none';
+    return;
+  }
+  section.style.display = 'block';
+
+  const status = document.getElementById('visual-review-status');
+  if (test.visual_review_status === 'ACCEPTED') {
+    status.innerHTML = `<span class="badge bg-success">Accepted</span> This screenshot was approved as baseline by
+      ${escapeHtml(test.visual_reviewed_by)} on ${formatTimestamp(test.visual_reviewed_at)}.`;
+  } else if (test.visual_review_status === 'REJECTED') {
+    status.innerHTML = `<span class="badge bg-danger">Rejected</span> This change was rejected by
+      ${escapeHtml(test.visual_reviewed_by)} on ${formatTimestamp(test.visual_reviewed_at)}.`;
+  } else if (test.visually_changed) {
+    status.innerHTML = `<span class="badge bg-warning">Needs Review</span> The screenshot changed.
+      Accept it as the new baseline, or reject the change to keep comparing with the current baseline.`;
+  } else {
+    status.innerHTML = '<span class="text-muted">Approve this screenshot to compare later tests with it instead of their previous screenshot.</span>';
+  }
+
+  document.querySelector('#visual-review-form [data-decision="accept"]').style.display =
+    test.visual_review_status === 'ACCEPTED' ? 'none' : '';
+  document.querySelector('#visual-review-form [data-decision="reject"]').style.display =
+    test.visually_changed && !test.visual_review_status ? '' : 'none';
+}
+
+function displayVisualBaselines(baselines, testId) {
+  const tbody = document.querySelector('#visual-baselines-table tbody');
+
+  if (baselines.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="4" class="text-muted">No baseline approved yet - screenshots are compared with the previous one</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = baselines.map((baseline, index) => `
+    <tr>
+      <td>
+        ${formatTimestamp(baseline.approved_at)}
+        ${index === 0 ? '<span class="badge bg-primary ms-1">Current</span>' : ''}
+      </td>
+      <td>${escapeHtml(baseline.approved_by)}</td>
+      <td>
+        ${String(baseline.url_test_id) === String(testId)
+          ? 'This test'
+          : `<a href="/test-detail.html?id=${baseline.url_test_id}">Test #${baseline.url_test_id}</a>`}
+        <span class="text-muted small">(${formatTimestamp(baseline.test_timestamp)})</span>
+      </td>
+      <td>${baseline.note ? escapeHtml(baseline.note) : ''}</td>
+    </tr>
+  `).join('');
+}
+
 function displayScreenshot(test) {
   const card = document.getElementById('screenshot-card');
 
@@ -169,18 +391,116 @@ function displayScreenshot(test) {
   // Path format: /app/test-history/TIMESTAMP__DOMAIN/screenshot.png
   // Web format: /test-history/TIMESTAMP__DOMAIN/screenshot.png
   const screenshotPath = test.screenshot_path.replace('/app/', '/');
+  const hasVisualDiff = test.visual_diff_path && test.visual_baseline_screenshot_path;
 
   card.innerHTML = `
     <div class="mb-3">
       <a href="${screenshotPath}" target="_blank" class="btn btn-sm btn-outline-primary">Open Full Size</a>
+      ${hasVisualDiff ? `<a href="${test.visual_diff_path.replace('/app/', '/')}" target="_blank" class="btn btn-sm btn-outline-primary ms-2">Open Diff Image</a>` : ''}
       <a href="${test.har_path.replace('/app/', '/')}" download class="btn btn-sm btn-outline-secondary ms-2">Download HAR File</a>
     </div>
+    ${hasVisualDiff ? renderScreenshotComparison(test, screenshotPath) : `
     <img src="${screenshotPath}"
          alt="Screenshot of ${test.domain}"
          class="img-fluid"
          style="max-width: 100%; height: auto;"
          onerror="this.onerror=null; this.parentElement.innerHTML='<div class=\\'alert alert-warning\\'>Screenshot not available</div>';">
+    `}
   `;
+
+  if (hasVisualDiff) {
+    setupScreenshotComparison(card);
+  }
+}
+
+// Before/after view: the previous screenshot is drawn over the current one up to the
+// slider position, with the diff image (red where pixels changed) as an optional overlay.
+// The diff image is as large as the larger screenshot, so it sets the size of the view
+// and each screenshot is scaled relative to it.
+function renderScreenshotComparison(test, screenshotPath) {
+  const baselinePath = test.visual_baseline_screenshot_path.replace('/app/', '/');
+  const diffPath = test.visual_diff_path.replace('/app/', '/');
+
+  return `
+    <div class="d-flex flex-wrap align-items-center gap-3 mb-2 text-start">
+      <label for="screenshot-slider" class="form-label mb-0 small">
+        Before <span class="text-muted">(${formatTimestamp(test.visual_baseline_timestamp)})</span>
+      </label>
+      <input type="range" class="form-range flex-grow-1" id="screenshot-slider" min="0" max="100" value="50" style="width: auto;">
+      <span class="small">After <span class="text-muted">(${formatTimestamp(test.test_timestamp)})</span></span>
+      <div class="form-check form-switch mb-0">
+        <input class="form-check-input" type="checkbox" id="diff-overlay-toggle" checked>
+        <label class="form-check-label small" for="diff-overlay-toggle">Show diff overlay</label>
+      </div>
+    </div>
+    <div id="screenshot-comparison" class="position-relative border" style="overflow: hidden;">
+      <img data-compare="after" src="${screenshotPath}" alt="Current screenshot of ${test.domain}"
+           class="position-absolute top-0 start-0">
+      <img data-compare="before" src="${baselinePath}" alt="Previous screenshot of ${test.domain}"
+           class="position-absolute top-0 start-0" style="clip-path: inset(0 50% 0 0);">
+      <img data-compare="diff" src="${diffPath}" alt="Changed pixels"
+           class="position-relative d-block w-100" style="pointer-events: none; opacity: 0.7;">
+      <div data-compare="divider" class="position-absolute top-0 bottom-0 bg-primary"
+           style="left: 50%; width: 2px; pointer-events: none;"></div>
+    </div>
+  `;
+}
+
+function setupScreenshotComparison(card) {
+  const container = card.querySelector('#screenshot-comparison');
+  const slider = card.querySelector('#screenshot-slider');
+  const overlayToggle = card.querySelector('#diff-overlay-toggle');
+  const [after, before, diff, divider] = ['after', 'before', 'diff', 'divider']
+    .map(name => container.querySelector(`[data-compare="${name}"]`));
+
+  const sizeScreenshots = () => {
+    if (!diff.naturalWidth) return;
+    for (const image of [after, before]) {
+      if (image.naturalWidth) {
+        image.style.width = `${image.naturalWidth / diff.naturalWidth * 100}%`;
+      }
+    }
+  };
+  for (const image of [after, before, diff]) {
+    if (image.complete) sizeScreenshots();
+    image.addEventListener('load', sizeScreenshots);
+  }
+  diff.addEventListener('error', () => {
+    container.innerHTML = '<div class="alert alert-warning m-0">Screenshots not available</div>';
+  });
+
+  slider.addEventListener('input', () => {
+    before.style.clipPath = `inset(0 ${100 - slider.value}% 0 0)`;
+    divider.style.left = `${slider.value}%`;
+  });
+  overlayToggle.addEventListener('change', () => {
+    diff.style.opacity = overlayToggle.checked ? '0.7' : '0';
+  });
+}
+
+// Core Web Vitals thresholds (good / needs improvement) from web.dev
+const WEB_VITAL_THRESHOLDS = {
+  largest_contentful_paint_ms: [2500, 4000],
+  first_contentful_paint_ms: [1800, 3000],
+  cumulative_layout_shift: [0.1, 0.25],
+  total_blocking_time_ms: [200, 600]
+};
+
+function getWebVitalBadge(column, value) {
+  if (value === null || value === undefined) {
+    return '<span class="badge bg-secondary" title="Not supported by this browser">N/A</span>';
+  }
+  const [good, poor] = WEB_VITAL_THRESHOLDS[column];
+  const numValue = parseFloat(value);
+  if (numValue <= good) return '<span class="badge bg-success">Good</span>';
+  if (numValue <= poor) return '<span class="badge bg-warning">Needs Improvement</span>';
+  return '<span class="badge bg-danger">Poor</span>';
+}
+
+function formatWebVital(column, value) {
+  if (value === null || value === undefined) return 'N/A';
+  if (column === 'cumulative_layout_shift') return parseFloat(value).toFixed(3);
+  return `${formatNumber(value)} ms`;
 }
 
 function displayPerformanceMetrics(test) {
@@ -225,6 +545,28 @@ function displayPerformanceMetrics(test) {
         </table>
       </div>
     </div>
+
+    <div class="row">
+      <div class="col-12">
+        <h6 class="text-muted">Core Web Vitals</h6>
+        <table class="table table-sm">
+          <tbody>
+            ${[
+              ['Largest Contentful Paint (LCP)', 'largest_contentful_paint_ms'],
+              ['First Contentful Paint (FCP)', 'first_contentful_paint_ms'],
+              ['Cumulative Layout Shift (CLS)', 'cumulative_layout_shift'],
+              ['Total Blocking Time (TBT)', 'total_blocking_time_ms']
+            ].map(([label, column]) => `
+              <tr>
+                <td>${label}</td>
+                <td class="text-end">${formatWebVital(column, test[column])}</td>
+                <td class="text-end" style="width: 180px;">${getWebVitalBadge(column, test[column])}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    </div>
   `;
 }
 
@@ -329,6 +671,436 @@ async function displayFailedRequests(testId) {
   }
 }
 
+// Request waterfall: the HAR file's requests (normalized by /api/url-tests/:id/har),
+// each drawn from its start time and split into its timing phases
+const WATERFALL_PHASES = ['blocked', 'dns', 'connect', 'ssl', 'send', 'wait', 'receive'];
+const WATERFALL_PHASE_LABELS = {
+  blocked: 'Blocked',
+  dns: 'DNS',
+  connect: 'Connect',
+  ssl: 'TLS',
+  send: 'Send',
+  wait: 'Waiting (TTFB)',
+  receive: 'Receive'
+};
+
+let waterfall = null;
+
+async function fetchWaterfall(testId) {
+  const section = document.getElementById('waterfall-section');
+
+  try {
+    const response = await fetch(`/api/url-tests/${testId}/har`);
+    const result = await response.json();
+
+    if (!result.success || result.data.entries.length === 0) {
+      waterfall = null;
+      section.style.display = 'none';
+      return;
+    }
+
+    waterfall = result.data;
+    section.style.display = 'block';
+    setupWaterfallFilters(waterfall.entries);
+    displayWaterfall();
+  } catch (error) {
+    console.error('Failed to fetch HAR entries:', error);
+    section.style.display = 'none';
+  }
+}
+
+// Fill the type and domain filters with the values present in this test's requests
+function setupWaterfallFilters(entries) {
+  const countBy = key => entries.reduce((counts, entry) => {
+    counts[entry[key]] = (counts[entry[key]] || 0) + 1;
+    return counts;
+  }, {});
+  const options = (counts, allLabel) => `<option value="">${allLabel}</option>` + Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .map(([value, count]) => `<option value="${escapeHtml(value)}">${escapeHtml(value || '(none)')} (${count})</option>`)
+    .join('');
+
+  document.getElementById('waterfall-type').innerHTML = options(countBy('contentType'), 'All types');
+  document.getElementById('waterfall-domain').innerHTML = options(countBy('host'), 'All domains');
+  document.getElementById('waterfall-status').value = '';
+  document.getElementById('waterfall-sort').value = 'start';
+  document.getElementById('waterfall-legend').innerHTML = WATERFALL_PHASES
+    .map(phase => `<span class="waterfall-swatch waterfall-${phase}"></span>${WATERFALL_PHASE_LABELS[phase]}`)
+    .join('');
+}
+
+function matchesStatusFilter(entry, statusFilter) {
+  if (!statusFilter) return true;
+  if (statusFilter === 'failed') return entry.status === null;
+  return entry.status !== null && String(entry.status).startsWith(statusFilter);
+}
+
+function displayWaterfall() {
+  if (!waterfall) return;
+
+  const type = document.getElementById('waterfall-type').value;
+  const domain = document.getElementById('waterfall-domain').value;
+  const statusFilter = document.getElementById('waterfall-status').value;
+  const sort = document.getElementById('waterfall-sort').value;
+
+  const entries = waterfall.entries
+    .filter(entry => (!type || entry.contentType === type) && (!domain || entry.host === domain))
+    .filter(entry => matchesStatusFilter(entry, statusFilter));
+  if (sort === 'duration') {
+    entries.sort((a, b) => b.durationMs - a.durationMs);
+  } else if (sort === 'size') {
+    entries.sort((a, b) => (b.transferSize || 0) - (a.transferSize || 0));
+  }
+
+  const transferred = entries.reduce((total, entry) => total + (entry.transferSize || 0), 0);
+  document.getElementById('waterfall-summary').textContent =
+    `${entries.length} of ${waterfall.entries.length} requests · ${formatBytes(transferred)} transferred · ` +
+    `all requests finished in ${formatNumber(waterfall.totalDurationMs)} ms`;
+
+  const tbody = document.querySelector('#waterfall-table tbody');
+  if (entries.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="7" class="text-center text-muted">No requests match the filters</td></tr>';
+    return;
+  }
+
+  const total = waterfall.totalDurationMs || 1;
+  tbody.innerHTML = entries.map(entry => `
+    <tr class="waterfall-row" data-index="${entry.index}">
+      <td class="text-muted">${entry.index + 1}</td>
+      <td class="text-truncate" style="max-width: 320px;" title="${escapeHtml(entry.url)}">
+        <small>${escapeHtml(formatRequestName(entry.url))}</small><br>
+        <small class="text-muted">${escapeHtml(entry.host)}</small>
+      </td>
+      <td>${entry.status !== null
+        ? `<span class="badge bg-${getHttpBadgeClass(entry.status)}">${entry.status}</span>`
+        : '<span class="badge bg-danger">Failed</span>'}</td>
+      <td><small>${entry.contentType}</small></td>
+      <td class="text-end"><small>${entry.fromCache ? '<span class="text-muted">cached</span>' : formatBytes(entry.transferSize)}</small></td>
+      <td class="text-end"><small>${formatNumber(entry.durationMs)} ms</small></td>
+      <td>
+        <div class="waterfall-track" title="${escapeHtml(formatPhases(entry))}">
+          <div class="waterfall-bar" style="left: ${entry.startMs / total * 100}%; width: ${entry.durationMs / total * 100}%;">
+            ${renderPhaseSegments(entry)}
+          </div>
+        </div>
+      </td>
+    </tr>
+  `).join('');
+}
+
+// Last part of the URL's path (with its query), like the browser's network panel
+function formatRequestName(url) {
+  try {
+    const parsed = new URL(url);
+    const name = parsed.pathname.split('/').filter(Boolean).pop() || parsed.pathname;
+    return name + parsed.search;
+  } catch (error) {
+    return url;
+  }
+}
+
+function renderPhaseSegments(entry) {
+  if (!entry.durationMs) return '';
+  return WATERFALL_PHASES
+    .filter(phase => entry.timings[phase] > 0)
+    .map(phase => `<span class="waterfall-${phase}" style="width: ${entry.timings[phase] / entry.durationMs * 100}%;"></span>`)
+    .join('');
+}
+
+function formatPhases(entry) {
+  const phases = WATERFALL_PHASES
+    .filter(phase => entry.timings[phase] !== null)
+    .map(phase => `${WATERFALL_PHASE_LABELS[phase]}: ${entry.timings[phase].toFixed(1)} ms`);
+  return [`Started at ${formatNumber(entry.startMs)} ms`, ...phases].join('\n');
+}
+
+// Clicking a request shows its details below it (clicking again hides them)
+function toggleWaterfallDetails(row) {
+  const next = row.nextElementSibling;
+  if (next && next.classList.contains('waterfall-details')) {
+    next.remove();
+    return;
+  }
+
+  const entry = waterfall.entries[parseInt(row.getAttribute('data-index'))];
+  const details = document.createElement('tr');
+  details.className = 'waterfall-details table-light';
+  details.innerHTML = `
+    <td></td>
+    <td colspan="6">
+      <div class="small text-break mb-1"><strong>${escapeHtml(entry.method)}</strong> ${escapeHtml(entry.url)}</div>
+      <div class="small text-muted">
+        ${entry.status !== null ? `${entry.status} ${escapeHtml(entry.statusText)}` : 'No response'}
+        · ${escapeHtml(entry.mimeType || 'unknown type')}
+        · ${formatBytes(entry.transferSize)} transferred, ${formatBytes(entry.contentSize)} uncompressed
+        ${entry.httpVersion ? `· ${escapeHtml(entry.httpVersion)}` : ''}
+        ${entry.serverIp ? `· ${escapeHtml(entry.serverIp)}` : ''}
+      </div>
+      ${entry.cacheControl ? `<div class="small text-muted">Cache-Control: ${escapeHtml(entry.cacheControl)}</div>` : ''}
+      <div class="small mt-1">${escapeHtml(formatPhases(entry)).replace(/\n/g, ' · ')}</div>
+    </td>
+  `;
+  row.after(details);
+}
+
+// Share of a total, for the third-party summary
+function formatShare(value, total) {
+  return total > 0 ? `${Math.round(value / total * 100)}%` : '0%';
+}
+
+async function displayThirdParties(test) {
+  const section = document.getElementById('third-parties-section');
+  const container = document.getElementById('third-parties');
+
+  try {
+    const response = await fetch(`/api/url-tests/${test.id}/third-parties`);
+    const result = await response.json();
+
+    // Tests ingested before third parties were stored have nothing to show
+    if (!result.success || result.data.length === 0) {
+      section.style.display = 'none';
+      return;
+    }
+    section.style.display = 'block';
+
+    const thirdParties = result.data.filter(thirdParty => !thirdParty.first_party);
+    const totalRequests = result.data.reduce((total, group) => total + group.request_count, 0);
+    const totalBytes = result.data.reduce((total, group) => total + parseInt(group.transfer_size_bytes), 0);
+    const thirdPartyRequests = thirdParties.reduce((total, group) => total + group.request_count, 0);
+    const thirdPartyBytes = thirdParties.reduce((total, group) => total + parseInt(group.transfer_size_bytes), 0);
+
+    let html = `<p class="mb-2"><strong>${thirdParties.length}</strong> third part${thirdParties.length === 1 ? 'y' : 'ies'} · `;
+    html += `${formatNumber(thirdPartyRequests)} of ${formatNumber(totalRequests)} requests (${formatShare(thirdPartyRequests, totalRequests)}) · `;
+    html += `${formatBytes(thirdPartyBytes)} of ${formatBytes(totalBytes)} transferred (${formatShare(thirdPartyBytes, totalBytes)})</p>`;
+
+    html += '<div class="table-responsive"><table class="table table-sm table-hover mb-0">';
+    html += '<thead><tr><th>Vendor</th><th>Category</th><th class="text-end">Requests</th><th class="text-end">Size</th>';
+    html += '<th class="text-end" title="Time the vendor\'s scripts and stylesheets were loading before the DOM was interactive">Blocking Time</th></tr></thead><tbody>';
+
+    result.data.forEach(group => {
+      html += `<tr${group.first_party ? ' class="table-light"' : ''}>`;
+      html += `<td>${escapeHtml(group.entity_name)}`;
+      html += group.first_party ? ' <span class="badge bg-primary">First party</span>' : '';
+      html += `<br><small class="text-muted">${group.hosts.map(host => escapeHtml(host)).join(', ')}</small></td>`;
+      html += `<td><small>${group.first_party ? '—' : escapeHtml(group.category)}</small></td>`;
+      html += `<td class="text-end">${formatNumber(group.request_count)}</td>`;
+      html += `<td class="text-end">${formatBytes(parseInt(group.transfer_size_bytes))}</td>`;
+      html += `<td class="text-end">${formatNumber(parseFloat(group.blocking_time_ms))} ms</td>`;
+      html += '</tr>';
+    });
+
+    html += '</tbody></table></div>';
+    container.innerHTML = html;
+  } catch (error) {
+    console.error('Failed to fetch third parties:', error);
+    section.style.display = 'none';
+  }
+}
+
+function formatSizeChange(change) {
+  const arrow = change > 0 ? '↑' : '↓';
+  const badgeClass = change > 0 ? 'bg-danger' : 'bg-success';
+  return `<span class="badge ${badgeClass}">${arrow} ${formatBytes(Math.abs(change))}</span>`;
+}
+
+async function displayAssetChanges(test) {
+  const section = document.getElementById('asset-changes-section');
+  const container = document.getElementById('asset-changes');
+
+  try {
+    const response = await fetch(`/api/url-tests/${test.id}/asset-changes`);
+    const result = await response.json();
+
+    // The first test of a URL (or one without stored requests) has nothing to compare with
+    if (!result.success) {
+      section.style.display = 'none';
+      return;
+    }
+    section.style.display = 'block';
+
+    const { previousTest, added, removed, changed, totals } = result.data;
+    const weightChange = totals.currentBytes - totals.previousBytes;
+
+    let html = '<p class="mb-2">Compared with the ';
+    html += `<a href="/test-detail.html?id=${previousTest.id}">test of ${formatTimestamp(previousTest.test_timestamp)}</a>`;
+    html += ` · page weight ${formatBytes(totals.previousBytes)} → ${formatBytes(totals.currentBytes)}`;
+    html += weightChange !== 0 ? ` ${formatSizeChange(weightChange)}` : '';
+    html += '</p>';
+
+    if (added.length === 0 && removed.length === 0 && changed.length === 0) {
+      html += '<div class="alert alert-success mb-0">No assets added, removed or changed in size</div>';
+      container.innerHTML = html;
+      return;
+    }
+
+    html += `<p class="small text-muted mb-2">${added.length} added (${formatBytes(totals.addedBytes)}) · `;
+    html += `${removed.length} removed (${formatBytes(totals.removedBytes)}) · ${changed.length} changed in size</p>`;
+
+    html += '<div class="table-responsive"><table class="table table-sm table-hover mb-0">';
+    html += '<thead><tr><th>Change</th><th>Asset</th><th>Type</th><th class="text-end">Size</th></tr></thead><tbody>';
+
+    const assetCell = (asset, note = '') => `
+      <td class="text-truncate" style="max-width: 480px;" title="${escapeHtml(asset.url)}">
+        <small>${escapeHtml(asset.url)}</small>${note}
+      </td>`;
+
+    added.forEach(asset => {
+      html += '<tr>';
+      html += '<td><span class="badge bg-warning text-dark">Added</span></td>';
+      html += assetCell(asset, asset.requestCount > 1 ? ` <small class="text-muted">(${asset.requestCount} requests)</small>` : '');
+      html += `<td><small>${asset.contentType}</small></td>`;
+      html += `<td class="text-end"><small>${formatBytes(asset.size)}</small></td>`;
+      html += '</tr>';
+    });
+
+    changed.forEach(asset => {
+      const percent = asset.percentChange !== null ? ` (${asset.percentChange > 0 ? '+' : ''}${asset.percentChange}%)` : '';
+      html += '<tr>';
+      html += `<td>${formatSizeChange(asset.change)}</td>`;
+      html += assetCell(asset, asset.previousUrl ? `<br><small class="text-muted">was ${escapeHtml(asset.previousUrl)}</small>` : '');
+      html += `<td><small>${asset.contentType}</small></td>`;
+      html += `<td class="text-end"><small>${formatBytes(asset.previousSize)} → ${formatBytes(asset.size)}${percent}</small></td>`;
+      html += '</tr>';
+    });
+
+    removed.forEach(asset => {
+      html += '<tr class="text-muted">';
+      html += '<td><span class="badge bg-secondary">Removed</span></td>';
+      html += assetCell(asset);
+      html += `<td><small>${asset.contentType}</small></td>`;
+      html += `<td class="text-end"><small>${formatBytes(asset.size)}</small></td>`;
+      html += '</tr>';
+    });
+
+    html += '</tbody></table></div>';
+    container.innerHTML = html;
+  } catch (error) {
+    console.error('Failed to fetch asset changes:', error);
+    section.style.display = 'none';
+  }
+}
+
+function formatLinkCheck(test) {
+  const checked = formatNumber(test.links_checked_count);
+  if (test.broken_link_count > 0) {
+    return `${checked} <span class="badge bg-danger">${test.broken_link_count} broken</span>`;
+  }
+  return `${checked} <span class="badge bg-success">All working</span>`;
+}
+
+async function displayBrokenLinks(test) {
+  const section = document.getElementById('broken-links-section');
+  const container = document.getElementById('broken-links');
+
+  // Only tests whose links were checked and found broken ones have anything to list
+  if (!test.broken_link_count) {
+    section.style.display = 'none';
+    return;
+  }
+  section.style.display = 'block';
+
+  try {
+    const response = await fetch(`/api/url-tests/${test.id}/broken-links`);
+    const result = await response.json();
+
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to load broken links');
+    }
+
+    let html = '<div class="table-responsive"><table class="table table-sm table-hover">';
+    html += '<thead><tr><th>Status</th><th>Link</th><th>Anchor Text</th></tr></thead><tbody>';
+
+    result.data.forEach(link => {
+      const status = link.status_code
+        ? `<span class="badge bg-${getHttpBadgeClass(link.status_code)}">${link.status_code}</span>`
+        : `<span class="badge bg-dark" title="${escapeHtml(link.error_message || '')}">Failed</span>`;
+      html += '<tr>';
+      html += `<td>${status}</td>`;
+      html += `<td><small class="text-break"><a href="${escapeHtml(link.link_url)}" target="_blank" rel="noopener">${escapeHtml(link.link_url)}</a></small>`;
+      html += link.status_code ? '' : `<br><small class="text-muted">${escapeHtml(link.error_message || '')}</small>`;
+      html += '</td>';
+      html += `<td><small>${link.anchor_text ? escapeHtml(link.anchor_text) : '<span class="text-muted">(no text)</span>'}</small></td>`;
+      html += '</tr>';
+    });
+
+    html += '</tbody></table></div>';
+    container.innerHTML = html;
+  } catch (error) {
+    console.error('Failed to fetch broken links:', error);
+    container.innerHTML = '<div class="alert alert-warning mb-0">Broken links not available</div>';
+  }
+}
+
+function formatAccessibilityCount(count) {
+  if (count === null || count === undefined) {
+    return '<span class="text-muted">Not audited</span>';
+  }
+  if (count === 0) {
+    return '<span class="badge bg-success">No violations</span>';
+  }
+  return `<span class="badge bg-warning text-dark">${count} rule${count === 1 ? '' : 's'} violated</span>`;
+}
+
+function getImpactBadgeClass(impact) {
+  switch (impact) {
+    case 'critical': return 'bg-danger';
+    case 'serious': return 'bg-warning text-dark';
+    case 'moderate': return 'bg-info text-dark';
+    default: return 'bg-secondary';
+  }
+}
+
+async function displayAccessibilityViolations(test) {
+  const section = document.getElementById('accessibility-section');
+  const container = document.getElementById('accessibility-violations');
+
+  // Tests run with the audit disabled (or before it existed) have nothing to show
+  if (test.accessibility_violation_count === null || test.accessibility_violation_count === undefined) {
+    section.style.display = 'none';
+    return;
+  }
+  section.style.display = 'block';
+
+  if (test.accessibility_violation_count === 0) {
+    container.innerHTML = '<p class="text-success mb-0">No WCAG violations found by the automated rules.</p>';
+    return;
+  }
+
+  try {
+    const response = await fetch(`/api/url-tests/${test.id}/accessibility`);
+    const result = await response.json();
+
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to load accessibility violations');
+    }
+
+    let html = '<div class="table-responsive"><table class="table table-sm table-hover">';
+    html += '<thead><tr><th>Impact</th><th>Rule</th><th>Elements</th><th>Examples</th></tr></thead><tbody>';
+
+    result.data.forEach(violation => {
+      const examples = (violation.example_targets || [])
+        .map(target => `<code class="d-block text-break">${escapeHtml(target)}</code>`)
+        .join('');
+      const rule = violation.help_url
+        ? `<a href="${escapeHtml(violation.help_url)}" target="_blank" rel="noopener">${escapeHtml(violation.rule_id)}</a>`
+        : escapeHtml(violation.rule_id);
+      html += '<tr>';
+      html += `<td><span class="badge ${getImpactBadgeClass(violation.impact)}">${escapeHtml(violation.impact || 'unknown')}</span></td>`;
+      html += `<td>${rule}<br><small class="text-muted">${escapeHtml(violation.description)}</small></td>`;
+      html += `<td>${violation.node_count}</td>`;
+      html += `<td><small>${examples}</small></td>`;
+      html += '</tr>';
+    });
+
+    html += '</tbody></table></div>';
+    html += '<p class="small text-muted mb-0">Automated rules find only some accessibility issues; a page without violations still needs a manual review.</p>';
+    container.innerHTML = html;
+  } catch (error) {
+    console.error('Failed to fetch accessibility violations:', error);
+    container.innerHTML = '<div class="alert alert-warning mb-0">Accessibility violations not available</div>';
+  }
+}
+
 function escapeHtml(text) {
   const div = document.createElement('div');
   div.textContent = text;
@@ -364,10 +1136,26 @@ document.addEventListener('DOMContentLoaded', () => {
     return;
   }
 
+  currentTestId = testId;
   fetchTestDetails(testId);
+  fetchDeviceProfiles(testId);
+
+  ['waterfall-type', 'waterfall-domain', 'waterfall-status', 'waterfall-sort'].forEach(id => {
+    document.getElementById(id).addEventListener('change', displayWaterfall);
+  });
+  document.querySelector('#waterfall-table tbody').addEventListener('click', (event) => {
+    const row = event.target.closest('.waterfall-row');
+    if (row) toggleWaterfallDetails(row);
+  });
+
+  document.getElementById('visual-reviewer').value = localStorage.getItem('visualReviewer') || '';
+  document.getElementById('visual-review-form').addEventListener('submit', (event) => {
+    event.preventDefault();
+    submitVisualReview(event.submitter.getAttribute('data-decision'));
+  });
 
   // Listen for timezone changes and refresh displays
   window.addEventListener('timezoneChanged', () => {
-    fetchTestDetails(testId);
+    fetchTestDetails(currentTestId);
   });
 });
@@ -8,6 +8,7 @@ import {
   formatChartDateLabel,
   getTimezoneForAPI
 } from './timezone-utils.js';
+import { formatBrowser, displayBrowserComparison } from './browser-comparison.js';
 
 // Utility functions
 function formatTimestamp(timestamp) {
@@ -19,6 +20,23 @@ function formatNumber(num) {
   return Math.round(num).toLocaleString();
 }
 
+function formatBytes(bytes) {
+  if (bytes === null || bytes === undefined) return 'N/A';
+  if (bytes === 0) return '0 Bytes';
+
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+
+  return Math.round((bytes / Math.pow(k, i)) * 100) / 100 + ' ' + sizes[i];
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
 function getStatusBadge(status) {
   const statusMap = {
     'COMPLETED': 'success',
@@ -27,7 +45,8 @@ function getStatusBadge(status) {
     'FAILED': 'danger',
     'PASSED': 'success',
     'ERROR': 'danger',
-    'TIMEOUT': 'warning'
+    'TIMEOUT': 'warning',
+    'CANCELLED': 'secondary'
   };
   const badgeClass = statusMap[status] || 'secondary';
   return `<span class="badge bg-${badgeClass}">${status}</span>`;
@@ -86,13 +105,126 @@ async function fetchDailyAverages(url) {
     if (result.success) {
       chartData = result.data; // Store globally for resize
       drawDailyAverageChart(result.data);
+      displayChartConditions(result.data);
     }
   } catch (error) {
     console.error('Failed to fetch daily averages:', error);
   }
 }
 
+async function fetchPageWeight(url) {
+  try {
+    const timezone = getTimezoneForAPI();
+    const response = await fetch(`/api/urls/${encodeURIComponent(url)}/page-weight?days=15&timezone=${encodeURIComponent(timezone)}`);
+    const result = await response.json();
+
+    if (result.success && result.data.length > 0) {
+      pageWeightData = result.data; // Store globally for resize
+      document.getElementById('page-weight-section').style.display = 'block';
+      drawPageWeightChart(result.data);
+    }
+  } catch (error) {
+    console.error('Failed to fetch page weight:', error);
+  }
+}
+
+// The averages only cover tests run under the conditions of the latest test
+function displayChartConditions(data) {
+  const conditions = document.getElementById('chart-conditions');
+  if (data.length === 0) {
+    conditions.textContent = '';
+    return;
+  }
+  const { browser, device_profile: deviceProfile, network_profile: networkProfile } = data[0];
+  const network = networkProfile === 'none' ? 'unthrottled' : `${networkProfile} network`;
+  conditions.textContent = `Tests in ${formatBrowser(browser)} on ${deviceProfile}, ${network}`;
+}
+
+async function fetchBrowserComparison(url) {
+  try {
+    const response = await fetch(`/api/urls/${encodeURIComponent(url)}/browser-comparison?days=30`);
+    const result = await response.json();
+
+    if (result.success) {
+      displayBrowserComparison('browser-comparison-section', result.data);
+    }
+  } catch (error) {
+    console.error('Failed to fetch browser comparison:', error);
+  }
+}
+
+async function fetchCrawl(url) {
+  try {
+    const response = await fetch(`/api/urls/${encodeURIComponent(url)}/crawl`);
+    const result = await response.json();
+
+    if (result.success) {
+      displayCrawl(result.data);
+    }
+  } catch (error) {
+    console.error('Failed to fetch crawl:', error);
+  }
+}
+
 // Display functions
+function displayCrawl(pages) {
+  const section = document.getElementById('crawl-section');
+
+  // Only domains tested with test-urls-parallel.sh --crawl have a rollup
+  if (pages.length === 0) {
+    section.style.display = 'none';
+    return;
+  }
+  section.style.display = 'block';
+
+  const uniquePages = new Set(pages.map(page => page.url)).size;
+  const passed = pages.filter(page => page.status === 'PASSED').length;
+  const failed = pages.length - passed;
+  const loaded = pages.filter(page => page.total_page_load_ms !== null);
+  const avgLoadTime = loaded.reduce((sum, page) => sum + parseFloat(page.total_page_load_ms), 0) / (loaded.length || 1);
+  const slowest = loaded.reduce((max, page) =>
+    !max || parseFloat(page.total_page_load_ms) > parseFloat(max.total_page_load_ms) ? page : max, null);
+  const totalTransfer = pages.reduce((sum, page) => sum + (parseInt(page.total_transfer_size_bytes) || 0), 0);
+  const brokenLinks = pages.reduce((sum, page) => sum + (page.broken_link_count || 0), 0);
+  const maxDepth = Math.max(...pages.map(page => page.crawl_depth));
+
+  document.getElementById('crawl-summary').innerHTML = `
+    <div class="row">
+      <div class="col-md-6">
+        <p class="card-text mb-1"><strong>Seed URL:</strong> <a href="${escapeHtml(pages[0].crawl_seed_url)}" target="_blank">${escapeHtml(pages[0].crawl_seed_url)}</a></p>
+        <p class="card-text mb-1"><strong>Crawled:</strong> ${formatTimestamp(pages[0].run_timestamp)}
+          (<a href="/run-details.html?id=${pages[0].test_run_id}" class="text-decoration-none">run #${pages[0].test_run_id}</a>)</p>
+        <p class="card-text mb-1"><strong>Pages Found:</strong> ${uniquePages} (up to ${maxDepth} link${maxDepth === 1 ? '' : 's'} from the seed)</p>
+      </div>
+      <div class="col-md-6">
+        <p class="card-text mb-1"><strong>Tests:</strong> <span class="text-success">${passed} passed</span>, <span class="text-danger">${failed} failed</span></p>
+        <p class="card-text mb-1"><strong>Avg Load Time:</strong> ${formatNumber(avgLoadTime)} ms</p>
+        ${slowest ? `<p class="card-text mb-1"><strong>Slowest Page:</strong> ${escapeHtml(slowest.url)} (${formatNumber(slowest.total_page_load_ms)} ms)</p>` : ''}
+        <p class="card-text mb-1"><strong>Total Transfer Size:</strong> ${formatBytes(totalTransfer)}</p>
+        <p class="card-text mb-1"><strong>Broken Links:</strong> ${brokenLinks}</p>
+      </div>
+    </div>
+  `;
+
+  document.querySelector('#crawl-pages-table tbody').innerHTML = pages.map(page => `
+    <tr>
+      <td>${page.crawl_depth}</td>
+      <td class="text-truncate" style="max-width: 300px;" title="${escapeHtml(page.url)}">
+        <a href="${escapeHtml(page.url)}" target="_blank">${escapeHtml(page.url)}</a>
+      </td>
+      <td>${formatBrowser(page.browser)}</td>
+      <td>${page.device_profile}</td>
+      <td>${getStatusBadge(page.status)}</td>
+      <td>${formatNumber(page.total_page_load_ms)}</td>
+      <td>${formatBytes(page.total_transfer_size_bytes === null ? null : parseInt(page.total_transfer_size_bytes))}</td>
+      <td>${page.broken_link_count ?? '<span class="text-muted">N/A</span>'}</td>
+      <td>
+        <a href="/test-detail.html?id=${page.id}" class="btn btn-sm btn-outline-primary">View Details</a>
+      </td>
+    </tr>
+  `).join('');
+}
+
 function displayUrlSummary(url, tests) {
   const card = document.getElementById('url-summary-card');
 
@@ -144,13 +276,18 @@ function displayUrlTests(tests) {
   const tbody = document.querySelector('#url-tests-table tbody');
 
   if (tests.length === 0) {
-    tbody.innerHTML = '<tr><td colspan="9" class="text-center text-muted">No tests found for this URL</td></tr>';
+    tbody.innerHTML = '<tr><td colspan="11" class="text-center text-muted">No tests found for this URL</td></tr>';
     return;
   }
 
   tbody.innerHTML = tests.map(test => `
     <tr>
       <td>${getStatusBadge(test.status)}</td>
+      <td>${formatBrowser(test.browser)}</td>
+      <td>
+        ${test.device_profile}
+        ${test.network_profile && test.network_profile !== 'none' ? `<br><small class="text-muted">${test.network_profile}</small>` : ''}
+      </td>
       <td class="text-truncate" style="max-width: 200px;" title="${test.page_title || 'N/A'}">
         ${test.page_title || 'N/A'}
       </td>
@@ -175,9 +312,9 @@ function displayUrlTests(tests) {
 
   $('#url-tests-table').DataTable({
     pageLength: 20,
-    order: [[6, 'desc']], // Sort by Test Timestamp (descending) by default - most recent first
+    order: [[8, 'desc']], // Sort by Test Timestamp (descending) by default - most recent first
     columnDefs: [
-      { orderable: false, targets: 8 } // Disable sorting on Actions column
+      { orderable: false, targets: 10 } // Disable sorting on Actions column
     ],
     language: {
       search: "Filter:",
@@ -197,10 +334,50 @@ function displayError(message) {
   `;
 
   const tbody = document.querySelector('#url-tests-table tbody');
-  tbody.innerHTML = `<tr><td colspan="9" class="text-center text-muted">${message}</td></tr>`;
+  tbody.innerHTML = `<tr><td colspan="11" class="text-center text-muted">${message}</td></tr>`;
+}
+
+// Metrics that can be plotted on the daily average chart
+const CHART_METRICS = {
+  load: { key: 'avg_load_time_ms', label: 'Load Time', unit: 'ms', decimals: 0 },
+  lcp: { key: 'avg_lcp_ms', label: 'Largest Contentful Paint', unit: 'ms', decimals: 0 },
+  fcp: { key: 'avg_fcp_ms', label: 'First Contentful Paint', unit: 'ms', decimals: 0 },
+  tbt: { key: 'avg_tbt_ms', label: 'Total Blocking Time', unit: 'ms', decimals: 0 },
+  cls: { key: 'avg_cls', label: 'Cumulative Layout Shift', unit: '', decimals: 3 },
+  a11y: { key: 'avg_accessibility_violations', label: 'Accessibility Violations', unit: '', decimals: 1 }
+};
+
+function formatMetricValue(value, metric) {
+  const rounded = metric.decimals > 0 ? value.toFixed(metric.decimals) : Math.round(value);
+  return `${rounded}${metric.unit}`;
+}
+
+// The last 15 days (timezone-aware) as YYYY-MM-DD strings, oldest first
+function getChartDates() {
+  const timezone = getTimezonePreference();
+  const today = getToday(timezone);
+  const dates = [];
+
+  for (let i = 14; i >= 0; i--) {
+    const date = new Date(today);
+    date.setDate(today.getDate() - i);
+
+    // Get date string in appropriate timezone
+    dates.push(timezone === 'UTC'
+      ? date.toISOString().split('T')[0]
+      : `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`);
+  }
+  return dates;
+}
+
+// The API returns dates already in the correct timezone; extract just the
+// date portion (YYYY-MM-DD) in case it's an ISO timestamp
+function getRowDate(row) {
+  return typeof row.test_date === 'string' ? row.test_date.split('T')[0] : row.test_date;
 }
 
 function drawDailyAverageChart(data) {
+  const metric = CHART_METRICS[selectedChartMetric] || CHART_METRICS.load;
   const svg = document.getElementById('daily-average-chart');
   const container = svg.parentElement;
 
@@ -216,35 +393,16 @@ function drawDailyAverageChart(data) {
   svg.innerHTML = '';
 
   // Generate complete date range for last 15 days (timezone-aware)
-  const timezone = getTimezonePreference();
-  const today = getToday(timezone);
-  const completeData = [];
-
-  for (let i = 14; i >= 0; i--) {
-    const date = new Date(today);
-    date.setDate(today.getDate() - i);
-
-    // Get date string in appropriate timezone
-    const dateStr = timezone === 'UTC'
-      ? date.toISOString().split('T')[0]
-      : `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
-
+  const completeData = getChartDates().map(dateStr => {
     // Find matching data for this date
-    // The API now returns dates already in the correct timezone as YYYY-MM-DD strings
-    const existing = data.find(d => {
-      // Extract just the date portion (YYYY-MM-DD) from the test_date
-      const dbDateStr = typeof d.test_date === 'string'
-        ? d.test_date.split('T')[0]  // Handle ISO timestamps
-        : d.test_date;
-      return dbDateStr === dateStr;
-    });
+    const existing = data.find(d => getRowDate(d) === dateStr);
 
-    completeData.push({
+    return {
       test_date: dateStr,
-      avg_load_time_ms: existing ? parseFloat(existing.avg_load_time_ms) : 0,
+      value: existing ? (parseFloat(existing[metric.key]) || 0) : 0,
       test_count: existing ? existing.test_count : 0
-    });
-  }
+    };
+  });
 
   // Set chart dimensions
   const padding = { top: 40, right: 40, bottom: 60, left: 80 };
@@ -252,7 +410,7 @@ function drawDailyAverageChart(data) {
   const chartHeight = containerHeight - padding.top - padding.bottom;
 
   // Find max value for scaling
-  const maxValue = Math.max(...completeData.map(d => d.avg_load_time_ms), 1);
+  const maxValue = Math.max(...completeData.map(d => d.value), metric.decimals > 0 ? 0.001 : 1);
   const yScale = chartHeight / maxValue;
 
   // Calculate bar width and spacing
@@ -262,12 +420,12 @@ function drawDailyAverageChart(data) {
   // Add accessibility elements
   const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
   title.id = 'chart-title';
-  title.textContent = 'Average Load Time - Last 15 Days';
+  title.textContent = `Average ${metric.label} - Last 15 Days`;
   svg.appendChild(title);
 
   const desc = document.createElementNS('http://www.w3.org/2000/svg', 'desc');
   desc.id = 'chart-desc';
-  desc.textContent = `Bar chart showing daily average page load times in milliseconds over the last 15 days. Maximum value: ${Math.round(maxValue)}ms.`;
+  desc.textContent = `Bar chart showing daily average ${metric.label} over the last 15 days. Maximum value: ${formatMetricValue(maxValue, metric)}.`;
   svg.appendChild(desc);
 
   // Create groups for layering
@@ -307,7 +465,7 @@ function drawDailyAverageChart(data) {
 
   // Draw bars with rounded top corners
   completeData.forEach((item, index) => {
-    const barHeight = item.avg_load_time_ms * yScale;
+    const barHeight = item.value * yScale;
     const x = padding.left + index * (barWidth + barSpacing);
     const y = padding.top + chartHeight - barHeight;
     const effectiveHeight = barHeight > 0 ? barHeight : 1;
@@ -321,16 +479,16 @@ function drawDailyAverageChart(data) {
     rect.setAttribute('height', effectiveHeight);
     rect.setAttribute('rx', cornerRadius);
     rect.setAttribute('ry', cornerRadius);
-    rect.setAttribute('fill', item.avg_load_time_ms === 0 ? '#dee2e6' : '#0d6efd');
+    rect.setAttribute('fill', item.value === 0 ? '#dee2e6' : '#0d6efd');
 
     // Add accessibility label
     const dateLabel = formatChartDateLabel(item.test_date);
-    rect.setAttribute('aria-label', `${dateLabel}: ${Math.round(item.avg_load_time_ms)}ms`);
+    rect.setAttribute('aria-label', `${dateLabel}: ${formatMetricValue(item.value, metric)}`);
 
     barsGroup.appendChild(rect);
 
     // Draw value label on top of bar (only if > 0)
-    if (item.avg_load_time_ms > 0) {
+    if (item.value > 0) {
       const valueText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
       valueText.setAttribute('x', x + barWidth / 2);
       valueText.setAttribute('y', y - 5);
@@ -338,7 +496,7 @@ function drawDailyAverageChart(data) {
       valueText.setAttribute('font-size', '11px');
       valueText.setAttribute('font-family', 'Arial');
       valueText.setAttribute('fill', '#000');
-      valueText.textContent = Math.round(item.avg_load_time_ms) + 'ms';
+      valueText.textContent = formatMetricValue(item.value, metric);
       labelsGroup.appendChild(valueText);
     }
 
@@ -385,7 +543,7 @@ function drawDailyAverageChart(data) {
   yAxisLabel.setAttribute('font-weight', 'bold');
   yAxisLabel.setAttribute('fill', '#000');
   yAxisLabel.setAttribute('transform', `rotate(-90, 20, ${padding.top + chartHeight / 2})`);
-  yAxisLabel.textContent = 'Average Load Time (ms)';
+  yAxisLabel.textContent = metric.unit ? `Average ${metric.label} (${metric.unit})` : `Average ${metric.label}`;
   labelsGroup.appendChild(yAxisLabel);
 
   // X-axis label
@@ -409,13 +567,182 @@ function drawDailyAverageChart(data) {
     scaleText.setAttribute('font-size', '10px');
     scaleText.setAttribute('font-family', 'Arial');
     scaleText.setAttribute('fill', '#6c757d');
-    scaleText.textContent = Math.round(value);
+    scaleText.textContent = metric.decimals > 0 ? value.toFixed(metric.decimals) : Math.round(value);
+    labelsGroup.appendChild(scaleText);
+  });
+}
+
+// Content types stacked on the page weight chart, bottom to top, with their colours
+const PAGE_WEIGHT_TYPES = [
+  { type: 'document', label: 'Document', color: '#6c757d' },
+  { type: 'script', label: 'JavaScript', color: '#ffc107' },
+  { type: 'stylesheet', label: 'CSS', color: '#6f42c1' },
+  { type: 'image', label: 'Images', color: '#198754' },
+  { type: 'font', label: 'Fonts', color: '#fd7e14' },
+  { type: 'media', label: 'Media', color: '#d63384' },
+  { type: 'other', label: 'Other', color: '#0dcaf0' }
+];
+
+function drawPageWeightChart(data) {
+  const svg = document.getElementById('page-weight-chart');
+  const container = svg.parentElement;
+  const svgNS = 'http://www.w3.org/2000/svg';
+
+  // Get container dimensions
+  const containerWidth = container.offsetWidth;
+  const containerHeight = 300;
+
+  svg.setAttribute('viewBox', `0 0 ${containerWidth} ${containerHeight}`);
+  svg.setAttribute('preserveAspectRatio', 'xMidYMid meet');
+  svg.innerHTML = '';
+
+  // One stack of average bytes per content type for each of the last 15 days
+  const completeData = getChartDates().map(dateStr => {
+    const rows = data.filter(d => getRowDate(d) === dateStr);
+    const bytes = {};
+    PAGE_WEIGHT_TYPES.forEach(({ type }) => {
+      const row = rows.find(r => r.content_type === type);
+      bytes[type] = row ? (parseFloat(row.avg_transfer_size_bytes) || 0) : 0;
+    });
+    const total = Object.values(bytes).reduce((sum, value) => sum + value, 0);
+    return { test_date: dateStr, bytes, total, test_count: rows.length > 0 ? rows[0].test_count : 0 };
+  });
+
+  // Legend, listing only the content types that appear on the chart
+  const shownTypes = PAGE_WEIGHT_TYPES.filter(({ type }) => completeData.some(d => d.bytes[type] > 0));
+  document.getElementById('page-weight-legend').innerHTML = shownTypes
+    .map(({ label, color }) => `<span class="page-weight-swatch" style="background: ${color};"></span>${label}`)
+    .join('');
+
+  // Set chart dimensions
+  const padding = { top: 40, right: 40, bottom: 60, left: 80 };
+  const chartWidth = containerWidth - padding.left - padding.right;
+  const chartHeight = containerHeight - padding.top - padding.bottom;
+
+  const maxValue = Math.max(...completeData.map(d => d.total), 1);
+  const yScale = chartHeight / maxValue;
+
+  const barWidth = chartWidth / completeData.length - 10;
+  const barSpacing = 10;
+
+  // Add accessibility elements
+  const title = document.createElementNS(svgNS, 'title');
+  title.id = 'page-weight-chart-title';
+  title.textContent = 'Page Weight by Content Type - Last 15 Days';
+  svg.appendChild(title);
+
+  const desc = document.createElementNS(svgNS, 'desc');
+  desc.id = 'page-weight-chart-desc';
+  desc.textContent = `Stacked bar chart showing the daily average bytes transferred per content type over the last 15 days. Maximum value: ${formatBytes(maxValue)}.`;
+  svg.appendChild(desc);
+
+  const gridGroup = document.createElementNS(svgNS, 'g');
+  gridGroup.setAttribute('class', 'grid-lines');
+  svg.appendChild(gridGroup);
+
+  const barsGroup = document.createElementNS(svgNS, 'g');
+  barsGroup.setAttribute('class', 'bars');
+  svg.appendChild(barsGroup);
+
+  const labelsGroup = document.createElementNS(svgNS, 'g');
+  labelsGroup.setAttribute('class', 'labels');
+  svg.appendChild(labelsGroup);
+
+  // Draw Y-axis grid lines and scale labels
+  const ySteps = 5;
+  for (let i = 0; i <= ySteps; i++) {
+    const value = (maxValue / ySteps) * i;
+    const y = padding.top + chartHeight - (value * yScale);
+
+    const line = document.createElementNS(svgNS, 'line');
+    line.setAttribute('x1', padding.left);
+    line.setAttribute('y1', y);
+    line.setAttribute('x2', padding.left + chartWidth);
+    line.setAttribute('y2', y);
+    line.setAttribute('stroke', i === 0 ? '#dee2e6' : '#e9ecef');
+    line.setAttribute('stroke-width', '1');
+    gridGroup.appendChild(line);
+
+    const scaleText = document.createElementNS(svgNS, 'text');
+    scaleText.setAttribute('x', padding.left - 10);
+    scaleText.setAttribute('y', y + 4);
+    scaleText.setAttribute('text-anchor', 'end');
+    scaleText.setAttribute('font-size', '10px');
+    scaleText.setAttribute('font-family', 'Arial');
+    scaleText.setAttribute('fill', '#6c757d');
+    scaleText.textContent = formatBytes(Math.round(value));
     labelsGroup.appendChild(scaleText);
+  }
+
+  // Draw one segment per content type, stacked from the bottom
+  completeData.forEach((item, index) => {
+    const x = padding.left + index * (barWidth + barSpacing);
+    const dateLabel = formatChartDateLabel(item.test_date);
+    let y = padding.top + chartHeight;
+
+    PAGE_WEIGHT_TYPES.forEach(({ type, label, color }) => {
+      const segmentHeight = item.bytes[type] * yScale;
+      if (segmentHeight <= 0) return;
+      y -= segmentHeight;
+
+      const rect = document.createElementNS(svgNS, 'rect');
+      rect.setAttribute('x', x);
+      rect.setAttribute('y', y);
+      rect.setAttribute('width', barWidth);
+      rect.setAttribute('height', segmentHeight);
+      rect.setAttribute('fill', color);
+      rect.setAttribute('aria-label', `${dateLabel}: ${label} ${formatBytes(item.bytes[type])}`);
+
+      const tooltip = document.createElementNS(svgNS, 'title');
+      tooltip.textContent = `${dateLabel} - ${label}: ${formatBytes(item.bytes[type])}`;
+      rect.appendChild(tooltip);
+      barsGroup.appendChild(rect);
+    });
+
+    // Total on top of the stack (only if > 0)
+    if (item.total > 0) {
+      const totalText = document.createElementNS(svgNS, 'text');
+      totalText.setAttribute('x', x + barWidth / 2);
+      totalText.setAttribute('y', y - 5);
+      totalText.setAttribute('text-anchor', 'middle');
+      totalText.setAttribute('font-size', '11px');
+      totalText.setAttribute('font-family', 'Arial');
+      totalText.setAttribute('fill', '#000');
+      totalText.textContent = formatBytes(item.total);
+      labelsGroup.appendChild(totalText);
+    }
+
+    // Draw date label (rotated)
+    const dateText = document.createElementNS(svgNS, 'text');
+    dateText.setAttribute('x', x + barWidth / 2);
+    dateText.setAttribute('y', padding.top + chartHeight + 15);
+    dateText.setAttribute('text-anchor', 'end');
+    dateText.setAttribute('font-size', '10px');
+    dateText.setAttribute('font-family', 'Arial');
+    dateText.setAttribute('fill', '#6c757d');
+    dateText.setAttribute('transform', `rotate(-45, ${x + barWidth / 2}, ${padding.top + chartHeight + 15})`);
+    dateText.textContent = dateLabel;
+    labelsGroup.appendChild(dateText);
   });
+
+  // Y-axis label
+  const yAxisLabel = document.createElementNS(svgNS, 'text');
+  yAxisLabel.setAttribute('x', 20);
+  yAxisLabel.setAttribute('y', padding.top + chartHeight / 2);
+  yAxisLabel.setAttribute('text-anchor', 'middle');
+  yAxisLabel.setAttribute('font-size', '12px');
+  yAxisLabel.setAttribute('font-family', 'Arial');
+  yAxisLabel.setAttribute('font-weight', 'bold');
+  yAxisLabel.setAttribute('fill', '#000');
+  yAxisLabel.setAttribute('transform', `rotate(-90, 20, ${padding.top + chartHeight / 2})`);
+  yAxisLabel.textContent = 'Average Transfer Size';
+  labelsGroup.appendChild(yAxisLabel);
 }
 
 // Store chart data globally for redrawing on resize
 let chartData = null;
+let selectedChartMetric = 'load';
+let pageWeightData = null;
 
 // Initialize on page load
 document.addEventListener('DOMContentLoaded', () => {
@@ -437,6 +764,25 @@ document.addEventListener('DOMContentLoaded', () => {
   // Fetch and display daily averages chart
   fetchDailyAverages(url);
 
+  // Break page weight down by content type
+  fetchPageWeight(url);
+
+  // Compare browsers when the URL was tested in more than one
+  fetchBrowserComparison(url);
+
+  // Roll up the domain's latest crawl, if it was crawled
+  fetchCrawl(url);
+
+  // Switch the metric shown on the chart
+  document.getElementById('chart-metric-select').addEventListener('change', (e) => {
+    selectedChartMetric = e.target.value;
+    document.getElementById('chart-heading').textContent =
+      `Average ${CHART_METRICS[selectedChartMetric].label} - Last 15 Days`;
+    if (chartData) {
+      drawDailyAverageChart(chartData);
+    }
+  });
+
   // Make chart responsive to window resize
   let resizeTimeout;
   window.addEventListener('resize', () => {
@@ -445,6 +791,9 @@ document.addEventListener('DOMContentLoaded', () => {
       if (chartData) {
         drawDailyAverageChart(chartData);
       }
+      if (pageWeightData) {
+        drawPageWeightChart(pageWeightData);
+      }
     }, 250); // Debounce resize events
   });
 
@@ -454,5 +803,8 @@ document.addEventListener('DOMContentLoaded', () => {
     if (chartData) {
       drawDailyAverageChart(chartData);
     }
+    if (pageWeightData) {
+      drawPageWeightChart(pageWeightData);
+    }
   });
 });
@@ -0,0 +1,268 @@
+// Monitored URLs JavaScript - add, edit, enable/disable and remove the URLs test runs cover
+
+import { formatTimestamp as tzFormatTimestamp } from './timezone-utils.js';
+
+let monitoredUrls = [];
+
+// Utility functions
+function formatTimestamp(timestamp) {
+  return tzFormatTimestamp(timestamp);
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text ?? '';
+  return div.innerHTML;
+}
+
+// Fetch monitored URLs
+async function fetchUrls() {
+  try {
+    const response = await fetch('/api/urls');
+    const result = await response.json();
+    if (result.success) {
+      monitoredUrls = result.data;
+      updateTagFilter();
+      displayUrls();
+    } else {
+      displayTableError('Failed to load URLs');
+    }
+  } catch (error) {
+    console.error('Failed to fetch URLs:', error);
+    displayTableError('Failed to load URLs');
+  }
+}
+
+function updateTagFilter() {
+  const select = document.getElementById('filter-tag');
+  const selected = select.value;
+  const tags = [...new Set(monitoredUrls.flatMap(monitoredUrl => monitoredUrl.tags || []))].sort();
+
+  select.innerHTML = '<option value="">Any tag</option>' +
+    tags.map(tag => `<option value="${escapeHtml(tag)}">${escapeHtml(tag)}</option>`).join('');
+  select.value = tags.includes(selected) ? selected : '';
+}
+
+function getFilteredUrls() {
+  const enabled = document.getElementById('filter-enabled').value;
+  const tag = document.getElementById('filter-tag').value;
+
+  return monitoredUrls.filter(monitoredUrl => {
+    if (enabled !== '' && String(monitoredUrl.enabled) !== enabled) return false;
+    if (tag && !(monitoredUrl.tags || []).includes(tag)) return false;
+    return true;
+  });
+}
+
+function displayUrls() {
+  const tbody = document.querySelector('#urls-table tbody');
+  const urls = getFilteredUrls();
+  const enabledCount = monitoredUrls.filter(monitoredUrl => monitoredUrl.enabled).length;
+
+  document.getElementById('url-count').textContent =
+    `${enabledCount} of ${monitoredUrls.length} URLs enabled`;
+
+  if (monitoredUrls.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="7" class="text-center text-muted">No monitored URLs yet. Test runs use tests/urls.txt until you add one (or run <code>npm run urls:import</code>).</td></tr>';
+    return;
+  }
+
+  if (urls.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="7" class="text-center text-muted">No URLs match the selected filters</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = urls.map(monitoredUrl => {
+    const tags = (monitoredUrl.tags || [])
+      .map(tag => `<span class="badge bg-info text-dark me-1">${escapeHtml(tag)}</span>`)
+      .join('');
+    const lastTested = monitoredUrl.last_tested_at
+      ? `<a href="/url-results.html?url=${encodeURIComponent(monitoredUrl.url)}">${formatTimestamp(monitoredUrl.last_tested_at)}</a>`
+      : '<span class="text-muted">Never</span>';
+
+    return `
+      <tr class="${monitoredUrl.enabled ? '' : 'text-muted'}">
+        <td class="text-break">
+          ${escapeHtml(monitoredUrl.url)}
+          ${countSelectors(monitoredUrl) > 0 ? `<br><small class="text-muted">${countSelectors(monitoredUrl)} screenshot selector(s)</small>` : ''}
+        </td>
+        <td>${tags || '<span class="text-muted">--</span>'}</td>
+        <td>${monitoredUrl.owner ? escapeHtml(monitoredUrl.owner) : '<span class="text-muted">--</span>'}</td>
+        <td><small>${escapeHtml(monitoredUrl.notes)}</small></td>
+        <td>${lastTested}</td>
+        <td>${monitoredUrl.enabled ? '<span class="badge bg-success">Yes</span>' : '<span class="badge bg-secondary">No</span>'}</td>
+        <td class="text-nowrap">
+          <button type="button" class="btn btn-sm btn-outline-secondary" data-action="toggle" data-id="${monitoredUrl.id}">
+            ${monitoredUrl.enabled ? 'Disable' : 'Enable'}
+          </button>
+          <button type="button" class="btn btn-sm btn-outline-primary" data-action="edit" data-id="${monitoredUrl.id}">Edit</button>
+          <button type="button" class="btn btn-sm btn-outline-danger" data-action="delete" data-id="${monitoredUrl.id}">Delete</button>
+        </td>
+      </tr>
+    `;
+  }).join('');
+
+  tbody.querySelectorAll('button[data-action]').forEach(button => {
+    button.addEventListener('click', () => {
+      const monitoredUrl = monitoredUrls.find(u => u.id === parseInt(button.getAttribute('data-id')));
+      const action = button.getAttribute('data-action');
+      if (action === 'toggle') {
+        toggleUrl(monitoredUrl);
+      } else if (action === 'edit') {
+        editUrl(monitoredUrl);
+      } else {
+        deleteUrl(monitoredUrl);
+      }
+    });
+  });
+}
+
+// Screenshot selector fields of the API, by form input
+const SELECTOR_INPUTS = {
+  waitForSelectors: 'url-wait-selectors',
+  hideSelectors: 'url-hide-selectors',
+  maskSelectors: 'url-mask-selectors',
+  diffIgnoreSelectors: 'url-ignore-selectors'
+};
+
+function getSelectorFields(monitoredUrl) {
+  return {
+    waitForSelectors: monitoredUrl.wait_for_selectors || [],
+    hideSelectors: monitoredUrl.hide_selectors || [],
+    maskSelectors: monitoredUrl.mask_selectors || [],
+    diffIgnoreSelectors: monitoredUrl.diff_ignore_selectors || []
+  };
+}
+
+function countSelectors(monitoredUrl) {
+  return Object.values(getSelectorFields(monitoredUrl)).reduce((total, selectors) => total + selectors.length, 0);
+}
+
+function displayTableError(message) {
+  const tbody = document.querySelector('#urls-table tbody');
+  tbody.innerHTML = `<tr><td colspan="7" class="text-center text-muted">${message}</td></tr>`;
+}
+
+async function saveUrl(method, url, monitoredUrl) {
+  const response = await fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(monitoredUrl)
+  });
+  return response.json();
+}
+
+async function toggleUrl(monitoredUrl) {
+  try {
+    const result = await saveUrl('PUT', `/api/urls/${monitoredUrl.id}`, {
+      url: monitoredUrl.url,
+      tags: monitoredUrl.tags,
+      owner: monitoredUrl.owner,
+      notes: monitoredUrl.notes,
+      ...getSelectorFields(monitoredUrl),
+      enabled: !monitoredUrl.enabled
+    });
+    if (!result.success) {
+      alert(`Failed to update URL: ${result.error}`);
+    }
+  } catch (error) {
+    console.error('Failed to update URL:', error);
+  }
+  fetchUrls();
+}
+
+async function deleteUrl(monitoredUrl) {
+  if (!confirm(`Stop monitoring ${monitoredUrl.url}? Its test history is kept.`)) {
+    return;
+  }
+
+  try {
+    await fetch(`/api/urls/${monitoredUrl.id}`, { method: 'DELETE' });
+  } catch (error) {
+    console.error('Failed to delete URL:', error);
+  }
+  fetchUrls();
+}
+
+function editUrl(monitoredUrl) {
+  document.getElementById('url-id').value = monitoredUrl.id;
+  document.getElementById('url-input').value = monitoredUrl.url;
+  document.getElementById('url-tags').value = (monitoredUrl.tags || []).join(', ');
+  document.getElementById('url-owner').value = monitoredUrl.owner || '';
+  document.getElementById('url-notes').value = monitoredUrl.notes || '';
+  document.getElementById('url-enabled').checked = monitoredUrl.enabled;
+  for (const [field, inputId] of Object.entries(SELECTOR_INPUTS)) {
+    document.getElementById(inputId).value = getSelectorFields(monitoredUrl)[field].join('\n');
+  }
+  document.getElementById('url-screenshot-settings').open = countSelectors(monitoredUrl) > 0;
+
+  document.getElementById('url-form-title').textContent = 'Edit URL';
+  document.getElementById('url-form-submit').textContent = 'Save Changes';
+  document.getElementById('url-form-cancel').style.display = 'inline-block';
+  document.getElementById('url-form-error').style.display = 'none';
+  window.scrollTo({ top: 0, behavior: 'smooth' });
+}
+
+function resetForm() {
+  document.getElementById('url-form').reset();
+  document.getElementById('url-id').value = '';
+  document.getElementById('url-screenshot-settings').open = false;
+  document.getElementById('url-form-title').textContent = 'Add URL';
+  document.getElementById('url-form-submit').textContent = 'Add URL';
+  document.getElementById('url-form-cancel').style.display = 'none';
+  document.getElementById('url-form-error').style.display = 'none';
+}
+
+function setupUrlForm() {
+  const form = document.getElementById('url-form');
+  const errorBox = document.getElementById('url-form-error');
+
+  form.addEventListener('submit', async function(e) {
+    e.preventDefault();
+    errorBox.style.display = 'none';
+
+    const id = document.getElementById('url-id').value;
+    const monitoredUrl = {
+      url: document.getElementById('url-input').value,
+      tags: document.getElementById('url-tags').value,
+      owner: document.getElementById('url-owner').value,
+      notes: document.getElementById('url-notes').value,
+      enabled: document.getElementById('url-enabled').checked
+    };
+    for (const [field, inputId] of Object.entries(SELECTOR_INPUTS)) {
+      monitoredUrl[field] = document.getElementById(inputId).value;
+    }
+
+    try {
+      const result = id
+        ? await saveUrl('PUT', `/api/urls/${id}`, monitoredUrl)
+        : await saveUrl('POST', '/api/urls', monitoredUrl);
+
+      if (result.success) {
+        resetForm();
+        fetchUrls();
+      } else {
+        errorBox.textContent = result.error;
+        errorBox.style.display = 'block';
+      }
+    } catch (error) {
+      console.error('Failed to save URL:', error);
+      errorBox.textContent = 'Failed to save URL';
+      errorBox.style.display = 'block';
+    }
+  });
+
+  document.getElementById('url-form-cancel').addEventListener('click', resetForm);
+}
+
+// Initialize on page load
+document.addEventListener('DOMContentLoaded', () => {
+  fetchUrls();
+  setupUrlForm();
+
+  document.getElementById('filter-enabled').addEventListener('change', displayUrls);
+  document.getElementById('filter-tag').addEventListener('change', displayUrls);
+
+  // Listen for timezone changes and refresh displays
+  window.addEventListener('timezoneChanged', displayUrls);
+});
@@ -0,0 +1,115 @@
+// @ts-check
+import { readFileSync } from 'fs';
+import { createRequire } from 'module';
+
+/**
+ * Automated accessibility (WCAG) audits of a loaded page
+ * The axe-core rule engine is read from node_modules and injected into the page,
+ * so audits don't depend on a CDN or on the page's Content Security Policy. Only
+ * the rules tagged with one of the audited WCAG levels run. Each violated rule is
+ * recorded once, with its impact and the number of elements that break it; a
+ * handful of the elements' selectors are kept as examples.
+ *
+ * Automated rules only find part of the WCAG failures a manual review would, so a
+ * page without violations isn't necessarily accessible. Violations don't fail the test.
+ *
+ * Configuration (environment variables):
+ *   ACCESSIBILITY_AUDIT  Set to false to skip the audit (default: true)
+ *   ACCESSIBILITY_TAGS   Comma-separated axe-core tags of the rules to run
+ *                        (default: wcag2a,wcag2aa,wcag21a,wcag21aa)
+ */
+
+const DEFAULT_TAGS = ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa'];
+const MAX_EXAMPLE_TARGETS = 5;
+
+// Most severe first, as reported by axe-core
+export const IMPACT_LEVELS = ['critical', 'serious', 'moderate', 'minor'];
+
+let axeSource = null;
+
+/**
+ * Read accessibility audit options from the environment
+ * @returns {{enabled: boolean, tags: string[]}}
+ */
+export function getAccessibilityOptions() {
+  const tags = (process.env.ACCESSIBILITY_TAGS || '')
+    .split(',')
+    .map(tag => tag.trim())
+    .filter(Boolean);
+  return {
+    enabled: process.env.ACCESSIBILITY_AUDIT !== 'false',
+    tags: tags.length > 0 ? tags : DEFAULT_TAGS
+  };
+}
+
+/**
+ * Load the minified axe-core script (cached after the first call)
+ * @returns {string}
+ */
+function loadAxeSource() {
+  if (axeSource === null) {
+    const require = createRequire(import.meta.url);
+    axeSource = readFileSync(require.resolve('axe-core/axe.min.js'), 'utf8');
+  }
+  return axeSource;
+}
+
+/**
+ * Run the accessibility rules against a page's current DOM
+ * @param {object} page - Playwright page (loaded, before any screenshot settings hide elements)
+ * @param {{tags: string[]}} [options] - Audit options (default: getAccessibilityOptions())
+ * @returns {Promise<Array<{ruleId: string, impact: string|null, description: string, helpUrl: string,
+ *   wcagTags: string[], nodeCount: number, exampleTargets: string[]}>>} Violated rules, most severe first
+ */
+export async function runAccessibilityAudit(page, options = getAccessibilityOptions()) {
+  // Evaluating the source (rather than adding a script tag) isn't subject to the page's CSP
+  await page.evaluate(loadAxeSource());
+
+  const violations = await page.evaluate(async (tags) => {
+    // axe was injected above
+    const results = await /** @type {any} */ (window).axe.run(document, {
+      runOnly: { type: 'tag', values: tags },
+      resultTypes: ['violations']
+    });
+    return results.violations.map(violation => ({
+      ruleId: violation.id,
+      impact: violation.impact || null,
+      description: violation.help,
+      helpUrl: violation.helpUrl,
+      tags: violation.tags,
+      targets: violation.nodes.map(node => node.target.join(' '))
+    }));
+  }, options.tags);
+
+  return violations
+    .map(violation => ({
+      ruleId: violation.ruleId,
+      impact: violation.impact,
+      description: violation.description,
+      helpUrl: violation.helpUrl,
+      wcagTags: violation.tags.filter(tag => tag.startsWith('wcag')),
+      nodeCount: violation.targets.length,
+      exampleTargets: violation.targets.slice(0, MAX_EXAMPLE_TARGETS)
+    }))
+    .sort((a, b) => impactRank(a.impact) - impactRank(b.impact) || b.nodeCount - a.nodeCount);
+}
+
+/**
+ * Position of an impact level in IMPACT_LEVELS (unknown impacts last)
+ * @param {string|null} impact
+ * @returns {number}
+ */
+function impactRank(impact) {
+  const rank = IMPACT_LEVELS.indexOf(impact || '');
+  return rank === -1 ? IMPACT_LEVELS.length : rank;
+}
+
+/**
+ * Format an accessibility violation for logs and error messages
+ * @param {{ruleId: string, impact: string|null, nodeCount: number}} violation
+ * @returns {string}
+ */
+export function formatAccessibilityViolation(violation) {
+  const elements = violation.nodeCount === 1 ? 'element' : 'elements';
+  return `${violation.ruleId} (${violation.impact || 'unknown impact'}): ${violation.nodeCount} ${elements}`;
+}
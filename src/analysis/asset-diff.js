@@ -0,0 +1,152 @@
+// @ts-check
+
+/**
+ * Asset changes between two URL tests of the same URL
+ * The requests stored for each test (see the requests table) are grouped into
+ * assets by URL and compared:
+ *   - added: assets only the newer test requested
+ *   - removed: assets only the older test requested
+ *   - changed: assets both requested whose size changed by more than both
+ *     ASSET_CHANGE_MIN_BYTES and ASSET_CHANGE_MIN_PERCENT of the older size
+ * Assets whose URL differs only in its query string (e.g. style.css?ver=1.2 and
+ * style.css?ver=1.3) are treated as the same asset, so version bumps show up as
+ * size changes rather than as an added and a removed asset.
+ *
+ * An asset's size is the bytes transferred, or its uncompressed size when it was
+ * served from the browser cache (which transfers nothing).
+ *
+ * Configuration (environment variables):
+ *   ASSET_CHANGE_MIN_BYTES    Minimum size change of an asset (default: 1024)
+ *   ASSET_CHANGE_MIN_PERCENT  Minimum size change relative to the older size (default: 10)
+ */
+
+/**
+ * Read asset diff options from the environment
+ * @returns {{minChangeBytes: number, minChangePercent: number}}
+ */
+export function getAssetDiffOptions() {
+  const minChangeBytes = parseInt(process.env.ASSET_CHANGE_MIN_BYTES);
+  const minChangePercent = parseFloat(process.env.ASSET_CHANGE_MIN_PERCENT);
+  // 0 turns a minimum off
+  return {
+    minChangeBytes: minChangeBytes >= 0 ? minChangeBytes : 1024,
+    minChangePercent: minChangePercent >= 0 ? minChangePercent : 10
+  };
+}
+
+/**
+ * Group a test's requests into assets, keyed by URL (without the #fragment)
+ * @param {Array<{url: string, host: string, content_type: string, transfer_size_bytes: string|number|null,
+ *   content_size_bytes: string|number|null, from_cache: boolean}>} requests - Rows of the requests table
+ * @returns {Map<string, {url: string, host: string, contentType: string, requestCount: number, size: number}>}
+ */
+function groupAssets(requests) {
+  const assets = new Map();
+  for (const request of requests) {
+    // Inline data: URLs are part of the document or stylesheet that contains them
+    if (request.url.startsWith('data:')) {
+      continue;
+    }
+
+    const url = request.url.split('#')[0];
+    const size = Number((request.from_cache ? request.content_size_bytes : request.transfer_size_bytes) || 0);
+    const asset = assets.get(url);
+    if (asset) {
+      asset.requestCount++;
+      asset.size += size;
+    } else {
+      assets.set(url, { url, host: request.host, contentType: request.content_type, requestCount: 1, size });
+    }
+  }
+  return assets;
+}
+
+/**
+ * URL without its query string, used to pair versions of the same asset
+ * @param {string} url
+ * @returns {string}
+ */
+function withoutQuery(url) {
+  return url.split('?')[0];
+}
+
+/**
+ * Compare the requests of an older and a newer URL test
+ * @param {Array} previousRequests - Requests of the older test (rows of the requests table)
+ * @param {Array} currentRequests - Requests of the newer test
+ * @param {{minChangeBytes: number, minChangePercent: number}} [options] - Thresholds (default: getAssetDiffOptions())
+ * @returns {{added: Array, removed: Array, changed: Array, totals: {previousBytes: number, currentBytes: number,
+ *   addedBytes: number, removedBytes: number, changedBytes: number}}}
+ *   Added and removed assets by size, changed assets by the size of their change
+ */
+export function diffAssets(previousRequests, currentRequests, options = getAssetDiffOptions()) {
+  const previous = groupAssets(previousRequests);
+  const current = groupAssets(currentRequests);
+  const changed = [];
+
+  /**
+   * @param {{url: string, size: number}} before
+   * @param {{url: string, host: string, contentType: string, requestCount: number, size: number}} after
+   */
+  const compare = (before, after) => {
+    const change = after.size - before.size;
+    const percentChange = before.size > 0 ? Math.round(change / before.size * 10000) / 100 : null;
+    const significant = Math.abs(change) >= options.minChangeBytes &&
+      (percentChange === null || Math.abs(percentChange) >= options.minChangePercent);
+    if (significant) {
+      changed.push({
+        ...after,
+        previousUrl: before.url !== after.url ? before.url : null,
+        previousSize: before.size,
+        change,
+        percentChange
+      });
+    }
+  };
+
+  // Same URL in both tests
+  for (const [url, asset] of current) {
+    const before = previous.get(url);
+    if (before) {
+      compare(before, asset);
+      previous.delete(url);
+      current.delete(url);
+    }
+  }
+
+  // Remaining assets whose URLs only differ in their query string, paired in request order
+  /** @type {Map<string, Array>} */
+  const unmatchedPrevious = new Map();
+  for (const asset of previous.values()) {
+    const key = withoutQuery(asset.url);
+    unmatchedPrevious.set(key, [...(unmatchedPrevious.get(key) || []), asset]);
+  }
+  for (const [url, asset] of current) {
+    const before = unmatchedPrevious.get(withoutQuery(url))?.shift();
+    if (before) {
+      compare(before, asset);
+      previous.delete(before.url);
+      current.delete(url);
+    }
+  }
+
+  const bySize = (a, b) => b.size - a.size;
+  const added = [...current.values()].sort(bySize);
+  const removed = [...previous.values()].sort(bySize);
+  changed.sort((a, b) => Math.abs(b.change) - Math.abs(a.change));
+
+  const sum = (assets, key) => assets.reduce((total, asset) => total + asset[key], 0);
+  const sizeOf = requests => sum([...groupAssets(requests).values()], 'size');
+  return {
+    added,
+    removed,
+    changed,
+    totals: {
+      previousBytes: sizeOf(previousRequests),
+      currentBytes: sizeOf(currentRequests),
+      addedBytes: sum(added, 'size'),
+      removedBytes: sum(removed, 'size'),
+      changedBytes: sum(changed, 'change')
+    }
+  };
+}
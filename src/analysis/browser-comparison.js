@@ -0,0 +1,101 @@
+// @ts-check
+
+/**
+ * Browser engine comparison for URL tests
+ * When a URL is tested in several browsers, each browser's average metrics are
+ * compared (under the same device and network profiles) to a reference browser: Firefox (the default engine) when it was
+ * tested, otherwise the first browser alphabetically. A positive difference
+ * means slower (or heavier) than the reference, e.g. WebKit +40% TTFB.
+ */
+
+import { DEVICE_PROFILES } from '../runner/device-profiles.js';
+import { getNetworkProfile } from '../runner/network-profiles.js';
+
+/**
+ * Metrics compared between browsers, keyed by url_tests column name
+ */
+export const COMPARISON_METRICS = {
+  time_to_first_byte_ms: { label: 'TTFB', unit: 'ms' },
+  first_contentful_paint_ms: { label: 'FCP', unit: 'ms' },
+  largest_contentful_paint_ms: { label: 'LCP', unit: 'ms' },
+  total_page_load_ms: { label: 'Page load time', unit: 'ms' },
+  total_transfer_size_bytes: { label: 'Page weight', unit: 'bytes' }
+};
+
+export const REFERENCE_BROWSER = 'firefox';
+
+/**
+ * Choose the browser the others are compared to
+ * @param {string[]} browsers - Browsers a URL was tested in
+ * @returns {string|null}
+ */
+export function pickReferenceBrowser(browsers) {
+  if (browsers.length === 0) return null;
+  return browsers.includes(REFERENCE_BROWSER) ? REFERENCE_BROWSER : [...browsers].sort()[0];
+}
+
+/**
+ * Percent difference of a value from a reference value
+ * @param {number|null} value
+ * @param {number|null} referenceValue
+ * @returns {number|null} Difference rounded to one decimal, or null if either value is missing
+ */
+export function percentDifference(value, referenceValue) {
+  if (value === null || referenceValue === null || referenceValue <= 0) {
+    return null;
+  }
+  return Math.round((value - referenceValue) / referenceValue * 1000) / 10;
+}
+
+/**
+ * Group per-browser metrics by URL, device profile and network profile and compare each browser to the reference browser
+ * @param {Array<object>} rows - One row per URL, device profile, network profile and browser
+ *   (getBrowserMetricsByRun / getBrowserMetricsByUrl)
+ * @returns {Array<{url: string, domain: string, deviceProfile: string, deviceLabel: string, networkProfile: string,
+ *   networkLabel: string, reference: string|null, browsers: object,
+ *   differences: Array<{browser: string, metric: string, value: number, referenceValue: number, percentDifference: number}>}>}
+ *   One entry per URL, device profile and network profile; `browsers` holds each browser's metrics, `differences`
+ *   is empty for single-browser URLs
+ */
+export function compareBrowsers(rows) {
+  /** @type {Map<string, {url: string, domain: string, deviceProfile: string, deviceLabel: string, networkProfile: string,
+   *   networkLabel: string, browsers: object}>} */
+  const byUrl = new Map();
+  for (const row of rows) {
+    const key = `${row.url} ${row.device_profile} ${row.network_profile}`;
+    if (!byUrl.has(key)) {
+      byUrl.set(key, {
+        url: row.url,
+        domain: row.domain,
+        deviceProfile: row.device_profile,
+        deviceLabel: DEVICE_PROFILES[row.device_profile]?.label || row.device_profile,
+        networkProfile: row.network_profile,
+        networkLabel: getNetworkProfile(row.network_profile)?.label || row.network_profile,
+        browsers: {}
+      });
+    }
+    const metrics = { tests: row.tests, passed: row.passed };
+    for (const metric of Object.keys(COMPARISON_METRICS)) {
+      metrics[metric] = row[metric] === null || row[metric] === undefined ? null : parseFloat(row[metric]);
+    }
+    byUrl.get(key).browsers[row.browser] = metrics;
+  }
+
+  return [...byUrl.values()].map(entry => {
+    const reference = pickReferenceBrowser(Object.keys(entry.browsers));
+    const differences = [];
+
+    for (const [browser, metrics] of Object.entries(entry.browsers)) {
+      if (browser === reference) continue;
+      for (const metric of Object.keys(COMPARISON_METRICS)) {
+        const referenceValue = entry.browsers[reference][metric];
+        const difference = percentDifference(metrics[metric], referenceValue);
+        if (difference !== null) {
+          differences.push({ browser, metric, value: metrics[metric], referenceValue, percentDifference: difference });
+        }
+      }
+    }
+
+    return { ...entry, reference, differences };
+  });
+}
@@ -0,0 +1,171 @@
+// @ts-check
+import { readFileSync } from 'fs';
+import path from 'path';
+
+/**
+ * Performance budget evaluation for URL tests
+ * Budgets are read from a JSON file (tests/budgets.json by default, or BUDGETS_FILE;
+ * see tests/budgets.example.json) and apply either globally ("match": "*") or to
+ * URLs matching a wildcard pattern. When several budgets set the same metric for
+ * a URL, the one listed last in the file wins, so put global budgets first.
+ *
+ * Example budget file:
+ * {
+ *   "budgets": [
+ *     {
+ *       "name": "Global",
+ *       "match": "*",
+ *       "limits": { "total_page_load_ms": 3000, "time_to_first_byte_ms": 800, "http_5xx_count": 0 }
+ *     }
+ *   ]
+ * }
+ *
+ * Each limit is the maximum allowed value, as a number (e.g. bytes, not "2MB").
+ * A test breaches a budget when a metric is greater than its limit.
+ */
+
+/**
+ * Metrics that budgets can limit, keyed by url_tests column name
+ * (plus HTTP status counts derived from the HAR file)
+ */
+export const BUDGET_METRICS = {
+  dns_lookup_ms: m => m.navigation?.dnsLookup,
+  tcp_connection_ms: m => m.navigation?.tcpConnection,
+  tls_negotiation_ms: m => m.navigation?.tlsNegotiation,
+  time_to_first_byte_ms: m => m.navigation?.timeToFirstByte,
+  response_time_ms: m => m.navigation?.responseTime,
+  dom_content_loaded_ms: m => m.navigation?.domContentLoaded,
+  dom_interactive_ms: m => m.navigation?.domInteractive,
+  total_page_load_ms: m => m.navigation?.pageLoadTime,
+  largest_contentful_paint_ms: m => m.webVitals?.largestContentfulPaint,
+  first_contentful_paint_ms: m => m.webVitals?.firstContentfulPaint,
+  cumulative_layout_shift: m => m.webVitals?.cumulativeLayoutShift,
+  total_blocking_time_ms: m => m.webVitals?.totalBlockingTime,
+  doc_transfer_size_bytes: m => m.navigation?.transferSize,
+  total_resources: m => m.resources?.total,
+  total_transfer_size_bytes: m => m.resources?.totalTransferSize,
+  total_encoded_size_bytes: m => m.resources?.totalEncodedSize,
+  http_4xx_count: (m, codes) => countStatusCodes(codes, 400, 499),
+  http_5xx_count: (m, codes) => countStatusCodes(codes, 500, 599)
+};
+
+// Budgets of each budget file that was loaded, keyed by resolved path
+/** @type {Map<string, Array<{name: string, match: string, limits: object}>>} */
+const budgetCache = new Map();
+
+/**
+ * Count responses with a status code in the given range
+ * @param {object} httpResponseCodes - HTTP response code counts
+ * @param {number} min - Lowest status code (inclusive)
+ * @param {number} max - Highest status code (inclusive)
+ * @returns {number}
+ */
+function countStatusCodes(httpResponseCodes, min, max) {
+  return Object.entries(httpResponseCodes || {})
+    .filter(([code]) => parseInt(code) >= min && parseInt(code) <= max)
+    .reduce((total, [, count]) => total + count, 0);
+}
+
+/**
+ * Convert a wildcard URL pattern ("*" matches anything) to a RegExp
+ * @param {string} pattern - URL pattern, e.g. 'https://www.uchicago.edu/*'
+ * @returns {RegExp}
+ */
+export function patternToRegExp(pattern) {
+  const escaped = pattern
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+/**
+ * Load budgets from the budget file
+ * A missing file means no budgets; an invalid file is reported and ignored.
+ * Each file is read once per process
+ * @param {string} [filePath] - Budget file path (default: BUDGETS_FILE or tests/budgets.json)
+ * @returns {Array<{name: string, match: string, limits: object}>}
+ */
+export function loadBudgets(filePath = process.env.BUDGETS_FILE || path.join(process.cwd(), 'tests', 'budgets.json')) {
+  const resolvedPath = path.resolve(filePath);
+  if (budgetCache.has(resolvedPath)) {
+    return budgetCache.get(resolvedPath);
+  }
+
+  let budgets;
+  try {
+    const content = JSON.parse(readFileSync(resolvedPath, 'utf-8'));
+    budgets = (content.budgets || []).map((budget, index) => ({
+      name: budget.name || `Budget ${index + 1}`,
+      match: budget.match || '*',
+      limits: budget.limits || {}
+    }));
+
+    // Warn about limits we can't evaluate rather than silently ignoring them
+    for (const budget of budgets) {
+      for (const [metric, threshold] of Object.entries(budget.limits)) {
+        if (!BUDGET_METRICS[metric]) {
+          console.warn(`⚠ Budget "${budget.name}" uses unknown metric "${metric}" - ignored`);
+        } else if (typeof threshold !== 'number' || !Number.isFinite(threshold)) {
+          console.warn(`⚠ Budget "${budget.name}" limit for "${metric}" is not a number - ignored`);
+          delete budget.limits[metric];
+        }
+      }
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`⚠ Failed to load performance budgets from ${filePath}:`, error.message);
+    }
+    budgets = [];
+  }
+
+  budgetCache.set(resolvedPath, budgets);
+  return budgets;
+}
+
+/**
+ * Evaluate all budgets that apply to a URL
+ * Metrics that were not collected (null) are skipped rather than counted as breaches
+ * @param {string} url - Tested URL
+ * @param {object} performanceMetrics - Performance metrics from collectPerformanceMetrics
+ * @param {object} httpResponseCodes - HTTP response code counts
+ * @param {Array} [budgets] - Budgets to evaluate (default: loadBudgets())
+ * @returns {Array<{budgetName: string, metric: string, threshold: number, actual: number}>} Budget violations
+ */
+export function evaluateBudgets(url, performanceMetrics, httpResponseCodes, budgets = loadBudgets()) {
+  // Resolve the effective limit for each metric (later budgets override earlier ones)
+  const effectiveLimits = new Map();
+  for (const budget of budgets) {
+    if (!patternToRegExp(budget.match).test(url)) {
+      continue;
+    }
+    for (const [metric, threshold] of Object.entries(budget.limits)) {
+      effectiveLimits.set(metric, { budgetName: budget.name, threshold });
+    }
+  }
+
+  const violations = [];
+  for (const [metric, { budgetName, threshold }] of effectiveLimits) {
+    const getValue = BUDGET_METRICS[metric];
+    if (!getValue) continue;
+
+    const actual = getValue(performanceMetrics || {}, httpResponseCodes);
+    if (actual === null || actual === undefined) continue;
+
+    if (actual > threshold) {
+      violations.push({ budgetName, metric, threshold, actual });
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Format a budget violation as a one-line message
+ * @param {{budgetName: string, metric: string, threshold: number, actual: number}} violation
+ * @returns {string}
+ */
+export function formatViolation(violation) {
+  const actual = Math.round(violation.actual * 100) / 100;
+  return `${violation.metric} ${actual} > ${violation.threshold} (${violation.budgetName})`;
+}
@@ -0,0 +1,246 @@
+// @ts-check
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Request-level data from the HAR file recorded with each URL test
+ * Each HAR entry is normalized to one request: its URL and host, status, content
+ * type, sizes, when it started (relative to the first request) and how long each
+ * phase took. Phases follow the HAR spec (blocked, dns, connect, ssl, send, wait,
+ * receive); ssl is part of connect in HAR, so connect is reported without it here
+ * and the phases add up to the request's duration. Phases the browser didn't
+ * report (-1 in HAR) are null.
+ *
+ * Content types come from the response's MIME type (falling back to the URL's
+ * file extension), since HAR files recorded by Firefox and WebKit have no
+ * resource type of their own.
+ */
+
+export const CONTENT_TYPES = ['document', 'script', 'stylesheet', 'image', 'font', 'media', 'other'];
+
+export const TIMING_PHASES = ['blocked', 'dns', 'connect', 'ssl', 'send', 'wait', 'receive'];
+
+const MIME_TYPE_PATTERNS = [
+  ['document', /^(text\/html|application\/xhtml\+xml)/],
+  ['script', /(javascript|ecmascript|^application\/wasm)/],
+  ['stylesheet', /^text\/css/],
+  ['image', /^image\//],
+  ['font', /(^font\/|^application\/(x-)?font|^application\/vnd\.ms-fontobject)/],
+  ['media', /^(audio|video)\//]
+];
+
+const EXTENSION_PATTERNS = [
+  ['script', /\.m?js$/],
+  ['stylesheet', /\.css$/],
+  ['image', /\.(png|jpe?g|gif|svg|webp|avif|ico)$/],
+  ['font', /\.(woff2?|ttf|otf|eot)$/],
+  ['media', /\.(mp4|webm|mp3|ogg|wav|m4a|mov)$/]
+];
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const TEST_HISTORY_DIR = path.join(__dirname, '..', '..', 'test-history');
+
+/**
+ * Classify a response into one of CONTENT_TYPES
+ * @param {string|null|undefined} mimeType - Response MIME type (parameters such as charset are ignored)
+ * @param {string} url - Request URL, used when the MIME type is missing or generic
+ * @returns {string}
+ */
+export function classifyContentType(mimeType, url) {
+  const mime = (mimeType || '').split(';')[0].trim().toLowerCase();
+  for (const [type, pattern] of MIME_TYPE_PATTERNS) {
+    if (pattern.test(mime)) {
+      return type;
+    }
+  }
+
+  let pathname = '';
+  try {
+    pathname = new URL(url).pathname.toLowerCase();
+  } catch (error) {
+    return 'other';
+  }
+  for (const [type, pattern] of EXTENSION_PATTERNS) {
+    if (pattern.test(pathname)) {
+      return type;
+    }
+  }
+  return 'other';
+}
+
+/**
+ * A HAR timing or size, with HAR's -1 ("not available") as null
+ * @param {number|undefined} value
+ * @returns {number|null}
+ */
+function harNumber(value) {
+  return typeof value === 'number' && value >= 0 ? value : null;
+}
+
+/**
+ * Value of a response header (HAR header names keep the server's case)
+ * @param {Array<{name: string, value: string}>|undefined} headers
+ * @param {string} name - Lower-case header name
+ * @returns {string|null}
+ */
+function headerValue(headers, name) {
+  const header = (headers || []).find(h => h?.name?.toLowerCase() === name);
+  return header ? header.value : null;
+}
+
+/**
+ * Normalize the entries of a parsed HAR file
+ * @param {any} har - Parsed HAR file
+ * @returns {{startedAt: string|null, totalDurationMs: number, entries: Array<{index: number, url: string, host: string,
+ *   method: string, status: number|null, statusText: string, contentType: string, mimeType: string|null,
+ *   startMs: number, durationMs: number, timings: Record<string, number|null>, transferSize: number|null,
+ *   contentSize: number|null, httpVersion: string|null, serverIp: string|null, fromCache: boolean,
+ *   cacheControl: string|null, expires: string|null, etag: string|null, lastModified: string|null}>}}
+ *   Requests in the order they started, and when the first one started and the last one ended
+ */
+export function normalizeHarEntries(har) {
+  const rawEntries = (har?.log?.entries || [])
+    .filter(entry => entry?.request?.url)
+    .map(entry => ({ entry, started: Date.parse(entry.startedDateTime) }))
+    .sort((a, b) => a.started - b.started);
+  if (rawEntries.length === 0) {
+    return { startedAt: null, totalDurationMs: 0, entries: [] };
+  }
+
+  const firstStart = rawEntries[0].started;
+  let totalDurationMs = 0;
+  const entries = rawEntries.map(({ entry, started }, index) => {
+    const response = entry.response || {};
+    const harTimings = entry.timings || {};
+    const ssl = harNumber(harTimings.ssl);
+    const connect = harNumber(harTimings.connect);
+    const timings = {
+      blocked: harNumber(harTimings.blocked),
+      dns: harNumber(harTimings.dns),
+      connect: connect !== null && ssl !== null ? Math.max(0, connect - ssl) : connect,
+      ssl: ssl,
+      send: harNumber(harTimings.send),
+      wait: harNumber(harTimings.wait),
+      receive: harNumber(harTimings.receive)
+    };
+    const durationMs = harNumber(entry.time) ?? TIMING_PHASES.reduce((total, phase) => total + (timings[phase] || 0), 0);
+    const startMs = Number.isNaN(started) ? 0 : started - firstStart;
+    totalDurationMs = Math.max(totalDurationMs, startMs + durationMs);
+
+    // Playwright records the bytes on the wire as _transferSize; otherwise headers plus body
+    const headersSize = harNumber(response.headersSize);
+    const bodySize = harNumber(response.bodySize);
+    const transferSize = harNumber(response._transferSize)
+      ?? (headersSize !== null || bodySize !== null ? (headersSize || 0) + (bodySize || 0) : null);
+
+    let host = '';
+    try {
+      host = new URL(entry.request.url).hostname;
+    } catch (error) {
+      // Keep requests with unusual URLs (e.g. data:) in the list without a host
+    }
+
+    const status = harNumber(response.status);
+    return {
+      index: index,
+      url: entry.request.url,
+      host: host,
+      method: entry.request.method || 'GET',
+      // Failed and aborted requests have no status
+      status: status ? status : null,
+      statusText: response.statusText || '',
+      contentType: classifyContentType(response.content?.mimeType, entry.request.url),
+      mimeType: response.content?.mimeType || null,
+      startMs: startMs,
+      durationMs: durationMs,
+      timings: timings,
+      transferSize: transferSize,
+      contentSize: harNumber(response.content?.size),
+      httpVersion: response.httpVersion || null,
+      serverIp: entry.serverIPAddress || null,
+      // Responses served from the browser cache transfer nothing
+      fromCache: Boolean(status) && (Boolean(entry.cache?.beforeRequest || entry.cache?.afterRequest) || transferSize === 0),
+      cacheControl: headerValue(response.headers, 'cache-control'),
+      expires: headerValue(response.headers, 'expires'),
+      etag: headerValue(response.headers, 'etag'),
+      lastModified: headerValue(response.headers, 'last-modified')
+    };
+  });
+
+  return {
+    startedAt: new Date(firstStart).toISOString(),
+    totalDurationMs: totalDurationMs,
+    entries: entries
+  };
+}
+
+/**
+ * Total a URL test's requests per content type (the page weight breakdown)
+ * Inline data: URLs are left out, as their bytes are part of the document or
+ * stylesheet that contains them
+ * @param {Array<{url: string, contentType: string, transferSize: number|null, contentSize: number|null}>} entries
+ *   Requests normalized by normalizeHarEntries
+ * @returns {Array<{contentType: string, requestCount: number, transferSize: number, contentSize: number}>}
+ *   Content types that had requests, in CONTENT_TYPES order
+ */
+export function summarizeContentTypes(entries) {
+  const totals = new Map();
+  for (const entry of entries) {
+    if (entry.url.startsWith('data:')) {
+      continue;
+    }
+
+    const total = totals.get(entry.contentType) || { requestCount: 0, transferSize: 0, contentSize: 0 };
+    total.requestCount++;
+    total.transferSize += entry.transferSize || 0;
+    total.contentSize += entry.contentSize || 0;
+    totals.set(entry.contentType, total);
+  }
+
+  return CONTENT_TYPES
+    .filter(contentType => totals.has(contentType))
+    .map(contentType => ({ contentType, ...totals.get(contentType) }));
+}
+
+/**
+ * Find a test's HAR file in this project's test-history directory
+ * Paths are stored as seen by the test runner (e.g. /app/test-history/... in Docker),
+ * so only the part after test-history/ is used
+ * @param {string} harPath - url_tests.har_path
+ * @returns {string|null} Local path, or null if the path isn't in test-history
+ */
+export function resolveHarPath(harPath) {
+  const parts = harPath.split(/[\\/]/);
+  const index = parts.indexOf('test-history');
+  if (index === -1 || parts.slice(index + 1).some(part => part === '..' || part === '')) {
+    return null;
+  }
+  return path.join(TEST_HISTORY_DIR, ...parts.slice(index + 1));
+}
+
+/**
+ * Read and normalize a HAR file
+ * @param {string} filePath - Path of the HAR file on this machine
+ * @returns {Promise<ReturnType<typeof normalizeHarEntries>|null>} Null if the file is missing or isn't valid JSON
+ */
+export async function readHarFile(filePath) {
+  try {
+    return normalizeHarEntries(JSON.parse(await fs.readFile(filePath, 'utf-8')));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Failed to read HAR file ${filePath}:`, error.message);
+    }
+    return null;
+  }
+}
+
+/**
+ * Read and normalize a test's HAR file from test-history
+ * @param {string} harPath - url_tests.har_path
+ * @returns {Promise<ReturnType<typeof normalizeHarEntries>|null>} Null if the file is missing or isn't valid JSON
+ */
+export async function readHarEntries(harPath) {
+  const localPath = resolveHarPath(harPath);
+  return localPath ? readHarFile(localPath) : null;
+}
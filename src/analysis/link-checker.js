@@ -0,0 +1,223 @@
+// @ts-check
+
+/**
+ * Broken link checks for the anchors of a tested page
+ * The page's `<a href>` links (http and https only, without #fragments) are
+ * requested from Node with HEAD, falling back to GET when HEAD returns an error
+ * status. A link is broken when its final response (after redirects) is 400 or
+ * above, or when it can't be fetched at all (DNS failure, refused connection,
+ * timeout). Each test worker caches the results for the rest
+ * of the run, so links shared by many pages (header, footer) are checked once.
+ *
+ * Link checks are off by default, since checking every link of every page adds
+ * requests to the sites being tested. Broken links don't fail the test. A check
+ * can be given a deadline (to fit in the test's timeout); links without a result
+ * by then are counted as skipped.
+ *
+ * Configuration (environment variables):
+ *   LINK_CHECK              Set to true to check links (default: false)
+ *   LINK_CHECK_SCOPE        'same-origin' (links to the page's own origin) or 'all' (default: same-origin)
+ *   LINK_CHECK_CONCURRENCY  Links checked at the same time per page (default: 5)
+ *   LINK_CHECK_TIMEOUT_MS   Timeout of each request (default: 10000)
+ *   LINK_CHECK_MAX_LINKS    Maximum links checked per page (default: 200)
+ */
+
+export const LINK_CHECK_SCOPES = ['same-origin', 'all'];
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; ProjectPumpkinLinkChecker/1.0)';
+const MAX_ANCHOR_TEXT_LENGTH = 200;
+
+/** @type {Map<string, Promise<{statusCode: number|null, error: string|null}>>} */
+const linkCache = new Map();
+
+/**
+ * Read an integer option from the environment
+ * @param {string} name - Environment variable
+ * @param {number} defaultValue - Used when unset or not a positive integer
+ * @returns {number}
+ */
+function readPositiveInt(name, defaultValue) {
+  const value = parseInt(process.env[name] || '');
+  return value > 0 ? value : defaultValue;
+}
+
+/**
+ * Read link check options from the environment
+ * @returns {{enabled: boolean, scope: string, concurrency: number, timeoutMs: number, maxLinks: number}}
+ */
+export function getLinkCheckOptions() {
+  const scope = process.env.LINK_CHECK_SCOPE || 'same-origin';
+  return {
+    enabled: process.env.LINK_CHECK === 'true',
+    scope: LINK_CHECK_SCOPES.includes(scope) ? scope : 'same-origin',
+    concurrency: readPositiveInt('LINK_CHECK_CONCURRENCY', 5),
+    timeoutMs: readPositiveInt('LINK_CHECK_TIMEOUT_MS', 10000),
+    maxLinks: readPositiveInt('LINK_CHECK_MAX_LINKS', 200)
+  };
+}
+
+/**
+ * Collect the distinct http(s) links of a page's anchors
+ * @param {object} page - Playwright page
+ * @returns {Promise<{origin: string, links: Array<{href: string, text: string}>}>} The page's origin,
+ *   and each link (without its fragment) with the text of the first anchor pointing to it
+ */
+export async function collectLinks(page) {
+  const { origin, anchors } = await page.evaluate(() => ({
+    origin: location.origin,
+    anchors: Array.from(document.querySelectorAll('a[href]')).map(anchor => ({
+      href: /** @type {HTMLAnchorElement} */ (anchor).href,
+      text: (anchor.textContent || anchor.getAttribute('aria-label') || anchor.getAttribute('title') || '').replace(/\s+/g, ' ').trim()
+    }))
+  }));
+
+  /** @type {Map<string, string>} */
+  const links = new Map();
+  for (const anchor of anchors) {
+    let href;
+    try {
+      const url = new URL(anchor.href);
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        continue;
+      }
+      url.hash = '';
+      href = url.href;
+    } catch (error) {
+      continue;
+    }
+    if (!links.has(href) || !links.get(href)) {
+      links.set(href, anchor.text.slice(0, MAX_ANCHOR_TEXT_LENGTH));
+    }
+  }
+
+  return {
+    origin,
+    links: Array.from(links, ([href, text]) => ({ href, text }))
+  };
+}
+
+/**
+ * Request a link and return its final status
+ * @param {string} href - Link URL
+ * @param {number} timeoutMs - Timeout of each request
+ * @returns {Promise<{statusCode: number|null, error: string|null}>}
+ */
+async function requestLink(href, timeoutMs) {
+  /**
+   * @param {string} method
+   * @returns {Promise<number>}
+   */
+  const request = async (method) => {
+    const response = await fetch(href, {
+      method,
+      redirect: 'follow',
+      headers: { 'User-Agent': USER_AGENT },
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    // Only the status matters - don't download the body
+    await response.body?.cancel();
+    return response.status;
+  };
+
+  try {
+    let statusCode = await request('HEAD');
+    // Some servers don't implement or block HEAD; only trust an error from GET
+    if (statusCode >= 400) {
+      statusCode = await request('GET');
+    }
+    return { statusCode, error: null };
+  } catch (error) {
+    const message = error.name === 'TimeoutError'
+      ? `Timed out after ${timeoutMs}ms`
+      : (error.cause?.code || error.cause?.message || error.message);
+    return { statusCode: null, error: message };
+  }
+}
+
+/**
+ * Wait for a promise until a deadline
+ * @template T
+ * @param {Promise<T>} promise
+ * @param {number} deadline - Timestamp (ms)
+ * @returns {Promise<T|null>} The promise's value, or null if the deadline passed first
+ */
+async function beforeDeadline(promise, deadline) {
+  if (deadline === Infinity) {
+    return promise;
+  }
+
+  let timer;
+  const expired = new Promise(resolve => {
+    timer = setTimeout(() => resolve(null), Math.max(0, deadline - Date.now()));
+  });
+  try {
+    return await Promise.race([promise, expired]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Run a function over items with at most `limit` calls in progress
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} limit
+ * @param {(item: T) => Promise<R>} fn
+ * @returns {Promise<R[]>} Results in the order of the items
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Check a page's links
+ * @param {{origin: string, links: Array<{href: string, text: string}>}} collected - Links from collectLinks
+ * @param {{scope: string, concurrency: number, timeoutMs: number, maxLinks: number}} [options]
+ *   Link check options (default: getLinkCheckOptions())
+ * @param {number} [deadline] - Timestamp (ms) by which the check must finish (default: none)
+ * @returns {Promise<{checked: number, skipped: number, brokenLinks: Array<{href: string, text: string,
+ *   statusCode: number|null, error: string|null}>}>} Number of links checked and left out (other origins,
+ *   over the limit or not checked before the deadline), and the broken ones
+ */
+export async function checkLinks(collected, options = getLinkCheckOptions(), deadline = Infinity) {
+  const inScope = options.scope === 'all'
+    ? collected.links
+    : collected.links.filter(link => new URL(link.href).origin === collected.origin);
+  const links = inScope.slice(0, options.maxLinks);
+
+  const results = await mapWithConcurrency(links, options.concurrency, async (link) => {
+    if (Date.now() >= deadline) {
+      return null;
+    }
+    if (!linkCache.has(link.href)) {
+      linkCache.set(link.href, requestLink(link.href, options.timeoutMs));
+    }
+    const result = await beforeDeadline(linkCache.get(link.href), deadline);
+    return result ? { ...link, ...result } : null;
+  });
+
+  const checked = results.filter(result => result !== null);
+  return {
+    checked: checked.length,
+    skipped: collected.links.length - checked.length,
+    brokenLinks: checked.filter(result => result.statusCode === null || result.statusCode >= 400)
+  };
+}
+
+/**
+ * Format a broken link for logs
+ * @param {{href: string, statusCode: number|null, error: string|null}} link
+ * @returns {string}
+ */
+export function formatBrokenLink(link) {
+  return `${link.statusCode ?? link.error} ${link.href}`;
+}
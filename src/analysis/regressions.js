@@ -0,0 +1,142 @@
+// @ts-check
+import { getRegressionCandidates } from '../database/queries.js';
+import { replaceRegressions } from '../database/ingest.js';
+
+/**
+ * Regression detection for URL tests
+ * Each URL test in a run is compared to the URL's own rolling baseline: the
+ * median of its last N PASSED tests in the same browser, device profile and network profile from earlier
+ * runs. A metric is flagged as a regression when it is above the baseline by more than both:
+ *   - REGRESSION_MAD_THRESHOLD robust standard deviations (1.4826 × MAD), and
+ *   - REGRESSION_MIN_CHANGE_PERCENT of the baseline median.
+ * The first rule ignores normal jitter for noisy URLs; the second ignores tiny
+ * changes for very stable URLs (where the MAD can be close to zero).
+ *
+ * Configuration (environment variables):
+ *   REGRESSION_BASELINE_SIZE       Baseline tests per URL (default: 10)
+ *   REGRESSION_MIN_SAMPLES         Minimum baseline tests before flagging (default: 5)
+ *   REGRESSION_MAD_THRESHOLD       Robust standard deviations (default: 3)
+ *   REGRESSION_MIN_CHANGE_PERCENT  Minimum increase over the median (default: 20)
+ */
+
+/**
+ * Metrics checked for regressions, keyed by url_tests column name
+ */
+export const REGRESSION_METRICS = {
+  total_page_load_ms: { label: 'Page load time', unit: 'ms' },
+  time_to_first_byte_ms: { label: 'TTFB', unit: 'ms' },
+  total_transfer_size_bytes: { label: 'Page weight', unit: 'bytes' }
+};
+
+// Scales the MAD to be comparable with a standard deviation for normally distributed data
+const MAD_SCALE = 1.4826;
+
+/**
+ * Read a number option from the environment
+ * @param {string} name - Environment variable
+ * @param {number} defaultValue - Used when unset or below the minimum
+ * @param {number} minimum - Smallest accepted value
+ * @returns {number}
+ */
+function readNumber(name, defaultValue, minimum) {
+  const value = parseFloat(process.env[name] || '');
+  return Number.isFinite(value) && value >= minimum ? value : defaultValue;
+}
+
+/**
+ * Read regression detection options from the environment
+ * The thresholds may be 0 (flag any increase); the sizes need at least one test
+ * @returns {{baselineSize: number, minSamples: number, madThreshold: number, minChangePercent: number}}
+ */
+export function getRegressionOptions() {
+  return {
+    baselineSize: Math.floor(readNumber('REGRESSION_BASELINE_SIZE', 10, 1)),
+    minSamples: Math.floor(readNumber('REGRESSION_MIN_SAMPLES', 5, 1)),
+    madThreshold: readNumber('REGRESSION_MAD_THRESHOLD', 3, 0),
+    minChangePercent: readNumber('REGRESSION_MIN_CHANGE_PERCENT', 20, 0)
+  };
+}
+
+/**
+ * Calculate the median of a list of numbers
+ * @param {number[]} values
+ * @returns {number|null} Median, or null for an empty list
+ */
+export function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0
+    ? (sorted[middle - 1] + sorted[middle]) / 2
+    : sorted[middle];
+}
+
+/**
+ * Compare a value to its baseline history
+ * @param {number|null} actual - Value from the current test
+ * @param {number[]} history - Values from the baseline tests
+ * @param {object} [options] - Detection options (default: getRegressionOptions())
+ * @returns {{baseline: number, mad: number, actual: number, percentChange: number, sampleCount: number}|null} Regression, or null if none
+ */
+export function evaluateRegression(actual, history, options = getRegressionOptions()) {
+  if (actual === null || actual === undefined || history.length < options.minSamples) {
+    return null;
+  }
+
+  const baseline = median(history);
+  if (baseline <= 0) {
+    return null;
+  }
+
+  const mad = median(history.map(value => Math.abs(value - baseline)));
+  const allowedIncrease = Math.max(
+    options.madThreshold * MAD_SCALE * mad,
+    baseline * options.minChangePercent / 100
+  );
+
+  if (actual <= baseline + allowedIncrease) {
+    return null;
+  }
+
+  return {
+    baseline,
+    mad,
+    actual,
+    percentChange: Math.round((actual - baseline) / baseline * 10000) / 100,
+    sampleCount: history.length
+  };
+}
+
+/**
+ * Detect and store regressions for every URL test in a test run
+ * @param {number} testRunId - Test run ID
+ * @param {object} [options] - Detection options (default: getRegressionOptions())
+ * @returns {Promise<Array>} Detected regressions
+ */
+export async function detectRunRegressions(testRunId, options = getRegressionOptions()) {
+  const candidates = await getRegressionCandidates(testRunId, options.baselineSize);
+  const regressions = [];
+
+  for (const test of candidates) {
+    for (const metric of Object.keys(REGRESSION_METRICS)) {
+      const actual = test[metric] === null ? null : parseFloat(test[metric]);
+      const history = (test[`${metric}_history`] || []).map(value => parseFloat(value));
+      const regression = evaluateRegression(actual, history, options);
+
+      if (regression) {
+        regressions.push({
+          urlTestId: test.id,
+          url: test.url,
+          browser: test.browser,
+          deviceProfile: test.device_profile,
+          networkProfile: test.network_profile,
+          metric,
+          ...regression
+        });
+      }
+    }
+  }
+
+  await replaceRegressions(testRunId, regressions);
+  return regressions;
+}
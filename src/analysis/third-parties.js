@@ -0,0 +1,169 @@
+// @ts-check
+import { THIRD_PARTY_ENTITIES } from './third-party-entities.js';
+
+/**
+ * Third-party attribution of a URL test's requests
+ * A request is first-party when its registrable domain (e.g. uchicago.edu for
+ * www.law.uchicago.edu) is the tested URL's, or when both belong to the same vendor
+ * in the entity map (src/analysis/third-party-entities.js). Third-party requests
+ * are grouped by vendor, or by registrable domain for hosts that aren't in the map.
+ *
+ * Each group totals its requests, bytes transferred and blocking time. HAR files
+ * don't record main-thread work, so blocking time is the time the group's scripts
+ * and stylesheets were loading before the page's DOM became interactive, when they
+ * hold up parsing and rendering of the page (overlapping requests are counted once).
+ */
+
+// Public suffixes with more than one label, so e.g. ox.ac.uk isn't treated as ac.uk.
+// Covers the suffixes commonly seen on tested sites, not the full Public Suffix List.
+const MULTI_LABEL_SUFFIXES = new Set([
+  'ac.uk', 'co.uk', 'gov.uk', 'org.uk', 'net.uk', 'ltd.uk', 'nhs.uk', 'sch.uk',
+  'com.au', 'edu.au', 'gov.au', 'net.au', 'org.au',
+  'ac.nz', 'co.nz', 'govt.nz', 'org.nz',
+  'ac.jp', 'co.jp', 'go.jp', 'ne.jp', 'or.jp',
+  'ac.kr', 'co.kr', 'go.kr',
+  'com.br', 'gov.br', 'org.br',
+  'com.cn', 'edu.cn', 'gov.cn', 'org.cn',
+  'com.hk', 'edu.hk', 'gov.hk',
+  'com.sg', 'edu.sg', 'gov.sg',
+  'ac.in', 'co.in', 'gov.in', 'org.in',
+  'ac.il', 'co.il',
+  'ac.za', 'co.za', 'gov.za',
+  'com.mx', 'gob.mx',
+  'com.tr', 'edu.tr',
+  'k12.il.us', 'k12.ca.us', 'k12.ny.us',
+  // Hosting platforms where every site has its own subdomain
+  'github.io', 'netlify.app', 'vercel.app', 'pages.dev', 'herokuapp.com', 'pantheonsite.io', 'azurewebsites.net',
+  'cloudfront.net', 'amazonaws.com', 's3.amazonaws.com', 'blogspot.com', 'wordpress.com'
+]);
+
+// Hosts of the entity map (lower case), each with its entity
+const ENTITY_BY_DOMAIN = new Map(
+  THIRD_PARTY_ENTITIES.flatMap(entity => entity.domains.map(domain => [domain, entity]))
+);
+
+/**
+ * Registrable domain of a host: the public suffix plus one label
+ * @param {string} host - Hostname (e.g. 'www.law.uchicago.edu')
+ * @returns {string} e.g. 'uchicago.edu'; IP addresses and single-label hosts are returned as they are
+ */
+export function getRegistrableDomain(host) {
+  const hostname = (host || '').toLowerCase().replace(/\.$/, '');
+  if (/^[\d.]+$/.test(hostname) || hostname.includes(':')) {
+    return hostname;
+  }
+
+  const labels = hostname.split('.');
+  if (labels.length <= 2) {
+    return hostname;
+  }
+
+  // Try the longest suffix first, so s3.amazonaws.com wins over amazonaws.com
+  for (let i = 1; i < labels.length - 1; i++) {
+    if (MULTI_LABEL_SUFFIXES.has(labels.slice(i).join('.'))) {
+      return labels.slice(i - 1).join('.');
+    }
+  }
+  return labels.slice(-2).join('.');
+}
+
+/**
+ * Find the vendor a host belongs to, matching the most specific domain of the map
+ * @param {string} host - Hostname
+ * @returns {{name: string, category: string, domains: string[]}|null}
+ */
+export function findEntity(host) {
+  const labels = (host || '').toLowerCase().split('.');
+  for (let i = 0; i < labels.length - 1; i++) {
+    const entity = ENTITY_BY_DOMAIN.get(labels.slice(i).join('.'));
+    if (entity) {
+      return entity;
+    }
+  }
+  return null;
+}
+
+/**
+ * Time covered by a set of intervals, counting overlaps once
+ * @param {Array<[number, number]>} intervals - [start, end] pairs
+ * @returns {number}
+ */
+function coveredTime(intervals) {
+  let total = 0;
+  let coveredUntil = -Infinity;
+  for (const [start, end] of [...intervals].sort((a, b) => a[0] - b[0])) {
+    if (end > coveredUntil) {
+      total += end - Math.max(start, coveredUntil);
+      coveredUntil = end;
+    }
+  }
+  return total;
+}
+
+/**
+ * Total the requests of a URL test per vendor
+ * @param {Array<{host: string, contentType: string, startMs: number, durationMs: number, transferSize: number|null}>} requests
+ *   Requests normalized by normalizeHarEntries (src/analysis/har.js)
+ * @param {string} pageUrl - Tested URL
+ * @param {number|null} domInteractiveMs - When the page's DOM became interactive, after its first request
+ *   (null counts every script and stylesheet)
+ * @returns {Array<{name: string, category: string, firstParty: boolean, hosts: string[],
+ *   requestCount: number, transferSize: number, blockingTimeMs: number}>}
+ *   The first party (if it made any requests), then third parties by bytes transferred
+ */
+export function summarizeThirdParties(requests, pageUrl, domInteractiveMs = null) {
+  const pageHost = new URL(pageUrl).hostname;
+  const pageDomain = getRegistrableDomain(pageHost);
+  const pageEntity = findEntity(pageHost);
+
+  /** @type {Map<string, {name: string, category: string, firstParty: boolean, hosts: Set<string>,
+   *   requestCount: number, transferSize: number, blocking: Array<[number, number]>}>} */
+  const groups = new Map();
+
+  for (const request of requests) {
+    // Requests without a host (data:, blob:) are part of the page itself
+    const host = request.host || pageHost;
+    const domain = getRegistrableDomain(host);
+    const entity = findEntity(host);
+    const firstParty = domain === pageDomain || (entity !== null && entity === pageEntity);
+
+    const key = firstParty ? '' : (entity ? entity.name : domain);
+    let group = groups.get(key);
+    if (!group) {
+      group = {
+        name: firstParty ? (pageEntity?.name || pageDomain) : key,
+        category: firstParty ? 'first-party' : (entity?.category || 'other'),
+        firstParty: firstParty,
+        hosts: new Set(),
+        requestCount: 0,
+        transferSize: 0,
+        blocking: []
+      };
+      groups.set(key, group);
+    }
+
+    group.hosts.add(host);
+    group.requestCount++;
+    group.transferSize += request.transferSize || 0;
+
+    if (request.contentType === 'script' || request.contentType === 'stylesheet') {
+      const end = request.startMs + request.durationMs;
+      const blockingEnd = domInteractiveMs === null ? end : Math.min(end, domInteractiveMs);
+      if (blockingEnd > request.startMs) {
+        group.blocking.push([request.startMs, blockingEnd]);
+      }
+    }
+  }
+
+  return [...groups.values()]
+    .map(group => ({
+      name: group.name,
+      category: group.category,
+      firstParty: group.firstParty,
+      hosts: [...group.hosts].sort(),
+      requestCount: group.requestCount,
+      transferSize: group.transferSize,
+      blockingTimeMs: Math.round(coveredTime(group.blocking) * 100) / 100
+    }))
+    .sort((a, b) => Number(b.firstParty) - Number(a.firstParty) || b.transferSize - a.transferSize);
+}
@@ -0,0 +1,302 @@
+// @ts-check
+
+/**
+ * Third-party vendors and the domains their requests come from
+ * Domains match the request host and its subdomains. Hosts of vendors that aren't
+ * listed are grouped by their registrable domain instead.
+ *
+ * Categories: analytics, advertising, tag-manager, cdn, fonts, social, video,
+ * customer-success, consent, hosting, other
+ */
+export const THIRD_PARTY_ENTITIES = [
+  {
+    name: 'Google Analytics',
+    category: 'analytics',
+    domains: ['google-analytics.com', 'analytics.google.com']
+  },
+  {
+    name: 'Google Tag Manager',
+    category: 'tag-manager',
+    domains: ['googletagmanager.com']
+  },
+  {
+    name: 'Google Fonts',
+    category: 'fonts',
+    domains: ['fonts.googleapis.com', 'fonts.gstatic.com']
+  },
+  {
+    name: 'Google CDN',
+    category: 'cdn',
+    domains: ['ajax.googleapis.com', 'gstatic.com', 'googleapis.com']
+  },
+  {
+    name: 'Google Ads',
+    category: 'advertising',
+    domains: ['doubleclick.net', 'googleadservices.com', 'googlesyndication.com', 'adservice.google.com', 'googletagservices.com']
+  },
+  {
+    name: 'Google Maps',
+    category: 'other',
+    domains: ['maps.googleapis.com', 'maps.gstatic.com']
+  },
+  {
+    name: 'reCAPTCHA',
+    category: 'other',
+    domains: ['recaptcha.net']
+  },
+  {
+    name: 'YouTube',
+    category: 'video',
+    domains: ['youtube.com', 'youtube-nocookie.com', 'ytimg.com', 'googlevideo.com']
+  },
+  {
+    name: 'Vimeo',
+    category: 'video',
+    domains: ['vimeo.com', 'vimeocdn.com']
+  },
+  {
+    name: 'Kaltura',
+    category: 'video',
+    domains: ['kaltura.com']
+  },
+  {
+    name: 'Facebook',
+    category: 'social',
+    domains: ['facebook.com', 'facebook.net', 'fbcdn.net']
+  },
+  {
+    name: 'Instagram',
+    category: 'social',
+    domains: ['instagram.com', 'cdninstagram.com']
+  },
+  {
+    name: 'X (Twitter)',
+    category: 'social',
+    domains: ['twitter.com', 'twimg.com', 'x.com', 't.co']
+  },
+  {
+    name: 'LinkedIn',
+    category: 'social',
+    domains: ['linkedin.com', 'licdn.com']
+  },
+  {
+    name: 'TikTok',
+    category: 'social',
+    domains: ['tiktok.com', 'tiktokcdn.com']
+  },
+  {
+    name: 'AddThis',
+    category: 'social',
+    domains: ['addthis.com', 'addthisedge.com']
+  },
+  {
+    name: 'ShareThis',
+    category: 'social',
+    domains: ['sharethis.com']
+  },
+  {
+    name: 'Microsoft Clarity',
+    category: 'analytics',
+    domains: ['clarity.ms']
+  },
+  {
+    name: 'Microsoft Advertising',
+    category: 'advertising',
+    domains: ['bat.bing.com']
+  },
+  {
+    name: 'Hotjar',
+    category: 'analytics',
+    domains: ['hotjar.com', 'hotjar.io']
+  },
+  {
+    name: 'Crazy Egg',
+    category: 'analytics',
+    domains: ['crazyegg.com']
+  },
+  {
+    name: 'Siteimprove',
+    category: 'analytics',
+    domains: ['siteimproveanalytics.com', 'siteimproveanalytics.io', 'siteimprove.com']
+  },
+  {
+    name: 'Adobe Analytics',
+    category: 'analytics',
+    domains: ['omtrdc.net', '2o7.net', 'demdex.net', 'adobedtm.com']
+  },
+  {
+    name: 'Segment',
+    category: 'analytics',
+    domains: ['segment.com', 'segment.io']
+  },
+  {
+    name: 'Mixpanel',
+    category: 'analytics',
+    domains: ['mixpanel.com', 'mxpnl.com']
+  },
+  {
+    name: 'Heap',
+    category: 'analytics',
+    domains: ['heap.io', 'heapanalytics.com']
+  },
+  {
+    name: 'New Relic',
+    category: 'analytics',
+    domains: ['newrelic.com', 'nr-data.net']
+  },
+  {
+    name: 'Sentry',
+    category: 'analytics',
+    domains: ['sentry.io', 'sentry-cdn.com']
+  },
+  {
+    name: 'Cloudflare',
+    category: 'cdn',
+    domains: ['cdnjs.cloudflare.com', 'cloudflareinsights.com', 'cloudflare.com']
+  },
+  {
+    name: 'jsDelivr',
+    category: 'cdn',
+    domains: ['jsdelivr.net']
+  },
+  {
+    name: 'unpkg',
+    category: 'cdn',
+    domains: ['unpkg.com']
+  },
+  {
+    name: 'jQuery CDN',
+    category: 'cdn',
+    domains: ['code.jquery.com']
+  },
+  {
+    name: 'Bootstrap CDN',
+    category: 'cdn',
+    domains: ['bootstrapcdn.com']
+  },
+  {
+    name: 'Akamai',
+    category: 'cdn',
+    domains: ['akamaihd.net', 'akamaized.net', 'akamai.net']
+  },
+  {
+    name: 'Amazon CloudFront',
+    category: 'cdn',
+    domains: ['cloudfront.net']
+  },
+  {
+    name: 'Amazon Web Services',
+    category: 'hosting',
+    domains: ['amazonaws.com']
+  },
+  {
+    name: 'Fastly',
+    category: 'cdn',
+    domains: ['fastly.net', 'fastly.com']
+  },
+  {
+    name: 'Font Awesome',
+    category: 'fonts',
+    domains: ['fontawesome.com']
+  },
+  {
+    name: 'Adobe Fonts',
+    category: 'fonts',
+    domains: ['typekit.net', 'typekit.com']
+  },
+  {
+    name: 'Fonts.com',
+    category: 'fonts',
+    domains: ['fonts.net', 'fonts.com']
+  },
+  {
+    name: 'Cloud.typography',
+    category: 'fonts',
+    domains: ['typography.com']
+  },
+  {
+    name: 'OneTrust',
+    category: 'consent',
+    domains: ['onetrust.com', 'cookielaw.org', 'cookiepro.com']
+  },
+  {
+    name: 'Cookiebot',
+    category: 'consent',
+    domains: ['cookiebot.com']
+  },
+  {
+    name: 'TrustArc',
+    category: 'consent',
+    domains: ['trustarc.com', 'truste.com']
+  },
+  {
+    name: 'Intercom',
+    category: 'customer-success',
+    domains: ['intercom.io', 'intercomcdn.com']
+  },
+  {
+    name: 'Zendesk',
+    category: 'customer-success',
+    domains: ['zendesk.com', 'zdassets.com']
+  },
+  {
+    name: 'LivePerson',
+    category: 'customer-success',
+    domains: ['liveperson.net', 'lpsnmedia.net']
+  },
+  {
+    name: 'HubSpot',
+    category: 'customer-success',
+    domains: ['hubspot.com', 'hs-scripts.com', 'hs-analytics.net', 'hsforms.net', 'hubspot.net', 'usemessages.com']
+  },
+  {
+    name: 'Salesforce',
+    category: 'customer-success',
+    domains: ['salesforce.com', 'force.com', 'pardot.com', 'salesforceliveagent.com']
+  },
+  {
+    name: 'Qualtrics',
+    category: 'customer-success',
+    domains: ['qualtrics.com']
+  },
+  {
+    name: 'Mailchimp',
+    category: 'customer-success',
+    domains: ['mailchimp.com', 'list-manage.com', 'chimpstatic.com']
+  },
+  {
+    name: 'Trumba',
+    category: 'other',
+    domains: ['trumba.com']
+  },
+  {
+    name: 'Localist',
+    category: 'other',
+    domains: ['localist.com']
+  },
+  {
+    name: 'Issuu',
+    category: 'other',
+    domains: ['issuu.com', 'isu.pub']
+  },
+  {
+    name: 'Squarespace',
+    category: 'hosting',
+    domains: ['squarespace.com', 'sqspcdn.com', 'squarespace-cdn.com']
+  },
+  {
+    name: 'WordPress.com',
+    category: 'hosting',
+    domains: ['wp.com', 'wordpress.com']
+  },
+  {
+    name: 'Pantheon',
+    category: 'hosting',
+    domains: ['pantheonsite.io']
+  },
+  {
+    name: 'Acquia',
+    category: 'hosting',
+    domains: ['acquia.com', 'acquia-sites.com']
+  }
+];
@@ -0,0 +1,194 @@
+// @ts-check
+import { promises as fs } from 'fs';
+import { PNG } from 'pngjs';
+import pixelmatch from 'pixelmatch';
+import { getApprovedBaseline, getPreviousScreenshot } from '../database/visual-baselines.js';
+
+/**
+ * Visual regression diffing against a URL's baseline screenshot
+ * Each screenshot is compared with the approved baseline of the same URL in the same
+ * browser and device profile (see src/database/visual-baselines.js), or with the
+ * previous screenshot if no baseline has been approved. pixelmatch compares the pixels perceptually
+ * (YIQ colour distance, ignoring anti-aliasing), so colour changes below the pixel
+ * threshold don't count. When the page changed size, the area that only one of
+ * the screenshots covers counts as changed. Regions of the monitored URL's
+ * diff-ignore selectors, in either screenshot, are skipped. A test is visually
+ * changed when more than the changed percent of its pixels differ.
+ *
+ * The diff image (diff.png, next to screenshot.png) is a transparent mask the size
+ * of the larger screenshot: changed pixels are red, the area only one screenshot
+ * covers is light red and skipped regions are grey.
+ *
+ * Configuration (environment variables):
+ *   VISUAL_DIFF_THRESHOLD        Percent of changed pixels that marks a test as visually changed (default: 1)
+ *   VISUAL_DIFF_PIXEL_THRESHOLD  Per-pixel colour tolerance from 0 (exact) to 1 (default: 0.1)
+ */
+
+const DIFF_COLOR = [255, 0, 0];
+const SIZE_CHANGE_COLOR = [255, 0, 0, 64];
+const IGNORED_COLOR = [128, 128, 128, 96];
+
+/**
+ * Read visual diff options from the environment
+ * @returns {{changedPercent: number, pixelThreshold: number}}
+ */
+export function getVisualDiffOptions() {
+  const changedPercent = parseFloat(process.env.VISUAL_DIFF_THRESHOLD);
+  const pixelThreshold = parseFloat(process.env.VISUAL_DIFF_PIXEL_THRESHOLD);
+  return {
+    // 0 marks a test as changed as soon as any pixel differs
+    changedPercent: changedPercent >= 0 ? changedPercent : 1,
+    pixelThreshold: pixelThreshold >= 0 && pixelThreshold <= 1 ? pixelThreshold : 0.1
+  };
+}
+
+/**
+ * Copy the top-left corner of an image
+ * @param {PNG} image
+ * @param {number} width
+ * @param {number} height
+ * @returns {PNG}
+ */
+function crop(image, width, height) {
+  if (image.width === width && image.height === height) {
+    return image;
+  }
+  const cropped = new PNG({ width, height });
+  PNG.bitblt(image, cropped, 0, 0, width, height, 0, 0);
+  return cropped;
+}
+
+/**
+ * Mark the pixels of some regions
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Array<{x: number, y: number, width: number, height: number}>} regions - Regions in image pixels
+ * @returns {Uint8Array|null} One entry per pixel, 1 inside a region (null without regions)
+ */
+function createRegionMask(width, height, regions) {
+  if (regions.length === 0) {
+    return null;
+  }
+  const mask = new Uint8Array(width * height);
+  for (const region of regions) {
+    const right = Math.min(width, region.x + region.width);
+    const bottom = Math.min(height, region.y + region.height);
+    for (let y = Math.max(0, region.y); y < bottom; y++) {
+      mask.fill(1, y * width + Math.max(0, region.x), y * width + right);
+    }
+  }
+  return mask;
+}
+
+/**
+ * Compare two screenshots and write the diff image
+ * @param {string} previousPath - Earlier screenshot (PNG)
+ * @param {string} currentPath - New screenshot (PNG)
+ * @param {string} diffPath - Where to write the diff image
+ * @param {{pixelThreshold: number, ignoreRegions?: Array<{x: number, y: number, width: number, height: number}>}} [options]
+ *   Diff options (default: getVisualDiffOptions()); ignoreRegions are skipped, in screenshot pixels
+ * @returns {Promise<{mismatchPercent: number, changedPixels: number, totalPixels: number, width: number, height: number}>}
+ *   Mismatch rounded to two decimals; width and height are those of the diff image
+ */
+export async function diffScreenshots(previousPath, currentPath, diffPath, options = getVisualDiffOptions()) {
+  const previous = PNG.sync.read(await fs.readFile(previousPath));
+  const current = PNG.sync.read(await fs.readFile(currentPath));
+
+  const width = Math.max(previous.width, current.width);
+  const height = Math.max(previous.height, current.height);
+  const overlapWidth = Math.min(previous.width, current.width);
+  const overlapHeight = Math.min(previous.height, current.height);
+  const ignored = createRegionMask(width, height, options.ignoreRegions || []);
+
+  // Compare the area both screenshots cover, with the previous pixels copied over the ignored ones
+  const overlapPrevious = crop(previous, overlapWidth, overlapHeight);
+  const overlapCurrent = crop(current, overlapWidth, overlapHeight);
+  if (ignored) {
+    for (let y = 0; y < overlapHeight; y++) {
+      for (let x = 0; x < overlapWidth; x++) {
+        if (ignored[y * width + x]) {
+          const offset = (y * overlapWidth + x) * 4;
+          overlapCurrent.data.set(overlapPrevious.data.subarray(offset, offset + 4), offset);
+        }
+      }
+    }
+  }
+  const overlapDiff = new PNG({ width: overlapWidth, height: overlapHeight });
+  const overlapChanged = pixelmatch(
+    overlapPrevious.data,
+    overlapCurrent.data,
+    overlapDiff.data,
+    overlapWidth,
+    overlapHeight,
+    { threshold: options.pixelThreshold, diffColor: DIFF_COLOR, diffMask: true }
+  );
+
+  // Everything outside the overlap only exists in one screenshot
+  const diff = new PNG({ width, height });
+  let sizeChanged = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = y < overlapHeight ? overlapWidth : 0; x < width; x++) {
+      if (!ignored?.[y * width + x]) {
+        diff.data.set(SIZE_CHANGE_COLOR, (y * width + x) * 4);
+        sizeChanged++;
+      }
+    }
+  }
+  PNG.bitblt(overlapDiff, diff, 0, 0, overlapWidth, overlapHeight, 0, 0);
+  if (ignored) {
+    ignored.forEach((isIgnored, pixel) => {
+      if (isIgnored) diff.data.set(IGNORED_COLOR, pixel * 4);
+    });
+  }
+  await fs.writeFile(diffPath, PNG.sync.write(diff));
+
+  const totalPixels = width * height;
+  const changedPixels = overlapChanged + sizeChanged;
+  return {
+    mismatchPercent: Math.round(changedPixels / totalPixels * 10000) / 100,
+    changedPixels,
+    totalPixels,
+    width,
+    height
+  };
+}
+
+/**
+ * Compare a test's screenshot with the baseline of the same URL, browser and device profile:
+ * the approved baseline screenshot, or else the previous screenshot
+ * Needs the database to find the baseline test
+ * @param {{url: string, browser: string, deviceProfile: string, screenshotPath: string, timestamp: string,
+ *   screenshotMasks?: {ignoredRegions: Array<object>}|null}} testMetadata
+ * @param {string} diffPath - Where to write the diff image
+ * @param {{changedPercent: number, pixelThreshold: number}} [options] - Diff options (default: getVisualDiffOptions())
+ * @returns {Promise<{baselineTestId: number, approvedBaseline: boolean, mismatchPercent: number, changed: boolean, diffPath: string}|null>}
+ *   Null if there is no earlier screenshot to compare with, or it can no longer be read
+ */
+export async function compareWithBaseline(testMetadata, diffPath, options = getVisualDiffOptions()) {
+  const { url, browser, deviceProfile, timestamp } = testMetadata;
+  const approved = await getApprovedBaseline(url, browser, deviceProfile, timestamp);
+  const baseline = approved || await getPreviousScreenshot(url, browser, deviceProfile, timestamp);
+  if (!baseline) {
+    return null;
+  }
+
+  // Skip the ignored regions of both screenshots, in case the elements moved
+  const ignoreRegions = [
+    ...(baseline.screenshot_masks?.ignoredRegions || []),
+    ...(testMetadata.screenshotMasks?.ignoredRegions || [])
+  ];
+
+  try {
+    const { mismatchPercent } = await diffScreenshots(baseline.screenshot_path, testMetadata.screenshotPath, diffPath, { ...options, ignoreRegions });
+    return {
+      baselineTestId: baseline.id,
+      approvedBaseline: Boolean(approved),
+      mismatchPercent,
+      changed: mismatchPercent > options.changedPercent,
+      diffPath
+    };
+  } catch (error) {
+    console.warn(`⚠ Could not compare with the screenshot of test ${baseline.id}:`, error.message);
+    return null;
+  }
+}
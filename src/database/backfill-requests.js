@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+// @ts-check
+
+/**
+ * Backfill the requests, third_parties and content_type_sizes tables from HAR files
+ * URL tests ingested before these tables existed have nothing stored in them;
+ * this reads their HAR files from test-history/ and stores what's missing
+ */
+
+import { initializePool, closePool, isDatabaseConnected, query } from './client.js';
+import { insertRequests, insertThirdParties, insertContentTypeSizes } from './ingest.js';
+import { readHarEntries, summarizeContentTypes } from '../analysis/har.js';
+import { summarizeThirdParties } from '../analysis/third-parties.js';
+
+/**
+ * Get URL tests that have a HAR file but no stored requests, third parties or content type sizes
+ * Once a test's requests are stored they say what else it should have: third parties for any
+ * request (the tested site's own requests are a group too), and content type sizes for any
+ * request other than an inline data: URL. Tests whose HAR file had nothing to store for a
+ * table are therefore not selected again on the next run.
+ * @returns {Promise<Array<{id: number, url: string, har_path: string, dom_interactive_ms: string|null,
+ *   has_requests: boolean, has_third_parties: boolean, has_sized_requests: boolean,
+ *   has_content_type_sizes: boolean}>>}
+ */
+async function getTestsToBackfill() {
+  const sql = `
+    SELECT *
+    FROM (
+      SELECT
+        ut.id,
+        ut.url,
+        ut.har_path,
+        ut.dom_interactive_ms,
+        EXISTS (SELECT 1 FROM requests r WHERE r.url_test_id = ut.id) as has_requests,
+        EXISTS (SELECT 1 FROM third_parties tp WHERE tp.url_test_id = ut.id) as has_third_parties,
+        EXISTS (SELECT 1 FROM requests r WHERE r.url_test_id = ut.id AND r.url NOT LIKE 'data:%') as has_sized_requests,
+        EXISTS (SELECT 1 FROM content_type_sizes cts WHERE cts.url_test_id = ut.id) as has_content_type_sizes
+      FROM url_tests ut
+      WHERE ut.har_path IS NOT NULL
+    ) tests
+    WHERE NOT has_requests
+      OR NOT has_third_parties
+      OR (has_sized_requests AND NOT has_content_type_sizes)
+    ORDER BY id
+  `;
+
+  const result = await query(sql);
+  return result?.rows || [];
+}
+
+/**
+ * Store the requests, third parties and content type sizes of every URL test without them
+ * @param {boolean} dryRun - If true, only count the tests that would be backfilled
+ * @returns {Promise<{backfilled: number, missing: number}>}
+ */
+async function backfillRequests(dryRun = false) {
+  await initializePool();
+
+  if (!isDatabaseConnected()) {
+    throw new Error('Database connection failed. Cannot backfill requests.');
+  }
+
+  const tests = await getTestsToBackfill();
+  console.log(`Found ${tests.length} URL tests without stored requests, third parties or content type sizes`);
+
+  let backfilled = 0;
+  let missing = 0;
+  for (const test of tests) {
+    const har = await readHarEntries(test.har_path);
+    if (!har || har.entries.length === 0) {
+      // HAR files of old runs may have been cleaned up
+      missing++;
+      continue;
+    }
+
+    if (!dryRun) {
+      if (!test.has_requests) {
+        await insertRequests(test.id, har.entries);
+      }
+      if (!test.has_third_parties) {
+        const domInteractive = test.dom_interactive_ms !== null ? parseFloat(test.dom_interactive_ms) : null;
+        await insertThirdParties(test.id, summarizeThirdParties(har.entries, test.url, domInteractive));
+      }
+      if (!test.has_content_type_sizes) {
+        await insertContentTypeSizes(test.id, summarizeContentTypes(har.entries));
+      }
+    }
+    backfilled++;
+  }
+
+  console.log(`✓ ${dryRun ? 'Would backfill' : 'Backfilled'} ${backfilled} URL tests (${missing} without a HAR file)`);
+  return { backfilled, missing };
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run') || args.includes('-n');
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+Usage: node src/database/backfill-requests.js [options]
+
+Store the requests, third parties and content type sizes of URL tests ingested
+before the requests, third_parties and content_type_sizes tables existed, read
+from their HAR files in test-history/.
+
+Options:
+  --dry-run, -n    Only count the URL tests that would be backfilled
+  --help, -h       Show this help message
+
+Examples:
+  npm run db:backfill-requests -- --dry-run
+  npm run db:backfill-requests
+`);
+    process.exit(0);
+  }
+
+  try {
+    await backfillRequests(dryRun);
+    await closePool();
+    process.exit(0);
+  } catch (error) {
+    console.error('Backfill failed:', error.message);
+    await closePool();
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export { backfillRequests };
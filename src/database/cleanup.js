@@ -37,9 +37,24 @@ function extractDirNameFromPath(dbPath) {
  * @returns {Promise<Set<string>>} Set of directory names
  */
 async function getDirectoryNamesFromDatabase() {
+  // Any file a test stored keeps its directory: failed tests may only have a HAR file,
+  // and journey tests keep one screenshot per step in their directory
   const sql = `
-    SELECT DISTINCT screenshot_path
-    FROM domain_tests
+    SELECT screenshot_path as file_path
+    FROM url_tests
+    WHERE screenshot_path IS NOT NULL
+    UNION
+    SELECT har_path
+    FROM url_tests
+    WHERE har_path IS NOT NULL
+    UNION
+    SELECT visual_diff_path
+    FROM url_tests
+    WHERE visual_diff_path IS NOT NULL
+    UNION
+    SELECT screenshot_path
+    FROM journey_steps
+    WHERE screenshot_path IS NOT NULL
   `;
 
   const result = await query(sql);
@@ -47,7 +62,7 @@ async function getDirectoryNamesFromDatabase() {
 
   if (result && result.rows) {
     for (const row of result.rows) {
-      const dirName = extractDirNameFromPath(row.screenshot_path);
+      const dirName = extractDirNameFromPath(row.file_path);
       if (dirName) {
         dirNames.add(dirName);
       }
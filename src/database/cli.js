@@ -8,6 +8,8 @@
 
 import { initializePool, closePool, isDatabaseConnected } from './client.js';
 import * as queries from './queries.js';
+import { diffAssets } from '../analysis/asset-diff.js';
+import { formatBytes } from '../reports/format.js';
 
 const COMMANDS = {
   latest: 'Show latest test run summary',
@@ -17,9 +19,12 @@ const COMMANDS = {
   errors: 'Show tests with errors (optional: limit)',
   '404s': 'Show URLs with most 404 errors (optional: limit)',
   'failed-requests': 'Show HTTP 400+ failed request details (optional: limit)',
+  'failing-assets': 'Show request URLs failing on the most sites in the last 30 days (optional: limit)',
+  budgets: 'Show performance budget breaches (optional: runId, defaults to latest)',
+  regressions: 'Show regressions against each URL baseline (optional: runId, defaults to latest)',
   slowest: 'Show slowest URLs from latest run (optional: limit)',
   fastest: 'Show fastest URLs from latest run (optional: limit)',
-  compare: 'Compare two test runs (requires: runId1, runId2)',
+  compare: 'Compare two test runs (requires: runId1, runId2; optional: url, to list its changed assets)',
   averages: 'Show average metrics for latest run',
   codes: 'Show tests grouped by HTTP status code (optional: runId)',
   search: 'Search URL tests by URL pattern (requires: pattern, optional: limit)',
@@ -88,6 +93,21 @@ async function main() {
         await showFailedRequests(failedLimit);
         break;
 
+      case 'failing-assets':
+        const assetLimit = parseInt(args[1]) || 20;
+        await showMostFailedRequests(assetLimit);
+        break;
+
+      case 'budgets':
+        const budgetRunId = args[1] ? parseInt(args[1]) : null;
+        await showBudgetViolations(budgetRunId);
+        break;
+
+      case 'regressions':
+        const regressionRunId = args[1] ? parseInt(args[1]) : null;
+        await showRegressions(regressionRunId);
+        break;
+
       case 'slowest':
         const slowLimit = parseInt(args[1]) || 10;
         await showSlowestUrls(slowLimit);
@@ -105,7 +125,11 @@ async function main() {
           console.error('Error: two runId arguments required');
           process.exit(1);
         }
-        await compareRuns(runId1, runId2);
+        if (args[3]) {
+          await compareUrlAssets(runId1, runId2, args[3]);
+        } else {
+          await compareRuns(runId1, runId2);
+        }
         break;
 
       case 'averages':
@@ -153,8 +177,12 @@ function printHelp() {
   console.log('  npm run db:query domains 123');
   console.log('  npm run db:query trend www.uchicago.edu 10');
   console.log('  npm run db:query failed-requests 20');
+  console.log('  npm run db:query failing-assets 10');
+  console.log('  npm run db:query budgets 123');
+  console.log('  npm run db:query regressions 123');
   console.log('  npm run db:query search "%uchicago%"');
   console.log('  npm run db:query compare 10 9');
+  console.log('  npm run db:query compare 10 9 https://www.uchicago.edu/');
   console.log('');
 }
 
@@ -238,7 +266,9 @@ async function showPerformanceTrend(domain, limit) {
     return;
   }
 
-  console.log(`\nPerformance trend for ${domain} (${trends.length} runs):\n`);
+  // All rows share the browser, device profile and network profile of the domain's latest test
+  const { browser, device_profile: deviceProfile, network_profile: networkProfile } = trends[0];
+  console.log(`\nPerformance trend for ${domain} (${trends.length} runs, ${browser}, ${deviceProfile}, network ${networkProfile}):\n`);
   console.log('Test Run'.padEnd(28) + 'Page Load (ms)'.padEnd(16) + 'TTFB (ms)'.padEnd(12) + 'DNS (ms)'.padEnd(10) + 'Status');
   console.log('─'.repeat(100));
 
@@ -266,6 +296,9 @@ async function showTestsWithErrors(limit) {
     console.log(`Domain:     ${test.domain}`);
     console.log(`URL:        ${test.url}`);
     console.log(`Status:     ${test.status}`);
+    if (test.error_message) {
+      console.log(`Error:      ${test.error_message}`);
+    }
     console.log(`Timestamp:  ${test.test_timestamp}`);
     console.log(`HTTP Codes: ${JSON.stringify(test.http_response_codes)}`);
     console.log('─'.repeat(80));
@@ -330,6 +363,80 @@ async function showFailedRequests(limit) {
   console.log('');
 }
 
+async function showMostFailedRequests(limit) {
+  const requests = await queries.getMostFailedRequests(limit);
+  if (requests.length === 0) {
+    console.log('No failed requests (HTTP 400+) found in the last 30 days');
+    return;
+  }
+
+  console.log(`\nRequest URLs failing on the most sites in the last 30 days (${requests.length} found):\n`);
+  console.log('Sites'.padEnd(8) + 'Tests'.padEnd(8) + 'Status'.padEnd(14) + 'Last Seen'.padEnd(28) + 'URL');
+  console.log('─'.repeat(100));
+
+  requests.forEach(request => {
+    console.log(
+      String(request.domain_count).padEnd(8) +
+      String(request.test_count).padEnd(8) +
+      request.status_codes.join(', ').padEnd(14) +
+      request.last_seen.toISOString().padEnd(28) +
+      request.url
+    );
+  });
+  console.log('');
+}
+
+async function showBudgetViolations(runId) {
+  const violations = await queries.getBudgetViolations(runId);
+  const runInfo = runId ? ` for run ID ${runId}` : ' from latest run';
+  if (violations.length === 0) {
+    console.log(`No performance budget breaches found${runInfo}`);
+    return;
+  }
+
+  console.log(`\nPerformance budget breaches${runInfo} (${violations.length} found):\n`);
+  console.log('Domain'.padEnd(35) + 'Metric'.padEnd(30) + 'Actual'.padEnd(14) + 'Limit'.padEnd(14) + 'Budget');
+  console.log('─'.repeat(100));
+
+  violations.forEach(violation => {
+    console.log(
+      violation.domain.padEnd(35) +
+      violation.metric.padEnd(30) +
+      String(parseFloat(violation.actual_value)).padEnd(14) +
+      String(parseFloat(violation.threshold_value)).padEnd(14) +
+      violation.budget_name
+    );
+  });
+  console.log('');
+}
+
+async function showRegressions(runId) {
+  const regressions = await queries.getRegressions(runId);
+  const runInfo = runId ? ` for run ID ${runId}` : ' from latest run';
+  if (regressions.length === 0) {
+    console.log(`No performance regressions found${runInfo}`);
+    return;
+  }
+
+  console.log(`\nPerformance regressions${runInfo} (${regressions.length} found):\n`);
+  console.log('Domain'.padEnd(35) + 'Browser'.padEnd(10) + 'Device'.padEnd(12) + 'Network'.padEnd(10) + 'Metric'.padEnd(30) + 'Actual'.padEnd(14) + 'Baseline'.padEnd(14) + 'Change');
+  console.log('─'.repeat(132));
+
+  regressions.forEach(regression => {
+    console.log(
+      regression.domain.padEnd(35) +
+      regression.browser.padEnd(10) +
+      regression.device_profile.padEnd(12) +
+      regression.network_profile.padEnd(10) +
+      regression.metric.padEnd(30) +
+      String(parseFloat(regression.actual_value)).padEnd(14) +
+      String(parseFloat(regression.baseline_value)).padEnd(14) +
+      `+${regression.percent_change}% (${regression.sample_count} runs)`
+    );
+  });
+  console.log('');
+}
+
 async function showSlowestUrls(limit) {
   const urls = await queries.getSlowestUrls(limit);
   if (urls.length === 0) {
@@ -398,6 +505,55 @@ async function compareRuns(runId1, runId2) {
   console.log('');
 }
 
+async function compareUrlAssets(runId1, runId2, url) {
+  const pairs = await queries.getUrlTestPairs(runId1, runId2, url);
+  if (pairs.length === 0) {
+    console.log(`No tests of ${url} found in both runs ${runId1} and ${runId2}`);
+    return;
+  }
+
+  console.log(`\nAsset changes of ${url}, run ${runId1} (new) vs ${runId2} (old):`);
+
+  for (const pair of pairs) {
+    console.log(`\n${pair.browser} / ${pair.device_profile} / ${pair.network_profile} (tests ${pair.new_test_id} vs ${pair.old_test_id})`);
+    console.log('─'.repeat(100));
+
+    const [oldRequests, newRequests] = await Promise.all([
+      queries.getRequestsByTestId(pair.old_test_id),
+      queries.getRequestsByTestId(pair.new_test_id)
+    ]);
+    if (oldRequests.length === 0 || newRequests.length === 0) {
+      console.log('Requests not stored for both tests (see npm run db:backfill-requests)');
+      continue;
+    }
+
+    const diff = diffAssets(oldRequests, newRequests);
+    console.log(`Page weight: ${formatBytes(diff.totals.previousBytes)} → ${formatBytes(diff.totals.currentBytes)}`);
+    if (diff.added.length === 0 && diff.removed.length === 0 && diff.changed.length === 0) {
+      console.log('No assets added, removed or changed in size');
+      continue;
+    }
+
+    console.log('Change'.padEnd(10) + 'Type'.padEnd(12) + 'Size'.padEnd(24) + 'URL');
+    diff.added.forEach(asset => {
+      console.log('+ added'.padEnd(10) + asset.contentType.padEnd(12) + formatBytes(asset.size).padEnd(24) + asset.url);
+    });
+    diff.removed.forEach(asset => {
+      console.log('- removed'.padEnd(10) + asset.contentType.padEnd(12) + formatBytes(asset.size).padEnd(24) + asset.url);
+    });
+    diff.changed.forEach(asset => {
+      const arrow = asset.change > 0 ? '↑' : '↓';
+      console.log(
+        `${arrow} size`.padEnd(10) +
+        asset.contentType.padEnd(12) +
+        `${formatBytes(asset.previousSize)} → ${formatBytes(asset.size)}`.padEnd(24) +
+        asset.url
+      );
+    });
+  }
+  console.log('');
+}
+
 async function showAverages() {
   const averages = await queries.getLatestRunAverages();
   if (!averages) {
@@ -3,7 +3,7 @@
 
 /**
  * Helper script to create a test run in the database
- * Usage: node src/database/create-test-run.js <totalUrls> <workers> [notes]
+ * Usage: node src/database/create-test-run.js <totalUrls> <workers> [notes] [suiteName]
  * Outputs: test_run_id or 0 on failure
  */
 
@@ -14,6 +14,7 @@ async function main() {
   const totalUrls = parseInt(process.argv[2]) || 0;
   const workers = parseInt(process.argv[3]) || 4;
   const notes = process.argv[4] || 'Parallel test run from test-urls-parallel.sh';
+  const suiteName = process.argv[5] || null;
 
   if (totalUrls === 0) {
     console.error('Error: totalUrls is required');
@@ -22,7 +23,7 @@ async function main() {
 
   try {
     await initializePool();
-    const result = await createTestRun(totalUrls, workers, notes);
+    const result = await createTestRun(totalUrls, workers, notes, null, suiteName);
 
     if (result) {
       // Output only the ID to stdout for the shell script to capture
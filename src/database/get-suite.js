@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+// @ts-check
+
+/**
+ * Helper script to look up a suite's run settings
+ * Usage: node src/database/get-suite.js <suiteName>
+ * Outputs: "<browsers> <deviceProfiles> <networkProfile> <viewportWidth> <viewportHeight> <timeoutMs> <parallelWorkers>"
+ * on one line (browsers and device profiles comma-separated), or exits with code 1 if the suite does not exist
+ */
+
+import { initializePool, closePool } from './client.js';
+import { getSuiteByName } from './suites.js';
+
+async function main() {
+  const suiteName = process.argv[2];
+
+  if (!suiteName) {
+    console.error('Error: suiteName is required');
+    process.exit(1);
+  }
+
+  try {
+    await initializePool();
+    const suite = await getSuiteByName(suiteName);
+
+    if (suite) {
+      // Output only the settings to stdout for the shell script to capture
+      console.log([
+        suite.browsers.join(','),
+        suite.device_profiles.join(','),
+        suite.network_profile,
+        suite.viewport_width,
+        suite.viewport_height,
+        suite.timeout_ms,
+        suite.parallel_workers
+      ].join(' '));
+      process.exitCode = 0;
+    } else {
+      console.error(`Error: suite "${suiteName}" not found`);
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('Error looking up suite:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await closePool();
+  }
+}
+
+main();
@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+// @ts-check
+
+/**
+ * Import URLs from a text file into monitored_urls
+ * Usage: node src/database/import-urls.js [file] [tag,tag...]
+ * Defaults to tests/urls.txt. URLs that are already monitored are left unchanged.
+ */
+
+import { initializePool, closePool, isDatabaseConnected } from './client.js';
+import { importMonitoredUrls, readUrlsFile, URLS_FILE_PATH } from './monitored-urls.js';
+
+async function main() {
+  const filePath = process.argv[2] || URLS_FILE_PATH;
+  const tags = (process.argv[3] || '')
+    .split(',')
+    .map(tag => tag.trim())
+    .filter(tag => tag.length > 0);
+
+  try {
+    const urls = readUrlsFile(filePath);
+
+    await initializePool();
+    if (!isDatabaseConnected()) {
+      console.error('Database is not available');
+      process.exitCode = 1;
+      return;
+    }
+
+    const added = await importMonitoredUrls(urls, tags);
+    console.log(`✓ Imported ${added} new URL(s) from ${filePath} (${new Set(urls).size - added} already monitored)`);
+  } catch (error) {
+    console.error('Error importing URLs:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await closePool();
+  }
+}
+
+main();
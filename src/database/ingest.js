@@ -1,5 +1,8 @@
 // @ts-check
 import { query, transaction, isDatabaseConnected } from './client.js';
+import { notifyTestRunEvent } from './run-events.js';
+import { readHarFile, summarizeContentTypes } from '../analysis/har.js';
+import { summarizeThirdParties } from '../analysis/third-parties.js';
 import { promises as fs } from 'fs';
 
 /**
@@ -12,22 +15,32 @@ import { promises as fs } from 'fs';
  * @param {number} totalUrls - Total number of URLs to test
  * @param {number} parallelWorkers - Number of parallel workers
  * @param {string} notes - Optional notes about this test run
+ * @param {number|null} scheduleId - Schedule that started this run (null for runs started by hand)
+ * @param {string|null} suiteName - Suite being run (null for a run of every monitored URL)
  * @returns {Promise<{id: number, uuid: string}|null>} Test run ID and UUID or null on failure
  */
-export async function createTestRun(totalUrls, parallelWorkers = 4, notes = null) {
+export async function createTestRun(totalUrls, parallelWorkers = 4, notes = null, scheduleId = null, suiteName = null) {
   if (!isDatabaseConnected()) {
     console.warn('Database not connected. Test run not recorded.');
     return null;
   }
 
   const sql = `
-    INSERT INTO test_runs (total_urls, parallel_workers, status, notes)
-    VALUES ($1, $2, $3, $4)
+    INSERT INTO test_runs (total_urls, parallel_workers, status, notes, schedule_id, suite_id)
+    VALUES ($1, $2, $3, $4, $5, (SELECT id FROM suites WHERE name = $6))
     RETURNING id, run_uuid
   `;
 
   try {
-    const result = await query(sql, [totalUrls, parallelWorkers, 'RUNNING', notes]);
+    if (suiteName) {
+      const suite = await query('SELECT id FROM suites WHERE name = $1', [suiteName]);
+      if (!suite || suite.rows.length === 0) {
+        console.error(`Failed to create test run: suite "${suiteName}" not found`);
+        return null;
+      }
+    }
+
+    const result = await query(sql, [totalUrls, parallelWorkers, 'RUNNING', notes, scheduleId, suiteName]);
     if (result && result.rows.length > 0) {
       const { id, run_uuid } = result.rows[0];
       console.error(`✓ Test run created: ID=${id}, UUID=${run_uuid}`);
@@ -41,9 +54,9 @@ export async function createTestRun(totalUrls, parallelWorkers = 4, notes = null
 }
 
 /**
- * Update test run status and duration
+ * Update test run status and duration (live progress streams are notified)
  * @param {number} testRunId - Test run ID
- * @param {string} status - Status: 'RUNNING', 'COMPLETED', 'PARTIAL', 'FAILED'
+ * @param {string} status - Status: 'RUNNING', 'COMPLETED', 'PARTIAL', 'FAILED', 'CANCELLED'
  * @param {number} durationMs - Total duration in milliseconds
  * @returns {Promise<boolean>}
  */
@@ -61,6 +74,7 @@ export async function updateTestRun(testRunId, status, durationMs = null) {
   try {
     await query(sql, [status, durationMs, testRunId]);
     console.error(`✓ Test run ${testRunId} updated: status=${status}, duration=${durationMs}ms`);
+    await notifyTestRunEvent({ type: 'status', testRunId, status });
     return true;
   } catch (error) {
     console.error('Failed to update test run:', error.message);
@@ -109,11 +123,19 @@ export async function insertUrlTest(testRunId, testMetadata, performanceMetrics,
       url,
       domain,
       browser,
+      device_profile,
+      viewport_width,
+      viewport_height,
+      device_scale_factor,
+      network_profile,
+      crawl_seed_url,
+      crawl_depth,
       user_agent,
       page_title,
       test_duration_ms,
       scroll_duration_ms,
       status,
+      error_message,
       dns_lookup_ms,
       tcp_connection_ms,
       tls_negotiation_ms,
@@ -122,6 +144,10 @@ export async function insertUrlTest(testRunId, testMetadata, performanceMetrics,
       dom_content_loaded_ms,
       dom_interactive_ms,
       total_page_load_ms,
+      largest_contentful_paint_ms,
+      first_contentful_paint_ms,
+      cumulative_layout_shift,
+      total_blocking_time_ms,
       doc_transfer_size_bytes,
       doc_encoded_size_bytes,
       doc_decoded_size_bytes,
@@ -132,12 +158,24 @@ export async function insertUrlTest(testRunId, testMetadata, performanceMetrics,
       http_response_codes,
       screenshot_path,
       har_path,
+      screenshot_masks,
+      visual_baseline_test_id,
+      visual_baseline_approved,
+      visual_diff_path,
+      visual_mismatch_percent,
+      visually_changed,
+      accessibility_violation_count,
+      links_checked_count,
+      broken_link_count,
       screenshot_data,
       har_data
     ) VALUES (
       $1, $2, $3, $4, $5, $6, $7, $8, $9, $10,
       $11, $12, $13, $14, $15, $16, $17, $18, $19, $20,
-      $21, $22, $23, $24, $25, $26, $27, $28, $29, $30
+      $21, $22, $23, $24, $25, $26, $27, $28, $29, $30,
+      $31, $32, $33, $34, $35, $36, $37, $38, $39, $40,
+      $41, $42, $43, $44, $45, $46, $47, $48, $49, $50,
+      $51
     )
     RETURNING id, test_uuid
   `;
@@ -148,22 +186,34 @@ export async function insertUrlTest(testRunId, testMetadata, performanceMetrics,
     testMetadata.url,
     domain,
     testMetadata.browser,
+    testMetadata.deviceProfile || 'desktop',
+    testMetadata.viewportWidth ?? null,
+    testMetadata.viewportHeight ?? null,
+    testMetadata.deviceScaleFactor ?? null,
+    testMetadata.networkProfile || 'none',
+    testMetadata.crawlSeedUrl ?? null,
+    testMetadata.crawlDepth ?? null,
     testMetadata.userAgent,
     testMetadata.pageTitle,
     testMetadata.testDuration,
     testMetadata.scrollDuration,
-    testMetadata.testStatus,
-    performanceMetrics.navigation?.dnsLookup || 0,
-    performanceMetrics.navigation?.tcpConnection || 0,
-    performanceMetrics.navigation?.tlsNegotiation || 0,
-    performanceMetrics.navigation?.timeToFirstByte || 0,
-    performanceMetrics.navigation?.responseTime || 0,
-    performanceMetrics.navigation?.domContentLoaded || 0,
-    performanceMetrics.navigation?.domInteractive || 0,
-    performanceMetrics.navigation?.pageLoadTime || 0,
-    performanceMetrics.navigation?.transferSize || 0,
-    performanceMetrics.navigation?.encodedBodySize || 0,
-    performanceMetrics.navigation?.decodedBodySize || 0,
+    testMetadata.testStatus || 'PASSED',
+    testMetadata.errorMessage || null,
+    performanceMetrics.navigation?.dnsLookup ?? null,
+    performanceMetrics.navigation?.tcpConnection ?? null,
+    performanceMetrics.navigation?.tlsNegotiation ?? null,
+    performanceMetrics.navigation?.timeToFirstByte ?? null,
+    performanceMetrics.navigation?.responseTime ?? null,
+    performanceMetrics.navigation?.domContentLoaded ?? null,
+    performanceMetrics.navigation?.domInteractive ?? null,
+    performanceMetrics.navigation?.pageLoadTime ?? null,
+    performanceMetrics.webVitals?.largestContentfulPaint ?? null,
+    performanceMetrics.webVitals?.firstContentfulPaint ?? null,
+    performanceMetrics.webVitals?.cumulativeLayoutShift ?? null,
+    performanceMetrics.webVitals?.totalBlockingTime ?? null,
+    performanceMetrics.navigation?.transferSize ?? null,
+    performanceMetrics.navigation?.encodedBodySize ?? null,
+    performanceMetrics.navigation?.decodedBodySize ?? null,
     performanceMetrics.resources?.total || 0,
     performanceMetrics.resources?.totalTransferSize || 0,
     performanceMetrics.resources?.totalEncodedSize || 0,
@@ -171,6 +221,15 @@ export async function insertUrlTest(testRunId, testMetadata, performanceMetrics,
     JSON.stringify(httpResponseCodes),
     testMetadata.screenshotPath,
     testMetadata.harPath,
+    testMetadata.screenshotMasks ? JSON.stringify(testMetadata.screenshotMasks) : null,
+    testMetadata.visualDiff?.baselineTestId ?? null,
+    testMetadata.visualDiff?.approvedBaseline ?? null,
+    testMetadata.visualDiff?.diffPath ?? null,
+    testMetadata.visualDiff?.mismatchPercent ?? null,
+    testMetadata.visualDiff?.changed ?? null,
+    testMetadata.accessibilityViolations?.length ?? null,
+    testMetadata.linkCheck?.checked ?? null,
+    testMetadata.linkCheck?.brokenLinks.length ?? null,
     screenshotData,
     harData
   ];
@@ -184,6 +243,20 @@ export async function insertUrlTest(testRunId, testMetadata, performanceMetrics,
       // Also insert normalized HTTP response codes and resource types
       await insertHttpResponses(id, httpResponseCodes);
       await insertResourceTypes(id, resourcesByType);
+      await insertBudgetViolations(id, testMetadata.budgetViolations || []);
+      await insertAccessibilityViolations(id, testMetadata.accessibilityViolations || []);
+      await insertBrokenLinks(id, testMetadata.linkCheck?.brokenLinks || []);
+
+      // Store every request of the HAR file so requests can be queried without reading it again
+      const har = testMetadata.harPath ? await readHarFile(testMetadata.harPath) : null;
+      await insertRequests(id, har?.entries || []);
+      await insertContentTypeSizes(id, har ? summarizeContentTypes(har.entries) : []);
+      await insertThirdParties(id, har
+        ? summarizeThirdParties(har.entries, testMetadata.url, performanceMetrics.navigation?.domInteractive ?? null)
+        : []);
+
+      // Tell live progress streams the URL has finished
+      await notifyTestRunEvent({ type: 'url_test', testRunId, urlTestId: id });
 
       return id;
     }
@@ -253,6 +326,339 @@ async function insertResourceTypes(urlTestId, resourceTypes) {
   }
 }
 
+/**
+ * Insert performance budget violations for a URL test
+ * @param {number} urlTestId - URL test ID
+ * @param {Array<{budgetName: string, metric: string, threshold: number, actual: number}>} violations - Budget violations
+ * @returns {Promise<boolean>}
+ */
+async function insertBudgetViolations(urlTestId, violations) {
+  if (!isDatabaseConnected() || !urlTestId || violations.length === 0) {
+    return false;
+  }
+
+  const params = [];
+  const values = violations.map((violation, index) => {
+    const offset = index * 4;
+    params.push(violation.budgetName, violation.metric, violation.threshold, violation.actual);
+    return `(${urlTestId}, $${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4})`;
+  }).join(', ');
+
+  const sql = `
+    INSERT INTO budget_violations (url_test_id, budget_name, metric, threshold_value, actual_value)
+    VALUES ${values}
+  `;
+
+  try {
+    await query(sql, params);
+    return true;
+  } catch (error) {
+    console.error('Failed to insert budget violations:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Insert accessibility violations for a URL test
+ * @param {number} urlTestId - URL test ID
+ * @param {Array<{ruleId: string, impact: string|null, description: string, helpUrl: string,
+ *   wcagTags: string[], nodeCount: number, exampleTargets: string[]}>} violations - Violated rules
+ * @returns {Promise<boolean>}
+ */
+async function insertAccessibilityViolations(urlTestId, violations) {
+  if (!isDatabaseConnected() || !urlTestId || violations.length === 0) {
+    return false;
+  }
+
+  const params = [];
+  const values = violations.map((violation, index) => {
+    const offset = index * 7;
+    params.push(
+      violation.ruleId,
+      violation.impact,
+      violation.description,
+      violation.helpUrl,
+      violation.wcagTags,
+      violation.nodeCount,
+      violation.exampleTargets
+    );
+    return `(${urlTestId}, $${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4}, $${offset + 5}, $${offset + 6}, $${offset + 7})`;
+  }).join(', ');
+
+  const sql = `
+    INSERT INTO accessibility_violations
+      (url_test_id, rule_id, impact, description, help_url, wcag_tags, node_count, example_targets)
+    VALUES ${values}
+  `;
+
+  try {
+    await query(sql, params);
+    return true;
+  } catch (error) {
+    console.error('Failed to insert accessibility violations:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Insert broken links for a URL test
+ * @param {number} urlTestId - URL test ID
+ * @param {Array<{href: string, text: string, statusCode: number|null, error: string|null}>} brokenLinks - Broken links
+ * @returns {Promise<boolean>}
+ */
+async function insertBrokenLinks(urlTestId, brokenLinks) {
+  if (!isDatabaseConnected() || !urlTestId || brokenLinks.length === 0) {
+    return false;
+  }
+
+  const params = [];
+  const values = brokenLinks.map((link, index) => {
+    const offset = index * 4;
+    params.push(link.href, link.text || null, link.statusCode, link.error);
+    return `(${urlTestId}, $${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4})`;
+  }).join(', ');
+
+  const sql = `
+    INSERT INTO broken_links (url_test_id, link_url, anchor_text, status_code, error_message)
+    VALUES ${values}
+  `;
+
+  try {
+    await query(sql, params);
+    return true;
+  } catch (error) {
+    console.error('Failed to insert broken links:', error.message);
+    return false;
+  }
+}
+
+// Requests are inserted in batches to stay well below PostgreSQL's limit of 65535 parameters
+const REQUEST_BATCH_SIZE = 500;
+const REQUEST_COLUMNS = 26;
+
+/**
+ * Insert the requests of a URL test's HAR file
+ * @param {number} urlTestId - URL test ID
+ * @param {Array} requests - Entries from normalizeHarEntries (src/analysis/har.js)
+ * @returns {Promise<boolean>}
+ */
+export async function insertRequests(urlTestId, requests) {
+  if (!isDatabaseConnected() || !urlTestId || requests.length === 0) {
+    return false;
+  }
+
+  try {
+    await transaction(async (client) => {
+      for (let start = 0; start < requests.length; start += REQUEST_BATCH_SIZE) {
+        const params = [];
+        const values = requests.slice(start, start + REQUEST_BATCH_SIZE).map((request, index) => {
+          const offset = index * REQUEST_COLUMNS;
+          params.push(
+            request.index,
+            request.url,
+            request.host,
+            request.method,
+            request.status,
+            request.statusText || null,
+            request.mimeType,
+            request.contentType,
+            request.httpVersion,
+            request.serverIp,
+            request.startMs,
+            request.durationMs,
+            request.timings.blocked,
+            request.timings.dns,
+            request.timings.connect,
+            request.timings.ssl,
+            request.timings.send,
+            request.timings.wait,
+            request.timings.receive,
+            request.transferSize,
+            request.contentSize,
+            request.fromCache,
+            request.cacheControl,
+            request.expires,
+            request.etag,
+            request.lastModified
+          );
+          const placeholders = Array.from({ length: REQUEST_COLUMNS }, (_, column) => `$${offset + column + 1}`);
+          return `(${urlTestId}, ${placeholders.join(', ')})`;
+        }).join(', ');
+
+        await client.query(`
+          INSERT INTO requests (
+            url_test_id, request_index, url, host, method, status_code, status_text, mime_type, content_type,
+            http_version, server_ip, start_offset_ms, duration_ms, blocked_ms, dns_ms, connect_ms, ssl_ms,
+            send_ms, wait_ms, receive_ms, transfer_size_bytes, content_size_bytes, from_cache, cache_control,
+            expires, etag, last_modified
+          )
+          VALUES ${values}
+        `, params);
+      }
+    });
+    return true;
+  } catch (error) {
+    console.error('Failed to insert requests:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Insert a URL test's requests totalled per content type
+ * @param {number} urlTestId - URL test ID
+ * @param {Array<{contentType: string, requestCount: number, transferSize: number, contentSize: number}>} contentTypeSizes
+ *   From summarizeContentTypes
+ * @returns {Promise<boolean>}
+ */
+export async function insertContentTypeSizes(urlTestId, contentTypeSizes) {
+  if (!isDatabaseConnected() || !urlTestId || contentTypeSizes.length === 0) {
+    return false;
+  }
+
+  const params = [];
+  const values = contentTypeSizes.map((size, index) => {
+    const offset = index * 4;
+    params.push(size.contentType, size.requestCount, size.transferSize, size.contentSize);
+    return `(${urlTestId}, $${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4})`;
+  }).join(', ');
+
+  const sql = `
+    INSERT INTO content_type_sizes (url_test_id, content_type, request_count, transfer_size_bytes, content_size_bytes)
+    VALUES ${values}
+  `;
+
+  try {
+    await query(sql, params);
+    return true;
+  } catch (error) {
+    console.error('Failed to insert content type sizes:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Insert a URL test's requests totalled per vendor
+ * @param {number} urlTestId - URL test ID
+ * @param {Array<{name: string, category: string, firstParty: boolean, hosts: string[],
+ *   requestCount: number, transferSize: number, blockingTimeMs: number}>} thirdParties - From summarizeThirdParties
+ * @returns {Promise<boolean>}
+ */
+export async function insertThirdParties(urlTestId, thirdParties) {
+  if (!isDatabaseConnected() || !urlTestId || thirdParties.length === 0) {
+    return false;
+  }
+
+  const params = [];
+  const values = thirdParties.map((thirdParty, index) => {
+    const offset = index * 7;
+    params.push(
+      thirdParty.name,
+      thirdParty.category,
+      thirdParty.firstParty,
+      thirdParty.hosts,
+      thirdParty.requestCount,
+      thirdParty.transferSize,
+      thirdParty.blockingTimeMs
+    );
+    return `(${urlTestId}, $${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4}, $${offset + 5}, $${offset + 6}, $${offset + 7})`;
+  }).join(', ');
+
+  const sql = `
+    INSERT INTO third_parties
+      (url_test_id, entity_name, category, first_party, hosts, request_count, transfer_size_bytes, blocking_time_ms)
+    VALUES ${values}
+  `;
+
+  try {
+    await query(sql, params);
+    return true;
+  } catch (error) {
+    console.error('Failed to insert third parties:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Store detected regressions for a test run
+ * Regressions previously stored for the run are replaced, so detection can be re-run safely
+ * @param {number} testRunId - Test run ID
+ * @param {Array<{urlTestId: number, metric: string, baseline: number, mad: number, actual: number, percentChange: number, sampleCount: number}>} regressions - Detected regressions
+ * @returns {Promise<boolean>}
+ */
+export async function replaceRegressions(testRunId, regressions) {
+  if (!isDatabaseConnected() || !testRunId) {
+    return false;
+  }
+
+  const params = [];
+  const values = regressions.map((regression, index) => {
+    const offset = index * 7;
+    params.push(
+      regression.urlTestId,
+      regression.metric,
+      regression.baseline,
+      regression.mad,
+      regression.actual,
+      regression.percentChange,
+      regression.sampleCount
+    );
+    return `($${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4}, $${offset + 5}, $${offset + 6}, $${offset + 7})`;
+  }).join(', ');
+
+  try {
+    await transaction(async (client) => {
+      await client.query(
+        'DELETE FROM regressions WHERE url_test_id IN (SELECT id FROM url_tests WHERE test_run_id = $1)',
+        [testRunId]
+      );
+
+      if (regressions.length > 0) {
+        await client.query(`
+          INSERT INTO regressions (url_test_id, metric, baseline_value, baseline_mad, actual_value, percent_change, sample_count)
+          VALUES ${values}
+        `, params);
+      }
+    });
+    return true;
+  } catch (error) {
+    console.error('Failed to store regressions:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Record a webhook notification delivery attempt for a test run
+ * @param {number} testRunId - Test run ID
+ * @param {{target: string, format: string, delivered: boolean, attempts: number, responseStatus: number|null, error: string|null}} delivery - Delivery result
+ * @returns {Promise<boolean>}
+ */
+export async function insertNotificationDelivery(testRunId, delivery) {
+  if (!isDatabaseConnected() || !testRunId) {
+    return false;
+  }
+
+  const sql = `
+    INSERT INTO notification_deliveries (test_run_id, target, format, status, attempts, response_status, error_message)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+  `;
+
+  try {
+    await query(sql, [
+      testRunId,
+      delivery.target,
+      delivery.format,
+      delivery.delivered ? 'DELIVERED' : 'FAILED',
+      delivery.attempts,
+      delivery.responseStatus,
+      delivery.error
+    ]);
+    return true;
+  } catch (error) {
+    console.error('Failed to record notification delivery:', error.message);
+    return false;
+  }
+}
+
 /**
  * Get current test run ID from environment variable
  * Set by test-domains-parallel.sh before running tests
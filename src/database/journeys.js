@@ -0,0 +1,175 @@
+// @ts-check
+import { query, transaction, isDatabaseConnected } from './client.js';
+
+/**
+ * Data access for scripted user journeys (see src/runner/journeys.js)
+ * Each journey tested in a run is a journey_tests row, with one journey_steps
+ * row per step of the journey.
+ */
+
+/**
+ * Insert a journey test and its steps
+ * @param {number} testRunId - Test run ID
+ * @param {{journeyName: string, browser: string, deviceProfile: string, status: string, errorMessage: string|null,
+ *   totalDuration: number|null, timestamp: string, steps: Array<{name: string, action: string, target: string|null,
+ *   value: string|null, status: string, duration: number|null, pageUrl: string|null, screenshotPath: string|null,
+ *   errorMessage: string|null}>}} journeyTest - Journey test from runJourneyTest
+ * @returns {Promise<number|null>} Journey test ID or null on failure
+ */
+export async function insertJourneyTest(testRunId, journeyTest) {
+  if (!isDatabaseConnected() || !testRunId) {
+    return null;
+  }
+
+  try {
+    return await transaction(async (client) => {
+      const result = await client.query(`
+        INSERT INTO journey_tests (
+          test_run_id, journey_name, browser, device_profile, status, error_message,
+          step_count, total_duration_ms, test_timestamp
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING id
+      `, [
+        testRunId,
+        journeyTest.journeyName,
+        journeyTest.browser,
+        journeyTest.deviceProfile,
+        journeyTest.status,
+        journeyTest.errorMessage,
+        journeyTest.steps.length,
+        journeyTest.totalDuration,
+        journeyTest.timestamp
+      ]);
+      const journeyTestId = result.rows[0].id;
+
+      const params = [];
+      const values = journeyTest.steps.map((step, index) => {
+        const offset = index * 9;
+        params.push(step.name, step.action, step.target, step.value, step.status,
+          step.duration, step.pageUrl, step.screenshotPath, step.errorMessage);
+        const placeholders = Array.from({ length: 9 }, (_, i) => `$${offset + i + 1}`).join(', ');
+        return `(${journeyTestId}, ${index + 1}, ${placeholders})`;
+      }).join(', ');
+
+      await client.query(`
+        INSERT INTO journey_steps (
+          journey_test_id, step_number, name, action, target, value, status,
+          duration_ms, page_url, screenshot_path, error_message
+        ) VALUES ${values}
+      `, params);
+
+      return journeyTestId;
+    });
+  } catch (error) {
+    console.error('Failed to insert journey test:', error.message);
+    console.error('Journey:', journeyTest.journeyName);
+    return null;
+  }
+}
+
+/**
+ * Get the journey tests of a test run
+ * @param {number} testRunId - Test run ID
+ * @returns {Promise<Array>}
+ */
+export async function getJourneyTestsByRunId(testRunId) {
+  if (!isDatabaseConnected()) {
+    return [];
+  }
+
+  const sql = `
+    SELECT
+      jt.*,
+      failed.step_number as failed_step_number,
+      failed.name as failed_step_name
+    FROM journey_tests jt
+    LEFT JOIN journey_steps failed ON failed.journey_test_id = jt.id AND failed.status = 'FAILED'
+    WHERE jt.test_run_id = $1
+    ORDER BY jt.journey_name ASC, jt.browser ASC, jt.device_profile ASC
+  `;
+
+  try {
+    const result = await query(sql, [testRunId]);
+    return result?.rows || [];
+  } catch (error) {
+    console.error('Failed to get journey tests:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Get a journey test with its steps
+ * @param {number} journeyTestId - Journey test ID
+ * @returns {Promise<object|null>} The journey test with a steps array, or null if it doesn't exist
+ */
+export async function getJourneyTestById(journeyTestId) {
+  if (!isDatabaseConnected()) {
+    return null;
+  }
+
+  try {
+    const result = await query(`
+      SELECT jt.*, tr.run_timestamp
+      FROM journey_tests jt
+      JOIN test_runs tr ON tr.id = jt.test_run_id
+      WHERE jt.id = $1
+    `, [journeyTestId]);
+    const journeyTest = result?.rows[0];
+    if (!journeyTest) {
+      return null;
+    }
+
+    const steps = await query(`
+      SELECT *
+      FROM journey_steps
+      WHERE journey_test_id = $1
+      ORDER BY step_number ASC
+    `, [journeyTestId]);
+    return { ...journeyTest, steps: steps?.rows || [] };
+  } catch (error) {
+    console.error('Failed to get journey test:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Get the recent tests of a journey test's journey in the same browser and device profile,
+ * newest first, with each step's duration (for comparing a test with earlier ones)
+ * @param {number} journeyTestId - Any test of the journey
+ * @param {number} limit - Maximum number of tests
+ * @returns {Promise<Array>}
+ */
+export async function getJourneyHistory(journeyTestId, limit = 20) {
+  if (!isDatabaseConnected()) {
+    return [];
+  }
+
+  const sql = `
+    SELECT
+      jt.id,
+      jt.test_run_id,
+      jt.status,
+      jt.total_duration_ms,
+      jt.test_timestamp,
+      COALESCE(
+        (SELECT JSON_AGG(js.duration_ms ORDER BY js.step_number) FROM journey_steps js WHERE js.journey_test_id = jt.id),
+        '[]'
+      ) as step_durations
+    FROM journey_tests current
+    JOIN journey_tests jt
+      ON jt.journey_name = current.journey_name
+      AND jt.browser = current.browser
+      AND jt.device_profile = current.device_profile
+    WHERE current.id = $1
+    ORDER BY jt.test_timestamp DESC
+    LIMIT $2
+  `;
+
+  try {
+    const result = await query(sql, [journeyTestId, limit]);
+    return result?.rows || [];
+  } catch (error) {
+    console.error('Failed to get journey history:', error.message);
+    return [];
+  }
+}
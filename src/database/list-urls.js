@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+// @ts-check
+
+/**
+ * Helper script to list the URLs a test run should cover
+ * Usage: node src/database/list-urls.js [suiteName]
+ * Outputs: one URL per line - the enabled URLs in the suite, or without a suite
+ * every enabled monitored URL (tests/urls.txt if the database is unavailable
+ * or has no monitored URLs)
+ */
+
+import { initializePool, closePool, isDatabaseConnected } from './client.js';
+import { getUrlsToTest } from './monitored-urls.js';
+import { getSuiteByName, getSuiteUrls } from './suites.js';
+
+async function main() {
+  const suiteName = process.argv[2] || null;
+
+  try {
+    if (process.env.DATABASE_URL) {
+      await initializePool();
+    }
+
+    let urls;
+    if (suiteName) {
+      const suite = isDatabaseConnected() ? await getSuiteByName(suiteName) : null;
+      if (!suite) {
+        console.error(`Error: suite "${suiteName}" not found`);
+        process.exitCode = 1;
+        return;
+      }
+      urls = await getSuiteUrls(suite.id);
+      console.error(`Loaded ${urls.length} URLs from suite "${suiteName}"`);
+    } else {
+      const result = await getUrlsToTest();
+      urls = result.urls;
+      console.error(`Loaded ${urls.length} URLs from ${result.source === 'database' ? 'the database' : 'tests/urls.txt'}`);
+    }
+
+    // Output only the URLs to stdout for the caller to capture
+    urls.forEach(url => console.log(url));
+    process.exitCode = 0;
+  } catch (error) {
+    console.error('Error listing URLs:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await closePool();
+  }
+}
+
+main();
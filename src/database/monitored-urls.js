@@ -0,0 +1,255 @@
+// @ts-check
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { query, isDatabaseConnected } from './client.js';
+
+/**
+ * Data access for monitored URLs (the list of URLs batch tests run against)
+ * tests/urls.txt is still used when the database is unavailable or
+ * monitored_urls is empty, so existing setups keep working until the file is
+ * imported with `npm run urls:import`.
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const URLS_FILE_PATH = path.join(__dirname, '..', '..', 'tests', 'urls.txt');
+
+/**
+ * Read URLs from a text file (one per line, blank lines ignored)
+ * @param {string} [filePath] - File path (default: tests/urls.txt)
+ * @returns {string[]}
+ */
+export function readUrlsFile(filePath = URLS_FILE_PATH) {
+  return readFileSync(filePath, 'utf-8')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line.length > 0);
+}
+
+/**
+ * Get the URLs to test: enabled monitored URLs, or tests/urls.txt if there are none in the database
+ * @returns {Promise<{urls: string[], source: 'database'|'file'}>}
+ */
+export async function getUrlsToTest() {
+  if (isDatabaseConnected()) {
+    try {
+      const result = await query(`
+        SELECT url, enabled
+        FROM monitored_urls
+        ORDER BY url ASC
+      `);
+      const rows = result?.rows || [];
+
+      // Once URLs are managed in the database the file is ignored, even if every URL is disabled
+      if (rows.length > 0) {
+        return { urls: rows.filter(row => row.enabled).map(row => row.url), source: 'database' };
+      }
+    } catch (error) {
+      console.error('Failed to get monitored URLs:', error.message);
+    }
+  }
+
+  return { urls: readUrlsFile(), source: 'file' };
+}
+
+/**
+ * Get monitored URLs with the time each was last tested
+ * @param {{enabled?: boolean|null, tag?: string|null}} [filters] - Optional filters
+ * @returns {Promise<Array>}
+ */
+export async function getMonitoredUrls({ enabled = null, tag = null } = {}) {
+  if (!isDatabaseConnected()) {
+    return [];
+  }
+
+  const conditions = [];
+  const params = [];
+  if (enabled !== null) {
+    params.push(enabled);
+    conditions.push(`mu.enabled = $${params.length}`);
+  }
+  if (tag) {
+    params.push(tag);
+    conditions.push(`$${params.length} = ANY(mu.tags)`);
+  }
+
+  const sql = `
+    SELECT
+      mu.*,
+      (SELECT MAX(ut.test_timestamp) FROM url_tests ut WHERE ut.url = mu.url) as last_tested_at
+    FROM monitored_urls mu
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY mu.url ASC
+  `;
+
+  try {
+    const result = await query(sql, params);
+    return result?.rows || [];
+  } catch (error) {
+    console.error('Failed to get monitored URLs:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Get a single monitored URL
+ * @param {number} id - Monitored URL ID
+ * @returns {Promise<object|null>}
+ */
+export async function getMonitoredUrlById(id) {
+  if (!isDatabaseConnected()) {
+    return null;
+  }
+
+  try {
+    const result = await query('SELECT * FROM monitored_urls WHERE id = $1', [id]);
+    return result?.rows[0] || null;
+  } catch (error) {
+    console.error('Failed to get monitored URL:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Find a monitored URL by its URL
+ * @param {string} url
+ * @returns {Promise<object|null>}
+ */
+export async function getMonitoredUrlByUrl(url) {
+  if (!isDatabaseConnected()) {
+    return null;
+  }
+
+  try {
+    const result = await query('SELECT * FROM monitored_urls WHERE url = $1', [url]);
+    return result?.rows[0] || null;
+  } catch (error) {
+    console.error('Failed to get monitored URL:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Add a monitored URL
+ * @param {{url: string, enabled: boolean, tags: string[], owner: string|null, notes: string|null,
+ *   waitForSelectors: string[], hideSelectors: string[], maskSelectors: string[], diffIgnoreSelectors: string[]}} monitoredUrl
+ * @returns {Promise<object|null>} Created row or null on failure
+ */
+export async function createMonitoredUrl(monitoredUrl) {
+  if (!isDatabaseConnected()) {
+    return null;
+  }
+
+  const sql = `
+    INSERT INTO monitored_urls (url, enabled, tags, owner, notes,
+      wait_for_selectors, hide_selectors, mask_selectors, diff_ignore_selectors)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    RETURNING *
+  `;
+
+  try {
+    const result = await query(sql, [
+      monitoredUrl.url,
+      monitoredUrl.enabled,
+      monitoredUrl.tags,
+      monitoredUrl.owner,
+      monitoredUrl.notes,
+      monitoredUrl.waitForSelectors,
+      monitoredUrl.hideSelectors,
+      monitoredUrl.maskSelectors,
+      monitoredUrl.diffIgnoreSelectors
+    ]);
+    return result?.rows[0] || null;
+  } catch (error) {
+    console.error('Failed to create monitored URL:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Update a monitored URL
+ * @param {number} id - Monitored URL ID
+ * @param {{url: string, enabled: boolean, tags: string[], owner: string|null, notes: string|null,
+ *   waitForSelectors: string[], hideSelectors: string[], maskSelectors: string[], diffIgnoreSelectors: string[]}} monitoredUrl
+ * @returns {Promise<object|null>} Updated row or null if not found
+ */
+export async function updateMonitoredUrl(id, monitoredUrl) {
+  if (!isDatabaseConnected()) {
+    return null;
+  }
+
+  const sql = `
+    UPDATE monitored_urls
+    SET url = $1, enabled = $2, tags = $3, owner = $4, notes = $5,
+        wait_for_selectors = $6, hide_selectors = $7, mask_selectors = $8, diff_ignore_selectors = $9,
+        updated_at = NOW()
+    WHERE id = $10
+    RETURNING *
+  `;
+
+  try {
+    const result = await query(sql, [
+      monitoredUrl.url,
+      monitoredUrl.enabled,
+      monitoredUrl.tags,
+      monitoredUrl.owner,
+      monitoredUrl.notes,
+      monitoredUrl.waitForSelectors,
+      monitoredUrl.hideSelectors,
+      monitoredUrl.maskSelectors,
+      monitoredUrl.diffIgnoreSelectors,
+      id
+    ]);
+    return result?.rows[0] || null;
+  } catch (error) {
+    console.error('Failed to update monitored URL:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Delete a monitored URL (its test history is kept)
+ * @param {number} id - Monitored URL ID
+ * @returns {Promise<boolean>} True if a URL was deleted
+ */
+export async function deleteMonitoredUrl(id) {
+  if (!isDatabaseConnected()) {
+    return false;
+  }
+
+  try {
+    const result = await query('DELETE FROM monitored_urls WHERE id = $1', [id]);
+    return (result?.rowCount || 0) > 0;
+  } catch (error) {
+    console.error('Failed to delete monitored URL:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Add URLs that aren't monitored yet (existing URLs are left unchanged)
+ * @param {string[]} urls - URLs to import
+ * @param {string[]} [tags] - Tags for the new URLs
+ * @returns {Promise<number>} Number of URLs added
+ */
+export async function importMonitoredUrls(urls, tags = []) {
+  if (!isDatabaseConnected() || urls.length === 0) {
+    return 0;
+  }
+
+  const sql = `
+    INSERT INTO monitored_urls (url, tags)
+    SELECT DISTINCT unnest($1::text[]), $2::text[]
+    ON CONFLICT (url) DO NOTHING
+  `;
+
+  try {
+    const result = await query(sql, [urls, tags]);
+    return result?.rowCount || 0;
+  } catch (error) {
+    console.error('Failed to import monitored URLs:', error.message);
+    return 0;
+  }
+}
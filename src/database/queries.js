@@ -8,17 +8,51 @@ import { query, isDatabaseConnected } from './client.js';
 
 /**
  * Get the latest test run with summary statistics
+ * @param {number|null} suiteId - Only consider runs of this suite (optional)
  * @returns {Promise<object|null>}
  */
-export async function getLatestTestRun() {
+export async function getLatestTestRun(suiteId = null) {
   if (!isDatabaseConnected()) {
     return null;
   }
 
-  const sql = `SELECT * FROM v_latest_test_run LIMIT 1`;
+  if (!suiteId) {
+    try {
+      const result = await query('SELECT * FROM v_latest_test_run LIMIT 1');
+      return result?.rows[0] || null;
+    } catch (error) {
+      console.error('Failed to get latest test run:', error.message);
+      return null;
+    }
+  }
+
+  // Same columns as v_latest_test_run, for the latest run of one suite
+  const sql = `
+    SELECT
+      tr.id,
+      tr.run_uuid,
+      tr.run_timestamp,
+      tr.total_urls,
+      tr.parallel_workers,
+      tr.duration_ms,
+      tr.passed_count,
+      tr.failed_count,
+      tr.status,
+      COUNT(ut.id) as tests_completed,
+      ROUND(AVG(ut.total_page_load_ms)::numeric, 2) as avg_page_load_ms,
+      ROUND(AVG(ut.time_to_first_byte_ms)::numeric, 2) as avg_ttfb_ms,
+      MIN(ut.test_timestamp) as first_test_at,
+      MAX(ut.test_timestamp) as last_test_at
+    FROM test_runs tr
+    LEFT JOIN url_tests ut ON ut.test_run_id = tr.id
+    WHERE tr.suite_id = $1
+    GROUP BY tr.id
+    ORDER BY tr.run_timestamp DESC
+    LIMIT 1
+  `;
 
   try {
-    const result = await query(sql);
+    const result = await query(sql, [suiteId]);
     return result?.rows[0] || null;
   } catch (error) {
     console.error('Failed to get latest test run:', error.message);
@@ -29,9 +63,10 @@ export async function getLatestTestRun() {
 /**
  * Get all test runs with summary statistics
  * @param {number} limit - Maximum number of runs to return (default: 10)
+ * @param {number|null} suiteId - Only return runs of this suite (optional)
  * @returns {Promise<Array>}
  */
-export async function getAllTestRuns(limit = 10) {
+export async function getAllTestRuns(limit = 10, suiteId = null) {
   if (!isDatabaseConnected()) {
     return [];
   }
@@ -47,18 +82,26 @@ export async function getAllTestRuns(limit = 10) {
       tr.passed_count,
       tr.failed_count,
       tr.status,
+      tr.suite_id,
+      s.name as suite_name,
+      COALESCE(ARRAY_AGG(DISTINCT ut.browser) FILTER (WHERE ut.browser IS NOT NULL), '{}') as browsers,
+      COALESCE(ARRAY_AGG(DISTINCT ut.device_profile) FILTER (WHERE ut.device_profile IS NOT NULL), '{}') as device_profiles,
+      COALESCE(ARRAY_AGG(DISTINCT ut.network_profile) FILTER (WHERE ut.network_profile IS NOT NULL), '{}') as network_profiles,
       COUNT(ut.id) as tests_completed,
+      COUNT(ut.id) FILTER (WHERE ut.visually_changed) as visually_changed_count,
       ROUND(AVG(ut.total_page_load_ms)::numeric, 2) as avg_page_load_ms,
       ROUND(AVG(ut.time_to_first_byte_ms)::numeric, 2) as avg_ttfb_ms
     FROM test_runs tr
+    LEFT JOIN suites s ON s.id = tr.suite_id
     LEFT JOIN url_tests ut ON ut.test_run_id = tr.id
-    GROUP BY tr.id
+    WHERE ($2::int IS NULL OR tr.suite_id = $2)
+    GROUP BY tr.id, s.id
     ORDER BY tr.run_timestamp DESC
     LIMIT $1
   `;
 
   try {
-    const result = await query(sql, [limit]);
+    const result = await query(sql, [limit, suiteId]);
     return result?.rows || [];
   } catch (error) {
     console.error('Failed to get test runs:', error.message);
@@ -66,6 +109,81 @@ export async function getAllTestRuns(limit = 10) {
   }
 }
 
+/**
+ * Get a single test run with summary statistics
+ * @param {number} testRunId - Test run ID
+ * @returns {Promise<object|null>}
+ */
+export async function getTestRunById(testRunId) {
+  if (!isDatabaseConnected()) {
+    return null;
+  }
+
+  const sql = `
+    SELECT
+      tr.id,
+      tr.run_uuid,
+      tr.run_timestamp,
+      tr.total_urls,
+      tr.parallel_workers,
+      tr.duration_ms,
+      tr.passed_count,
+      tr.failed_count,
+      tr.status,
+      tr.suite_id,
+      s.name as suite_name,
+      COALESCE(ARRAY_AGG(DISTINCT ut.browser) FILTER (WHERE ut.browser IS NOT NULL), '{}') as browsers,
+      COALESCE(ARRAY_AGG(DISTINCT ut.device_profile) FILTER (WHERE ut.device_profile IS NOT NULL), '{}') as device_profiles,
+      COALESCE(ARRAY_AGG(DISTINCT ut.network_profile) FILTER (WHERE ut.network_profile IS NOT NULL), '{}') as network_profiles,
+      COUNT(ut.id) as tests_completed,
+      COUNT(ut.id) FILTER (WHERE ut.visually_changed) as visually_changed_count,
+      ROUND(AVG(ut.total_page_load_ms)::numeric, 2) as avg_page_load_ms,
+      ROUND(AVG(ut.time_to_first_byte_ms)::numeric, 2) as avg_ttfb_ms
+    FROM test_runs tr
+    LEFT JOIN suites s ON s.id = tr.suite_id
+    LEFT JOIN url_tests ut ON ut.test_run_id = tr.id
+    WHERE tr.id = $1
+    GROUP BY tr.id, s.id
+  `;
+
+  try {
+    const result = await query(sql, [testRunId]);
+    return result?.rows[0] || null;
+  } catch (error) {
+    console.error('Failed to get test run:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Get the most recent test run that is still RUNNING
+ * Runs older than the given age are ignored, so a crashed run doesn't block new ones forever
+ * @param {number} maxAgeMinutes - Ignore runs started longer ago than this (default: 180)
+ * @returns {Promise<object|null>}
+ */
+export async function getActiveTestRun(maxAgeMinutes = 180) {
+  if (!isDatabaseConnected()) {
+    return null;
+  }
+
+  const sql = `
+    SELECT id, run_uuid, run_timestamp, total_urls, schedule_id
+    FROM test_runs
+    WHERE status = 'RUNNING'
+      AND run_timestamp > NOW() - ($1 * INTERVAL '1 minute')
+    ORDER BY run_timestamp DESC
+    LIMIT 1
+  `;
+
+  try {
+    const result = await query(sql, [maxAgeMinutes]);
+    return result?.rows[0] || null;
+  } catch (error) {
+    console.error('Failed to get active test run:', error.message);
+    return null;
+  }
+}
+
 /**
  * Get all URL tests for a specific test run
  * @param {number} testRunId - Test run ID
@@ -82,12 +200,19 @@ export async function getUrlTestsByRun(testRunId) {
       test_timestamp,
       url,
       domain,
+      browser,
+      device_profile,
+      network_profile,
       page_title,
       status,
+      error_message,
       total_page_load_ms,
       time_to_first_byte_ms,
       total_resources,
-      http_response_codes
+      http_response_codes,
+      visual_mismatch_percent,
+      visually_changed,
+      visual_review_status
     FROM url_tests
     WHERE test_run_id = $1
     ORDER BY test_timestamp ASC
@@ -102,6 +227,48 @@ export async function getUrlTestsByRun(testRunId) {
   }
 }
 
+/**
+ * Get one row of a test run's URL list (same columns as getUrlTestsByRun)
+ * @param {number} testId - URL test ID
+ * @returns {Promise<object|null>}
+ */
+export async function getUrlTestSummary(testId) {
+  if (!isDatabaseConnected()) {
+    return null;
+  }
+
+  const sql = `
+    SELECT
+      id,
+      test_timestamp,
+      url,
+      domain,
+      browser,
+      device_profile,
+      network_profile,
+      page_title,
+      status,
+      error_message,
+      total_page_load_ms,
+      time_to_first_byte_ms,
+      total_resources,
+      http_response_codes,
+      visual_mismatch_percent,
+      visually_changed,
+      visual_review_status
+    FROM url_tests
+    WHERE id = $1
+  `;
+
+  try {
+    const result = await query(sql, [testId]);
+    return result?.rows[0] || null;
+  } catch (error) {
+    console.error('Failed to get URL test:', error.message);
+    return null;
+  }
+}
+
 /**
  * Get a single URL test by ID with all details
  * @param {number} testId - URL test ID
@@ -116,9 +283,12 @@ export async function getUrlTestById(testId) {
     SELECT
       ut.*,
       tr.run_timestamp,
-      tr.id as test_run_id
+      tr.id as test_run_id,
+      baseline.screenshot_path as visual_baseline_screenshot_path,
+      baseline.test_timestamp as visual_baseline_timestamp
     FROM url_tests ut
     JOIN test_runs tr ON tr.id = ut.test_run_id
+    LEFT JOIN url_tests baseline ON baseline.id = ut.visual_baseline_test_id
     WHERE ut.id = $1
   `;
 
@@ -131,26 +301,92 @@ export async function getUrlTestById(testId) {
   }
 }
 
+/**
+ * Get the tests of the same URL, run and browser under each device profile
+ * @param {number} testId - URL test ID (included in the result)
+ * @returns {Promise<Array>} One row per device profile
+ */
+export async function getUrlTestDevices(testId) {
+  if (!isDatabaseConnected()) {
+    return [];
+  }
+
+  const sql = `
+    SELECT
+      ut.id,
+      ut.device_profile,
+      ut.viewport_width,
+      ut.viewport_height,
+      ut.device_scale_factor,
+      ut.status,
+      ut.test_timestamp
+    FROM url_tests cur
+    JOIN url_tests ut ON ut.test_run_id = cur.test_run_id
+      AND ut.url = cur.url
+      AND ut.browser = cur.browser
+    WHERE cur.id = $1
+    ORDER BY ut.device_profile ASC, ut.test_timestamp DESC
+  `;
+
+  try {
+    const result = await query(sql, [testId]);
+    return result?.rows || [];
+  } catch (error) {
+    console.error('Failed to get URL test devices:', error.message);
+    return [];
+  }
+}
+
+// Browser, device profile and network profile that a domain's tests are compared under
+// ($3, $4 and $5), each defaulting to that of the domain's ($1) latest test
+const TEST_CONDITIONS_CTE = `
+  conditions AS (
+    SELECT
+      COALESCE($3::varchar, latest.browser) as browser,
+      COALESCE($4::varchar, latest.device_profile) as device_profile,
+      COALESCE($5::varchar, latest.network_profile) as network_profile
+    FROM (
+      SELECT browser, device_profile, network_profile
+      FROM url_tests
+      WHERE domain = $1
+      ORDER BY test_timestamp DESC
+      LIMIT 1
+    ) latest
+  )
+`;
+
+// Sorts accessibility violations (av) most severe first, as axe-core ranks impacts
+const IMPACT_ORDER = `CASE av.impact WHEN 'critical' THEN 1 WHEN 'serious' THEN 2 WHEN 'moderate' THEN 3 WHEN 'minor' THEN 4 ELSE 5 END`;
+
 /**
  * Get performance trend for a specific domain across multiple test runs
+ * Only tests run under the same browser, device profile and network profile are
+ * included, so a throttled or mobile run never reads as a regression of a desktop one
  * @param {string} domain - Domain name (e.g., 'www.uchicago.edu')
  * @param {number} limit - Number of historical runs to include (default: 10)
+ * @param {{browser?: string|null, deviceProfile?: string|null, networkProfile?: string|null}} [conditions]
+ *   Test conditions to include (default: those of the domain's latest test)
  * @returns {Promise<Array>}
  */
-export async function getDomainPerformanceTrend(domain, limit = 10) {
+export async function getDomainPerformanceTrend(domain, limit = 10, { browser = null, deviceProfile = null, networkProfile = null } = {}) {
   if (!isDatabaseConnected()) {
     return [];
   }
 
   const sql = `
-    SELECT * FROM v_performance_trends
-    WHERE domain = $1
-    ORDER BY run_timestamp DESC
+    WITH ${TEST_CONDITIONS_CTE}
+    SELECT t.*
+    FROM v_performance_trends t
+    JOIN conditions c ON c.browser = t.browser
+      AND c.device_profile = t.device_profile
+      AND c.network_profile = t.network_profile
+    WHERE t.domain = $1
+    ORDER BY t.run_timestamp DESC
     LIMIT $2
   `;
 
   try {
-    const result = await query(sql, [domain, limit]);
+    const result = await query(sql, [domain, limit, browser, deviceProfile, networkProfile]);
     return result?.rows || [];
   } catch (error) {
     console.error('Failed to get performance trend:', error.message);
@@ -215,9 +451,10 @@ export async function getUrlsWithMost404s(limit = 10) {
 /**
  * Get slowest loading URLs from latest test run
  * @param {number} limit - Number of URLs to return (default: 10)
+ * @param {number|null} suiteId - Use the latest run of this suite instead (optional)
  * @returns {Promise<Array>}
  */
-export async function getSlowestUrls(limit = 10) {
+export async function getSlowestUrls(limit = 10, suiteId = null) {
   if (!isDatabaseConnected()) {
     return [];
   }
@@ -232,13 +469,17 @@ export async function getSlowestUrls(limit = 10) {
       ut.test_timestamp
     FROM url_tests ut
     JOIN test_runs tr ON tr.id = ut.test_run_id
-    WHERE tr.id = (SELECT id FROM test_runs ORDER BY run_timestamp DESC LIMIT 1)
-    ORDER BY ut.total_page_load_ms DESC
+    WHERE tr.id = (
+      SELECT id FROM test_runs
+      WHERE ($2::int IS NULL OR suite_id = $2)
+      ORDER BY run_timestamp DESC LIMIT 1
+    )
+    ORDER BY ut.total_page_load_ms DESC NULLS LAST
     LIMIT $1
   `;
 
   try {
-    const result = await query(sql, [limit]);
+    const result = await query(sql, [limit, suiteId]);
     return result?.rows || [];
   } catch (error) {
     console.error('Failed to get slowest URLs:', error.message);
@@ -249,9 +490,10 @@ export async function getSlowestUrls(limit = 10) {
 /**
  * Get fastest loading URLs from latest test run
  * @param {number} limit - Number of URLs to return (default: 10)
+ * @param {number|null} suiteId - Use the latest run of this suite instead (optional)
  * @returns {Promise<Array>}
  */
-export async function getFastestUrls(limit = 10) {
+export async function getFastestUrls(limit = 10, suiteId = null) {
   if (!isDatabaseConnected()) {
     return [];
   }
@@ -266,13 +508,17 @@ export async function getFastestUrls(limit = 10) {
       ut.test_timestamp
     FROM url_tests ut
     JOIN test_runs tr ON tr.id = ut.test_run_id
-    WHERE tr.id = (SELECT id FROM test_runs ORDER BY run_timestamp DESC LIMIT 1)
+    WHERE tr.id = (
+      SELECT id FROM test_runs
+      WHERE ($2::int IS NULL OR suite_id = $2)
+      ORDER BY run_timestamp DESC LIMIT 1
+    )
     ORDER BY ut.total_page_load_ms ASC
     LIMIT $1
   `;
 
   try {
-    const result = await query(sql, [limit]);
+    const result = await query(sql, [limit, suiteId]);
     return result?.rows || [];
   } catch (error) {
     console.error('Failed to get fastest URLs:', error.message);
@@ -319,9 +565,10 @@ export async function compareTestRuns(runId1, runId2) {
 
 /**
  * Get average performance metrics for latest test run
+ * @param {number|null} suiteId - Use the latest run of this suite instead (optional)
  * @returns {Promise<object|null>}
  */
-export async function getLatestRunAverages() {
+export async function getLatestRunAverages(suiteId = null) {
   if (!isDatabaseConnected()) {
     return null;
   }
@@ -340,12 +587,16 @@ export async function getLatestRunAverages() {
       ROUND(AVG(ut.total_transfer_size_bytes)::numeric, 0) as avg_transfer_bytes
     FROM test_runs tr
     JOIN url_tests ut ON ut.test_run_id = tr.id
-    WHERE tr.id = (SELECT id FROM test_runs ORDER BY run_timestamp DESC LIMIT 1)
+    WHERE tr.id = (
+      SELECT id FROM test_runs
+      WHERE ($1::int IS NULL OR suite_id = $1)
+      ORDER BY run_timestamp DESC LIMIT 1
+    )
     GROUP BY tr.id, tr.run_timestamp, tr.total_urls
   `;
 
   try {
-    const result = await query(sql);
+    const result = await query(sql, [suiteId]);
     return result?.rows[0] || null;
   } catch (error) {
     console.error('Failed to get latest run averages:', error.message);
@@ -398,298 +649,772 @@ export async function getTestsByStatusCode(testRunId = null) {
 }
 
 /**
- * Search for URL tests by URL pattern
- * @param {string} pattern - SQL LIKE pattern (e.g., '%uchicago%')
- * @param {number} limit - Maximum results (default: 20)
+ * Get performance budget violations for a test run
+ * @param {number} testRunId - Test run ID (optional, defaults to latest)
+ * @param {number} limit - Maximum number of violations (default: 100)
  * @returns {Promise<Array>}
  */
-export async function searchUrlTests(pattern, limit = 20) {
+export async function getBudgetViolations(testRunId = null, limit = 100) {
   if (!isDatabaseConnected()) {
     return [];
   }
 
   const sql = `
     SELECT
-      ut.id,
-      ut.test_timestamp,
-      ut.url,
+      bv.id,
+      bv.url_test_id,
       ut.domain,
-      ut.page_title,
-      ut.status,
-      ut.total_page_load_ms,
-      tr.run_timestamp
-    FROM url_tests ut
-    JOIN test_runs tr ON tr.id = ut.test_run_id
-    WHERE ut.url ILIKE $1 OR ut.domain ILIKE $1
-    ORDER BY ut.test_timestamp DESC
-    LIMIT $2
+      ut.url,
+      bv.budget_name,
+      bv.metric,
+      bv.threshold_value,
+      bv.actual_value,
+      ut.test_timestamp
+    FROM budget_violations bv
+    JOIN url_tests ut ON ut.id = bv.url_test_id
+    WHERE ut.test_run_id = ${testRunId ? '$1' : '(SELECT id FROM test_runs ORDER BY run_timestamp DESC LIMIT 1)'}
+    ORDER BY ut.domain ASC, bv.metric ASC
+    LIMIT ${testRunId ? '$2' : '$1'}
   `;
 
   try {
-    const result = await query(sql, [pattern, limit]);
+    const params = testRunId ? [testRunId, limit] : [limit];
+    const result = await query(sql, params);
     return result?.rows || [];
   } catch (error) {
-    console.error('Failed to search URL tests:', error.message);
+    console.error('Failed to get budget violations:', error.message);
     return [];
   }
 }
 
 /**
- * Get failed HTTP requests (400+ status codes) with detailed request URLs
- * Reads HAR files from filesystem to extract specific failed request URLs
+ * Get accessibility violations for a test run, most severe first within each URL
  * @param {number} testRunId - Test run ID (optional, defaults to latest)
- * @param {number} limit - Maximum number of tests to process (default: 50)
- * @returns {Promise<Array>} Array of {testUrl, testDomain, failedRequestUrl, statusCode, statusCategory}
+ * @param {number} limit - Maximum number of violations (default: 500)
+ * @returns {Promise<Array>}
  */
-export async function getFailedRequests(testRunId = null, limit = 50) {
+export async function getAccessibilityViolations(testRunId = null, limit = 500) {
   if (!isDatabaseConnected()) {
     return [];
   }
 
-  // Get URL tests with error responses
-  const sql = testRunId
-    ? `
-      SELECT
-        ut.id,
-        ut.url as test_url,
-        ut.domain as test_domain,
-        ut.har_path,
-        ut.http_response_codes
-      FROM url_tests ut
-      WHERE ut.test_run_id = $1
-        AND ut.http_response_codes::text ~ '"[4-5][0-9]{2}"'
-      ORDER BY ut.test_timestamp DESC
-      LIMIT $2
-    `
-    : `
-      SELECT
-        ut.id,
-        ut.url as test_url,
-        ut.domain as test_domain,
-        ut.har_path,
-        ut.http_response_codes
-      FROM url_tests ut
-      JOIN test_runs tr ON tr.id = ut.test_run_id
-      WHERE tr.id = (SELECT id FROM test_runs ORDER BY run_timestamp DESC LIMIT 1)
-        AND ut.http_response_codes::text ~ '"[4-5][0-9]{2}"'
-      ORDER BY ut.test_timestamp DESC
-      LIMIT $1
-    `;
+  const sql = `
+    SELECT
+      av.id,
+      av.url_test_id,
+      ut.domain,
+      ut.url,
+      ut.browser,
+      ut.device_profile,
+      av.rule_id,
+      av.impact,
+      av.description,
+      av.help_url,
+      av.node_count
+    FROM accessibility_violations av
+    JOIN url_tests ut ON ut.id = av.url_test_id
+    WHERE ut.test_run_id = ${testRunId ? '$1' : '(SELECT id FROM test_runs ORDER BY run_timestamp DESC LIMIT 1)'}
+    ORDER BY ut.domain ASC, ut.url ASC, ut.browser ASC, ut.device_profile ASC, ${IMPACT_ORDER}, av.node_count DESC
+    LIMIT ${testRunId ? '$2' : '$1'}
+  `;
 
   try {
     const params = testRunId ? [testRunId, limit] : [limit];
     const result = await query(sql, params);
-    const tests = result?.rows || [];
-
-    const failedRequests = [];
-
-    // Import fs and path dynamically to avoid issues in browser environments
-    const { promises: fs } = await import('fs');
-    const path = await import('path');
-    const { fileURLToPath } = await import('url');
-
-    // Get directory path for resolving HAR files
-    const __filename = fileURLToPath(import.meta.url);
-    const __dirname = path.dirname(__filename);
-
-    // Process each test and parse its HAR file
-    for (const test of tests) {
-      try {
-        // Convert Docker container path to actual filesystem path
-        const harPath = test.har_path.replace('/app/', '');
-        const absoluteHarPath = path.join(__dirname, '..', '..', harPath);
-
-        // Read and parse HAR file
-        const harContent = await fs.readFile(absoluteHarPath, 'utf-8');
-        const harData = JSON.parse(harContent);
-
-        // Extract failed requests from HAR entries
-        if (harData.log && harData.log.entries) {
-          for (const entry of harData.log.entries) {
-            const statusCode = entry.response?.status;
-
-            // Only include 4xx and 5xx errors
-            if (statusCode >= 400) {
-              const requestUrl = entry.request?.url || 'Unknown URL';
-
-              // Determine status category
-              let statusCategory = 'Unknown';
-              if (statusCode >= 400 && statusCode < 500) {
-                statusCategory = 'Client Error';
-              } else if (statusCode >= 500) {
-                statusCategory = 'Server Error';
-              }
-
-              failedRequests.push({
-                testUrl: test.test_url,
-                testDomain: test.test_domain,
-                failedRequestUrl: requestUrl,
-                statusCode: statusCode,
-                statusCategory: statusCategory
-              });
-            }
-          }
-        }
-      } catch (harError) {
-        console.error(`Failed to parse HAR file for ${test.test_url}:`, harError.message);
-      }
-    }
-
-    return failedRequests;
+    return result?.rows || [];
   } catch (error) {
-    console.error('Failed to get failed requests:', error.message);
+    console.error('Failed to get accessibility violations:', error.message);
     return [];
   }
 }
 
 /**
- * Get failed HTTP requests for a specific URL test
- * @param {number} testId - URL test ID
- * @returns {Promise<Array>} Array of {failedRequestUrl, statusCode, statusCategory}
+ * Get each URL test in a run together with its baseline history
+ * The baseline is the URL's most recent PASSED tests in the same browser, device profile and network profile
+ * from earlier runs
+ * @param {number} testRunId - Test run ID
+ * @param {number} baselineSize - Maximum number of baseline tests per URL (default: 10)
+ * @returns {Promise<Array>} Rows with current metric values and *_history arrays (newest first)
  */
-export async function getFailedRequestsByTestId(testId) {
+export async function getRegressionCandidates(testRunId, baselineSize = 10) {
   if (!isDatabaseConnected()) {
     return [];
   }
 
   const sql = `
     SELECT
-      ut.id,
-      ut.url as test_url,
-      ut.domain as test_domain,
-      ut.har_path,
-      ut.http_response_codes
-    FROM url_tests ut
-    WHERE ut.id = $1
-      AND ut.http_response_codes::text ~ '"[4-5][0-9]{2}"'
+      cur.id,
+      cur.domain,
+      cur.url,
+      cur.browser,
+      cur.device_profile,
+      cur.network_profile,
+      cur.total_page_load_ms,
+      cur.time_to_first_byte_ms,
+      cur.total_transfer_size_bytes,
+      baseline.total_page_load_ms_history,
+      baseline.time_to_first_byte_ms_history,
+      baseline.total_transfer_size_bytes_history
+    FROM url_tests cur
+    CROSS JOIN LATERAL (
+      SELECT
+        array_remove(array_agg(prev.total_page_load_ms ORDER BY prev.test_timestamp DESC), NULL) as total_page_load_ms_history,
+        array_remove(array_agg(prev.time_to_first_byte_ms ORDER BY prev.test_timestamp DESC), NULL) as time_to_first_byte_ms_history,
+        array_remove(array_agg(prev.total_transfer_size_bytes ORDER BY prev.test_timestamp DESC), NULL) as total_transfer_size_bytes_history
+      FROM (
+        SELECT ut.total_page_load_ms, ut.time_to_first_byte_ms, ut.total_transfer_size_bytes, ut.test_timestamp
+        FROM url_tests ut
+        WHERE ut.url = cur.url
+          AND ut.browser = cur.browser
+          AND ut.device_profile = cur.device_profile
+          AND ut.network_profile = cur.network_profile
+          AND ut.status = 'PASSED'
+          AND ut.test_run_id IS DISTINCT FROM cur.test_run_id
+          AND ut.test_timestamp < cur.test_timestamp
+        ORDER BY ut.test_timestamp DESC
+        LIMIT $2
+      ) prev
+    ) baseline
+    WHERE cur.test_run_id = $1
+    ORDER BY cur.domain ASC
   `;
 
   try {
-    const result = await query(sql, [testId]);
-    const test = result?.rows[0];
-
-    if (!test) {
-      return [];
-    }
-
-    const failedRequests = [];
-
-    // Import fs and path dynamically
-    const { promises: fs } = await import('fs');
-    const path = await import('path');
-    const { fileURLToPath } = await import('url');
-
-    try {
-      // Convert Docker container path to actual filesystem path
-      // Docker path: /app/test-history/...
-      // Local path: /path/to/project/test-history/...
-      const __filename = fileURLToPath(import.meta.url);
-      const __dirname = path.dirname(__filename);
-      const harPath = test.har_path.replace('/app/', '');
-      const absoluteHarPath = path.join(__dirname, '..', '..', harPath);
-
-      // Read and parse HAR file
-      const harContent = await fs.readFile(absoluteHarPath, 'utf-8');
-      const harData = JSON.parse(harContent);
-
-      // Extract failed requests from HAR entries
-      if (harData.log && harData.log.entries) {
-        for (const entry of harData.log.entries) {
-          const statusCode = entry.response?.status;
-
-          // Only include 4xx and 5xx errors
-          if (statusCode >= 400) {
-            const requestUrl = entry.request?.url || 'Unknown URL';
-
-            // Determine status category
-            let statusCategory = 'Unknown';
-            if (statusCode >= 400 && statusCode < 500) {
-              statusCategory = 'Client Error';
-            } else if (statusCode >= 500) {
-              statusCategory = 'Server Error';
-            }
-
-            failedRequests.push({
-              failedRequestUrl: requestUrl,
-              statusCode: statusCode,
-              statusCategory: statusCategory
-            });
-          }
-        }
-      }
-    } catch (harError) {
-      console.error(`Failed to parse HAR file for test ${testId}:`, harError.message);
-    }
-
-    return failedRequests;
+    const result = await query(sql, [testRunId, baselineSize]);
+    return result?.rows || [];
   } catch (error) {
-    console.error('Failed to get failed requests by test ID:', error.message);
+    console.error('Failed to get regression candidates:', error.message);
     return [];
   }
 }
 
 /**
- * Get all dates that have test runs (for calendar highlighting)
- * @param {string} timezone - IANA timezone name (e.g., 'America/Chicago') or 'UTC'
- * @returns {Promise<Array<string>>} Array of dates in YYYY-MM-DD format
+ * Get detected performance regressions for a test run
+ * @param {number} testRunId - Test run ID (optional, defaults to latest)
+ * @param {number} limit - Maximum number of regressions (default: 100)
+ * @returns {Promise<Array>}
  */
-export async function getAvailableDates(timezone = 'UTC') {
+export async function getRegressions(testRunId = null, limit = 100) {
   if (!isDatabaseConnected()) {
     return [];
   }
 
   const sql = `
-    SELECT DISTINCT DATE(run_timestamp AT TIME ZONE $1) as test_date
-    FROM test_runs
-    ORDER BY test_date DESC
+    SELECT
+      r.id,
+      r.url_test_id,
+      ut.test_run_id,
+      ut.domain,
+      ut.url,
+      ut.browser,
+      ut.device_profile,
+      ut.network_profile,
+      r.metric,
+      r.baseline_value,
+      r.baseline_mad,
+      r.actual_value,
+      r.percent_change,
+      r.sample_count,
+      ut.test_timestamp
+    FROM regressions r
+    JOIN url_tests ut ON ut.id = r.url_test_id
+    WHERE ut.test_run_id = ${testRunId ? '$1' : '(SELECT id FROM test_runs ORDER BY run_timestamp DESC LIMIT 1)'}
+    ORDER BY r.percent_change DESC
+    LIMIT ${testRunId ? '$2' : '$1'}
   `;
 
   try {
-    const result = await query(sql, [timezone]);
-    return result?.rows.map(row => row.test_date.toISOString().split('T')[0]) || [];
+    const params = testRunId ? [testRunId, limit] : [limit];
+    const result = await query(sql, params);
+    return result?.rows || [];
   } catch (error) {
-    console.error('Failed to get available dates:', error.message);
+    console.error('Failed to get regressions:', error.message);
     return [];
   }
 }
 
+// Per-browser averages compared by src/analysis/browser-comparison.js (metrics of PASSED tests only)
+const BROWSER_METRIC_COLUMNS = `
+  url,
+  domain,
+  device_profile,
+  network_profile,
+  browser,
+  COUNT(*)::int as tests,
+  COUNT(*) FILTER (WHERE status = 'PASSED')::int as passed,
+  ROUND(AVG(time_to_first_byte_ms) FILTER (WHERE status = 'PASSED')::numeric, 2) as time_to_first_byte_ms,
+  ROUND(AVG(first_contentful_paint_ms) FILTER (WHERE status = 'PASSED')::numeric, 2) as first_contentful_paint_ms,
+  ROUND(AVG(largest_contentful_paint_ms) FILTER (WHERE status = 'PASSED')::numeric, 2) as largest_contentful_paint_ms,
+  ROUND(AVG(total_page_load_ms) FILTER (WHERE status = 'PASSED')::numeric, 2) as total_page_load_ms,
+  ROUND(AVG(total_transfer_size_bytes) FILTER (WHERE status = 'PASSED')::numeric, 0) as total_transfer_size_bytes
+`;
+
 /**
- * Get all test runs for a specific date
- * @param {string} date - Date in YYYY-MM-DD format
- * @param {string} timezone - IANA timezone name (e.g., 'America/Chicago') or 'UTC'
+ * Get each URL's metrics in a test run, one row per URL, device profile, network profile and browser
+ * @param {number} testRunId - Test run ID
  * @returns {Promise<Array>}
  */
-export async function getTestRunsByDate(date, timezone = 'UTC') {
+export async function getBrowserMetricsByRun(testRunId) {
   if (!isDatabaseConnected()) {
     return [];
   }
 
   const sql = `
-    SELECT
-      tr.id,
-      tr.run_uuid,
-      tr.run_timestamp,
-      tr.total_urls,
-      tr.parallel_workers,
-      tr.duration_ms,
-      tr.passed_count,
-      tr.failed_count,
-      tr.status,
-      COUNT(ut.id) as tests_completed,
-      ROUND(AVG(ut.total_page_load_ms)::numeric, 2) as avg_page_load_ms,
-      ROUND(AVG(ut.time_to_first_byte_ms)::numeric, 2) as avg_ttfb_ms
-    FROM test_runs tr
-    LEFT JOIN url_tests ut ON ut.test_run_id = tr.id
-    WHERE DATE(tr.run_timestamp AT TIME ZONE $2) = $1
-    GROUP BY tr.id
-    ORDER BY tr.run_timestamp DESC
+    SELECT ${BROWSER_METRIC_COLUMNS}
+    FROM url_tests
+    WHERE test_run_id = $1
+    GROUP BY url, domain, device_profile, network_profile, browser
+    ORDER BY url ASC, device_profile ASC, network_profile ASC, browser ASC
   `;
 
   try {
-    const result = await query(sql, [date, timezone]);
+    const result = await query(sql, [testRunId]);
     return result?.rows || [];
   } catch (error) {
-    console.error('Failed to get test runs by date:', error.message);
+    console.error('Failed to get browser metrics:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Get a domain's average metrics over the last N days, one row per URL, device profile, network profile and browser
+ * @param {string} domain - Domain name
+ * @param {number} days - Number of days to include (default: 30)
+ * @returns {Promise<Array>}
+ */
+export async function getBrowserMetricsByUrl(domain, days = 30) {
+  if (!isDatabaseConnected()) {
+    return [];
+  }
+
+  const sql = `
+    SELECT ${BROWSER_METRIC_COLUMNS}
+    FROM url_tests
+    WHERE domain = $1
+      AND test_timestamp >= NOW() - ($2 * INTERVAL '1 day')
+    GROUP BY url, domain, device_profile, network_profile, browser
+    ORDER BY url ASC, device_profile ASC, network_profile ASC, browser ASC
+  `;
+
+  try {
+    const result = await query(sql, [domain, days]);
+    return result?.rows || [];
+  } catch (error) {
+    console.error('Failed to get browser metrics:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Get the notification delivery log for a test run
+ * @param {number} testRunId - Test run ID
+ * @returns {Promise<Array>}
+ */
+export async function getNotificationDeliveries(testRunId) {
+  if (!isDatabaseConnected()) {
+    return [];
+  }
+
+  const sql = `
+    SELECT
+      id,
+      test_run_id,
+      target,
+      format,
+      status,
+      attempts,
+      response_status,
+      error_message,
+      created_at
+    FROM notification_deliveries
+    WHERE test_run_id = $1
+    ORDER BY created_at ASC
+  `;
+
+  try {
+    const result = await query(sql, [testRunId]);
+    return result?.rows || [];
+  } catch (error) {
+    console.error('Failed to get notification deliveries:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Search for URL tests by URL pattern
+ * @param {string} pattern - SQL LIKE pattern (e.g., '%uchicago%')
+ * @param {number} limit - Maximum results (default: 20)
+ * @returns {Promise<Array>}
+ */
+export async function searchUrlTests(pattern, limit = 20) {
+  if (!isDatabaseConnected()) {
+    return [];
+  }
+
+  const sql = `
+    SELECT
+      ut.id,
+      ut.test_timestamp,
+      ut.url,
+      ut.domain,
+      ut.page_title,
+      ut.status,
+      ut.total_page_load_ms,
+      tr.run_timestamp
+    FROM url_tests ut
+    JOIN test_runs tr ON tr.id = ut.test_run_id
+    WHERE ut.url ILIKE $1 OR ut.domain ILIKE $1
+    ORDER BY ut.test_timestamp DESC
+    LIMIT $2
+  `;
+
+  try {
+    const result = await query(sql, [pattern, limit]);
+    return result?.rows || [];
+  } catch (error) {
+    console.error('Failed to search URL tests:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Describe a failed request (status 400+) from the requests table
+ * @param {{request_url: string, status_code: number}} row
+ * @returns {{failedRequestUrl: string, statusCode: number, statusCategory: string}}
+ */
+function toFailedRequest(row) {
+  return {
+    failedRequestUrl: row.request_url,
+    statusCode: row.status_code,
+    statusCategory: row.status_code >= 500 ? 'Server Error' : 'Client Error'
+  };
+}
+
+/**
+ * Get failed HTTP requests (400+ status codes) with detailed request URLs
+ * @param {number} testRunId - Test run ID (optional, defaults to latest)
+ * @param {number} limit - Maximum number of tests to include (default: 50)
+ * @returns {Promise<Array>} Array of {testUrl, testDomain, failedRequestUrl, statusCode, statusCategory}
+ */
+export async function getFailedRequests(testRunId = null, limit = 50) {
+  if (!isDatabaseConnected()) {
+    return [];
+  }
+
+  // The most recent tests of the run with at least one failed request
+  const runFilter = testRunId
+    ? 'ut.test_run_id = $1'
+    : 'ut.test_run_id = (SELECT id FROM test_runs ORDER BY run_timestamp DESC LIMIT 1)';
+  const sql = `
+    WITH tests AS (
+      SELECT ut.id, ut.url, ut.domain, ut.test_timestamp
+      FROM url_tests ut
+      WHERE ${runFilter}
+        AND EXISTS (SELECT 1 FROM requests r WHERE r.url_test_id = ut.id AND r.status_code >= 400)
+      ORDER BY ut.test_timestamp DESC
+      LIMIT ${testRunId ? '$2' : '$1'}
+    )
+    SELECT
+      t.url as test_url,
+      t.domain as test_domain,
+      r.url as request_url,
+      r.status_code
+    FROM tests t
+    JOIN requests r ON r.url_test_id = t.id
+    WHERE r.status_code >= 400
+    ORDER BY t.test_timestamp DESC, r.request_index
+  `;
+
+  try {
+    const params = testRunId ? [testRunId, limit] : [limit];
+    const result = await query(sql, params);
+    return (result?.rows || []).map(row => ({
+      testUrl: row.test_url,
+      testDomain: row.test_domain,
+      ...toFailedRequest(row)
+    }));
+  } catch (error) {
+    console.error('Failed to get failed requests:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Get the request URLs that failed (status 400+) on the most sites, across all runs
+ * @param {number} limit - Number of request URLs to return (default: 20)
+ * @param {number} days - Only consider tests from the last N days (default: 30)
+ * @returns {Promise<Array>} Array of {url, host, domain_count, test_count, status_codes, last_seen}
+ */
+export async function getMostFailedRequests(limit = 20, days = 30) {
+  if (!isDatabaseConnected()) {
+    return [];
+  }
+
+  const sql = `
+    SELECT
+      r.url,
+      r.host,
+      COUNT(DISTINCT ut.domain) as domain_count,
+      COUNT(DISTINCT ut.id) as test_count,
+      ARRAY_AGG(DISTINCT r.status_code ORDER BY r.status_code) as status_codes,
+      MAX(ut.test_timestamp) as last_seen
+    FROM requests r
+    JOIN url_tests ut ON ut.id = r.url_test_id
+    WHERE r.status_code >= 400
+      AND ut.test_timestamp >= NOW() - ($2 * INTERVAL '1 day')
+    GROUP BY r.url, r.host
+    ORDER BY domain_count DESC, test_count DESC, last_seen DESC
+    LIMIT $1
+  `;
+
+  try {
+    const result = await query(sql, [limit, days]);
+    return result?.rows || [];
+  } catch (error) {
+    console.error('Failed to get most failed requests:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Get the accessibility violations of a specific URL test, most severe first
+ * @param {number} testId - URL test ID
+ * @returns {Promise<Array>}
+ */
+export async function getAccessibilityViolationsByTestId(testId) {
+  if (!isDatabaseConnected()) {
+    return [];
+  }
+
+  const sql = `
+    SELECT
+      av.id,
+      av.rule_id,
+      av.impact,
+      av.description,
+      av.help_url,
+      av.wcag_tags,
+      av.node_count,
+      av.example_targets
+    FROM accessibility_violations av
+    WHERE av.url_test_id = $1
+    ORDER BY ${IMPACT_ORDER}, av.node_count DESC, av.rule_id ASC
+  `;
+
+  try {
+    const result = await query(sql, [testId]);
+    return result?.rows || [];
+  } catch (error) {
+    console.error('Failed to get accessibility violations for test:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Get the broken links found on a specific URL test's page
+ * Failed requests (no status code) first, then by status code
+ * @param {number} testId - URL test ID
+ * @returns {Promise<Array>}
+ */
+export async function getBrokenLinksByTestId(testId) {
+  if (!isDatabaseConnected()) {
+    return [];
+  }
+
+  const sql = `
+    SELECT
+      bl.id,
+      bl.link_url,
+      bl.anchor_text,
+      bl.status_code,
+      bl.error_message
+    FROM broken_links bl
+    WHERE bl.url_test_id = $1
+    ORDER BY bl.status_code ASC NULLS FIRST, bl.link_url ASC
+  `;
+
+  try {
+    const result = await query(sql, [testId]);
+    return result?.rows || [];
+  } catch (error) {
+    console.error('Failed to get broken links for test:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Get the requests stored for a specific URL test, in the order they started
+ * @param {number} testId - URL test ID
+ * @returns {Promise<Array>}
+ */
+export async function getRequestsByTestId(testId) {
+  if (!isDatabaseConnected()) {
+    return [];
+  }
+
+  const sql = `
+    SELECT
+      r.request_index,
+      r.url,
+      r.host,
+      r.method,
+      r.status_code,
+      r.content_type,
+      r.transfer_size_bytes,
+      r.content_size_bytes,
+      r.from_cache
+    FROM requests r
+    WHERE r.url_test_id = $1
+    ORDER BY r.request_index
+  `;
+
+  try {
+    const result = await query(sql, [testId]);
+    return result?.rows || [];
+  } catch (error) {
+    console.error('Failed to get requests for test:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Get the latest earlier test of the same URL, browser, device profile and network profile
+ * that has requests stored (to compare assets with)
+ * @param {number} testId - URL test ID
+ * @returns {Promise<{id: number, test_run_id: number, test_timestamp: Date, status: string}|null>}
+ */
+export async function getPreviousUrlTest(testId) {
+  if (!isDatabaseConnected()) {
+    return null;
+  }
+
+  const sql = `
+    SELECT prev.id, prev.test_run_id, prev.test_timestamp, prev.status
+    FROM url_tests cur
+    JOIN url_tests prev ON prev.url = cur.url
+      AND prev.browser = cur.browser
+      AND prev.device_profile = cur.device_profile
+      AND prev.network_profile = cur.network_profile
+      AND prev.test_timestamp < cur.test_timestamp
+    WHERE cur.id = $1
+      AND EXISTS (SELECT 1 FROM requests r WHERE r.url_test_id = prev.id)
+    ORDER BY prev.test_timestamp DESC
+    LIMIT 1
+  `;
+
+  try {
+    const result = await query(sql, [testId]);
+    return result?.rows[0] || null;
+  } catch (error) {
+    console.error('Failed to get previous URL test:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Pair the tests of a URL in two test runs by browser, device profile and network profile
+ * @param {number} runId1 - Newer test run ID
+ * @param {number} runId2 - Older test run ID
+ * @param {string} url - Tested URL
+ * @returns {Promise<Array<{new_test_id: number, old_test_id: number, browser: string, device_profile: string, network_profile: string}>>}
+ */
+export async function getUrlTestPairs(runId1, runId2, url) {
+  if (!isDatabaseConnected()) {
+    return [];
+  }
+
+  const sql = `
+    SELECT
+      ut1.id as new_test_id,
+      ut2.id as old_test_id,
+      ut1.browser,
+      ut1.device_profile,
+      ut1.network_profile
+    FROM url_tests ut1
+    JOIN url_tests ut2 ON ut2.url = ut1.url
+      AND ut2.browser = ut1.browser
+      AND ut2.device_profile = ut1.device_profile
+      AND ut2.network_profile = ut1.network_profile
+    WHERE ut1.test_run_id = $1 AND ut2.test_run_id = $2 AND ut1.url = $3
+    ORDER BY ut1.browser, ut1.device_profile, ut1.network_profile
+  `;
+
+  try {
+    const result = await query(sql, [runId1, runId2, url]);
+    return result?.rows || [];
+  } catch (error) {
+    console.error('Failed to get URL test pairs:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Get a URL test's requests totalled per vendor
+ * The first party first, then third parties by bytes transferred
+ * @param {number} testId - URL test ID
+ * @returns {Promise<Array>}
+ */
+export async function getThirdPartiesByTestId(testId) {
+  if (!isDatabaseConnected()) {
+    return [];
+  }
+
+  const sql = `
+    SELECT
+      tp.id,
+      tp.entity_name,
+      tp.category,
+      tp.first_party,
+      tp.hosts,
+      tp.request_count,
+      tp.transfer_size_bytes,
+      tp.blocking_time_ms
+    FROM third_parties tp
+    WHERE tp.url_test_id = $1
+    ORDER BY tp.first_party DESC, tp.transfer_size_bytes DESC, tp.entity_name ASC
+  `;
+
+  try {
+    const result = await query(sql, [testId]);
+    return result?.rows || [];
+  } catch (error) {
+    console.error('Failed to get third parties for test:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Get the third parties used by the most sites in a test run
+ * @param {number|null} testRunId - Test run ID (optional, defaults to latest)
+ * @param {number} limit - Number of third parties to return (default: 20)
+ * @returns {Promise<Array>} Rows with site and test counts, total requests and bytes, and averages per test
+ */
+export async function getTopThirdParties(testRunId = null, limit = 20) {
+  if (!isDatabaseConnected()) {
+    return [];
+  }
+
+  const sql = `
+    SELECT
+      tp.entity_name,
+      MAX(tp.category) as category,
+      COUNT(DISTINCT ut.domain) as site_count,
+      COUNT(DISTINCT tp.url_test_id) as test_count,
+      SUM(tp.request_count) as request_count,
+      SUM(tp.transfer_size_bytes) as transfer_size_bytes,
+      ROUND(AVG(tp.transfer_size_bytes)) as avg_transfer_size_bytes,
+      ROUND(AVG(tp.blocking_time_ms), 2) as avg_blocking_time_ms
+    FROM third_parties tp
+    JOIN url_tests ut ON ut.id = tp.url_test_id
+    WHERE NOT tp.first_party
+      AND ut.test_run_id = ${testRunId ? '$1' : '(SELECT id FROM test_runs ORDER BY run_timestamp DESC LIMIT 1)'}
+    GROUP BY tp.entity_name
+    ORDER BY site_count DESC, transfer_size_bytes DESC, tp.entity_name ASC
+    LIMIT ${testRunId ? '$2' : '$1'}
+  `;
+
+  try {
+    const params = testRunId ? [testRunId, limit] : [limit];
+    const result = await query(sql, params);
+    return result?.rows || [];
+  } catch (error) {
+    console.error('Failed to get top third parties:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Get failed HTTP requests for a specific URL test
+ * @param {number} testId - URL test ID
+ * @returns {Promise<Array>} Array of {failedRequestUrl, statusCode, statusCategory}
+ */
+export async function getFailedRequestsByTestId(testId) {
+  if (!isDatabaseConnected()) {
+    return [];
+  }
+
+  const sql = `
+    SELECT url as request_url, status_code
+    FROM requests
+    WHERE url_test_id = $1
+      AND status_code >= 400
+    ORDER BY request_index
+  `;
+
+  try {
+    const result = await query(sql, [testId]);
+    return (result?.rows || []).map(toFailedRequest);
+  } catch (error) {
+    console.error('Failed to get failed requests by test ID:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Get all dates that have test runs (for calendar highlighting)
+ * @param {string} timezone - IANA timezone name (e.g., 'America/Chicago') or 'UTC'
+ * @returns {Promise<Array<string>>} Array of dates in YYYY-MM-DD format
+ */
+export async function getAvailableDates(timezone = 'UTC') {
+  if (!isDatabaseConnected()) {
+    return [];
+  }
+
+  const sql = `
+    SELECT DISTINCT DATE(run_timestamp AT TIME ZONE $1) as test_date
+    FROM test_runs
+    ORDER BY test_date DESC
+  `;
+
+  try {
+    const result = await query(sql, [timezone]);
+    return result?.rows.map(row => row.test_date.toISOString().split('T')[0]) || [];
+  } catch (error) {
+    console.error('Failed to get available dates:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Get all test runs for a specific date
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} timezone - IANA timezone name (e.g., 'America/Chicago') or 'UTC'
+ * @returns {Promise<Array>}
+ */
+export async function getTestRunsByDate(date, timezone = 'UTC') {
+  if (!isDatabaseConnected()) {
+    return [];
+  }
+
+  const sql = `
+    SELECT
+      tr.id,
+      tr.run_uuid,
+      tr.run_timestamp,
+      tr.total_urls,
+      tr.parallel_workers,
+      tr.duration_ms,
+      tr.passed_count,
+      tr.failed_count,
+      tr.status,
+      tr.suite_id,
+      s.name as suite_name,
+      COUNT(ut.id) as tests_completed,
+      ROUND(AVG(ut.total_page_load_ms)::numeric, 2) as avg_page_load_ms,
+      ROUND(AVG(ut.time_to_first_byte_ms)::numeric, 2) as avg_ttfb_ms
+    FROM test_runs tr
+    LEFT JOIN suites s ON s.id = tr.suite_id
+    LEFT JOIN url_tests ut ON ut.test_run_id = tr.id
+    WHERE DATE(tr.run_timestamp AT TIME ZONE $2) = $1
+    GROUP BY tr.id, s.id
+    ORDER BY tr.run_timestamp DESC
+  `;
+
+  try {
+    const result = await query(sql, [date, timezone]);
+    return result?.rows || [];
+  } catch (error) {
+    console.error('Failed to get test runs by date:', error.message);
     return [];
   }
 }
@@ -740,6 +1465,9 @@ export async function getTestsByUrl(domain, limit = 100) {
       ut.test_timestamp,
       ut.url,
       ut.domain,
+      ut.browser,
+      ut.device_profile,
+      ut.network_profile,
       ut.page_title,
       ut.status,
       ut.total_page_load_ms,
@@ -764,14 +1492,69 @@ export async function getTestsByUrl(domain, limit = 100) {
   }
 }
 
+/**
+ * Get the pages tested by a domain's latest crawl, for the site rollup
+ * The latest crawl is the run and seed of the domain's most recent crawled test
+ * @param {string} domain - Domain name
+ * @returns {Promise<Array>} One row per page, browser and device profile, by depth then URL
+ *   (empty if the domain was never crawled)
+ */
+export async function getLatestCrawl(domain) {
+  if (!isDatabaseConnected()) {
+    return [];
+  }
+
+  const sql = `
+    WITH latest AS (
+      SELECT crawl_seed_url, test_run_id
+      FROM url_tests
+      WHERE domain = $1 AND crawl_seed_url IS NOT NULL
+      ORDER BY test_timestamp DESC
+      LIMIT 1
+    )
+    SELECT
+      ut.id,
+      ut.url,
+      ut.crawl_seed_url,
+      ut.crawl_depth,
+      ut.browser,
+      ut.device_profile,
+      ut.status,
+      ut.total_page_load_ms,
+      ut.largest_contentful_paint_ms,
+      ut.total_transfer_size_bytes,
+      ut.broken_link_count,
+      ut.accessibility_violation_count,
+      ut.test_run_id,
+      tr.run_timestamp
+    FROM url_tests ut
+    JOIN latest ON latest.crawl_seed_url = ut.crawl_seed_url AND latest.test_run_id = ut.test_run_id
+    JOIN test_runs tr ON tr.id = ut.test_run_id
+    ORDER BY ut.crawl_depth ASC, ut.url ASC, ut.browser ASC, ut.device_profile ASC
+  `;
+
+  try {
+    const result = await query(sql, [domain]);
+    return result?.rows || [];
+  } catch (error) {
+    console.error('Failed to get latest crawl:', error.message);
+    return [];
+  }
+}
+
 /**
  * Get daily average load times for a specific URL (last N days)
+ * Only tests run under the same browser, device profile and network profile are averaged
  * @param {string} domain - Domain name to get averages for
  * @param {number} days - Number of days to include (default: 15)
  * @param {string} timezone - Timezone for date aggregation (default: 'UTC', accepts IANA names like 'America/Chicago')
- * @returns {Promise<Array>} Array of {test_date, avg_load_time_ms, test_count}
+ * @param {{browser?: string|null, deviceProfile?: string|null, networkProfile?: string|null}} [conditions]
+ *   Test conditions to average (default: those of the domain's latest test)
+ * @returns {Promise<Array>} Array of {test_date, avg_load_time_ms, avg_lcp_ms, avg_fcp_ms, avg_cls, avg_tbt_ms,
+ *   avg_accessibility_violations, test_count, browser, device_profile, network_profile}
+ *   (avg_accessibility_violations is the average number of violated rules, null if no test was audited)
  */
-export async function getDailyAverageLoadTime(domain, days = 15, timezone = 'UTC') {
+export async function getDailyAverageLoadTime(domain, days = 15, timezone = 'UTC', { browser = null, deviceProfile = null, networkProfile = null } = {}) {
   if (!isDatabaseConnected()) {
     return [];
   }
@@ -785,23 +1568,104 @@ export async function getDailyAverageLoadTime(domain, days = 15, timezone = 'UTC
   }
 
   const sql = `
+    WITH ${TEST_CONDITIONS_CTE}
     SELECT
       DATE(ut.test_timestamp AT TIME ZONE $2) as test_date,
       ROUND(AVG(ut.total_page_load_ms)::numeric, 2) as avg_load_time_ms,
-      COUNT(*) as test_count
+      ROUND(AVG(ut.largest_contentful_paint_ms)::numeric, 2) as avg_lcp_ms,
+      ROUND(AVG(ut.first_contentful_paint_ms)::numeric, 2) as avg_fcp_ms,
+      ROUND(AVG(ut.cumulative_layout_shift)::numeric, 4) as avg_cls,
+      ROUND(AVG(ut.total_blocking_time_ms)::numeric, 2) as avg_tbt_ms,
+      ROUND(AVG(ut.accessibility_violation_count)::numeric, 1) as avg_accessibility_violations,
+      COUNT(*) as test_count,
+      c.browser,
+      c.device_profile,
+      c.network_profile
     FROM url_tests ut
+    JOIN conditions c ON c.browser = ut.browser
+      AND c.device_profile = ut.device_profile
+      AND c.network_profile = ut.network_profile
     WHERE ut.domain = $1
       AND ut.test_timestamp >= NOW() - INTERVAL '${days} days'
       AND ut.total_page_load_ms IS NOT NULL
-    GROUP BY DATE(ut.test_timestamp AT TIME ZONE $2)
+    GROUP BY DATE(ut.test_timestamp AT TIME ZONE $2), c.browser, c.device_profile, c.network_profile
     ORDER BY test_date ASC
   `;
 
   try {
-    const result = await query(sql, [domain, timezone]);
+    const result = await query(sql, [domain, timezone, browser, deviceProfile, networkProfile]);
     return result?.rows || [];
   } catch (error) {
     console.error('Failed to get daily average load time:', error.message);
     return [];
   }
 }
+
+/**
+ * Get a URL's daily average page weight per content type (last N days)
+ * Bytes come from the content_type_sizes table; a test without requests of a
+ * content type counts as 0 bytes of it. Only tests run under the same browser,
+ * device profile and network profile are averaged
+ * @param {string} domain - Domain name to get averages for
+ * @param {number} days - Number of days to include (default: 15)
+ * @param {string} timezone - Timezone for date aggregation (default: 'UTC', accepts IANA names like 'America/Chicago')
+ * @param {{browser?: string|null, deviceProfile?: string|null, networkProfile?: string|null}} [conditions]
+ *   Test conditions to average (default: those of the domain's latest test)
+ * @returns {Promise<Array>} Array of {test_date, content_type, avg_transfer_size_bytes, avg_content_size_bytes,
+ *   avg_request_count, test_count, browser, device_profile, network_profile}, one row per day and content type
+ */
+export async function getDailyContentTypeSizes(domain, days = 15, timezone = 'UTC', { browser = null, deviceProfile = null, networkProfile = null } = {}) {
+  if (!isDatabaseConnected()) {
+    return [];
+  }
+
+  // Validate timezone parameter to prevent SQL injection
+  const validTimezonePattern = /^[A-Za-z_]+\/[A-Za-z_]+$|^UTC$/;
+  if (!validTimezonePattern.test(timezone)) {
+    console.error('Invalid timezone parameter:', timezone);
+    timezone = 'UTC'; // Fallback to UTC if invalid
+  }
+
+  const sql = `
+    WITH ${TEST_CONDITIONS_CTE},
+    tests AS (
+      SELECT ut.id, DATE(ut.test_timestamp AT TIME ZONE $2) as test_date
+      FROM url_tests ut
+      JOIN conditions c ON c.browser = ut.browser
+        AND c.device_profile = ut.device_profile
+        AND c.network_profile = ut.network_profile
+      WHERE ut.domain = $1
+        AND ut.test_timestamp >= NOW() - INTERVAL '${days} days'
+        AND EXISTS (SELECT 1 FROM content_type_sizes cts WHERE cts.url_test_id = ut.id)
+    ),
+    daily AS (
+      SELECT test_date, COUNT(*) as test_count
+      FROM tests
+      GROUP BY test_date
+    )
+    SELECT
+      t.test_date,
+      cts.content_type,
+      ROUND(SUM(cts.transfer_size_bytes)::numeric / d.test_count) as avg_transfer_size_bytes,
+      ROUND(SUM(cts.content_size_bytes)::numeric / d.test_count) as avg_content_size_bytes,
+      ROUND(SUM(cts.request_count)::numeric / d.test_count, 1) as avg_request_count,
+      d.test_count,
+      c.browser,
+      c.device_profile,
+      c.network_profile
+    FROM tests t
+    JOIN daily d ON d.test_date = t.test_date
+    JOIN content_type_sizes cts ON cts.url_test_id = t.id
+    CROSS JOIN conditions c
+    GROUP BY t.test_date, cts.content_type, d.test_count, c.browser, c.device_profile, c.network_profile
+    ORDER BY t.test_date ASC, cts.content_type ASC
+  `;
+
+  try {
+    const result = await query(sql, [domain, timezone, browser, deviceProfile, networkProfile]);
+    return result?.rows || [];
+  } catch (error) {
+    console.error('Failed to get daily content type sizes:', error.message);
+    return [];
+  }
+}
@@ -0,0 +1,117 @@
+// @ts-check
+import { EventEmitter } from 'events';
+import { query, getPool, isDatabaseConnected } from './client.js';
+
+/**
+ * Live test run events over PostgreSQL LISTEN/NOTIFY
+ * The ingest path notifies when a URL test is stored or a run's status changes.
+ * It runs in the Playwright workers and update-test-run.js as well as the app, so
+ * the database carries the events to the dashboard app, which listens on one
+ * dedicated connection and hands them to its Server-Sent Events streams.
+ */
+
+const CHANNEL = 'test_run_events';
+
+/**
+ * @typedef {{type: 'url_test', testRunId: number, urlTestId: number}
+ *   | {type: 'status', testRunId: number, status: string}} TestRunEvent
+ */
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+/** @type {Promise<import('pg').PoolClient|null>|null} */
+let listenerClient = null;
+
+/**
+ * Notify listeners about a test run (NOTIFY is delivered when the statement commits)
+ * @param {TestRunEvent} event
+ * @returns {Promise<boolean>} True if the notification was sent
+ */
+export async function notifyTestRunEvent(event) {
+  if (!isDatabaseConnected() || !event.testRunId) {
+    return false;
+  }
+
+  try {
+    const result = await query('SELECT pg_notify($1, $2)', [CHANNEL, JSON.stringify(event)]);
+    return result !== null;
+  } catch (error) {
+    console.error('Failed to send test run event:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Take a connection out of the pool and LISTEN on it
+ * @returns {Promise<import('pg').PoolClient|null>}
+ */
+async function startListening() {
+  const pool = getPool();
+  if (!pool || !isDatabaseConnected()) {
+    return null;
+  }
+
+  /** @type {import('pg').PoolClient|null} */
+  let client = null;
+  let released = false;
+  /** @param {Error} error */
+  const release = error => {
+    if (client && !released) {
+      released = true;
+      client.release(error);
+    }
+  };
+
+  try {
+    client = await pool.connect();
+    client.on('notification', message => {
+      if (message.channel !== CHANNEL || !message.payload) {
+        return;
+      }
+      try {
+        /** @type {TestRunEvent} */
+        const event = JSON.parse(message.payload);
+        emitter.emit(`run:${event.testRunId}`, event);
+      } catch (error) {
+        console.error('Invalid test run event:', error.message);
+      }
+    });
+    client.on('error', error => {
+      // Subscribers fall back to their periodic refresh; the next subscriber reconnects
+      console.error('Test run event listener failed:', error.message);
+      listenerClient = null;
+      release(error);
+    });
+    await client.query(`LISTEN ${CHANNEL}`);
+    return client;
+  } catch (error) {
+    console.error('Failed to listen for test run events:', error.message);
+    // Each later subscriber tries again with a new connection, so don't keep this one
+    release(error);
+    return null;
+  }
+}
+
+/**
+ * Receive the events of one test run
+ * @param {number} testRunId - Test run ID
+ * @param {(event: TestRunEvent) => void} callback
+ * @returns {Promise<(() => void)|null>} Function that unsubscribes, or null if events are unavailable
+ */
+export async function subscribeToTestRun(testRunId, callback) {
+  if (!listenerClient) {
+    listenerClient = startListening();
+  }
+  const client = await listenerClient;
+  if (!client) {
+    listenerClient = null;
+    return null;
+  }
+
+  const eventName = `run:${testRunId}`;
+  emitter.on(eventName, callback);
+  return () => {
+    emitter.off(eventName, callback);
+  };
+}
@@ -0,0 +1,250 @@
+// @ts-check
+import { query, isDatabaseConnected } from './client.js';
+
+/**
+ * Data access for run schedules (see src/scheduler/scheduler.js)
+ */
+
+const SCHEDULE_COLUMNS = `
+  s.id,
+  s.name,
+  s.cron_expression,
+  s.timezone,
+  s.parallel_workers,
+  s.suite_id,
+  suite.name as suite_name,
+  s.enabled,
+  s.next_run_at,
+  s.last_triggered_at,
+  s.last_message,
+  s.created_at,
+  s.updated_at,
+  last_run.id as last_run_id,
+  last_run.status as last_run_status
+`;
+
+// Suite of each schedule, and the most recent test run it started
+const SCHEDULE_JOINS = `
+  LEFT JOIN suites suite ON suite.id = s.suite_id
+  LEFT JOIN LATERAL (
+    SELECT tr.id, tr.status
+    FROM test_runs tr
+    WHERE tr.schedule_id = s.id
+    ORDER BY tr.run_timestamp DESC
+    LIMIT 1
+  ) last_run ON TRUE
+`;
+
+/**
+ * Get all schedules with their suite and most recent run
+ * @returns {Promise<Array>}
+ */
+export async function getSchedules() {
+  if (!isDatabaseConnected()) {
+    return [];
+  }
+
+  const sql = `
+    SELECT ${SCHEDULE_COLUMNS}
+    FROM schedules s
+    ${SCHEDULE_JOINS}
+    ORDER BY s.name ASC
+  `;
+
+  try {
+    const result = await query(sql);
+    return result?.rows || [];
+  } catch (error) {
+    console.error('Failed to get schedules:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Get a single schedule
+ * @param {number} scheduleId - Schedule ID
+ * @returns {Promise<object|null>}
+ */
+export async function getScheduleById(scheduleId) {
+  if (!isDatabaseConnected()) {
+    return null;
+  }
+
+  const sql = `
+    SELECT ${SCHEDULE_COLUMNS}
+    FROM schedules s
+    ${SCHEDULE_JOINS}
+    WHERE s.id = $1
+  `;
+
+  try {
+    const result = await query(sql, [scheduleId]);
+    return result?.rows[0] || null;
+  } catch (error) {
+    console.error('Failed to get schedule:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Get enabled schedules whose next run time has passed
+ * @returns {Promise<Array>}
+ */
+export async function getDueSchedules() {
+  if (!isDatabaseConnected()) {
+    return [];
+  }
+
+  const sql = `
+    SELECT id, name, cron_expression, timezone, parallel_workers, suite_id, next_run_at
+    FROM schedules
+    WHERE enabled AND next_run_at <= NOW()
+    ORDER BY next_run_at ASC
+  `;
+
+  try {
+    const result = await query(sql);
+    return result?.rows || [];
+  } catch (error) {
+    console.error('Failed to get due schedules:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Create a schedule
+ * @param {{name: string, cronExpression: string, timezone: string, parallelWorkers: number, suiteId: number|null,
+ *   enabled: boolean, nextRunAt: Date|null}} schedule
+ * @returns {Promise<object|null>} Created schedule or null on failure
+ */
+export async function createSchedule(schedule) {
+  if (!isDatabaseConnected()) {
+    return null;
+  }
+
+  const sql = `
+    INSERT INTO schedules (name, cron_expression, timezone, parallel_workers, suite_id, enabled, next_run_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING id
+  `;
+
+  try {
+    const result = await query(sql, [
+      schedule.name,
+      schedule.cronExpression,
+      schedule.timezone,
+      schedule.parallelWorkers,
+      schedule.suiteId,
+      schedule.enabled,
+      schedule.nextRunAt
+    ]);
+    return result?.rows[0] ? getScheduleById(result.rows[0].id) : null;
+  } catch (error) {
+    console.error('Failed to create schedule:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Update a schedule
+ * @param {number} scheduleId - Schedule ID
+ * @param {{name: string, cronExpression: string, timezone: string, parallelWorkers: number, suiteId: number|null,
+ *   enabled: boolean, nextRunAt: Date|null}} schedule
+ * @returns {Promise<object|null>} Updated schedule or null if not found
+ */
+export async function updateSchedule(scheduleId, schedule) {
+  if (!isDatabaseConnected()) {
+    return null;
+  }
+
+  const sql = `
+    UPDATE schedules
+    SET name = $1, cron_expression = $2, timezone = $3, parallel_workers = $4,
+        suite_id = $5, enabled = $6, next_run_at = $7, updated_at = NOW()
+    WHERE id = $8
+    RETURNING id
+  `;
+
+  try {
+    const result = await query(sql, [
+      schedule.name,
+      schedule.cronExpression,
+      schedule.timezone,
+      schedule.parallelWorkers,
+      schedule.suiteId,
+      schedule.enabled,
+      schedule.nextRunAt,
+      scheduleId
+    ]);
+    return result?.rows[0] ? getScheduleById(scheduleId) : null;
+  } catch (error) {
+    console.error('Failed to update schedule:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Delete a schedule (runs it started are kept)
+ * @param {number} scheduleId - Schedule ID
+ * @returns {Promise<boolean>} True if a schedule was deleted
+ */
+export async function deleteSchedule(scheduleId) {
+  if (!isDatabaseConnected()) {
+    return false;
+  }
+
+  try {
+    const result = await query('DELETE FROM schedules WHERE id = $1', [scheduleId]);
+    return (result?.rowCount || 0) > 0;
+  } catch (error) {
+    console.error('Failed to delete schedule:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Record the outcome of a schedule trigger and set its next run time
+ * @param {number} scheduleId - Schedule ID
+ * @param {string} message - Outcome, e.g. 'Started test run 42'
+ * @param {Date|null} nextRunAt - Next run time
+ * @returns {Promise<boolean>}
+ */
+export async function recordScheduleTrigger(scheduleId, message, nextRunAt) {
+  if (!isDatabaseConnected()) {
+    return false;
+  }
+
+  const sql = `
+    UPDATE schedules
+    SET last_triggered_at = NOW(), last_message = $1, next_run_at = $2
+    WHERE id = $3
+  `;
+
+  try {
+    await query(sql, [message, nextRunAt, scheduleId]);
+    return true;
+  } catch (error) {
+    console.error('Failed to record schedule trigger:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Set the next run time of a schedule
+ * @param {number} scheduleId - Schedule ID
+ * @param {Date|null} nextRunAt - Next run time
+ * @returns {Promise<boolean>}
+ */
+export async function setScheduleNextRun(scheduleId, nextRunAt) {
+  if (!isDatabaseConnected()) {
+    return false;
+  }
+
+  try {
+    await query('UPDATE schedules SET next_run_at = $1 WHERE id = $2', [nextRunAt, scheduleId]);
+    return true;
+  } catch (error) {
+    console.error('Failed to set schedule next run:', error.message);
+    return false;
+  }
+}
@@ -0,0 +1,287 @@
+// @ts-check
+import { query, transaction, isDatabaseConnected } from './client.js';
+
+/**
+ * Data access for suites: named groups of monitored URLs, each run with its
+ * own browsers, device profiles, network profile, viewport, timeout and worker count
+ */
+
+// Browsers a suite can run in (each has a <browser>-parallel Playwright project)
+export const SUITE_BROWSERS = ['firefox', 'chromium', 'webkit'];
+
+/**
+ * Browsers for runs that aren't of a suite: the BROWSERS environment variable
+ * (comma-separated, e.g. "firefox,webkit"), or Firefox if it isn't set
+ * @returns {string[]}
+ */
+export function getDefaultBrowsers() {
+  const browsers = (process.env.BROWSERS || '')
+    .split(',')
+    .map(browser => browser.trim().toLowerCase())
+    .filter(browser => SUITE_BROWSERS.includes(browser));
+  return browsers.length > 0 ? [...new Set(browsers)] : ['firefox'];
+}
+
+const SUITE_COLUMNS = `
+  s.id,
+  s.name,
+  s.description,
+  s.browsers,
+  s.device_profiles,
+  s.network_profile,
+  s.viewport_width,
+  s.viewport_height,
+  s.timeout_ms,
+  s.parallel_workers,
+  s.created_at,
+  s.updated_at,
+  COALESCE(members.monitored_url_ids, '{}') as monitored_url_ids,
+  COALESCE(members.enabled_url_count, 0) as enabled_url_count,
+  last_run.id as last_run_id,
+  last_run.status as last_run_status,
+  last_run.run_timestamp as last_run_timestamp
+`;
+
+// URLs in each suite, and the most recent run of each suite
+const SUITE_JOINS = `
+  LEFT JOIN LATERAL (
+    SELECT
+      ARRAY_AGG(mu.id ORDER BY mu.url) as monitored_url_ids,
+      COUNT(*) FILTER (WHERE mu.enabled)::int as enabled_url_count
+    FROM suite_urls su
+    JOIN monitored_urls mu ON mu.id = su.monitored_url_id
+    WHERE su.suite_id = s.id
+  ) members ON TRUE
+  LEFT JOIN LATERAL (
+    SELECT tr.id, tr.status, tr.run_timestamp
+    FROM test_runs tr
+    WHERE tr.suite_id = s.id
+    ORDER BY tr.run_timestamp DESC
+    LIMIT 1
+  ) last_run ON TRUE
+`;
+
+/**
+ * Get all suites with their URLs and most recent run
+ * @returns {Promise<Array>}
+ */
+export async function getSuites() {
+  if (!isDatabaseConnected()) {
+    return [];
+  }
+
+  const sql = `
+    SELECT ${SUITE_COLUMNS}
+    FROM suites s
+    ${SUITE_JOINS}
+    ORDER BY s.name ASC
+  `;
+
+  try {
+    const result = await query(sql);
+    return result?.rows || [];
+  } catch (error) {
+    console.error('Failed to get suites:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Get a single suite
+ * @param {number} suiteId - Suite ID
+ * @returns {Promise<object|null>}
+ */
+export async function getSuiteById(suiteId) {
+  if (!isDatabaseConnected()) {
+    return null;
+  }
+
+  const sql = `
+    SELECT ${SUITE_COLUMNS}
+    FROM suites s
+    ${SUITE_JOINS}
+    WHERE s.id = $1
+  `;
+
+  try {
+    const result = await query(sql, [suiteId]);
+    return result?.rows[0] || null;
+  } catch (error) {
+    console.error('Failed to get suite:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Find a suite by name
+ * @param {string} name - Suite name
+ * @returns {Promise<object|null>}
+ */
+export async function getSuiteByName(name) {
+  if (!isDatabaseConnected()) {
+    return null;
+  }
+
+  const sql = `
+    SELECT ${SUITE_COLUMNS}
+    FROM suites s
+    ${SUITE_JOINS}
+    WHERE s.name = $1
+  `;
+
+  try {
+    const result = await query(sql, [name]);
+    return result?.rows[0] || null;
+  } catch (error) {
+    console.error('Failed to get suite:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Get the enabled URLs in a suite
+ * @param {number} suiteId - Suite ID
+ * @returns {Promise<string[]>}
+ */
+export async function getSuiteUrls(suiteId) {
+  if (!isDatabaseConnected()) {
+    return [];
+  }
+
+  const sql = `
+    SELECT mu.url
+    FROM suite_urls su
+    JOIN monitored_urls mu ON mu.id = su.monitored_url_id
+    WHERE su.suite_id = $1 AND mu.enabled
+    ORDER BY mu.url ASC
+  `;
+
+  try {
+    const result = await query(sql, [suiteId]);
+    return (result?.rows || []).map(row => row.url);
+  } catch (error) {
+    console.error('Failed to get suite URLs:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Replace the URLs in a suite
+ * @param {import('pg').PoolClient} client - Transaction client
+ * @param {number} suiteId - Suite ID
+ * @param {number[]} monitoredUrlIds - Monitored URL IDs
+ */
+async function replaceSuiteUrls(client, suiteId, monitoredUrlIds) {
+  await client.query('DELETE FROM suite_urls WHERE suite_id = $1', [suiteId]);
+
+  if (monitoredUrlIds.length > 0) {
+    // Unknown IDs are ignored rather than failing the whole save
+    await client.query(`
+      INSERT INTO suite_urls (suite_id, monitored_url_id)
+      SELECT $1, mu.id FROM monitored_urls mu WHERE mu.id = ANY($2::int[])
+    `, [suiteId, monitoredUrlIds]);
+  }
+}
+
+/**
+ * Create a suite
+ * @param {{name: string, description: string|null, browsers: string[], deviceProfiles: string[], networkProfile: string,
+ *   viewportWidth: number, viewportHeight: number, timeoutMs: number, parallelWorkers: number, monitoredUrlIds: number[]}} suite
+ * @returns {Promise<object|null>} Created suite or null on failure
+ */
+export async function createSuite(suite) {
+  if (!isDatabaseConnected()) {
+    return null;
+  }
+
+  try {
+    const suiteId = await transaction(async (client) => {
+      const result = await client.query(`
+        INSERT INTO suites (name, description, browsers, device_profiles, network_profile, viewport_width,
+          viewport_height, timeout_ms, parallel_workers)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING id
+      `, [
+        suite.name,
+        suite.description,
+        suite.browsers,
+        suite.deviceProfiles,
+        suite.networkProfile,
+        suite.viewportWidth,
+        suite.viewportHeight,
+        suite.timeoutMs,
+        suite.parallelWorkers
+      ]);
+      const id = result.rows[0].id;
+      await replaceSuiteUrls(client, id, suite.monitoredUrlIds);
+      return id;
+    });
+    return getSuiteById(suiteId);
+  } catch (error) {
+    console.error('Failed to create suite:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Update a suite and replace its URLs
+ * @param {number} suiteId - Suite ID
+ * @param {{name: string, description: string|null, browsers: string[], deviceProfiles: string[], networkProfile: string,
+ *   viewportWidth: number, viewportHeight: number, timeoutMs: number, parallelWorkers: number, monitoredUrlIds: number[]}} suite
+ * @returns {Promise<object|null>} Updated suite or null if not found
+ */
+export async function updateSuite(suiteId, suite) {
+  if (!isDatabaseConnected()) {
+    return null;
+  }
+
+  try {
+    const updated = await transaction(async (client) => {
+      const result = await client.query(`
+        UPDATE suites
+        SET name = $1, description = $2, browsers = $3, device_profiles = $4, network_profile = $5,
+            viewport_width = $6, viewport_height = $7, timeout_ms = $8, parallel_workers = $9, updated_at = NOW()
+        WHERE id = $10
+      `, [
+        suite.name,
+        suite.description,
+        suite.browsers,
+        suite.deviceProfiles,
+        suite.networkProfile,
+        suite.viewportWidth,
+        suite.viewportHeight,
+        suite.timeoutMs,
+        suite.parallelWorkers,
+        suiteId
+      ]);
+      if (result.rowCount === 0) {
+        return false;
+      }
+      await replaceSuiteUrls(client, suiteId, suite.monitoredUrlIds);
+      return true;
+    });
+    return updated ? getSuiteById(suiteId) : null;
+  } catch (error) {
+    console.error('Failed to update suite:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Delete a suite (its test runs are kept)
+ * @param {number} suiteId - Suite ID
+ * @returns {Promise<boolean>} True if a suite was deleted
+ */
+export async function deleteSuite(suiteId) {
+  if (!isDatabaseConnected()) {
+    return false;
+  }
+
+  try {
+    const result = await query('DELETE FROM suites WHERE id = $1', [suiteId]);
+    return (result?.rowCount || 0) > 0;
+  } catch (error) {
+    console.error('Failed to delete suite:', error.message);
+    return false;
+  }
+}
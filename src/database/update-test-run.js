@@ -5,10 +5,14 @@
  * Helper script to update a test run status in the database
  * Usage: node src/database/update-test-run.js <testRunId> <status> <durationMs>
  * Status: COMPLETED, PARTIAL, FAILED
+ *
+ * Once a run is finished, its URL tests are checked for regressions against
+ * each URL's baseline and webhook notifications are sent
+ * (see finalizeTestRun in src/runner/suite-runner.js)
  */
 
 import { initializePool, closePool } from './client.js';
-import { updateTestRun } from './ingest.js';
+import { finalizeTestRun } from '../runner/suite-runner.js';
 
 async function main() {
   const testRunId = parseInt(process.argv[2]);
@@ -27,7 +31,7 @@ async function main() {
 
   try {
     await initializePool();
-    const success = await updateTestRun(testRunId, status, durationMs);
+    const success = await finalizeTestRun(testRunId, status, durationMs);
 
     if (success) {
       process.exit(0);
@@ -0,0 +1,192 @@
+// @ts-check
+import { query, transaction, isDatabaseConnected } from './client.js';
+
+/**
+ * Data access for the screenshots new screenshots are compared with (see src/analysis/visual-diff.js)
+ * A URL's baseline in a browser and device profile is its latest approved screenshot;
+ * URLs without one are compared with their previous screenshot.
+ */
+
+// Only tests whose page loaded completely have a screenshot worth comparing with:
+// PASSED ones and those FAILED for breaching a budget
+const COMPLETE_PAGE_CONDITION = `
+  ut.screenshot_path IS NOT NULL
+  AND (ut.status = 'PASSED' OR EXISTS (SELECT 1 FROM budget_violations bv WHERE bv.url_test_id = ut.id))
+`;
+
+/**
+ * Get the latest screenshot of a URL taken before a given time in the same browser and device profile
+ * Rejected visual changes are skipped
+ * @param {string} url - Tested URL
+ * @param {string} browser - Browser name
+ * @param {string} deviceProfile - Device profile
+ * @param {string} before - ISO timestamp; only earlier tests are considered
+ * @returns {Promise<{id: number, screenshot_path: string, screenshot_masks: object|null, test_timestamp: Date}|null>}
+ */
+export async function getPreviousScreenshot(url, browser, deviceProfile, before) {
+  if (!isDatabaseConnected()) {
+    return null;
+  }
+
+  const sql = `
+    SELECT ut.id, ut.screenshot_path, ut.screenshot_masks, ut.test_timestamp
+    FROM url_tests ut
+    WHERE ut.url = $1
+      AND ut.browser = $2
+      AND ut.device_profile = $3
+      AND ut.test_timestamp < $4
+      AND ut.visual_review_status IS DISTINCT FROM 'REJECTED'
+      AND ${COMPLETE_PAGE_CONDITION}
+    ORDER BY ut.test_timestamp DESC
+    LIMIT 1
+  `;
+
+  try {
+    const result = await query(sql, [url, browser, deviceProfile, before]);
+    return result?.rows[0] || null;
+  } catch (error) {
+    console.error('Failed to get previous screenshot:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Get the approved baseline screenshot of a URL in a browser and device profile
+ * @param {string} url - Tested URL
+ * @param {string} browser - Browser name
+ * @param {string} deviceProfile - Device profile
+ * @param {string} before - ISO timestamp; the baseline test must have run earlier
+ * @returns {Promise<{id: number, screenshot_path: string, screenshot_masks: object|null, test_timestamp: Date,
+ *   approved_by: string, approved_at: Date}|null>}
+ *   The baseline's URL test, or null if no screenshot has been approved
+ */
+export async function getApprovedBaseline(url, browser, deviceProfile, before) {
+  if (!isDatabaseConnected()) {
+    return null;
+  }
+
+  const sql = `
+    SELECT ut.id, ut.screenshot_path, ut.screenshot_masks, ut.test_timestamp, vb.approved_by, vb.approved_at
+    FROM visual_baselines vb
+    JOIN url_tests ut ON ut.id = vb.url_test_id
+    WHERE vb.url = $1
+      AND vb.browser = $2
+      AND vb.device_profile = $3
+      AND ut.test_timestamp < $4
+    ORDER BY vb.approved_at DESC, vb.id DESC
+    LIMIT 1
+  `;
+
+  try {
+    const result = await query(sql, [url, browser, deviceProfile, before]);
+    return result?.rows[0] || null;
+  } catch (error) {
+    console.error('Failed to get approved baseline:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Get the baseline approvals of a test's URL, browser and device profile, newest (current) first
+ * @param {number} testId - Any URL test of the URL
+ * @param {number} limit - Maximum number of approvals
+ * @returns {Promise<Array>}
+ */
+export async function getBaselineHistory(testId, limit = 20) {
+  if (!isDatabaseConnected()) {
+    return [];
+  }
+
+  const sql = `
+    SELECT
+      vb.id,
+      vb.url_test_id,
+      vb.approved_by,
+      vb.note,
+      vb.approved_at,
+      ut.test_timestamp,
+      ut.test_run_id,
+      ut.screenshot_path
+    FROM url_tests current
+    JOIN visual_baselines vb
+      ON vb.url = current.url AND vb.browser = current.browser AND vb.device_profile = current.device_profile
+    JOIN url_tests ut ON ut.id = vb.url_test_id
+    WHERE current.id = $1
+    ORDER BY vb.approved_at DESC, vb.id DESC
+    LIMIT $2
+  `;
+
+  try {
+    const result = await query(sql, [testId, limit]);
+    return result?.rows || [];
+  } catch (error) {
+    console.error('Failed to get baseline history:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Approve a URL test's screenshot as the baseline of its URL, browser and device profile
+ * (accepting its visual change, if it had one)
+ * @param {number} testId - URL test ID
+ * @param {string} approvedBy - Name of the reviewer
+ * @param {string|null} note - Why the screenshot was approved
+ * @returns {Promise<object|null>} The new baseline, or null if the test doesn't exist or its page didn't load
+ */
+export async function approveBaseline(testId, approvedBy, note) {
+  if (!isDatabaseConnected()) {
+    return null;
+  }
+
+  try {
+    return await transaction(async (client) => {
+      const result = await client.query(`
+        UPDATE url_tests ut
+        SET visual_review_status = 'ACCEPTED', visual_reviewed_by = $2, visual_reviewed_at = NOW()
+        WHERE ut.id = $1 AND ${COMPLETE_PAGE_CONDITION}
+        RETURNING ut.url, ut.browser, ut.device_profile
+      `, [testId, approvedBy]);
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      const { url, browser, device_profile } = result.rows[0];
+      const baseline = await client.query(`
+        INSERT INTO visual_baselines (url, browser, device_profile, url_test_id, approved_by, note)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *
+      `, [url, browser, device_profile, testId, approvedBy, note]);
+      return baseline.rows[0];
+    });
+  } catch (error) {
+    console.error('Failed to approve baseline:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Reject a URL test's visual change: the baseline stays as it is, and the test's
+ * screenshot is no longer used as the previous screenshot of later tests
+ * @param {number} testId - URL test ID
+ * @param {string} reviewedBy - Name of the reviewer
+ * @returns {Promise<boolean>} True if the test was found
+ */
+export async function rejectVisualChange(testId, reviewedBy) {
+  if (!isDatabaseConnected()) {
+    return false;
+  }
+
+  const sql = `
+    UPDATE url_tests
+    SET visual_review_status = 'REJECTED', visual_reviewed_by = $2, visual_reviewed_at = NOW()
+    WHERE id = $1
+  `;
+
+  try {
+    const result = await query(sql, [testId, reviewedBy]);
+    return (result?.rowCount || 0) > 0;
+  } catch (error) {
+    console.error('Failed to reject visual change:', error.message);
+    return false;
+  }
+}
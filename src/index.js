@@ -2,7 +2,8 @@ import express from 'express';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import apiRoutes from './routes/api.js';
-import { initializePool, healthCheck } from './database/client.js';
+import { initializePool, healthCheck, isDatabaseConnected } from './database/client.js';
+import { startScheduler } from './scheduler/scheduler.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -38,6 +39,11 @@ async function start() {
   // Initialize database connection
   await initializePool();
 
+  // Start the run scheduler (schedules are stored in the database)
+  if (isDatabaseConnected() && process.env.SCHEDULER_ENABLED !== 'false') {
+    await startScheduler();
+  }
+
   // Start server
   app.listen(PORT, () => {
     console.log(`🐈 Project Pumpkin server running on port ${PORT}`);
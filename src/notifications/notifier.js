@@ -0,0 +1,302 @@
+// @ts-check
+import {
+  getTestRunById,
+  getUrlTestsByRun,
+  getTestsByStatusCode,
+  getFailedRequests,
+  getRegressions
+} from '../database/queries.js';
+import { insertNotificationDelivery } from '../database/ingest.js';
+
+/**
+ * Webhook notifications for finished test runs
+ * Sends a summary of the run (counts, failing URLs, regressions and the most
+ * common 4xx/5xx requests) to every configured webhook and records each
+ * delivery in notification_deliveries.
+ *
+ * Configuration (environment variables):
+ *   NOTIFY_WEBHOOK_URLS        Comma-separated URLs that receive the generic JSON payload
+ *   NOTIFY_SLACK_WEBHOOK_URLS  Comma-separated Slack incoming webhook URLs
+ *   NOTIFY_ON                  'failures' (default: run not COMPLETED, failed tests or
+ *                              regressions) or 'always'
+ *   NOTIFY_MAX_ATTEMPTS        Attempts per webhook (default: 3)
+ *   NOTIFY_RETRY_DELAY_MS      Delay before the first retry, doubled each time (default: 1000)
+ *   NOTIFY_TIMEOUT_MS          Request timeout (default: 10000)
+ *   NOTIFY_DASHBOARD_URL       Dashboard base URL used for links, e.g. http://localhost:3000
+ */
+
+/**
+ * Split a comma-separated list of webhook URLs
+ * Entries that aren't http(s) URLs are dropped with a warning (without the entry
+ * itself, as webhook URLs often embed a secret token)
+ * @param {string|undefined} value
+ * @param {string} name - Environment variable, for the warning
+ * @returns {string[]}
+ */
+function parseUrlList(value, name) {
+  return (value || '').split(',').map(url => url.trim()).filter(Boolean).filter((url, index) => {
+    try {
+      const { protocol } = new URL(url);
+      if (protocol === 'http:' || protocol === 'https:') {
+        return true;
+      }
+    } catch (error) {
+      // Not a URL
+    }
+    console.warn(`⚠ ${name}: entry ${index + 1} is not an http(s) URL - ignored`);
+    return false;
+  });
+}
+
+/**
+ * Read notification settings from the environment
+ * @param {object} [env] - Environment variables (default: process.env)
+ * @returns {{targets: Array<{url: string, format: string}>, notifyOn: string, maxAttempts: number, retryDelayMs: number, timeoutMs: number, dashboardUrl: string|null}}
+ */
+export function getNotificationConfig(env = process.env) {
+  return {
+    targets: [
+      ...parseUrlList(env.NOTIFY_WEBHOOK_URLS, 'NOTIFY_WEBHOOK_URLS').map(url => ({ url, format: 'generic' })),
+      ...parseUrlList(env.NOTIFY_SLACK_WEBHOOK_URLS, 'NOTIFY_SLACK_WEBHOOK_URLS').map(url => ({ url, format: 'slack' }))
+    ],
+    notifyOn: env.NOTIFY_ON === 'always' ? 'always' : 'failures',
+    maxAttempts: parseInt(env.NOTIFY_MAX_ATTEMPTS) || 3,
+    retryDelayMs: parseInt(env.NOTIFY_RETRY_DELAY_MS) || 1000,
+    timeoutMs: parseInt(env.NOTIFY_TIMEOUT_MS) || 10000,
+    dashboardUrl: env.NOTIFY_DASHBOARD_URL ? env.NOTIFY_DASHBOARD_URL.replace(/\/+$/, '') : null
+  };
+}
+
+/**
+ * Collect everything a notification needs to describe a test run
+ * @param {number} testRunId - Test run ID
+ * @returns {Promise<object|null>} Run summary, or null if the run was not found
+ */
+export async function buildRunSummary(testRunId) {
+  const run = await getTestRunById(testRunId);
+  if (!run) {
+    return null;
+  }
+
+  const urlTests = await getUrlTestsByRun(testRunId);
+  const statusCodes = await getTestsByStatusCode(testRunId);
+  const failedRequests = await getFailedRequests(testRunId, 100);
+  const regressions = await getRegressions(testRunId, 20);
+
+  // Count identical failing requests across all pages in the run
+  const requestCounts = new Map();
+  for (const request of failedRequests) {
+    const key = `${request.statusCode} ${request.failedRequestUrl}`;
+    const entry = requestCounts.get(key) || { url: request.failedRequestUrl, statusCode: request.statusCode, count: 0 };
+    entry.count++;
+    requestCounts.set(key, entry);
+  }
+
+  return {
+    run: {
+      id: run.id,
+      uuid: run.run_uuid,
+      status: run.status,
+      timestamp: run.run_timestamp,
+      durationMs: run.duration_ms,
+      totalUrls: run.total_urls,
+      testsCompleted: parseInt(run.tests_completed),
+      passed: run.passed_count,
+      failed: run.failed_count
+    },
+    failingUrls: urlTests
+      .filter(test => test.status !== 'PASSED')
+      .map(test => ({ url: test.url, status: test.status, errorMessage: test.error_message })),
+    regressions: regressions.map(regression => ({
+      url: regression.url,
+      browser: regression.browser,
+      deviceProfile: regression.device_profile,
+      networkProfile: regression.network_profile,
+      metric: regression.metric,
+      actual: parseFloat(regression.actual_value),
+      baseline: parseFloat(regression.baseline_value),
+      percentChange: parseFloat(regression.percent_change)
+    })),
+    httpErrors: {
+      statusCodes: statusCodes
+        .filter(code => code.status_code >= 400)
+        .map(code => ({
+          statusCode: code.status_code,
+          tests: parseInt(code.test_count),
+          responses: parseInt(code.total_responses)
+        })),
+      topRequests: [...requestCounts.values()]
+        .sort((a, b) => b.count - a.count)
+        .slice(0, 10)
+    }
+  };
+}
+
+/**
+ * Decide whether a run summary warrants a notification
+ * @param {object} summary - Run summary from buildRunSummary
+ * @param {string} notifyOn - 'failures' or 'always'
+ * @returns {boolean}
+ */
+export function shouldNotify(summary, notifyOn) {
+  if (notifyOn === 'always') {
+    return true;
+  }
+  return summary.run.status !== 'COMPLETED' ||
+    summary.run.failed > 0 ||
+    summary.failingUrls.length > 0 ||
+    summary.regressions.length > 0;
+}
+
+/**
+ * Build the generic JSON payload
+ * @param {object} summary - Run summary from buildRunSummary
+ * @param {string|null} [dashboardUrl] - Dashboard base URL for links
+ * @returns {object}
+ */
+export function formatGenericPayload(summary, dashboardUrl = null) {
+  return {
+    event: 'test_run.finished',
+    ...summary,
+    dashboardUrl: dashboardUrl ? `${dashboardUrl}/run-details.html?id=${summary.run.id}` : null
+  };
+}
+
+/**
+ * Build a Slack incoming webhook payload
+ * @param {object} summary - Run summary from buildRunSummary
+ * @param {string|null} [dashboardUrl] - Dashboard base URL for links
+ * @returns {{text: string, blocks: Array<object>}}
+ */
+export function formatSlackPayload(summary, dashboardUrl = null) {
+  const { run, failingUrls, regressions, httpErrors } = summary;
+  const emoji = run.status === 'COMPLETED' && failingUrls.length === 0 ? ':white_check_mark:' : ':warning:';
+  const headline = `${emoji} Test run #${run.id} ${run.status}: ${run.passed} passed, ${run.failed} failed ` +
+    `(${run.testsCompleted}/${run.totalUrls} URLs)`;
+
+  const blocks = [
+    { type: 'section', text: { type: 'mrkdwn', text: `*${headline}*` } }
+  ];
+
+  if (failingUrls.length > 0) {
+    const lines = failingUrls.slice(0, 10).map(test =>
+      `• \`${test.status}\` ${test.url}${test.errorMessage ? ` - ${test.errorMessage}` : ''}`
+    );
+    if (failingUrls.length > 10) lines.push(`…and ${failingUrls.length - 10} more`);
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `*Failing URLs*\n${lines.join('\n')}` } });
+  }
+
+  if (regressions.length > 0) {
+    const lines = regressions.slice(0, 10).map(regression =>
+      `• ${regression.url} (${regression.browser}, ${regression.deviceProfile}${regression.networkProfile !== 'none' ? `, ${regression.networkProfile}` : ''}) \`${regression.metric}\` ${regression.actual} vs ${regression.baseline} (+${regression.percentChange}%)`
+    );
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `*Regressions*\n${lines.join('\n')}` } });
+  }
+
+  if (httpErrors.topRequests.length > 0) {
+    const lines = httpErrors.topRequests.slice(0, 5).map(request =>
+      `• \`${request.statusCode}\` ${request.url} (${request.count}×)`
+    );
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `*Top 4xx/5xx requests*\n${lines.join('\n')}` } });
+  }
+
+  if (dashboardUrl) {
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: `<${dashboardUrl}/run-details.html?id=${run.id}|View run details>` }]
+    });
+  }
+
+  return { text: headline, blocks };
+}
+
+/**
+ * POST a payload to a webhook, retrying on network errors, timeouts, 429 and 5xx responses
+ * @param {string} url - Webhook URL
+ * @param {object} payload - JSON payload
+ * @param {{maxAttempts: number, retryDelayMs: number, timeoutMs: number}} options - Retry settings
+ * @returns {Promise<{delivered: boolean, attempts: number, responseStatus: number|null, error: string|null}>}
+ */
+export async function deliverWebhook(url, payload, options) {
+  let responseStatus = null;
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= options.maxAttempts; attempt++) {
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(options.timeoutMs)
+      });
+      responseStatus = response.status;
+
+      if (response.ok) {
+        return { delivered: true, attempts: attempt, responseStatus, error: null };
+      }
+
+      lastError = `HTTP ${response.status}`;
+      if (response.status !== 429 && response.status < 500) {
+        // Other client errors won't succeed on retry
+        return { delivered: false, attempts: attempt, responseStatus, error: lastError };
+      }
+    } catch (error) {
+      responseStatus = null;
+      // fetch() reports network failures as "fetch failed" with the reason in error.cause
+      lastError = error.name === 'TimeoutError'
+        ? `Timed out after ${options.timeoutMs}ms`
+        : error.cause?.message || error.message;
+    }
+
+    if (attempt < options.maxAttempts) {
+      await new Promise(resolve => setTimeout(resolve, options.retryDelayMs * Math.pow(2, attempt - 1)));
+    }
+  }
+
+  return { delivered: false, attempts: options.maxAttempts, responseStatus, error: lastError };
+}
+
+/**
+ * Send a run summary to every configured webhook and log each delivery
+ * @param {object} summary - Run summary from buildRunSummary
+ * @param {object} [config] - Notification settings (default: getNotificationConfig())
+ * @returns {Promise<Array<{target: string, format: string, delivered: boolean, attempts: number, responseStatus: number|null, error: string|null}>>}
+ */
+export async function sendNotifications(summary, config = getNotificationConfig()) {
+  const deliveries = [];
+
+  for (const target of config.targets) {
+    const payload = target.format === 'slack'
+      ? formatSlackPayload(summary, config.dashboardUrl)
+      : formatGenericPayload(summary, config.dashboardUrl);
+
+    const result = await deliverWebhook(target.url, payload, config);
+    // Only the host is logged: webhook URLs often embed a secret token
+    const delivery = { target: new URL(target.url).host, format: target.format, ...result };
+    deliveries.push(delivery);
+
+    await insertNotificationDelivery(summary.run.id, delivery);
+  }
+
+  return deliveries;
+}
+
+/**
+ * Notify webhooks that a test run has finished
+ * Does nothing when no webhooks are configured or the run doesn't need attention
+ * @param {number} testRunId - Test run ID
+ * @param {object} [config] - Notification settings (default: getNotificationConfig())
+ * @returns {Promise<Array>} Delivery results
+ */
+export async function notifyRunFinished(testRunId, config = getNotificationConfig()) {
+  if (config.targets.length === 0) {
+    return [];
+  }
+
+  const summary = await buildRunSummary(testRunId);
+  if (!summary || !shouldNotify(summary, config.notifyOn)) {
+    return [];
+  }
+
+  return sendNotifications(summary, config);
+}
@@ -0,0 +1,18 @@
+// @ts-check
+
+/**
+ * Formatting helpers shared by the report generator and the database CLI
+ */
+
+/**
+ * Format a byte count with a binary unit
+ * @param {number} bytes
+ * @returns {string} e.g. '1.5 KB'
+ */
+export function formatBytes(bytes) {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
+}
@@ -8,6 +8,7 @@
 
 import { initializePool, closePool, isDatabaseConnected } from '../database/client.js';
 import * as queries from '../database/queries.js';
+import { formatBytes } from './format.js';
 
 async function generateReport() {
   await initializePool();
@@ -52,6 +53,30 @@ async function generateReport() {
       printTestsWithErrors(errors);
     }
 
+    // Performance Budget Breaches
+    const budgetViolations = await queries.getBudgetViolations();
+    if (budgetViolations.length > 0) {
+      printBudgetViolations(budgetViolations);
+    }
+
+    // Accessibility (WCAG) violations
+    const accessibilityViolations = await queries.getAccessibilityViolations();
+    if (accessibilityViolations.length > 0) {
+      printAccessibilityViolations(accessibilityViolations);
+    }
+
+    // Third parties used by the most sites
+    const thirdParties = await queries.getTopThirdParties(null, 10);
+    if (thirdParties.length > 0) {
+      printTopThirdParties(thirdParties);
+    }
+
+    // Regressions against each URL's baseline
+    const regressions = await queries.getRegressions();
+    if (regressions.length > 0) {
+      printRegressions(regressions);
+    }
+
     // 404 Errors
     const notFound = await queries.getUrlsWithMost404s(10);
     if (notFound.length > 0) {
@@ -165,6 +190,9 @@ function printTestsWithErrors(errors) {
     console.log(`❌ ${error.domain}`);
     console.log(`   URL: ${error.url}`);
     console.log(`   Status: ${error.status}`);
+    if (error.error_message) {
+      console.log(`   Error: ${error.error_message}`);
+    }
     const httpCodes = JSON.parse(JSON.stringify(error.http_response_codes || {}));
     const errorCodes = Object.entries(httpCodes)
       .filter(([code]) => parseInt(code) >= 400)
@@ -177,6 +205,118 @@ function printTestsWithErrors(errors) {
   });
 }
 
+function printBudgetViolations(violations) {
+  console.log('─'.repeat(70));
+  console.log(`PERFORMANCE BUDGET BREACHES (${violations.length} found)`);
+  console.log('─'.repeat(70));
+
+  // Group by URL so each page's breaches are listed together
+  const groupedByUrl = {};
+  violations.forEach(violation => {
+    if (!groupedByUrl[violation.url]) {
+      groupedByUrl[violation.url] = [];
+    }
+    groupedByUrl[violation.url].push(violation);
+  });
+
+  Object.entries(groupedByUrl).forEach(([url, urlViolations]) => {
+    console.log(`💸 ${url}`);
+    urlViolations.forEach(violation => {
+      console.log(
+        '   ' +
+        violation.metric.padEnd(30) +
+        `${parseFloat(violation.actual_value)} > ${parseFloat(violation.threshold_value)}`.padEnd(22) +
+        `(${violation.budget_name})`
+      );
+    });
+    console.log('');
+  });
+}
+
+function printAccessibilityViolations(violations) {
+  console.log('─'.repeat(70));
+  console.log(`ACCESSIBILITY (${violations.length} rule violations found)`);
+  console.log('─'.repeat(70));
+  console.log('Rule'.padEnd(33) + 'Impact'.padEnd(12) + 'Elements');
+  console.log('─'.repeat(70));
+
+  // Group by tested page so each URL, browser and device's violations are listed together
+  const groupedByTest = {};
+  violations.forEach(violation => {
+    const key = `${violation.url} (${violation.browser}, ${violation.device_profile})`;
+    if (!groupedByTest[key]) {
+      groupedByTest[key] = [];
+    }
+    groupedByTest[key].push(violation);
+  });
+
+  Object.entries(groupedByTest).forEach(([test, testViolations]) => {
+    console.log(`♿ ${test}`);
+    testViolations.forEach(violation => {
+      console.log(
+        '   ' +
+        violation.rule_id.padEnd(30) +
+        (violation.impact || 'unknown').padEnd(12) +
+        violation.node_count
+      );
+    });
+    console.log('');
+  });
+}
+
+function printRegressions(regressions) {
+  console.log('─'.repeat(70));
+  console.log(`REGRESSIONS (${regressions.length} found)`);
+  console.log('─'.repeat(70));
+  console.log('Metric'.padEnd(28) + 'Actual'.padEnd(14) + 'Baseline'.padEnd(14) + 'Change');
+  console.log('─'.repeat(70));
+
+  // Group by URL so each page's regressions are listed together
+  const groupedByUrl = {};
+  regressions.forEach(regression => {
+    if (!groupedByUrl[regression.url]) {
+      groupedByUrl[regression.url] = [];
+    }
+    groupedByUrl[regression.url].push(regression);
+  });
+
+  Object.entries(groupedByUrl).forEach(([url, urlRegressions]) => {
+    console.log(`📈 ${url}`);
+    urlRegressions.forEach(regression => {
+      const format = regression.metric === 'total_transfer_size_bytes'
+        ? value => formatBytes(Math.round(parseFloat(value)))
+        : value => `${parseFloat(value)}ms`;
+      console.log(
+        '   ' +
+        regression.metric.padEnd(25) +
+        format(regression.actual_value).padEnd(14) +
+        format(regression.baseline_value).padEnd(14) +
+        `🔺 +${regression.percent_change}%`
+      );
+    });
+    console.log('');
+  });
+}
+
+function printTopThirdParties(thirdParties) {
+  console.log('─'.repeat(70));
+  console.log('TOP THIRD PARTIES');
+  console.log('─'.repeat(70));
+  console.log('Vendor'.padEnd(26) + 'Category'.padEnd(18) + 'Sites'.padEnd(7) + 'Avg Size'.padEnd(12) + 'Avg Blocking');
+  console.log('─'.repeat(70));
+
+  thirdParties.forEach(thirdParty => {
+    console.log(
+      thirdParty.entity_name.substring(0, 24).padEnd(26) +
+      thirdParty.category.padEnd(18) +
+      String(thirdParty.site_count).padEnd(7) +
+      formatBytes(parseInt(thirdParty.avg_transfer_size_bytes)).padEnd(12) +
+      `${parseFloat(thirdParty.avg_blocking_time_ms)}ms`
+    );
+  });
+  console.log('');
+}
+
 function print404Summary(urls) {
   console.log('─'.repeat(70));
   console.log('URLS WITH 404 ERRORS');
@@ -294,6 +434,7 @@ function getStatusEmoji(status) {
     'PARTIAL': '⚠️',
     'RUNNING': '🔄',
     'FAILED': '❌',
+    'CANCELLED': '⏹️',
     'Success': '✅',
     'Redirect': '↪️',
     'Client Error': '❌',
@@ -322,14 +463,6 @@ function formatDuration(ms) {
   return `${(ms / 60000).toFixed(2)}m`;
 }
 
-function formatBytes(bytes) {
-  if (bytes === 0) return '0 Bytes';
-  const k = 1024;
-  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-  const i = Math.floor(Math.log(bytes) / Math.log(k));
-  return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
-}
-
 function formatChange(value, isMs = true) {
   const suffix = isMs ? 'ms' : '';
   if (value > 0) return `🔺 +${value}${suffix}`;
@@ -2,32 +2,93 @@
 import express from 'express';
 import {
   getAllTestRuns,
+  getTestRunById,
   getUrlTestsByRun,
+  getUrlTestSummary,
   getUrlTestById,
+  getUrlTestDevices,
   getLatestTestRun,
   getLatestRunAverages,
   getSlowestUrls,
   getFastestUrls,
   getTestsWithErrors,
+  getBudgetViolations,
+  getAccessibilityViolations,
+  getAccessibilityViolationsByTestId,
+  getBrokenLinksByTestId,
+  getThirdPartiesByTestId,
+  getTopThirdParties,
+  getRequestsByTestId,
+  getPreviousUrlTest,
+  getRegressions,
+  getNotificationDeliveries,
   getFailedRequests,
   getFailedRequestsByTestId,
   getAvailableDates,
   getTestRunsByDate,
   getUrlAutocomplete,
   getTestsByUrl,
-  getDailyAverageLoadTime
+  getDailyAverageLoadTime,
+  getDailyContentTypeSizes,
+  getLatestCrawl,
+  getBrowserMetricsByRun,
+  getBrowserMetricsByUrl
 } from '../database/queries.js';
+import { compareBrowsers, COMPARISON_METRICS } from '../analysis/browser-comparison.js';
+import { readHarEntries } from '../analysis/har.js';
+import { diffAssets } from '../analysis/asset-diff.js';
+import {
+  getSchedules,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule
+} from '../database/schedules.js';
+import {
+  getMonitoredUrls,
+  getMonitoredUrlById,
+  getMonitoredUrlByUrl,
+  createMonitoredUrl,
+  updateMonitoredUrl,
+  deleteMonitoredUrl
+} from '../database/monitored-urls.js';
+import {
+  SUITE_BROWSERS,
+  getSuites,
+  getSuiteByName,
+  getSuiteById,
+  createSuite,
+  updateSuite,
+  deleteSuite
+} from '../database/suites.js';
+import { validateCron, isValidTimezone } from '../scheduler/cron.js';
+import { computeNextRun } from '../scheduler/scheduler.js';
+import { startSuiteRun, cancelSuiteRun, getActiveRun } from '../runner/suite-runner.js';
+import { DEVICE_PROFILES, DEFAULT_DEVICE_PROFILE } from '../runner/device-profiles.js';
+import { DEFAULT_NETWORK_PROFILE, getNetworkProfile, loadNetworkProfiles } from '../runner/network-profiles.js';
+import { subscribeToTestRun } from '../database/run-events.js';
+import {
+  getBaselineHistory,
+  approveBaseline,
+  rejectVisualChange
+} from '../database/visual-baselines.js';
+import {
+  getJourneyTestsByRunId,
+  getJourneyTestById,
+  getJourneyHistory
+} from '../database/journeys.js';
 
 const router = express.Router();
 
 /**
  * GET /api/test-runs
  * Get all test runs with summary statistics
+ * Query parameters: limit (default: 10), suiteId (optional)
  */
 router.get('/test-runs', async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 10;
-    const runs = await getAllTestRuns(limit);
+    const suiteId = parseInt(req.query.suiteId) || null;
+    const runs = await getAllTestRuns(limit, suiteId);
     res.json({ success: true, data: runs });
   } catch (error) {
     console.error('API Error - /test-runs:', error);
@@ -38,10 +99,11 @@ router.get('/test-runs', async (req, res) => {
 /**
  * GET /api/test-runs/latest
  * Get the latest test run with summary
+ * Query parameter: suiteId (optional)
  */
 router.get('/test-runs/latest', async (req, res) => {
   try {
-    const latest = await getLatestTestRun();
+    const latest = await getLatestTestRun(parseInt(req.query.suiteId) || null);
     if (!latest) {
       return res.status(404).json({ success: false, error: 'No test runs found' });
     }
@@ -72,6 +134,248 @@ router.get('/test-runs/:id', async (req, res) => {
   }
 });
 
+// Status codes for runs that could not be started (see startSuiteRun)
+const START_FAILURE_STATUS = { BUSY: 409, INVALID: 400, ERROR: 500 };
+
+/**
+ * POST /api/test-runs
+ * Start a test run in the background
+ * Body: { suiteId } to run a suite, { urls: [...] } to test an ad-hoc list of URLs,
+ *   or {} to run every enabled monitored URL. Optional: workers (1-16), notes,
+ *   browsers (e.g. ['firefox', 'webkit']; default: the suite's browsers, or BROWSERS),
+ *   deviceProfiles (e.g. ['desktop', 'iphone-13']; default: the suite's profiles, or DEVICE_PROFILES),
+ *   networkProfile (e.g. 'slow-3g'; default: the suite's profile, or NETWORK_PROFILE)
+ * Responds 202 with the new test run ID, or 409 if a run is already in progress
+ */
+router.post('/test-runs', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const suiteId = body.suiteId ? parseInt(body.suiteId) : null;
+    const urls = body.urls === undefined ? null : body.urls;
+    const workers = body.workers === undefined ? null : parseInt(body.workers);
+    const { browsers, error: browsersError } = body.browsers === undefined ? { browsers: null } : parseBrowsers(body.browsers);
+    const { deviceProfiles, error: deviceProfilesError } = body.deviceProfiles === undefined
+      ? { deviceProfiles: null }
+      : parseDeviceProfiles(body.deviceProfiles);
+    const { networkProfile, error: networkProfileError } = body.networkProfile === undefined
+      ? { networkProfile: null }
+      : parseNetworkProfile(body.networkProfile);
+
+    if (suiteId !== null && urls !== null) {
+      return res.status(400).json({ success: false, error: 'Pass either suiteId or urls, not both' });
+    }
+    if (suiteId !== null && !Number.isInteger(suiteId)) {
+      return res.status(400).json({ success: false, error: 'suiteId must be a suite ID' });
+    }
+    if (urls !== null) {
+      if (!Array.isArray(urls) || urls.length === 0) {
+        return res.status(400).json({ success: false, error: 'urls must be a non-empty list of URLs' });
+      }
+      const urlError = urls.map(url => validateTestUrl(String(url).trim())).find(error => error);
+      if (urlError) {
+        return res.status(400).json({ success: false, error: urlError });
+      }
+    }
+    if (workers !== null && (!Number.isInteger(workers) || workers < 1 || workers > 16)) {
+      return res.status(400).json({ success: false, error: 'workers must be between 1 and 16' });
+    }
+    if (browsersError) {
+      return res.status(400).json({ success: false, error: browsersError });
+    }
+    if (deviceProfilesError) {
+      return res.status(400).json({ success: false, error: deviceProfilesError });
+    }
+    if (networkProfileError) {
+      return res.status(400).json({ success: false, error: networkProfileError });
+    }
+
+    const defaultNotes = urls?.length === 1 ? `Ad-hoc test of ${String(urls[0]).trim()}` : 'Test run started from the dashboard';
+    const result = await startSuiteRun({
+      workers,
+      notes: String(body.notes || '').trim() || defaultNotes,
+      suiteId,
+      urls: urls && urls.map(url => String(url).trim()),
+      browsers,
+      deviceProfiles,
+      networkProfile
+    });
+
+    if (!result.started) {
+      return res.status(START_FAILURE_STATUS[result.code] || 500).json({ success: false, error: result.reason });
+    }
+    res.status(202).json({ success: true, data: { testRunId: result.testRunId } });
+  } catch (error) {
+    console.error('API Error - POST /test-runs:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/test-runs/:id/cancel
+ * Stop a test run started from the app (runs started by test-urls-parallel.sh can't be cancelled here)
+ * The run is finalized with status CANCELLED once Playwright has stopped
+ */
+router.post('/test-runs/:id/cancel', async (req, res) => {
+  try {
+    const testRunId = parseInt(req.params.id);
+    const result = cancelSuiteRun(testRunId);
+    if (result.cancelled) {
+      return res.status(202).json({ success: true });
+    }
+
+    const run = await getTestRunById(testRunId);
+    if (!run) {
+      return res.status(404).json({ success: false, error: 'Test run not found' });
+    }
+    const error = run.status === 'RUNNING'
+      ? `Test run ${testRunId} was not started from the app and can't be cancelled here`
+      : `Test run ${testRunId} is not running (status: ${run.status})`;
+    res.status(409).json({ success: false, error });
+  } catch (error) {
+    console.error('API Error - POST /test-runs/:id/cancel:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Get how far a test run has got
+ * @param {number} testRunId - Test run ID
+ * @returns {Promise<object|null>} Progress, or null if the run doesn't exist
+ */
+async function getRunProgress(testRunId) {
+  const run = await getTestRunById(testRunId);
+  if (!run) {
+    return null;
+  }
+
+  const activeRun = getActiveRun();
+  const isActive = run.status === 'RUNNING' && activeRun?.testRunId === testRunId;
+  const completed = parseInt(run.tests_completed) || 0;
+
+  return {
+    testRunId,
+    status: run.status,
+    suiteName: run.suite_name,
+    totalUrls: run.total_urls,
+    completed,
+    passed: run.passed_count || 0,
+    failed: run.failed_count || 0,
+    percent: run.total_urls > 0 ? Math.min(100, Math.round(completed / run.total_urls * 100)) : 0,
+    startedAt: run.run_timestamp,
+    durationMs: run.duration_ms,
+    cancellable: isActive && !activeRun.cancelled,
+    cancelling: isActive && activeRun.cancelled
+  };
+}
+
+/**
+ * GET /api/test-runs/:id/progress
+ * Get how far a test run has got
+ */
+router.get('/test-runs/:id/progress', async (req, res) => {
+  try {
+    const progress = await getRunProgress(parseInt(req.params.id));
+    if (!progress) {
+      return res.status(404).json({ success: false, error: 'Test run not found' });
+    }
+    res.json({ success: true, data: progress });
+  } catch (error) {
+    console.error('API Error - /test-runs/:id/progress:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// How often an open event stream re-sends the run's progress (a keep-alive, and a
+// fallback if notifications are missed or the database listener is unavailable)
+const EVENT_STREAM_REFRESH_MS = 15000;
+const EVENT_STREAM_FALLBACK_REFRESH_MS = 5000;
+
+/**
+ * GET /api/test-runs/:id/events
+ * Stream a test run's progress as Server-Sent Events
+ * Events: `progress` (on connect and periodically), `url-test` (a URL finished:
+ * { test, progress }) and `status` (the run's status changed). The stream ends
+ * once the run is no longer RUNNING.
+ */
+router.get('/test-runs/:id/events', async (req, res) => {
+  const testRunId = parseInt(req.params.id);
+  let streaming = false;
+  let closed = false;
+  let unsubscribe = null;
+  let refreshTimer = null;
+  // Events are handled one at a time so they reach the browser in order
+  let pending = Promise.resolve();
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(refreshTimer);
+    unsubscribe?.();
+    res.end();
+  };
+  const send = (event, data) => {
+    if (streaming && !closed) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+  const sendProgress = async (event) => {
+    const progress = await getRunProgress(testRunId);
+    if (!progress) return close();
+    send(event, progress);
+    if (progress.status !== 'RUNNING') close();
+  };
+  const handleEvent = async (event) => {
+    if (event.type === 'url_test') {
+      const test = await getUrlTestSummary(event.urlTestId);
+      const progress = await getRunProgress(testRunId);
+      send('url-test', { test, progress });
+    } else {
+      await sendProgress('status');
+    }
+  };
+
+  try {
+    // Subscribe before reading the progress so no URL finishing in between is missed
+    unsubscribe = await subscribeToTestRun(testRunId, event => {
+      pending = pending.then(() => handleEvent(event)).catch(error => {
+        console.error('API Error - /test-runs/:id/events:', error);
+      });
+    });
+
+    const progress = await getRunProgress(testRunId);
+    if (!progress) {
+      unsubscribe?.();
+      return res.status(404).json({ success: false, error: 'Test run not found' });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+    streaming = true;
+    req.on('close', close);
+
+    send('progress', progress);
+    if (progress.status !== 'RUNNING') {
+      return close();
+    }
+
+    refreshTimer = setInterval(() => {
+      pending = pending.then(() => sendProgress('progress')).catch(error => {
+        console.error('API Error - /test-runs/:id/events:', error);
+      });
+    }, unsubscribe ? EVENT_STREAM_REFRESH_MS : EVENT_STREAM_FALLBACK_REFRESH_MS);
+  } catch (error) {
+    console.error('API Error - /test-runs/:id/events:', error);
+    if (streaming) {
+      return close();
+    }
+    unsubscribe?.();
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 /**
  * GET /api/test-runs/:id/urls
  * Get all URL tests for a specific test run
@@ -87,6 +391,125 @@ router.get('/test-runs/:id/urls', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/test-runs/:id/browser-comparison
+ * Compare each URL's metrics between the browsers it was tested in during a run
+ * Differences are relative to Firefox (or the first browser tested); positive is slower
+ */
+router.get('/test-runs/:id/browser-comparison', async (req, res) => {
+  try {
+    const testRunId = parseInt(req.params.id);
+    const rows = await getBrowserMetricsByRun(testRunId);
+    res.json({
+      success: true,
+      data: {
+        browsers: [...new Set(rows.map(row => row.browser))].sort(),
+        metrics: COMPARISON_METRICS,
+        urls: compareBrowsers(rows)
+      }
+    });
+  } catch (error) {
+    console.error('API Error - /test-runs/:id/browser-comparison:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/test-runs/:id/budget-violations
+ * Get performance budget breaches for a specific test run
+ */
+router.get('/test-runs/:id/budget-violations', async (req, res) => {
+  try {
+    const testRunId = parseInt(req.params.id);
+    const limit = parseInt(req.query.limit) || 500;
+    const violations = await getBudgetViolations(testRunId, limit);
+    res.json({ success: true, data: violations });
+  } catch (error) {
+    console.error('API Error - /test-runs/:id/budget-violations:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/test-runs/:id/accessibility-violations
+ * Get the accessibility rules each URL test of a specific test run violated
+ */
+router.get('/test-runs/:id/accessibility-violations', async (req, res) => {
+  try {
+    const testRunId = parseInt(req.params.id);
+    const limit = parseInt(req.query.limit) || 500;
+    const violations = await getAccessibilityViolations(testRunId, limit);
+    res.json({ success: true, data: violations });
+  } catch (error) {
+    console.error('API Error - /test-runs/:id/accessibility-violations:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/test-runs/:id/notifications
+ * Get the webhook notification delivery log for a specific test run
+ */
+router.get('/test-runs/:id/notifications', async (req, res) => {
+  try {
+    const testRunId = parseInt(req.params.id);
+    const deliveries = await getNotificationDeliveries(testRunId);
+    res.json({ success: true, data: deliveries });
+  } catch (error) {
+    console.error('API Error - /test-runs/:id/notifications:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/test-runs/:id/journeys
+ * Get the user journeys tested in a specific test run, with the step each failed one failed at
+ */
+router.get('/test-runs/:id/journeys', async (req, res) => {
+  try {
+    const testRunId = parseInt(req.params.id);
+    const journeyTests = await getJourneyTestsByRunId(testRunId);
+    res.json({ success: true, data: journeyTests });
+  } catch (error) {
+    console.error('API Error - /test-runs/:id/journeys:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/regressions
+ * Get URL tests that regressed against their own baseline
+ * Query params: runId (optional, defaults to latest run), limit (default: 100)
+ */
+router.get('/regressions', async (req, res) => {
+  try {
+    const testRunId = req.query.runId ? parseInt(req.query.runId) : null;
+    const limit = parseInt(req.query.limit) || 100;
+    const regressions = await getRegressions(testRunId, limit);
+    res.json({ success: true, data: regressions });
+  } catch (error) {
+    console.error('API Error - /regressions:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/third-parties
+ * Get the third parties used by the most sites in a test run, with their requests, bytes and blocking time
+ * Query params: runId (optional, defaults to latest run), limit (default: 20)
+ */
+router.get('/third-parties', async (req, res) => {
+  try {
+    const testRunId = req.query.runId ? parseInt(req.query.runId) : null;
+    const limit = parseInt(req.query.limit) || 20;
+    const thirdParties = await getTopThirdParties(testRunId, limit);
+    res.json({ success: true, data: thirdParties });
+  } catch (error) {
+    console.error('API Error - /third-parties:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 /**
  * GET /api/url-tests/:id
  * Get a single URL test with all details
@@ -123,161 +546,420 @@ router.get('/url-tests/:id/failed-requests', async (req, res) => {
 });
 
 /**
- * GET /api/stats/latest
- * Get statistics for the latest test run
+ * GET /api/url-tests/:id/har
+ * Get the requests recorded in a specific URL test's HAR file, normalized for a waterfall:
+ * { startedAt, totalDurationMs, entries: [{ url, host, status, contentType, startMs, durationMs, timings, transferSize, ... }] }
  */
-router.get('/stats/latest', async (req, res) => {
+router.get('/url-tests/:id/har', async (req, res) => {
   try {
-    const stats = await getLatestRunAverages();
-    if (!stats) {
-      return res.status(404).json({ success: false, error: 'No statistics available' });
+    const test = await getUrlTestById(parseInt(req.params.id));
+    if (!test) {
+      return res.status(404).json({ success: false, error: 'URL test not found' });
     }
-    res.json({ success: true, data: stats });
+
+    const har = test.har_path ? await readHarEntries(test.har_path) : null;
+    if (!har) {
+      return res.status(404).json({ success: false, error: 'HAR file not available' });
+    }
+
+    res.json({ success: true, data: har });
   } catch (error) {
-    console.error('API Error - /stats/latest:', error);
+    console.error('API Error - /url-tests/:id/har:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 /**
- * GET /api/stats/slowest
- * Get slowest URLs from latest test run
+ * GET /api/url-tests/:id/asset-changes
+ * Get the assets added, removed or changed in size since an earlier test of the same URL
+ * Query params: compareTo (optional ID of an earlier test of the same URL, defaults to the previous test of the URL
+ * in the same browser, device profile and network profile)
  */
-router.get('/stats/slowest', async (req, res) => {
+router.get('/url-tests/:id/asset-changes', async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 10;
-    const slowest = await getSlowestUrls(limit);
-    res.json({ success: true, data: slowest });
+    const test = await getUrlTestById(parseInt(req.params.id));
+    if (!test) {
+      return res.status(404).json({ success: false, error: 'URL test not found' });
+    }
+
+    const previousTest = req.query.compareTo
+      ? await getUrlTestById(parseInt(req.query.compareTo))
+      : await getPreviousUrlTest(test.id);
+    if (!previousTest) {
+      return res.status(404).json({ success: false, error: 'No earlier test to compare with' });
+    }
+    if (previousTest.url !== test.url ||
+        new Date(previousTest.test_timestamp).getTime() >= new Date(test.test_timestamp).getTime()) {
+      return res.status(400).json({ success: false, error: 'compareTo must be an earlier test of the same URL' });
+    }
+
+    const [previousRequests, currentRequests] = await Promise.all([
+      getRequestsByTestId(previousTest.id),
+      getRequestsByTestId(test.id)
+    ]);
+    if (previousRequests.length === 0 || currentRequests.length === 0) {
+      return res.status(404).json({ success: false, error: 'Requests not available for both tests' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        previousTest: {
+          id: previousTest.id,
+          test_run_id: previousTest.test_run_id,
+          test_timestamp: previousTest.test_timestamp
+        },
+        ...diffAssets(previousRequests, currentRequests)
+      }
+    });
   } catch (error) {
-    console.error('API Error - /stats/slowest:', error);
+    console.error('API Error - /url-tests/:id/asset-changes:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 /**
- * GET /api/stats/fastest
- * Get fastest URLs from latest test run
+ * GET /api/url-tests/:id/accessibility
+ * Get the accessibility (WCAG) violations found on a specific URL test's page
  */
-router.get('/stats/fastest', async (req, res) => {
+router.get('/url-tests/:id/accessibility', async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 10;
-    const fastest = await getFastestUrls(limit);
-    res.json({ success: true, data: fastest });
+    const testId = parseInt(req.params.id);
+    const violations = await getAccessibilityViolationsByTestId(testId);
+    res.json({ success: true, data: violations });
   } catch (error) {
-    console.error('API Error - /stats/fastest:', error);
+    console.error('API Error - /url-tests/:id/accessibility:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 /**
- * GET /api/stats/errors
- * Get tests with errors
+ * GET /api/url-tests/:id/third-parties
+ * Get a specific URL test's requests totalled per vendor (the first party, then third parties)
  */
-router.get('/stats/errors', async (req, res) => {
+router.get('/url-tests/:id/third-parties', async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 50;
-    const errors = await getTestsWithErrors(limit);
-    res.json({ success: true, data: errors });
+    const testId = parseInt(req.params.id);
+    const thirdParties = await getThirdPartiesByTestId(testId);
+    res.json({ success: true, data: thirdParties });
   } catch (error) {
-    console.error('API Error - /stats/errors:', error);
+    console.error('API Error - /url-tests/:id/third-parties:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 /**
- * GET /api/calendar/available-dates
- * Get all dates that have test runs (for calendar highlighting)
- * Query parameters:
- *   - timezone (optional, default: 'UTC', accepts IANA timezone names like 'America/Chicago')
+ * GET /api/url-tests/:id/broken-links
+ * Get the broken links (status 400+ or failed requests) found on a specific URL test's page
  */
-router.get('/calendar/available-dates', async (req, res) => {
+router.get('/url-tests/:id/broken-links', async (req, res) => {
   try {
-    const timezone = req.query.timezone || 'UTC';
-
-    // Validate timezone parameter
-    const validTimezonePattern = /^[A-Za-z_]+\/[A-Za-z_]+$|^UTC$/;
-    if (!validTimezonePattern.test(timezone)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid timezone parameter. Use UTC or IANA timezone name (e.g., America/Chicago)'
-      });
-    }
-
-    const dates = await getAvailableDates(timezone);
-    res.json({ success: true, data: dates });
+    const testId = parseInt(req.params.id);
+    const brokenLinks = await getBrokenLinksByTestId(testId);
+    res.json({ success: true, data: brokenLinks });
   } catch (error) {
-    console.error('API Error - /calendar/available-dates:', error);
+    console.error('API Error - /url-tests/:id/broken-links:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 /**
- * GET /api/calendar/runs-by-date
- * Get all test runs for a specific date
- * Query parameters:
- *   - date (required, YYYY-MM-DD)
- *   - timezone (optional, default: 'UTC', accepts IANA timezone names like 'America/Chicago')
+ * GET /api/url-tests/:id/devices
+ * Get the tests of the same URL, run and browser under each device profile,
+ * e.g. to switch between the desktop and mobile results
  */
-router.get('/calendar/runs-by-date', async (req, res) => {
+router.get('/url-tests/:id/devices', async (req, res) => {
   try {
-    const date = req.query.date;
-    if (!date) {
-      return res.status(400).json({ success: false, error: 'Date parameter is required' });
-    }
+    const testId = parseInt(req.params.id);
+    const rows = await getUrlTestDevices(testId);
 
-    // Validate date format (YYYY-MM-DD)
-    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-    if (!dateRegex.test(date)) {
-      return res.status(400).json({ success: false, error: 'Invalid date format. Use YYYY-MM-DD' });
+    if (rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'URL test not found' });
     }
 
-    const timezone = req.query.timezone || 'UTC';
-
-    // Validate timezone parameter
-    const validTimezonePattern = /^[A-Za-z_]+\/[A-Za-z_]+$|^UTC$/;
-    if (!validTimezonePattern.test(timezone)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid timezone parameter. Use UTC or IANA timezone name (e.g., America/Chicago)'
-      });
-    }
+    // Latest test per profile (a profile only repeats if a URL is listed twice), in DEVICE_PROFILES order
+    const profileOrder = Object.keys(DEVICE_PROFILES);
+    const devices = rows
+      .filter((row, index) => rows.findIndex(other => other.device_profile === row.device_profile) === index)
+      .map(row => ({ ...row, label: DEVICE_PROFILES[row.device_profile]?.label || row.device_profile }))
+      .sort((a, b) => profileOrder.indexOf(a.device_profile) - profileOrder.indexOf(b.device_profile));
 
-    const runs = await getTestRunsByDate(date, timezone);
-    res.json({ success: true, data: runs });
+    res.json({ success: true, data: devices });
   } catch (error) {
-    console.error('API Error - /calendar/runs-by-date:', error);
+    console.error('API Error - /url-tests/:id/devices:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 /**
- * GET /api/urls/autocomplete
- * Get URL autocomplete suggestions
- * Query parameter: q (search query)
+ * Validate a visual review from a request body
+ * @param {object} body - Request body: decision ('accept' or 'reject'), reviewer, note (optional)
+ * @returns {{review?: {decision: string, reviewer: string, note: string|null}, error?: string}}
  */
-router.get('/urls/autocomplete', async (req, res) => {
-  try {
-    const query = req.query.q;
-    if (!query) {
-      return res.json({ success: true, data: [] });
-    }
+function parseVisualReviewBody(body) {
+  const decision = String(body.decision || '').toLowerCase();
+  const reviewer = String(body.reviewer || '').trim();
+  const note = String(body.note || '').trim() || null;
 
-    const limit = parseInt(req.query.limit) || 10;
-    const suggestions = await getUrlAutocomplete(query, limit);
-    res.json({ success: true, data: suggestions });
+  if (decision !== 'accept' && decision !== 'reject') {
+    return { error: "decision must be 'accept' or 'reject'" };
+  }
+  if (!reviewer) {
+    return { error: 'reviewer is required' };
+  }
+  if (reviewer.length > 255) {
+    return { error: 'reviewer must be at most 255 characters' };
+  }
+
+  return { review: { decision, reviewer, note } };
+}
+
+/**
+ * GET /api/url-tests/:id/visual-baselines
+ * Get the approved baselines of the test's URL, browser and device profile, current baseline first
+ */
+router.get('/url-tests/:id/visual-baselines', async (req, res) => {
+  try {
+    const baselines = await getBaselineHistory(parseInt(req.params.id));
+    res.json({ success: true, data: baselines });
   } catch (error) {
-    console.error('API Error - /urls/autocomplete:', error);
+    console.error('API Error - /url-tests/:id/visual-baselines:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 /**
- * GET /api/urls/:domain/tests
- * Get all test results for a specific URL/domain
+ * POST /api/url-tests/:id/visual-review
+ * Accept the test's screenshot as the baseline of its URL, browser and device profile,
+ * or reject its visual change (the baseline stays as it is)
+ * Body: { decision: 'accept' | 'reject', reviewer, note (optional, kept with accepted baselines) }
  */
-router.get('/urls/:domain/tests', async (req, res) => {
+router.post('/url-tests/:id/visual-review', async (req, res) => {
   try {
-    const domain = decodeURIComponent(req.params.domain);
+    const { review, error } = parseVisualReviewBody(req.body || {});
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const testId = parseInt(req.params.id);
+    const test = await getUrlTestById(testId);
+    if (!test) {
+      return res.status(404).json({ success: false, error: 'URL test not found' });
+    }
+
+    if (review.decision === 'reject') {
+      if (test.visual_review_status === 'ACCEPTED') {
+        return res.status(409).json({ success: false, error: 'This screenshot is an approved baseline; accept another screenshot to replace it' });
+      }
+      await rejectVisualChange(testId, review.reviewer);
+      return res.json({ success: true, data: await getUrlTestById(testId) });
+    }
+
+    const baseline = await approveBaseline(testId, review.reviewer, review.note);
+    if (!baseline) {
+      return res.status(409).json({ success: false, error: 'Only screenshots of tests whose page loaded can be approved as baseline' });
+    }
+    res.status(201).json({ success: true, data: baseline });
+  } catch (error) {
+    console.error('API Error - /url-tests/:id/visual-review:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/journey-tests/:id
+ * Get a single journey test with its steps (duration, screenshot and outcome of each)
+ */
+router.get('/journey-tests/:id', async (req, res) => {
+  try {
+    const journeyTest = await getJourneyTestById(parseInt(req.params.id));
+
+    if (!journeyTest) {
+      return res.status(404).json({ success: false, error: 'Journey test not found' });
+    }
+
+    res.json({ success: true, data: journeyTest });
+  } catch (error) {
+    console.error('API Error - /journey-tests/:id:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/journey-tests/:id/history
+ * Get the recent tests of the same journey, browser and device profile, newest first
+ * Query parameter: limit (default: 20)
+ */
+router.get('/journey-tests/:id/history', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 20;
+    const history = await getJourneyHistory(parseInt(req.params.id), limit);
+    res.json({ success: true, data: history });
+  } catch (error) {
+    console.error('API Error - /journey-tests/:id/history:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/stats/latest
+ * Get statistics for the latest test run
+ * Query parameter: suiteId (optional)
+ */
+router.get('/stats/latest', async (req, res) => {
+  try {
+    const stats = await getLatestRunAverages(parseInt(req.query.suiteId) || null);
+    if (!stats) {
+      return res.status(404).json({ success: false, error: 'No statistics available' });
+    }
+    res.json({ success: true, data: stats });
+  } catch (error) {
+    console.error('API Error - /stats/latest:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/stats/slowest
+ * Get slowest URLs from latest test run
+ * Query parameters: limit (default: 10), suiteId (optional)
+ */
+router.get('/stats/slowest', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 10;
+    const slowest = await getSlowestUrls(limit, parseInt(req.query.suiteId) || null);
+    res.json({ success: true, data: slowest });
+  } catch (error) {
+    console.error('API Error - /stats/slowest:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/stats/fastest
+ * Get fastest URLs from latest test run
+ * Query parameters: limit (default: 10), suiteId (optional)
+ */
+router.get('/stats/fastest', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 10;
+    const fastest = await getFastestUrls(limit, parseInt(req.query.suiteId) || null);
+    res.json({ success: true, data: fastest });
+  } catch (error) {
+    console.error('API Error - /stats/fastest:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/stats/errors
+ * Get tests with errors
+ */
+router.get('/stats/errors', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 50;
+    const errors = await getTestsWithErrors(limit);
+    res.json({ success: true, data: errors });
+  } catch (error) {
+    console.error('API Error - /stats/errors:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/calendar/available-dates
+ * Get all dates that have test runs (for calendar highlighting)
+ * Query parameters:
+ *   - timezone (optional, default: 'UTC', accepts IANA timezone names like 'America/Chicago')
+ */
+router.get('/calendar/available-dates', async (req, res) => {
+  try {
+    const timezone = req.query.timezone || 'UTC';
+
+    // Validate timezone parameter
+    const validTimezonePattern = /^[A-Za-z_]+\/[A-Za-z_]+$|^UTC$/;
+    if (!validTimezonePattern.test(timezone)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid timezone parameter. Use UTC or IANA timezone name (e.g., America/Chicago)'
+      });
+    }
+
+    const dates = await getAvailableDates(timezone);
+    res.json({ success: true, data: dates });
+  } catch (error) {
+    console.error('API Error - /calendar/available-dates:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/calendar/runs-by-date
+ * Get all test runs for a specific date
+ * Query parameters:
+ *   - date (required, YYYY-MM-DD)
+ *   - timezone (optional, default: 'UTC', accepts IANA timezone names like 'America/Chicago')
+ */
+router.get('/calendar/runs-by-date', async (req, res) => {
+  try {
+    const date = req.query.date;
+    if (!date) {
+      return res.status(400).json({ success: false, error: 'Date parameter is required' });
+    }
+
+    // Validate date format (YYYY-MM-DD)
+    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+    if (!dateRegex.test(date)) {
+      return res.status(400).json({ success: false, error: 'Invalid date format. Use YYYY-MM-DD' });
+    }
+
+    const timezone = req.query.timezone || 'UTC';
+
+    // Validate timezone parameter
+    const validTimezonePattern = /^[A-Za-z_]+\/[A-Za-z_]+$|^UTC$/;
+    if (!validTimezonePattern.test(timezone)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid timezone parameter. Use UTC or IANA timezone name (e.g., America/Chicago)'
+      });
+    }
+
+    const runs = await getTestRunsByDate(date, timezone);
+    res.json({ success: true, data: runs });
+  } catch (error) {
+    console.error('API Error - /calendar/runs-by-date:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/urls/autocomplete
+ * Get URL autocomplete suggestions
+ * Query parameter: q (search query)
+ */
+router.get('/urls/autocomplete', async (req, res) => {
+  try {
+    const query = req.query.q;
+    if (!query) {
+      return res.json({ success: true, data: [] });
+    }
+
+    const limit = parseInt(req.query.limit) || 10;
+    const suggestions = await getUrlAutocomplete(query, limit);
+    res.json({ success: true, data: suggestions });
+  } catch (error) {
+    console.error('API Error - /urls/autocomplete:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/urls/:domain/tests
+ * Get all test results for a specific URL/domain
+ */
+router.get('/urls/:domain/tests', async (req, res) => {
+  try {
+    const domain = decodeURIComponent(req.params.domain);
     const limit = parseInt(req.query.limit) || 100;
     const tests = await getTestsByUrl(domain, limit);
     res.json({ success: true, data: tests });
@@ -287,12 +969,31 @@ router.get('/urls/:domain/tests', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/urls/:domain/crawl
+ * Get the pages tested by the domain's latest crawl (seed URL, depth and results of each page),
+ * or an empty list if the domain was never crawled
+ */
+router.get('/urls/:domain/crawl', async (req, res) => {
+  try {
+    const domain = decodeURIComponent(req.params.domain);
+    const pages = await getLatestCrawl(domain);
+    res.json({ success: true, data: pages });
+  } catch (error) {
+    console.error('API Error - /urls/:domain/crawl:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 /**
  * GET /api/urls/:domain/daily-averages
- * Get daily average load times for a specific URL (last N days)
+ * Get daily average load times, Core Web Vitals and accessibility violations for a specific URL (last N days)
  * Query parameters:
  *   - days (default: 15)
  *   - timezone (default: 'UTC', accepts IANA timezone names like 'America/Chicago')
+ *   - browser, deviceProfile, networkProfile (default: those of the domain's latest test)
+ * Only tests run under the same browser, device profile and network profile are averaged;
+ * each row includes the conditions that were used
  */
 router.get('/urls/:domain/daily-averages', async (req, res) => {
   try {
@@ -309,7 +1010,11 @@ router.get('/urls/:domain/daily-averages', async (req, res) => {
       });
     }
 
-    const averages = await getDailyAverageLoadTime(domain, days, timezone);
+    const averages = await getDailyAverageLoadTime(domain, days, timezone, {
+      browser: req.query.browser || null,
+      deviceProfile: req.query.deviceProfile || null,
+      networkProfile: req.query.networkProfile || null
+    });
     res.json({ success: true, data: averages });
   } catch (error) {
     console.error('API Error - /urls/:domain/daily-averages:', error);
@@ -317,4 +1022,596 @@ router.get('/urls/:domain/daily-averages', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/urls/:domain/page-weight
+ * Get daily average bytes transferred per content type for a specific URL (last N days)
+ * Query parameters:
+ *   - days (default: 15)
+ *   - timezone (default: 'UTC', accepts IANA timezone names like 'America/Chicago')
+ *   - browser, deviceProfile, networkProfile (default: those of the domain's latest test)
+ * Returns one row per day and content type
+ */
+router.get('/urls/:domain/page-weight', async (req, res) => {
+  try {
+    const domain = decodeURIComponent(req.params.domain);
+    const days = parseInt(req.query.days) || 15;
+    const timezone = req.query.timezone || 'UTC';
+
+    // Validate timezone parameter
+    const validTimezonePattern = /^[A-Za-z_]+\/[A-Za-z_]+$|^UTC$/;
+    if (!validTimezonePattern.test(timezone)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid timezone parameter. Use UTC or IANA timezone name (e.g., America/Chicago)'
+      });
+    }
+
+    const sizes = await getDailyContentTypeSizes(domain, days, timezone, {
+      browser: req.query.browser || null,
+      deviceProfile: req.query.deviceProfile || null,
+      networkProfile: req.query.networkProfile || null
+    });
+    res.json({ success: true, data: sizes });
+  } catch (error) {
+    console.error('API Error - /urls/:domain/page-weight:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/urls/:domain/browser-comparison
+ * Compare a URL's average metrics between browsers (last N days)
+ * Query parameters:
+ *   - days (default: 30)
+ */
+router.get('/urls/:domain/browser-comparison', async (req, res) => {
+  try {
+    const domain = decodeURIComponent(req.params.domain);
+    const days = parseInt(req.query.days) || 30;
+    const rows = await getBrowserMetricsByUrl(domain, days);
+    res.json({
+      success: true,
+      data: {
+        browsers: [...new Set(rows.map(row => row.browser))].sort(),
+        metrics: COMPARISON_METRICS,
+        urls: compareBrowsers(rows)
+      }
+    });
+  } catch (error) {
+    console.error('API Error - /urls/:domain/browser-comparison:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Check that a URL can be tested
+ * @param {string} url
+ * @returns {string|null} Error message, or null if the URL is valid
+ */
+function validateTestUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return `Invalid URL '${url}'`;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return 'url must start with http:// or https://';
+  }
+  return null;
+}
+
+// Screenshot selector lists of a monitored URL, by request body field
+const SCREENSHOT_SELECTOR_FIELDS = ['waitForSelectors', 'hideSelectors', 'maskSelectors', 'diffIgnoreSelectors'];
+
+/**
+ * Validate a list of CSS selectors (array, or one selector per line)
+ * Selectors are checked in the browser when the page is tested; here they only
+ * have to fit in a style rule
+ * @param {string} field - Request body field, for error messages
+ * @param {any} value
+ * @returns {{selectors?: string[], error?: string}}
+ */
+function parseSelectors(field, value) {
+  const rawSelectors = Array.isArray(value) ? value : String(value || '').split('\n');
+  const selectors = [...new Set(rawSelectors.map(selector => String(selector).trim()).filter(selector => selector.length > 0))];
+
+  if (selectors.length > 20) {
+    return { error: `${field} can list at most 20 selectors` };
+  }
+  const invalid = selectors.find(selector => selector.length > 500 || /[{};]/.test(selector));
+  if (invalid) {
+    return { error: `Invalid selector in ${field}: ${invalid.slice(0, 100)}` };
+  }
+  return { selectors };
+}
+
+/**
+ * Validate a monitored URL from a request body
+ * @param {object} body - Request body: url, enabled, tags (array or comma-separated string), owner, notes,
+ *   and the screenshot selectors waitForSelectors, hideSelectors, maskSelectors, diffIgnoreSelectors
+ *   (each an array or one selector per line)
+ * @returns {{monitoredUrl?: object, error?: string}}
+ */
+function parseMonitoredUrlBody(body) {
+  const url = String(body.url || '').trim();
+  const { enabled, error: enabledError } = parseEnabled(body.enabled);
+  const rawTags = Array.isArray(body.tags) ? body.tags : String(body.tags || '').split(',');
+  const tags = [...new Set(rawTags.map(tag => String(tag).trim()).filter(tag => tag.length > 0))];
+  const owner = String(body.owner || '').trim() || null;
+  const notes = String(body.notes || '').trim() || null;
+
+  if (!url) {
+    return { error: 'url is required' };
+  }
+  const urlError = validateTestUrl(url);
+  if (urlError) {
+    return { error: urlError };
+  }
+  if (enabledError) {
+    return { error: enabledError };
+  }
+  if (owner && owner.length > 255) {
+    return { error: 'owner must be 255 characters or fewer' };
+  }
+
+  const monitoredUrl = { url, enabled, tags, owner, notes };
+  for (const field of SCREENSHOT_SELECTOR_FIELDS) {
+    const { selectors, error } = parseSelectors(field, body[field]);
+    if (error) {
+      return { error };
+    }
+    monitoredUrl[field] = selectors;
+  }
+
+  return { monitoredUrl };
+}
+
+/**
+ * GET /api/urls
+ * Get monitored URLs with the time each was last tested
+ * Query parameters:
+ *   - enabled (optional: 'true' or 'false')
+ *   - tag (optional)
+ */
+router.get('/urls', async (req, res) => {
+  try {
+    const enabled = req.query.enabled === undefined ? null : req.query.enabled === 'true';
+    const tag = req.query.tag ? String(req.query.tag) : null;
+    const urls = await getMonitoredUrls({ enabled, tag });
+    res.json({ success: true, data: urls });
+  } catch (error) {
+    console.error('API Error - /urls:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/urls/:id
+ * Get a single monitored URL
+ */
+router.get('/urls/:id(\\d+)', async (req, res) => {
+  try {
+    const monitoredUrl = await getMonitoredUrlById(parseInt(req.params.id));
+    if (!monitoredUrl) {
+      return res.status(404).json({ success: false, error: 'URL not found' });
+    }
+    res.json({ success: true, data: monitoredUrl });
+  } catch (error) {
+    console.error('API Error - /urls/:id:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/urls
+ * Add a monitored URL
+ * Body: { url, enabled (default: true), tags (default: []), owner, notes,
+ *         waitForSelectors, hideSelectors, maskSelectors, diffIgnoreSelectors (default: []) }
+ */
+router.post('/urls', async (req, res) => {
+  try {
+    const { monitoredUrl, error } = parseMonitoredUrlBody(req.body || {});
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    if (await getMonitoredUrlByUrl(monitoredUrl.url)) {
+      return res.status(409).json({ success: false, error: `${monitoredUrl.url} is already monitored` });
+    }
+
+    const created = await createMonitoredUrl(monitoredUrl);
+    if (!created) {
+      return res.status(500).json({ success: false, error: 'Failed to add URL' });
+    }
+    res.status(201).json({ success: true, data: created });
+  } catch (error) {
+    console.error('API Error - POST /urls:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/urls/:id
+ * Replace a monitored URL (same body as POST /api/urls)
+ */
+router.put('/urls/:id(\\d+)', async (req, res) => {
+  try {
+    const { monitoredUrl, error } = parseMonitoredUrlBody(req.body || {});
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const id = parseInt(req.params.id);
+    const existing = await getMonitoredUrlByUrl(monitoredUrl.url);
+    if (existing && existing.id !== id) {
+      return res.status(409).json({ success: false, error: `${monitoredUrl.url} is already monitored` });
+    }
+
+    const updated = await updateMonitoredUrl(id, monitoredUrl);
+    if (!updated) {
+      return res.status(404).json({ success: false, error: 'URL not found' });
+    }
+    res.json({ success: true, data: updated });
+  } catch (error) {
+    console.error('API Error - PUT /urls/:id:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/urls/:id
+ * Stop monitoring a URL (its test history is kept)
+ */
+router.delete('/urls/:id(\\d+)', async (req, res) => {
+  try {
+    const deleted = await deleteMonitoredUrl(parseInt(req.params.id));
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'URL not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('API Error - DELETE /urls/:id:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Validate a list of browsers to run tests in
+ * @param {any} value - Browser names
+ * @returns {{browsers?: string[], error?: string}}
+ */
+function parseBrowsers(value) {
+  if (!Array.isArray(value) || value.length === 0 ||
+      value.some(browser => !SUITE_BROWSERS.includes(browser))) {
+    return { error: `browsers must be a non-empty list of: ${SUITE_BROWSERS.join(', ')}` };
+  }
+  return { browsers: [...new Set(value)] };
+}
+
+/**
+ * Validate a list of device profiles to run tests under
+ * @param {any} value - Device profile names (keys of DEVICE_PROFILES)
+ * @returns {{deviceProfiles?: string[], error?: string}}
+ */
+function parseDeviceProfiles(value) {
+  if (!Array.isArray(value) || value.length === 0 || value.some(profile => !(profile in DEVICE_PROFILES))) {
+    return { error: `deviceProfiles must be a non-empty list of: ${Object.keys(DEVICE_PROFILES).join(', ')}` };
+  }
+  return { deviceProfiles: [...new Set(value)] };
+}
+
+/**
+ * Validate a network profile to throttle runs to
+ * @param {any} value - Network profile name (built-in or from the network profiles file)
+ * @returns {{networkProfile?: string, error?: string}}
+ */
+function parseNetworkProfile(value) {
+  if (typeof value !== 'string' || !getNetworkProfile(value)) {
+    return { error: `networkProfile must be one of: ${Object.keys(loadNetworkProfiles()).join(', ')}` };
+  }
+  return { networkProfile: value };
+}
+
+/**
+ * Validate a suite from a request body
+ * @param {object} body - Request body: name, description, browsers, deviceProfiles, networkProfile, viewportWidth,
+ *   viewportHeight, timeoutMs, parallelWorkers, monitoredUrlIds (a single `browser` is still accepted)
+ * @returns {{suite?: object, error?: string}}
+ */
+function parseSuiteBody(body) {
+  const name = String(body.name || '').trim();
+  const description = String(body.description || '').trim() || null;
+  const { browsers, error: browsersError } = parseBrowsers(body.browsers ?? [body.browser || 'firefox']);
+  const { deviceProfiles, error: deviceProfilesError } = parseDeviceProfiles(body.deviceProfiles ?? [DEFAULT_DEVICE_PROFILE]);
+  const { networkProfile, error: networkProfileError } = parseNetworkProfile(body.networkProfile ?? DEFAULT_NETWORK_PROFILE);
+  const viewportWidth = body.viewportWidth === undefined ? 1280 : parseInt(body.viewportWidth);
+  const viewportHeight = body.viewportHeight === undefined ? 720 : parseInt(body.viewportHeight);
+  const timeoutMs = body.timeoutMs === undefined ? 60000 : parseInt(body.timeoutMs);
+  const parallelWorkers = body.parallelWorkers === undefined ? 4 : parseInt(body.parallelWorkers);
+  const monitoredUrlIds = Array.isArray(body.monitoredUrlIds) ? body.monitoredUrlIds.map(id => parseInt(id)) : [];
+
+  if (!name) {
+    return { error: 'name is required' };
+  }
+  if (name.length > 255) {
+    return { error: 'name must be 255 characters or fewer' };
+  }
+  if (browsersError) {
+    return { error: browsersError };
+  }
+  if (deviceProfilesError) {
+    return { error: deviceProfilesError };
+  }
+  if (networkProfileError) {
+    return { error: networkProfileError };
+  }
+  if (!Number.isInteger(viewportWidth) || viewportWidth < 320 || viewportWidth > 3840 ||
+      !Number.isInteger(viewportHeight) || viewportHeight < 240 || viewportHeight > 2160) {
+    return { error: 'viewport must be between 320x240 and 3840x2160' };
+  }
+  if (!Number.isInteger(timeoutMs) || timeoutMs < 5000 || timeoutMs > 300000) {
+    return { error: 'timeoutMs must be between 5000 and 300000' };
+  }
+  if (!Number.isInteger(parallelWorkers) || parallelWorkers < 1 || parallelWorkers > 16) {
+    return { error: 'parallelWorkers must be between 1 and 16' };
+  }
+  if (monitoredUrlIds.some(id => !Number.isInteger(id))) {
+    return { error: 'monitoredUrlIds must be a list of monitored URL IDs' };
+  }
+
+  return {
+    suite: {
+      name, description, browsers, deviceProfiles, networkProfile, viewportWidth, viewportHeight, timeoutMs,
+      parallelWorkers, monitoredUrlIds
+    }
+  };
+}
+
+/**
+ * GET /api/network-profiles
+ * Get the network profiles runs can be throttled to (built-in and from the network profiles file)
+ */
+router.get('/network-profiles', async (req, res) => {
+  try {
+    const profiles = Object.entries(loadNetworkProfiles()).map(([name, profile]) => ({ name, ...profile }));
+    res.json({ success: true, data: profiles });
+  } catch (error) {
+    console.error('API Error - /network-profiles:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/suites
+ * Get all suites with their URL IDs and most recent run
+ */
+router.get('/suites', async (req, res) => {
+  try {
+    const suites = await getSuites();
+    res.json({ success: true, data: suites });
+  } catch (error) {
+    console.error('API Error - /suites:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/suites
+ * Create a suite
+ * Body: { name, description, browsers (default: ['firefox']), deviceProfiles (default: ['desktop']),
+ *   networkProfile (default: 'none'), viewportWidth (default: 1280), viewportHeight (default: 720), timeoutMs (default: 60000), parallelWorkers (default: 4), monitoredUrlIds }
+ */
+router.post('/suites', async (req, res) => {
+  try {
+    const { suite, error } = parseSuiteBody(req.body || {});
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    if (await getSuiteByName(suite.name)) {
+      return res.status(409).json({ success: false, error: `A suite named "${suite.name}" already exists` });
+    }
+
+    const created = await createSuite(suite);
+    if (!created) {
+      return res.status(500).json({ success: false, error: 'Failed to create suite' });
+    }
+    res.status(201).json({ success: true, data: created });
+  } catch (error) {
+    console.error('API Error - POST /suites:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/suites/:id
+ * Replace a suite and its URLs (same body as POST /api/suites)
+ */
+router.put('/suites/:id', async (req, res) => {
+  try {
+    const { suite, error } = parseSuiteBody(req.body || {});
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const id = parseInt(req.params.id);
+    const existing = await getSuiteByName(suite.name);
+    if (existing && existing.id !== id) {
+      return res.status(409).json({ success: false, error: `A suite named "${suite.name}" already exists` });
+    }
+
+    const updated = await updateSuite(id, suite);
+    if (!updated) {
+      return res.status(404).json({ success: false, error: 'Suite not found' });
+    }
+    res.json({ success: true, data: updated });
+  } catch (error) {
+    console.error('API Error - PUT /suites/:id:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/suites/:id
+ * Delete a suite (its test runs are kept)
+ */
+router.delete('/suites/:id', async (req, res) => {
+  try {
+    const deleted = await deleteSuite(parseInt(req.params.id));
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Suite not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('API Error - DELETE /suites/:id:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Read the enabled flag of a request body
+ * Form-encoded clients send booleans as strings, so 'true' and 'false' are accepted too
+ * @param {any} value - body.enabled
+ * @returns {{enabled?: boolean, error?: string}} True when left out
+ */
+function parseEnabled(value) {
+  if (value === undefined || value === true || value === 'true') {
+    return { enabled: true };
+  }
+  if (value === false || value === 'false') {
+    return { enabled: false };
+  }
+  return { error: 'enabled must be true or false' };
+}
+
+/**
+ * Validate a schedule from a request body
+ * @param {object} body - Request body: name, cronExpression, timezone, parallelWorkers, suiteId, enabled
+ * @returns {{schedule?: object, error?: string}}
+ */
+function parseScheduleBody(body) {
+  const name = String(body.name || '').trim();
+  const cronExpression = String(body.cronExpression || '').trim();
+  const timezone = body.timezone || 'UTC';
+  const parallelWorkers = body.parallelWorkers === undefined ? 4 : parseInt(body.parallelWorkers);
+  const suiteId = body.suiteId === undefined || body.suiteId === null || body.suiteId === '' ? null : Number(body.suiteId);
+  const { enabled, error: enabledError } = parseEnabled(body.enabled);
+
+  if (!name) {
+    return { error: 'name is required' };
+  }
+  if (enabledError) {
+    return { error: enabledError };
+  }
+  const cronError = validateCron(cronExpression);
+  if (cronError) {
+    return { error: cronError };
+  }
+  if (!isValidTimezone(timezone)) {
+    return { error: `Invalid timezone '${timezone}'. Use UTC or an IANA timezone name (e.g., America/Chicago)` };
+  }
+  if (!Number.isInteger(parallelWorkers) || parallelWorkers < 1 || parallelWorkers > 16) {
+    return { error: 'parallelWorkers must be between 1 and 16' };
+  }
+  if (suiteId !== null && (!Number.isInteger(suiteId) || suiteId < 1)) {
+    return { error: 'suiteId must be a suite ID' };
+  }
+
+  return {
+    schedule: {
+      name,
+      cronExpression,
+      timezone,
+      parallelWorkers,
+      suiteId,
+      enabled,
+      nextRunAt: computeNextRun(cronExpression, timezone, enabled)
+    }
+  };
+}
+
+/**
+ * GET /api/schedules
+ * Get all run schedules with their next and most recent runs
+ */
+router.get('/schedules', async (req, res) => {
+  try {
+    const schedules = await getSchedules();
+    res.json({ success: true, data: schedules });
+  } catch (error) {
+    console.error('API Error - /schedules:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/schedules
+ * Create a run schedule
+ * Body: { name, cronExpression, timezone (default: 'UTC'), parallelWorkers (default: 4),
+ *   suiteId (default: none, runs every enabled monitored URL), enabled (default: true) }
+ */
+router.post('/schedules', async (req, res) => {
+  try {
+    const { schedule, error } = parseScheduleBody(req.body || {});
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    if (schedule.suiteId !== null && !(await getSuiteById(schedule.suiteId))) {
+      return res.status(400).json({ success: false, error: `Suite ${schedule.suiteId} not found` });
+    }
+
+    const created = await createSchedule(schedule);
+    if (!created) {
+      return res.status(500).json({ success: false, error: 'Failed to create schedule' });
+    }
+    res.status(201).json({ success: true, data: created });
+  } catch (error) {
+    console.error('API Error - POST /schedules:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/schedules/:id
+ * Replace a run schedule (same body as POST /api/schedules)
+ */
+router.put('/schedules/:id', async (req, res) => {
+  try {
+    const { schedule, error } = parseScheduleBody(req.body || {});
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    if (schedule.suiteId !== null && !(await getSuiteById(schedule.suiteId))) {
+      return res.status(400).json({ success: false, error: `Suite ${schedule.suiteId} not found` });
+    }
+
+    const updated = await updateSchedule(parseInt(req.params.id), schedule);
+    if (!updated) {
+      return res.status(404).json({ success: false, error: 'Schedule not found' });
+    }
+    res.json({ success: true, data: updated });
+  } catch (error) {
+    console.error('API Error - PUT /schedules/:id:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/schedules/:id
+ * Delete a run schedule (test runs it started are kept)
+ */
+router.delete('/schedules/:id', async (req, res) => {
+  try {
+    const deleted = await deleteSchedule(parseInt(req.params.id));
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Schedule not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('API Error - DELETE /schedules/:id:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 export default router;
@@ -0,0 +1,21 @@
+#!/usr/bin/env node
+// @ts-check
+
+/**
+ * Helper script to check a network profile name
+ * Usage: node src/runner/check-network-profile.js <profileName>
+ * Outputs the profile's label, or exits with code 1 (listing the known profiles)
+ * if there is no such profile in the built-in profiles or the profiles file
+ */
+
+import { getNetworkProfile, loadNetworkProfiles } from './network-profiles.js';
+
+const profileName = process.argv[2];
+const profile = profileName ? getNetworkProfile(profileName) : null;
+
+if (profile) {
+  console.log(profile.label);
+} else {
+  console.error(`Error: unknown network profile "${profileName || ''}" (use ${Object.keys(loadNetworkProfiles()).join(', ')})`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+// @ts-check
+
+/**
+ * Helper script to discover the pages of a site for a crawl run
+ * Usage: node src/runner/crawl.js <seedUrl> --output <file> [--depth 2] [--max-pages 50]
+ *                                 [--include <pattern>]... [--exclude <pattern>]... [--browser firefox]
+ * Outputs: one page URL per line (seed first); the output file gets the seed and
+ * each page's depth as JSON, for the batch spec to link the tests to the seed
+ */
+
+import { writeFileSync } from 'fs';
+import { chromium, firefox, webkit } from '@playwright/test';
+import { crawlSite, DEFAULT_CRAWL_DEPTH, DEFAULT_CRAWL_MAX_PAGES } from './crawler.js';
+
+const BROWSER_TYPES = { chromium, firefox, webkit };
+
+/**
+ * Parse the command-line arguments
+ * @param {string[]} args
+ * @returns {{seedUrl: string|null, output: string|null, maxDepth: number, maxPages: number,
+ *   include: string[], exclude: string[], browser: string}}
+ */
+function parseArgs(args) {
+  const options = {
+    seedUrl: null,
+    output: null,
+    maxDepth: DEFAULT_CRAWL_DEPTH,
+    maxPages: DEFAULT_CRAWL_MAX_PAGES,
+    include: [],
+    exclude: [],
+    browser: 'firefox'
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const value = args[i + 1];
+    switch (args[i]) {
+      case '--output': options.output = value; i++; break;
+      case '--depth': options.maxDepth = parseInt(value); i++; break;
+      case '--max-pages': options.maxPages = parseInt(value); i++; break;
+      case '--include': options.include.push(value); i++; break;
+      case '--exclude': options.exclude.push(value); i++; break;
+      case '--browser': options.browser = value; i++; break;
+      default: options.seedUrl = args[i];
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!options.seedUrl || !/^https?:\/\//.test(options.seedUrl) || !options.output) {
+    console.error('Usage: node src/runner/crawl.js <seedUrl> --output <file> [--depth 2] [--max-pages 50] [--include <pattern>] [--exclude <pattern>] [--browser firefox]');
+    process.exitCode = 1;
+    return;
+  }
+  if (!(options.maxDepth >= 0) || !(options.maxPages > 0)) {
+    console.error('Error: --depth must be 0 or more and --max-pages at least 1');
+    process.exitCode = 1;
+    return;
+  }
+  const browserType = BROWSER_TYPES[options.browser];
+  if (!browserType) {
+    console.error(`Error: unknown browser "${options.browser}" (use firefox, chromium or webkit)`);
+    process.exitCode = 1;
+    return;
+  }
+
+  console.error(`Crawling ${options.seedUrl} (depth ${options.maxDepth}, up to ${options.maxPages} pages)...`);
+  const browser = await browserType.launch();
+  try {
+    const pages = await crawlSite(browser, options.seedUrl, options);
+    if (pages.length === 0) {
+      console.error(`Error: the seed URL ${options.seedUrl} could not be loaded`);
+      process.exitCode = 1;
+      return;
+    }
+
+    writeFileSync(options.output, JSON.stringify({
+      seedUrl: options.seedUrl,
+      pages
+    }, null, 2));
+
+    // Output only the URLs to stdout for the caller to capture
+    pages.forEach(page => console.log(page.url));
+    console.error(`Found ${pages.length} pages`);
+  } catch (error) {
+    console.error('Error crawling site:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await browser.close();
+  }
+}
+
+main();
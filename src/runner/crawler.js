@@ -0,0 +1,132 @@
+// @ts-check
+import { collectLinks } from '../analysis/link-checker.js';
+import { patternToRegExp } from '../analysis/budgets.js';
+
+/**
+ * Discovers the pages of a site for a crawl run, starting from a seed URL
+ * Pages are visited breadth first in a real browser, so links added by scripts
+ * are found too, and only pages on the seed's own origin (after redirects) are
+ * followed. A page is kept when it loads as HTML with a successful status; each
+ * kept page's links are followed until the maximum depth (the seed is depth 0)
+ * or the maximum page count is reached. Include and exclude patterns are
+ * wildcard URL patterns ("*" matches anything), as in performance budgets.
+ *
+ * The pages found are then tested like any other URL by runWebsiteTest, and
+ * linked to the seed through url_tests.crawl_seed_url.
+ */
+
+export const DEFAULT_CRAWL_DEPTH = 2;
+export const DEFAULT_CRAWL_MAX_PAGES = 50;
+
+const PAGE_TIMEOUT_MS = 30000;
+
+// Links to files rather than pages are never visited
+const FILE_EXTENSION_PATTERN = /\.(pdf|zip|gz|docx?|xlsx?|pptx?|csv|jpe?g|png|gif|svg|webp|ico|mp3|mp4|mov|avi|webm)$/i;
+
+/**
+ * Check whether a discovered URL should be crawled
+ * @param {URL} url - Discovered URL
+ * @param {string} origin - Origin of the site being crawled
+ * @param {RegExp[]} include - URLs must match one of these (when there are any)
+ * @param {RegExp[]} exclude - URLs must match none of these
+ * @returns {boolean}
+ */
+function shouldCrawl(url, origin, include, exclude) {
+  if (url.origin !== origin || FILE_EXTENSION_PATTERN.test(url.pathname)) {
+    return false;
+  }
+  if (include.length > 0 && !include.some(pattern => pattern.test(url.href))) {
+    return false;
+  }
+  return !exclude.some(pattern => pattern.test(url.href));
+}
+
+/**
+ * Load a page and collect its links
+ * @param {object} page - Playwright page
+ * @param {string} url - Page to load
+ * @returns {Promise<{finalUrl: string, origin: string, links: Array<{href: string}>}|null>}
+ *   The URL after redirects and the page's links, or null if it isn't a working HTML page
+ */
+async function visitPage(page, url) {
+  const response = await page.goto(url, { waitUntil: 'load', timeout: PAGE_TIMEOUT_MS });
+  const contentType = response?.headers()['content-type'] || '';
+  if (!response || !response.ok() || !contentType.includes('text/html')) {
+    return null;
+  }
+  const { origin, links } = await collectLinks(page);
+  return { finalUrl: page.url().split('#')[0], origin, links };
+}
+
+/**
+ * Discover the pages of a site
+ * @param {object} browser - Playwright browser
+ * @param {string} seedUrl - Page to start from
+ * @param {{maxDepth?: number, maxPages?: number, include?: string[], exclude?: string[]}} [options]
+ *   - maxDepth: how many links away from the seed to follow (default: 2)
+ *   - maxPages: maximum number of pages, including the seed (default: 50)
+ *   - include: wildcard URL patterns pages must match one of (default: all pages)
+ *   - exclude: wildcard URL patterns of pages to skip
+ * @returns {Promise<Array<{url: string, depth: number}>>} Pages found, seed first
+ */
+export async function crawlSite(browser, seedUrl, { maxDepth = DEFAULT_CRAWL_DEPTH, maxPages = DEFAULT_CRAWL_MAX_PAGES, include = [], exclude = [] } = {}) {
+  const includePatterns = include.map(patternToRegExp);
+  const excludePatterns = exclude.map(patternToRegExp);
+
+  const context = await browser.newContext();
+  const page = await context.newPage();
+
+  /** @type {Array<{url: string, depth: number}>} */
+  const pages = [];
+  const seen = new Set([seedUrl]);
+  /** @type {Array<{url: string, depth: number}>} */
+  const queue = [{ url: seedUrl, depth: 0 }];
+  let origin = null;
+
+  try {
+    while (queue.length > 0 && pages.length < maxPages) {
+      const next = /** @type {{url: string, depth: number}} */ (queue.shift());
+
+      let visited;
+      try {
+        visited = await visitPage(page, next.url);
+      } catch (error) {
+        console.error(`⚠ Skipping ${next.url}: ${error.message.split('\n')[0]}`);
+        continue;
+      }
+      if (!visited) {
+        console.error(`⚠ Skipping ${next.url}: not a working HTML page`);
+        continue;
+      }
+
+      // The seed's origin after redirects (e.g. to www.) is the site being crawled
+      if (origin === null) {
+        origin = visited.origin;
+      }
+
+      // Redirects can lead off the site, or to a page that was already found
+      if (next.depth > 0 && visited.finalUrl !== next.url
+        && (new URL(visited.finalUrl).origin !== origin || seen.has(visited.finalUrl))) {
+        continue;
+      }
+      seen.add(visited.finalUrl);
+      pages.push({ url: visited.finalUrl, depth: next.depth });
+      console.error(`Found ${visited.finalUrl} (depth ${next.depth})`);
+
+      if (next.depth >= maxDepth) {
+        continue;
+      }
+      for (const link of visited.links) {
+        const url = new URL(link.href);
+        if (!seen.has(url.href) && shouldCrawl(url, origin, includePatterns, excludePatterns)) {
+          seen.add(url.href);
+          queue.push({ url: url.href, depth: next.depth + 1 });
+        }
+      }
+    }
+  } finally {
+    await context.close();
+  }
+
+  return pages;
+}
@@ -0,0 +1,32 @@
+// @ts-check
+
+/**
+ * Device profiles a URL can be tested under
+ * A profile with a `device` uses that Playwright device descriptor (viewport, user
+ * agent, device scale factor, touch and mobile emulation). The others only set the
+ * viewport; desktop uses the suite's viewport (VIEWPORT_WIDTH/VIEWPORT_HEIGHT).
+ */
+
+/** @type {Record<string, {label: string, device?: string, viewport?: {width: number, height: number}, deviceScaleFactor?: number}>} */
+export const DEVICE_PROFILES = {
+  desktop: { label: 'Desktop' },
+  laptop: { label: 'Laptop 1366x768', viewport: { width: 1366, height: 768 }, deviceScaleFactor: 1 },
+  'iphone-13': { label: 'iPhone 13', device: 'iPhone 13' },
+  'pixel-7': { label: 'Pixel 7', device: 'Pixel 7' }
+};
+
+export const DEFAULT_DEVICE_PROFILE = 'desktop';
+
+/**
+ * Device profiles for runs that don't choose their own: the DEVICE_PROFILES
+ * environment variable (comma-separated, e.g. "desktop,iphone-13"), or desktop
+ * if it isn't set. The Playwright batch spec reads the same variable.
+ * @returns {string[]}
+ */
+export function getDefaultDeviceProfiles() {
+  const profiles = (process.env.DEVICE_PROFILES || '')
+    .split(',')
+    .map(profile => profile.trim().toLowerCase())
+    .filter(profile => profile in DEVICE_PROFILES);
+  return profiles.length > 0 ? [...new Set(profiles)] : [DEFAULT_DEVICE_PROFILE];
+}
@@ -0,0 +1,184 @@
+// @ts-check
+import { readFileSync } from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+
+/**
+ * Scripted user journeys: multi-step flows (search, then results, then a detail
+ * page) tested as one transaction, step by step
+ * Journeys are read from a YAML or JSON file (tests/journeys.yaml by default, or
+ * JOURNEYS_FILE; see tests/journeys.example.yaml):
+ * journeys:
+ *   - name: Search for admissions
+ *     steps:
+ *       - action: goto
+ *         url: https://www.uchicago.edu/
+ *       - action: fill
+ *         selector: input[name="q"]
+ *         value: admissions
+ *       - action: press
+ *         selector: input[name="q"]
+ *         key: Enter
+ *       - action: assertText
+ *         selector: main
+ *         text: Admissions
+ *
+ * Each step runs in order in the same page; the first step must be a goto.
+ * A step fails when its selector doesn't appear (or its text isn't found) within
+ * its timeout, and the steps after a failed one are skipped. Every step can have
+ * a name (shown on the dashboard) and its own timeoutMs.
+ */
+
+/** @typedef {{action: string, name?: string, url?: string, selector?: string, value?: string, key?: string, text?: string, timeoutMs?: number}} JourneyStep */
+/** @typedef {{name: string, steps: JourneyStep[]}} Journey */
+
+// Fields each action needs (selector is optional for assertText, which defaults to the whole page)
+export const JOURNEY_ACTIONS = {
+  goto: ['url'],
+  click: ['selector'],
+  fill: ['selector', 'value'],
+  press: ['selector', 'key'],
+  waitForSelector: ['selector'],
+  assertText: ['text']
+};
+
+export const DEFAULT_STEP_TIMEOUT_MS = 30000;
+
+// Journey names are stored in journey_tests.journey_name
+const MAX_NAME_LENGTH = 255;
+
+/**
+ * Check a step of a journey
+ * @param {any} step - Step from the journeys file
+ * @returns {string|null} What is wrong with the step, or null if it is valid
+ */
+function validateStep(step) {
+  if (!Object.hasOwn(JOURNEY_ACTIONS, step?.action)) {
+    return `action must be one of ${Object.keys(JOURNEY_ACTIONS).join(', ')}`;
+  }
+  for (const field of JOURNEY_ACTIONS[step.action]) {
+    if (typeof step[field] !== 'string' || (field !== 'value' && step[field].length === 0)) {
+      return `${step.action} needs a ${field}`;
+    }
+  }
+  if (step.action === 'goto' && !/^https?:\/\//.test(step.url)) {
+    return 'goto url must start with http:// or https://';
+  }
+  if (step.timeoutMs !== undefined && !(Number.isInteger(step.timeoutMs) && step.timeoutMs > 0)) {
+    return 'timeoutMs must be a positive integer';
+  }
+  return null;
+}
+
+/**
+ * Check a journey from the journeys file
+ * @param {any} journey - Journey from the journeys file
+ * @returns {string|null} What is wrong with the journey, or null if it is valid
+ */
+export function validateJourney(journey) {
+  if (typeof journey?.name !== 'string' || journey.name.trim().length === 0 || journey.name.length > MAX_NAME_LENGTH) {
+    return `name must be a non-empty string (at most ${MAX_NAME_LENGTH} characters)`;
+  }
+  if (!Array.isArray(journey.steps) || journey.steps.length === 0) {
+    return 'steps must be a non-empty list';
+  }
+  if (journey.steps[0]?.action !== 'goto') {
+    return 'the first step must be a goto';
+  }
+  for (const [index, step] of journey.steps.entries()) {
+    const problem = validateStep(step);
+    if (problem) {
+      return `step ${index + 1}: ${problem}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Load the journeys to test
+ * A missing file means no journeys; invalid journeys (and repeated names) are reported and ignored
+ * @param {string} [filePath] - Journeys file path (default: JOURNEYS_FILE or tests/journeys.yaml)
+ * @returns {Journey[]}
+ */
+export function loadJourneys(filePath = process.env.JOURNEYS_FILE || path.join(process.cwd(), 'tests', 'journeys.yaml')) {
+  /** @type {any} */
+  let content;
+  try {
+    // JSON is valid YAML, so the same parser reads both
+    content = yaml.load(readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`⚠ Failed to load journeys from ${filePath}:`, error.message);
+    }
+    return [];
+  }
+
+  /** @type {Journey[]} */
+  const journeys = [];
+  for (const journey of content?.journeys || []) {
+    const problem = validateJourney(journey);
+    if (problem) {
+      console.warn(`⚠ Journey "${journey?.name ?? ''}" ignored: ${problem}`);
+      continue;
+    }
+    if (journeys.some(existing => existing.name === journey.name)) {
+      console.warn(`⚠ Journey "${journey.name}" ignored: another journey has the same name`);
+      continue;
+    }
+    journeys.push({ name: journey.name, steps: journey.steps });
+  }
+  return journeys;
+}
+
+/**
+ * Describe a step for logs and the dashboard, e.g. 'click button.search'
+ * @param {JourneyStep} step
+ * @returns {string}
+ */
+export function describeStep(step) {
+  return step.name || `${step.action} ${step.url || step.selector || ''}`.trim();
+}
+
+/**
+ * Run one step of a journey in a page
+ * @param {object} page - Playwright page (left on the previous step's result)
+ * @param {JourneyStep} step - Step to run
+ * @throws {Error} If the step's element or text doesn't appear within the step's timeout
+ */
+export async function runJourneyStep(page, step) {
+  const timeout = step.timeoutMs || DEFAULT_STEP_TIMEOUT_MS;
+
+  switch (step.action) {
+    case 'goto':
+      await page.goto(step.url, { waitUntil: 'load', timeout });
+      break;
+    case 'click':
+      await page.locator(step.selector).first().click({ timeout });
+      break;
+    case 'fill':
+      await page.locator(step.selector).first().fill(step.value, { timeout });
+      break;
+    case 'press':
+      await page.locator(step.selector).first().press(step.key, { timeout });
+      break;
+    case 'waitForSelector':
+      await page.locator(step.selector).first().waitFor({ state: 'visible', timeout });
+      break;
+    case 'assertText': {
+      const selector = step.selector || 'body';
+      try {
+        await page.locator(selector).filter({ hasText: step.text }).first().waitFor({ state: 'visible', timeout });
+      } catch (error) {
+        if (error.name !== 'TimeoutError') {
+          throw error;
+        }
+        const notFound = new Error(`Text "${step.text}" not found in ${selector} within ${timeout}ms`);
+        notFound.name = 'AssertionError';
+        throw notFound;
+      }
+      break;
+    }
+    default:
+      throw new Error(`Unknown journey action: ${step.action}`);
+  }
+}
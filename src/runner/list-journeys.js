@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+// @ts-check
+
+/**
+ * Helper script to list the journeys a journey run should cover
+ * Usage: node src/runner/list-journeys.js
+ * Outputs: one journey name per line, from tests/journeys.yaml (or JOURNEYS_FILE);
+ * invalid journeys are reported on stderr and left out
+ */
+
+import { loadJourneys } from './journeys.js';
+
+loadJourneys().forEach(journey => console.log(journey.name));
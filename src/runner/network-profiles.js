@@ -0,0 +1,128 @@
+// @ts-check
+import { readFileSync } from 'fs';
+import path from 'path';
+
+/**
+ * Network and CPU throttling profiles a run can be tested under
+ * latencyMs is the round-trip time added to each request and downloadKbps/uploadKbps
+ * the link throughput in kilobits per second. Chromium is throttled through the
+ * DevTools protocol, network and CPU (cpuSlowdown, e.g. 4 = four times slower).
+ * Firefox and WebKit have no such protocol, so their traffic goes through a local
+ * shaping proxy (throttling-proxy.js) and cpuSlowdown is not applied.
+ *
+ * More profiles can be added, or the built-in ones overridden, in a JSON file
+ * (tests/network-profiles.json by default, or NETWORK_PROFILES_FILE; see
+ * tests/network-profiles.example.json):
+ * {
+ *   "profiles": {
+ *     "dsl": { "label": "DSL", "latencyMs": 50, "downloadKbps": 1500, "uploadKbps": 384 }
+ *   }
+ * }
+ */
+
+/** @typedef {{label: string, latencyMs?: number, downloadKbps?: number, uploadKbps?: number, cpuSlowdown?: number}} NetworkProfile */
+
+/** @type {Record<string, NetworkProfile>} */
+export const BUILT_IN_NETWORK_PROFILES = {
+  none: { label: 'Unthrottled' },
+  'slow-3g': { label: 'Slow 3G', latencyMs: 400, downloadKbps: 400, uploadKbps: 400, cpuSlowdown: 4 },
+  'fast-4g': { label: 'Fast 4G', latencyMs: 170, downloadKbps: 9000, uploadKbps: 9000, cpuSlowdown: 2 },
+  cable: { label: 'Cable', latencyMs: 28, downloadKbps: 5000, uploadKbps: 1000, cpuSlowdown: 1 }
+};
+
+export const DEFAULT_NETWORK_PROFILE = 'none';
+
+// Profile names are stored in url_tests.network_profile and suites.network_profile
+const PROFILE_NAME_PATTERN = /^[a-z0-9][a-z0-9-]{0,49}$/;
+
+let cachedProfiles = null;
+
+/**
+ * Check a profile from the profiles file
+ * @param {string} name - Profile name
+ * @param {any} profile - Profile settings
+ * @returns {string|null} What is wrong with the profile, or null if it is valid
+ */
+function validateProfile(name, profile) {
+  if (!PROFILE_NAME_PATTERN.test(name)) {
+    return 'name must be lowercase letters, digits and dashes (at most 50 characters)';
+  }
+  if (name === DEFAULT_NETWORK_PROFILE) {
+    return `"${DEFAULT_NETWORK_PROFILE}" is reserved for unthrottled runs`;
+  }
+  for (const field of ['latencyMs', 'downloadKbps', 'uploadKbps']) {
+    if (typeof profile?.[field] !== 'number' || profile[field] < 0 || (field !== 'latencyMs' && profile[field] === 0)) {
+      return `${field} must be a ${field === 'latencyMs' ? 'non-negative' : 'positive'} number`;
+    }
+  }
+  if (profile.cpuSlowdown !== undefined && (typeof profile.cpuSlowdown !== 'number' || profile.cpuSlowdown < 1)) {
+    return 'cpuSlowdown must be a number of at least 1';
+  }
+  return null;
+}
+
+/**
+ * Load the network profiles: the built-in ones plus those in the profiles file
+ * A missing file means only the built-in profiles; invalid profiles are reported and ignored
+ * @param {string} [filePath] - Profiles file path (default: NETWORK_PROFILES_FILE or tests/network-profiles.json)
+ * @returns {Record<string, NetworkProfile>}
+ */
+export function loadNetworkProfiles(filePath = process.env.NETWORK_PROFILES_FILE || path.join(process.cwd(), 'tests', 'network-profiles.json')) {
+  if (cachedProfiles) {
+    return cachedProfiles;
+  }
+
+  cachedProfiles = { ...BUILT_IN_NETWORK_PROFILES };
+  try {
+    const content = JSON.parse(readFileSync(filePath, 'utf-8'));
+    for (const [name, profile] of Object.entries(content.profiles || {})) {
+      const problem = validateProfile(name, profile);
+      if (problem) {
+        console.warn(`⚠ Network profile "${name}" ignored: ${problem}`);
+        continue;
+      }
+      cachedProfiles[name] = {
+        label: profile.label || name,
+        latencyMs: profile.latencyMs,
+        downloadKbps: profile.downloadKbps,
+        uploadKbps: profile.uploadKbps,
+        cpuSlowdown: profile.cpuSlowdown ?? 1
+      };
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`⚠ Failed to load network profiles from ${filePath}:`, error.message);
+    }
+  }
+
+  return cachedProfiles;
+}
+
+/**
+ * Look up a network profile by name
+ * @param {string} name - Profile name, e.g. 'slow-3g'
+ * @returns {NetworkProfile|null}
+ */
+export function getNetworkProfile(name) {
+  return loadNetworkProfiles()[name] || null;
+}
+
+/**
+ * Whether a profile throttles anything (every profile except "none")
+ * @param {NetworkProfile|null} profile
+ * @returns {boolean}
+ */
+export function isThrottled(profile) {
+  return Boolean(profile && profile.downloadKbps);
+}
+
+/**
+ * Network profile for runs that don't choose their own: the NETWORK_PROFILE
+ * environment variable, or none (unthrottled) if it isn't set or unknown.
+ * The Playwright batch spec reads the same variable.
+ * @returns {string}
+ */
+export function getDefaultNetworkProfile() {
+  const name = (process.env.NETWORK_PROFILE || '').trim().toLowerCase();
+  return name && getNetworkProfile(name) ? name : DEFAULT_NETWORK_PROFILE;
+}
@@ -0,0 +1,281 @@
+// @ts-check
+import { spawn } from 'child_process';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createTestRun, updateTestRun } from '../database/ingest.js';
+import { getActiveTestRun } from '../database/queries.js';
+import { getUrlsToTest } from '../database/monitored-urls.js';
+import { getSuiteById, getSuiteUrls, getDefaultBrowsers } from '../database/suites.js';
+import { detectRunRegressions } from '../analysis/regressions.js';
+import { notifyRunFinished } from '../notifications/notifier.js';
+import { getDefaultDeviceProfiles } from './device-profiles.js';
+import { getDefaultNetworkProfile } from './network-profiles.js';
+
+/**
+ * Runs the URL suite from Node, the same way test-urls-parallel.sh does:
+ * create a test_run, run the <browser>-parallel Playwright project of each
+ * browser with TEST_RUN_ID set, then finalize the run (status, regressions,
+ * notifications).
+ * Only one run can be in progress at a time, and it can be cancelled.
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const PROJECT_ROOT = path.join(__dirname, '..', '..');
+
+// Runs still RUNNING after this long are assumed to have crashed and no longer block new runs
+const STALE_RUN_MINUTES = parseInt(process.env.STALE_RUN_MINUTES) || 180;
+
+// How long a cancelled run gets to shut down before it is killed
+const CANCEL_GRACE_MS = 10000;
+
+/**
+ * @typedef {object} ActiveRun
+ * @property {number|null} testRunId - Null while the run is being created
+ * @property {Date} startedAt
+ * @property {import('child_process').ChildProcess|null} child - Playwright process
+ * @property {boolean} cancelled
+ */
+
+/** @type {ActiveRun|null} */
+let activeRun = null;
+
+/**
+ * Get the run started by this process that is still in progress
+ * @returns {ActiveRun|null}
+ */
+export function getActiveRun() {
+  return activeRun;
+}
+
+/**
+ * Set the final status of a test run, then check it for regressions and send notifications
+ * Cancelled runs are not notified about, since someone stopped them on purpose
+ * @param {number} testRunId - Test run ID
+ * @param {string} status - Status: 'RUNNING', 'COMPLETED', 'PARTIAL', 'FAILED', 'CANCELLED'
+ * @param {number|null} durationMs - Total duration in milliseconds
+ * @returns {Promise<boolean>} True if the status was updated
+ */
+export async function finalizeTestRun(testRunId, status, durationMs) {
+  const success = await updateTestRun(testRunId, status, durationMs);
+
+  if (success && status !== 'RUNNING') {
+    const regressions = await detectRunRegressions(testRunId);
+    if (regressions.length > 0) {
+      console.error(`⚠ ${regressions.length} performance regression(s) detected in test run ${testRunId}`);
+    } else {
+      console.error(`✓ No performance regressions detected in test run ${testRunId}`);
+    }
+
+    const deliveries = status === 'CANCELLED' ? [] : await notifyRunFinished(testRunId);
+    deliveries.forEach(delivery => {
+      if (delivery.delivered) {
+        console.error(`✓ Notification sent to ${delivery.target} (${delivery.format})`);
+      } else {
+        console.error(`⚠ Notification to ${delivery.target} failed after ${delivery.attempts} attempt(s): ${delivery.error}`);
+      }
+    });
+  }
+
+  return success;
+}
+
+/**
+ * Start a run of the URL suite in the background
+ * Without a suiteId or urls every enabled monitored URL is tested with the default settings
+ * @param {{workers?: number|null, notes?: string, scheduleId?: number|null, suiteId?: number|null, urls?: string[]|null,
+ *   browsers?: string[]|null, deviceProfiles?: string[]|null, networkProfile?: string|null}} [options]
+ *   workers defaults to the suite's worker count (4 without a suite); urls runs an ad-hoc list instead of a suite;
+ *   browsers, deviceProfiles and networkProfile default to the suite's (getDefaultBrowsers(),
+ *   getDefaultDeviceProfiles() and getDefaultNetworkProfile() without a suite)
+ * @returns {Promise<{started: true, testRunId: number, finished: Promise<string>}|{started: false, reason: string, code: string}>}
+ *   When started, `finished` resolves to the final run status. Otherwise `code` says why:
+ *   'BUSY' (another run is in progress), 'INVALID' (unknown suite or nothing to test) or 'ERROR'
+ */
+export async function startSuiteRun({
+  workers = null,
+  notes = 'Test run started from the app',
+  scheduleId = null,
+  suiteId = null,
+  urls: adHocUrls = null,
+  browsers = null,
+  deviceProfiles = null,
+  networkProfile = null
+} = {}) {
+  if (activeRun) {
+    const reason = activeRun.testRunId
+      ? `Test run ${activeRun.testRunId} is already in progress`
+      : 'A test run is already starting';
+    return { started: false, reason, code: 'BUSY' };
+  }
+
+  // Take the lock before any await so concurrent callers can't both start a run
+  /** @type {ActiveRun} */
+  const run = { testRunId: null, startedAt: new Date(), child: null, cancelled: false };
+  activeRun = run;
+
+  try {
+    // Also respect runs started elsewhere, e.g. test-urls-parallel.sh
+    const running = await getActiveTestRun(STALE_RUN_MINUTES);
+    if (running) {
+      activeRun = null;
+      return { started: false, reason: `Test run ${running.id} is already in progress`, code: 'BUSY' };
+    }
+
+    let suite = null;
+    let urls;
+    if (suiteId) {
+      suite = await getSuiteById(suiteId);
+      if (!suite) {
+        activeRun = null;
+        return { started: false, reason: `Suite ${suiteId} not found`, code: 'INVALID' };
+      }
+      urls = await getSuiteUrls(suite.id);
+    } else if (adHocUrls) {
+      urls = adHocUrls;
+    } else {
+      ({ urls } = await getUrlsToTest());
+    }
+
+    if (urls.length === 0) {
+      activeRun = null;
+      return { started: false, reason: 'No enabled URLs to test', code: 'INVALID' };
+    }
+
+    const runWorkers = workers || suite?.parallel_workers || 4;
+    const runBrowsers = browsers?.length ? browsers : suite?.browsers || getDefaultBrowsers();
+    const runDeviceProfiles = deviceProfiles?.length ? deviceProfiles : suite?.device_profiles || getDefaultDeviceProfiles();
+    const runNetworkProfile = networkProfile || suite?.network_profile || getDefaultNetworkProfile();
+    // Each URL is tested once per browser and device profile
+    const totalTests = urls.length * runBrowsers.length * runDeviceProfiles.length;
+    const testRun = await createTestRun(totalTests, runWorkers, notes, scheduleId, suite?.name ?? null);
+    if (!testRun) {
+      activeRun = null;
+      return { started: false, reason: 'Failed to create test run in database', code: 'ERROR' };
+    }
+    run.testRunId = testRun.id;
+
+    const suiteLabel = suite ? ` (suite "${suite.name}")` : '';
+    console.log(`▶ Starting test run ${testRun.id}${suiteLabel}: ${urls.length} URLs in ${runBrowsers.join(', ')} on ${runDeviceProfiles.join(', ')} (network: ${runNetworkProfile}), ${runWorkers} workers`);
+    const finished = runPlaywright(run, runWorkers, urls, runBrowsers, runDeviceProfiles, runNetworkProfile, suite)
+      .then(async ({ exitCode, durationMs }) => {
+        // A run cancelled just as it finished keeps its real result
+        let status = exitCode === 0 ? 'COMPLETED' : 'PARTIAL';
+        if (run.cancelled && exitCode !== 0) {
+          status = 'CANCELLED';
+        }
+        await finalizeTestRun(testRun.id, status, durationMs);
+        console.log(`■ Test run ${testRun.id} finished: ${status}`);
+        return status;
+      })
+      .finally(() => {
+        activeRun = null;
+      });
+
+    return { started: true, testRunId: testRun.id, finished };
+  } catch (error) {
+    activeRun = null;
+    console.error('Failed to start test run:', error.message);
+    return { started: false, reason: error.message, code: 'ERROR' };
+  }
+}
+
+/**
+ * Cancel the run started by this process
+ * Playwright is stopped and the run is finalized with status CANCELLED
+ * @param {number} testRunId - Test run ID
+ * @returns {{cancelled: boolean, reason?: string}}
+ */
+export function cancelSuiteRun(testRunId) {
+  if (!activeRun || activeRun.testRunId !== testRunId) {
+    return { cancelled: false, reason: `Test run ${testRunId} is not running in this app` };
+  }
+  if (activeRun.cancelled) {
+    return { cancelled: true };
+  }
+
+  activeRun.cancelled = true;
+  const child = activeRun.child;
+  if (child) {
+    console.log(`■ Cancelling test run ${testRunId}`);
+    killProcessGroup(child, 'SIGTERM');
+    setTimeout(() => {
+      if (child.exitCode === null && child.signalCode === null) {
+        killProcessGroup(child, 'SIGKILL');
+      }
+    }, CANCEL_GRACE_MS).unref();
+  }
+  return { cancelled: true };
+}
+
+/**
+ * Signal a child process and everything it started (Playwright runs its workers as child processes)
+ * @param {import('child_process').ChildProcess} child - Process spawned with `detached: true`
+ * @param {NodeJS.Signals} signal
+ */
+function killProcessGroup(child, signal) {
+  try {
+    process.kill(-child.pid, signal);
+  } catch {
+    child.kill(signal);
+  }
+}
+
+/**
+ * Run the batch Playwright projects for a test run
+ * @param {ActiveRun} run - Run to start; its test run ID is passed to the tests as TEST_RUN_ID
+ * @param {number} workers - Number of parallel workers (shared by all browsers)
+ * @param {string[]} urls - URLs to test, passed to the tests as URLS_FILE
+ * @param {string[]} browsers - Browsers to test each URL in (their <browser>-parallel projects are run)
+ * @param {string[]} deviceProfiles - Device profiles to test each URL under, passed to the tests as DEVICE_PROFILES
+ * @param {string} networkProfile - Network profile to throttle to, passed to the tests as NETWORK_PROFILE
+ * @param {object|null} suite - Suite whose viewport and timeout are used (null for the defaults)
+ * @returns {Promise<{exitCode: number, durationMs: number}>}
+ */
+function runPlaywright(run, workers, urls, browsers, deviceProfiles, networkProfile, suite) {
+  const testRunId = run.testRunId;
+  const startTime = Date.now();
+
+  // Write the list once so every worker tests the same URLs, even if the list is edited mid-run
+  const tempDir = mkdtempSync(path.join(os.tmpdir(), 'pumpkin-run-'));
+  const urlsFile = path.join(tempDir, 'urls.txt');
+  writeFileSync(urlsFile, urls.join('\n') + '\n');
+
+  return new Promise(resolve => {
+    const env = {
+      ...process.env,
+      TEST_RUN_ID: String(testRunId),
+      URLS_FILE: urlsFile,
+      DEVICE_PROFILES: deviceProfiles.join(','),
+      NETWORK_PROFILE: networkProfile
+    };
+    if (suite) {
+      env.VIEWPORT_WIDTH = String(suite.viewport_width);
+      env.VIEWPORT_HEIGHT = String(suite.viewport_height);
+      env.PAGE_TIMEOUT_MS = String(suite.timeout_ms);
+    }
+
+    const projects = browsers.map(browser => `--project=${browser}-parallel`);
+    // Run in its own process group so a cancel stops the Playwright workers too
+    const child = spawn('npx', ['playwright', 'test', ...projects, `--workers=${workers}`], {
+      cwd: PROJECT_ROOT,
+      env,
+      stdio: 'inherit',
+      detached: true
+    });
+    run.child = child;
+
+    child.on('error', error => {
+      console.error(`Failed to launch Playwright for test run ${testRunId}:`, error.message);
+      resolve({ exitCode: 1, durationMs: Date.now() - startTime });
+    });
+
+    child.on('close', code => {
+      resolve({ exitCode: code ?? 1, durationMs: Date.now() - startTime });
+    });
+  }).finally(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+}
@@ -0,0 +1,211 @@
+// @ts-check
+import http from 'http';
+import net from 'net';
+import { Transform } from 'stream';
+
+/**
+ * Local HTTP proxy that shapes traffic to a network profile
+ * Used for browsers without DevTools network emulation (Firefox, WebKit). All
+ * connections through one proxy share a downlink and an uplink, like a real
+ * slow connection: each chunk of data waits for its turn on the link at the
+ * profile's throughput and then for half the round-trip latency. Opening a
+ * connection costs one round trip. HTTPS goes through CONNECT tunnels, so it is
+ * shaped as raw TCP data without the proxy seeing inside.
+ */
+
+/**
+ * One direction of the shaped connection
+ */
+class Link {
+  /**
+   * @param {number} kbps - Throughput in kilobits per second
+   * @param {number} delayMs - Delay added to every chunk
+   */
+  constructor(kbps, delayMs) {
+    this.bytesPerMs = kbps / 8;
+    this.delayMs = delayMs;
+    this.freeAt = 0;
+  }
+
+  /**
+   * Reserve the link for a chunk of data
+   * @param {number} bytes - Chunk size
+   * @returns {number} Time (ms since epoch) at which the chunk arrives
+   */
+  schedule(bytes) {
+    const start = Math.max(Date.now(), this.freeAt);
+    this.freeAt = start + bytes / this.bytesPerMs;
+    return this.freeAt + this.delayMs;
+  }
+}
+
+/**
+ * Stream that passes data through once the link has delivered it
+ * Chunks are released strictly in order, so tunnelled TLS stays intact
+ * @param {Link} link
+ * @returns {Transform}
+ */
+function createShaper(link) {
+  /** @type {Array<{chunk: Buffer, arrivesAt: number}>} */
+  const queue = [];
+  /** @type {NodeJS.Timeout|null} */
+  let timer = null;
+  /** @type {(() => void)|null} */
+  let onDrained = null;
+
+  const shaper = new Transform({
+    transform(chunk, encoding, callback) {
+      queue.push({ chunk, arrivesAt: link.schedule(chunk.length) });
+      if (!timer) {
+        scheduleRelease();
+      }
+      callback();
+    },
+    flush(callback) {
+      if (queue.length === 0) {
+        callback();
+      } else {
+        onDrained = callback;
+      }
+    },
+    destroy(error, callback) {
+      if (timer) clearTimeout(timer);
+      callback(error);
+    }
+  });
+
+  function scheduleRelease() {
+    timer = setTimeout(release, Math.max(0, queue[0].arrivesAt - Date.now()));
+  }
+
+  function release() {
+    timer = null;
+    while (queue.length > 0 && queue[0].arrivesAt <= Date.now()) {
+      shaper.push(queue.shift()?.chunk);
+    }
+    if (queue.length > 0) {
+      scheduleRelease();
+    } else if (onDrained) {
+      onDrained();
+    }
+  }
+
+  return shaper;
+}
+
+/**
+ * Split a CONNECT target ("host:port", "[::1]:443") into host and port
+ * @param {string} target
+ * @returns {{host: string, port: number}}
+ */
+function parseConnectTarget(target) {
+  const separator = target.lastIndexOf(':');
+  const host = separator > 0 ? target.slice(0, separator) : target;
+  const port = separator > 0 ? parseInt(target.slice(separator + 1)) : 443;
+  return { host: host.replace(/^\[|\]$/g, ''), port: port || 443 };
+}
+
+/**
+ * Start a shaping proxy on a random local port
+ * @param {{latencyMs?: number, downloadKbps?: number, uploadKbps?: number}} profile - Network profile to apply
+ * @returns {Promise<{server: string, close: () => Promise<void>}>} Proxy address for Playwright's
+ *   `proxy.server` option, and a function that stops the proxy and drops its connections
+ */
+export async function startThrottlingProxy(profile) {
+  const halfLatency = (profile.latencyMs || 0) / 2;
+  const downlink = new Link(profile.downloadKbps || Infinity, halfLatency);
+  const uplink = new Link(profile.uploadKbps || Infinity, halfLatency);
+  /** @type {Set<net.Socket>} */
+  const sockets = new Set();
+
+  // Plain HTTP: the browser sends the full URL and the proxy makes the request
+  const server = http.createServer((request, response) => {
+    let target;
+    try {
+      target = new URL(request.url || '');
+    } catch (error) {
+      response.writeHead(400);
+      response.end();
+      return;
+    }
+
+    const headers = { ...request.headers };
+    delete headers['proxy-connection'];
+    delete headers['proxy-authorization'];
+
+    const upstream = http.request({
+      host: target.hostname,
+      port: target.port || 80,
+      method: request.method,
+      path: target.pathname + target.search,
+      headers
+    }, upstreamResponse => {
+      setTimeout(() => {
+        response.writeHead(upstreamResponse.statusCode || 502, upstreamResponse.headers);
+        upstreamResponse.pipe(createShaper(downlink)).pipe(response);
+      }, halfLatency);
+    });
+    upstream.on('error', () => {
+      if (response.headersSent) {
+        response.destroy();
+      } else {
+        response.writeHead(502);
+        response.end();
+      }
+    });
+
+    request.pipe(createShaper(uplink)).pipe(upstream);
+  });
+
+  // HTTPS: tunnel the TLS connection and shape both directions
+  server.on('connect', (request, clientSocket, head) => {
+    const { host, port } = parseConnectTarget(request.url || '');
+    let established = false;
+    const serverSocket = net.connect(port, host, () => {
+      setTimeout(() => {
+        established = true;
+        clientSocket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+        const upload = createShaper(uplink);
+        upload.pipe(serverSocket);
+        if (head.length > 0) {
+          upload.write(head);
+        }
+        clientSocket.pipe(upload);
+        serverSocket.pipe(createShaper(downlink)).pipe(clientSocket);
+      }, profile.latencyMs || 0);
+    });
+
+    // A clean close from the server ends the client side through the pipe once the shaped data is delivered
+    serverSocket.on('error', () => {
+      if (established) {
+        clientSocket.destroy();
+      } else if (clientSocket.writable) {
+        clientSocket.end('HTTP/1.1 502 Bad Gateway\r\n\r\n');
+      }
+    });
+    clientSocket.on('error', () => serverSocket.destroy());
+    clientSocket.on('close', () => serverSocket.destroy());
+  });
+
+  server.on('connection', socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => resolve(undefined));
+  });
+
+  const address = /** @type {net.AddressInfo} */ (server.address());
+
+  return {
+    server: `http://127.0.0.1:${address.port}`,
+    close: () => new Promise(resolve => {
+      for (const socket of sockets) {
+        socket.destroy();
+      }
+      server.close(() => resolve());
+    })
+  };
+}
@@ -0,0 +1,240 @@
+// @ts-check
+
+/**
+ * Minimal cron expression parser for the run scheduler
+ * Supports the standard five fields (minute hour day-of-month month day-of-week)
+ * with "*", lists (1,15), ranges (1-5), steps (*\/15, 0-30/10), month and day
+ * names (JAN, MON) and the @hourly, @daily, @weekly, @monthly and @yearly
+ * shortcuts. Like cron, when both day-of-month and day-of-week are restricted a
+ * date matches if either of them does.
+ *
+ * Expressions are evaluated in an IANA timezone (default: UTC), so
+ * "0 6 * * *" in America/Chicago runs at 6am Chicago time all year round.
+ */
+
+const SHORTCUTS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *'
+};
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+  { name: 'day of week', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+// Upper bound for getNextRun's search (just over four years covers Feb 29)
+const MAX_SEARCH_MINUTES = 4 * 366 * 24 * 60;
+
+// Intl.DateTimeFormat instances are expensive to create, so reuse one per timezone
+const formatters = new Map();
+
+/**
+ * Parse a single value of a cron field (a number or a month/day name)
+ * @param {string} value
+ * @param {object} field - Field definition from FIELDS
+ * @returns {number}
+ */
+function parseValue(value, field) {
+  const nameIndex = field.names ? field.names.indexOf(value.toUpperCase()) : -1;
+  const number = nameIndex >= 0 ? nameIndex + (field.name === 'month' ? 1 : 0) : Number(value);
+
+  if (!Number.isInteger(number) || number < field.min || number > field.max) {
+    throw new Error(`Invalid ${field.name} value "${value}" (allowed: ${field.min}-${field.max})`);
+  }
+  return number;
+}
+
+/**
+ * Parse one cron field into the set of values it matches
+ * @param {string} text - Field text, e.g. '*\/15' or '1-5'
+ * @param {object} field - Field definition from FIELDS
+ * @returns {Set<number>}
+ */
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [rangeText, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid ${field.name} step "${stepText}"`);
+    }
+
+    let start;
+    let end;
+    if (rangeText === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (rangeText.includes('-')) {
+      const [from, to] = rangeText.split('-');
+      start = parseValue(from, field);
+      end = parseValue(to, field);
+      if (start > end) {
+        throw new Error(`Invalid ${field.name} range "${rangeText}"`);
+      }
+    } else {
+      start = parseValue(rangeText, field);
+      // "5/15" means every 15 starting at 5
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Cron expression, e.g. '0 6 * * 1-5' or '@daily'
+ * @returns {{minutes: Set<number>, hours: Set<number>, daysOfMonth: Set<number>, months: Set<number>, daysOfWeek: Set<number>, dayOfMonthRestricted: boolean, dayOfWeekRestricted: boolean}}
+ * @throws {Error} If the expression is invalid
+ */
+export function parseCron(expression) {
+  const normalized = SHORTCUTS[String(expression).trim().toLowerCase()] || String(expression).trim();
+  const parts = normalized.split(/\s+/);
+
+  if (parts.length !== 5) {
+    throw new Error(`Invalid cron expression "${expression}": expected 5 fields, got ${parts.length}`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, index) => parseField(part, FIELDS[index]));
+
+  // Both 0 and 7 mean Sunday
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.delete(7);
+    daysOfWeek.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    dayOfMonthRestricted: parts[2] !== '*',
+    dayOfWeekRestricted: parts[4] !== '*'
+  };
+}
+
+/**
+ * Check whether a cron expression is valid
+ * @param {string} expression
+ * @returns {string|null} Error message, or null if the expression is valid
+ */
+export function validateCron(expression) {
+  try {
+    parseCron(expression);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Check whether a timezone name is supported
+ * @param {string} timezone - IANA timezone, e.g. 'America/Chicago'
+ * @returns {boolean}
+ */
+export function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get the wall-clock date and time of an instant in a timezone
+ * @param {Date} date
+ * @param {string} timezone
+ * @returns {{minute: number, hour: number, day: number, month: number, weekday: number}}
+ */
+function getZonedParts(date, timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      minute: 'numeric',
+      hour: 'numeric',
+      day: 'numeric',
+      month: 'numeric',
+      weekday: 'short'
+    }));
+  }
+
+  const parts = formatters.get(timezone).formatToParts(date);
+
+  const get = type => parts.find(part => part.type === type)?.value;
+  return {
+    minute: Number(get('minute')),
+    hour: Number(get('hour')),
+    day: Number(get('day')),
+    month: Number(get('month')),
+    weekday: FIELDS[4].names.indexOf(get('weekday').toUpperCase())
+  };
+}
+
+/**
+ * Check whether a parsed expression matches a calendar day
+ * @param {ReturnType<typeof parseCron>} cron
+ * @param {{day: number, month: number, weekday: number}} parts
+ * @returns {boolean}
+ */
+function matchesDay(cron, parts) {
+  if (!cron.months.has(parts.month)) return false;
+
+  const dayOfMonth = cron.daysOfMonth.has(parts.day);
+  const dayOfWeek = cron.daysOfWeek.has(parts.weekday);
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) {
+    return dayOfMonth || dayOfWeek;
+  }
+  return dayOfMonth && dayOfWeek;
+}
+
+/**
+ * Find the next time a cron expression fires after a date
+ * @param {string} expression - Cron expression
+ * @param {Date} [after] - Start searching after this instant (default: now)
+ * @param {string} [timezone] - IANA timezone (default: 'UTC')
+ * @returns {Date|null} Next run time, or null if the expression never fires (e.g. Feb 31)
+ */
+export function getNextRun(expression, after = new Date(), timezone = 'UTC') {
+  const cron = parseCron(expression);
+
+  // Start at the beginning of the next minute
+  let candidate = new Date(Math.floor(after.getTime() / 60000) * 60000 + 60000);
+  const limit = candidate.getTime() + MAX_SEARCH_MINUTES * 60000;
+
+  // Skip whole days and hours that can't match instead of testing every minute
+  while (candidate.getTime() <= limit) {
+    const parts = getZonedParts(candidate, timezone);
+    let skipMinutes = 0;
+
+    if (!matchesDay(cron, parts)) {
+      // Stop an hour short of midnight: DST changes can make a day 23 hours long
+      skipMinutes = parts.hour < 23 ? (22 - parts.hour) * 60 + (60 - parts.minute) : 60 - parts.minute;
+    } else if (!cron.hours.has(parts.hour)) {
+      skipMinutes = 60 - parts.minute;
+    } else if (!cron.minutes.has(parts.minute)) {
+      skipMinutes = 1;
+    } else {
+      return candidate;
+    }
+
+    candidate = new Date(candidate.getTime() + skipMinutes * 60000);
+  }
+
+  return null;
+}
@@ -0,0 +1,124 @@
+// @ts-check
+import { getNextRun } from './cron.js';
+import {
+  getSchedules,
+  getDueSchedules,
+  recordScheduleTrigger,
+  setScheduleNextRun
+} from '../database/schedules.js';
+import { startSuiteRun } from '../runner/suite-runner.js';
+
+/**
+ * Built-in run scheduler
+ * Every SCHEDULER_INTERVAL_MS (default: 30s) the scheduler looks for enabled
+ * schedules whose next_run_at has passed and starts a suite run for each: of the
+ * schedule's suite, or of every enabled monitored URL for schedules without one.
+ * Runs never overlap: if a run is already in progress the trigger is skipped
+ * and recorded in schedules.last_message. Triggers missed while the app was
+ * down are skipped rather than run late.
+ *
+ * Set SCHEDULER_ENABLED=false to disable the scheduler (e.g. when running
+ * several app instances against one database).
+ */
+
+// Triggers more than this late are treated as missed
+const MISSED_TRIGGER_GRACE_MS = 5 * 60 * 1000;
+
+/** @type {NodeJS.Timeout|null} */
+let timer = null;
+let ticking = false;
+
+/**
+ * Calculate when a schedule should next run
+ * @param {string} cronExpression - Cron expression
+ * @param {string} timezone - IANA timezone
+ * @param {boolean} enabled - Disabled schedules never run
+ * @param {Date} [after] - Start searching after this instant (default: now)
+ * @returns {Date|null}
+ */
+export function computeNextRun(cronExpression, timezone, enabled, after = new Date()) {
+  return enabled ? getNextRun(cronExpression, after, timezone) : null;
+}
+
+/**
+ * Start every schedule that is due
+ * @returns {Promise<void>}
+ */
+export async function runDueSchedules() {
+  if (ticking) return;
+  ticking = true;
+
+  try {
+    const now = new Date();
+    const dueSchedules = await getDueSchedules();
+
+    for (const schedule of dueSchedules) {
+      let nextRunAt;
+      try {
+        nextRunAt = computeNextRun(schedule.cron_expression, schedule.timezone, true, now);
+      } catch (error) {
+        // Don't keep retrying a schedule that was given an invalid expression
+        await recordScheduleTrigger(schedule.id, `Skipped: ${error.message}`, null);
+        continue;
+      }
+
+      if (now.getTime() - new Date(schedule.next_run_at).getTime() > MISSED_TRIGGER_GRACE_MS) {
+        await recordScheduleTrigger(schedule.id, 'Skipped: missed while the scheduler was not running', nextRunAt);
+        continue;
+      }
+
+      const result = await startSuiteRun({
+        workers: schedule.parallel_workers,
+        notes: `Scheduled run: ${schedule.name}`,
+        scheduleId: schedule.id,
+        suiteId: schedule.suite_id
+      });
+
+      if (result.started) {
+        console.log(`⏰ Schedule "${schedule.name}" started test run ${result.testRunId}`);
+        await recordScheduleTrigger(schedule.id, `Started test run ${result.testRunId}`, nextRunAt);
+      } else {
+        console.warn(`⏰ Schedule "${schedule.name}" skipped: ${result.reason}`);
+        await recordScheduleTrigger(schedule.id, `Skipped: ${result.reason}`, nextRunAt);
+      }
+    }
+  } catch (error) {
+    console.error('Scheduler error:', error.message);
+  } finally {
+    ticking = false;
+  }
+}
+
+/**
+ * Start the scheduler
+ * @param {number} [intervalMs] - How often to check for due schedules (default: SCHEDULER_INTERVAL_MS or 30000)
+ * @returns {Promise<void>}
+ */
+export async function startScheduler(intervalMs = parseInt(process.env.SCHEDULER_INTERVAL_MS) || 30000) {
+  if (timer) return;
+
+  // Fill in next run times for schedules created directly in the database
+  const schedules = await getSchedules();
+  for (const schedule of schedules) {
+    if (schedule.enabled && !schedule.next_run_at) {
+      try {
+        await setScheduleNextRun(schedule.id, computeNextRun(schedule.cron_expression, schedule.timezone, true));
+      } catch (error) {
+        console.error(`Schedule "${schedule.name}" has an invalid cron expression:`, error.message);
+      }
+    }
+  }
+
+  timer = setInterval(runDueSchedules, intervalMs);
+  console.log(`⏰ Scheduler started (${schedules.filter(s => s.enabled).length} enabled schedule(s))`);
+}
+
+/**
+ * Stop the scheduler (runs already in progress are not affected)
+ */
+export function stopScheduler() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
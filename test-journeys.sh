@@ -0,0 +1,137 @@
+#!/bin/bash
+
+# Script to test the scripted user journeys in tests/journeys.yaml (or JOURNEYS_FILE)
+# Each journey's steps (goto, click, fill, press, waitForSelector, assertText)
+# run in order; every step is timed and screenshotted, and stored with the
+# journey in one test run (see tests/journeys.example.yaml)
+# Each journey is tested in every browser: --browsers, or the BROWSERS
+# environment variable (comma-separated, default: firefox)
+# and under every device profile: --devices, or the DEVICE_PROFILES
+# environment variable (comma-separated, default: desktop)
+# Usage: ./test-journeys.sh [--browsers firefox,webkit] [--devices desktop,iphone-13] [workers]
+
+WORKERS=""
+RUN_BROWSERS=""
+RUN_DEVICES=""
+while [ $# -gt 0 ]; do
+    case "$1" in
+        --browsers)
+            RUN_BROWSERS="$2"
+            shift 2
+            ;;
+        --browsers=*)
+            RUN_BROWSERS="${1#--browsers=}"
+            shift
+            ;;
+        --devices)
+            RUN_DEVICES="$2"
+            shift 2
+            ;;
+        --devices=*)
+            RUN_DEVICES="${1#--devices=}"
+            shift
+            ;;
+        *)
+            WORKERS="$1"
+            shift
+            ;;
+    esac
+done
+WORKERS=${WORKERS:-2}
+RUN_BROWSERS=${RUN_BROWSERS:-${BROWSERS:-firefox}}
+RUN_DEVICES=${RUN_DEVICES:-${DEVICE_PROFILES:-desktop}}
+
+# One Playwright project per browser, limited to the journeys spec
+PROJECT_ARGS=()
+IFS=',' read -ra BROWSER_LIST <<< "$RUN_BROWSERS"
+for BROWSER in "${BROWSER_LIST[@]}"; do
+    case "$BROWSER" in
+        firefox|chromium|webkit)
+            PROJECT_ARGS+=("--project=${BROWSER}")
+            ;;
+        *)
+            echo "Error: unknown browser \"$BROWSER\" (use firefox, chromium or webkit)"
+            exit 1
+            ;;
+    esac
+done
+
+IFS=',' read -ra DEVICE_LIST <<< "$RUN_DEVICES"
+for DEVICE in "${DEVICE_LIST[@]}"; do
+    case "$DEVICE" in
+        desktop|laptop|iphone-13|pixel-7)
+            ;;
+        *)
+            echo "Error: unknown device profile \"$DEVICE\" (use desktop, laptop, iphone-13 or pixel-7)"
+            exit 1
+            ;;
+    esac
+done
+export DEVICE_PROFILES="$RUN_DEVICES"
+
+TOTAL=$(node src/runner/list-journeys.js | grep -c .)
+if [ "$TOTAL" -eq 0 ]; then
+    echo "Error: no journeys to test (copy tests/journeys.example.yaml to tests/journeys.yaml, or set JOURNEYS_FILE)"
+    exit 1
+fi
+
+# Each journey is tested once per browser and device profile
+TOTAL_TESTS=$((TOTAL * ${#PROJECT_ARGS[@]} * ${#DEVICE_LIST[@]}))
+
+echo ""
+echo "========================================================================"
+echo "User Journey Testing"
+echo "========================================================================"
+echo "Browsers:       ${RUN_BROWSERS//,/, }"
+echo "Devices:        ${RUN_DEVICES//,/, }"
+echo "Journeys:       $TOTAL ($TOTAL_TESTS tests)"
+echo "Parallel workers: $WORKERS"
+echo "========================================================================"
+echo ""
+
+# Results are stored only if the database is available
+TEST_RUN_ID=""
+if node src/database/wait-for-db.js 30; then
+    TEST_RUN_OUTPUT=$(node src/database/create-test-run.js "$TOTAL_TESTS" "$WORKERS" "Journey test run from test-journeys.sh" 2>&1)
+    TEST_RUN_ID=$(echo "$TEST_RUN_OUTPUT" | grep -E "^[0-9]+$" | head -1)
+    if [ -z "$TEST_RUN_ID" ] || [ "$TEST_RUN_ID" = "0" ]; then
+        echo "✗ FAILED to create test run in database"
+        echo "$TEST_RUN_OUTPUT"
+        exit 1
+    fi
+    echo "✓ Test run created with ID: $TEST_RUN_ID"
+else
+    echo "⚠ Warning: Database not available - only screenshots will be saved to test-history/"
+fi
+
+START_TIME=$(date +%s%3N)
+
+TEST_RUN_ID="$TEST_RUN_ID" npx playwright test tests/journeys.spec.js "${PROJECT_ARGS[@]}" --workers="$WORKERS"
+EXIT_CODE=$?
+
+END_TIME=$(date +%s%3N)
+DURATION=$((END_TIME - START_TIME))
+
+if [ -n "$TEST_RUN_ID" ]; then
+    if [ $EXIT_CODE -eq 0 ]; then
+        STATUS="COMPLETED"
+    else
+        STATUS="PARTIAL"
+    fi
+    node src/database/update-test-run.js "$TEST_RUN_ID" "$STATUS" "$DURATION"
+fi
+
+echo ""
+echo "========================================================================"
+if [ $EXIT_CODE -eq 0 ]; then
+    echo "✓ All journeys passed!"
+else
+    echo "⚠ Some journeys failed (exit code: $EXIT_CODE)"
+fi
+echo "Test duration: ${DURATION}ms"
+if [ -n "$TEST_RUN_ID" ]; then
+    echo "Journey results: http://localhost:3000/run-details.html?id=$TEST_RUN_ID"
+fi
+echo "========================================================================"
+
+exit $EXIT_CODE
@@ -1,32 +1,106 @@
 #!/bin/bash
 
-# Script to test all URLs from urls.txt in parallel using Playwright workers
-# Usage: ./test-urls-parallel.sh [workers]
+# Script to test all monitored URLs in parallel using Playwright workers
+# URLs come from the monitored_urls table (tests/urls.txt if the database is
+# unavailable or has no monitored URLs)
+# With --suite, only the suite's URLs are tested, using the suite's browsers,
+# device profiles, network profile, viewport, timeout and worker count
+# Each URL is tested in every browser: the suite's, --browsers, or the BROWSERS
+# environment variable (comma-separated, default: firefox)
+# and under every device profile: the suite's, --devices, or the DEVICE_PROFILES
+# environment variable (comma-separated, default: desktop)
+# The network and CPU are throttled to one network profile: the suite's,
+# --network, or the NETWORK_PROFILE environment variable (default: none)
+# With --crawl, the pages of a site are discovered from a seed URL instead
+# (same-origin links, up to --depth links away and --max-pages pages, filtered by
+# wildcard --include and --exclude patterns) and each page is tested
+# Usage: ./test-urls-parallel.sh [--suite "Suite name"] [--browsers firefox,webkit]
+#                                [--devices desktop,iphone-13] [--network slow-3g] [workers]
+#        ./test-urls-parallel.sh --crawl https://www.uchicago.edu/ [--depth 2] [--max-pages 50]
+#                                [--include "https://www.uchicago.edu/news/*"] [--exclude "*/search*"] [workers]
 
-URLS_FILE="tests/urls.txt"
-WORKERS=${1:-4}  # Default to 4 workers if not specified
+SUITE=""
+WORKERS=""
+RUN_BROWSERS=""
+RUN_DEVICES=""
+RUN_NETWORK=""
+CRAWL_SEED=""
+CRAWL_ARGS=()
+while [ $# -gt 0 ]; do
+    case "$1" in
+        --suite)
+            SUITE="$2"
+            shift 2
+            ;;
+        --suite=*)
+            SUITE="${1#--suite=}"
+            shift
+            ;;
+        --browsers)
+            RUN_BROWSERS="$2"
+            shift 2
+            ;;
+        --browsers=*)
+            RUN_BROWSERS="${1#--browsers=}"
+            shift
+            ;;
+        --devices)
+            RUN_DEVICES="$2"
+            shift 2
+            ;;
+        --devices=*)
+            RUN_DEVICES="${1#--devices=}"
+            shift
+            ;;
+        --network)
+            RUN_NETWORK="$2"
+            shift 2
+            ;;
+        --network=*)
+            RUN_NETWORK="${1#--network=}"
+            shift
+            ;;
+        --crawl)
+            CRAWL_SEED="$2"
+            shift 2
+            ;;
+        --crawl=*)
+            CRAWL_SEED="${1#--crawl=}"
+            shift
+            ;;
+        --depth|--max-pages|--include|--exclude)
+            CRAWL_ARGS+=("$1" "$2")
+            shift 2
+            ;;
+        --depth=*|--max-pages=*|--include=*|--exclude=*)
+            CRAWL_ARGS+=("${1%%=*}" "${1#*=}")
+            shift
+            ;;
+        *)
+            WORKERS="$1"
+            shift
+            ;;
+    esac
+done
 
-# Check if URLs file exists
-if [ ! -f "$URLS_FILE" ]; then
-    echo "Error: $URLS_FILE not found"
+if [ -n "$CRAWL_SEED" ] && [ -n "$SUITE" ]; then
+    echo "Error: --crawl and --suite can't be used together"
+    exit 1
+fi
+if [ ${#CRAWL_ARGS[@]} -gt 0 ] && [ -z "$CRAWL_SEED" ]; then
+    echo "Error: --depth, --max-pages, --include and --exclude need --crawl"
     exit 1
 fi
-
-# Count total URLs (use grep -c to count non-empty lines, not newlines)
-TOTAL=$(grep -c . "$URLS_FILE")
-
-echo "========================================================================"
-echo "Parallel URL Testing"
-echo "========================================================================"
-echo "Total URLs:     $TOTAL"
-echo "Parallel workers: $WORKERS"
-echo "Expected time:  ~2-3 minutes (vs ~9-10 minutes sequential)"
-echo "========================================================================"
-echo ""
 
 # Wait for database to be ready
 echo "Checking database connectivity..."
 if ! node src/database/wait-for-db.js 30; then
+    if [ -n "$SUITE" ]; then
+        echo ""
+        echo "Error: Database not available (suites are stored in the database)"
+        exit 1
+    fi
+
     echo ""
     echo "⚠ Warning: Database not available"
     echo "Tests will run but results will NOT be saved to database"
@@ -39,17 +113,128 @@ if ! node src/database/wait-for-db.js 30; then
         exit 1
     fi
     export TEST_RUN_ID=""
+    DB_READY=0
 else
     echo ""
     # Give database extra time to fully initialize connections
     echo "Database is ready. Waiting 2 seconds for connection pool to stabilize..."
     sleep 2
+    DB_READY=1
+fi
+
+# Load the suite's settings (the workers argument overrides the suite's worker count)
+if [ -n "$SUITE" ]; then
+    if ! SUITE_SETTINGS=$(node src/database/get-suite.js "$SUITE"); then
+        echo "Error: suite \"$SUITE\" not found"
+        exit 1
+    fi
+    read -r SUITE_BROWSERS SUITE_DEVICES SUITE_NETWORK VIEWPORT_WIDTH VIEWPORT_HEIGHT PAGE_TIMEOUT_MS SUITE_WORKERS <<< "$SUITE_SETTINGS"
+    WORKERS=${WORKERS:-$SUITE_WORKERS}
+    RUN_BROWSERS=${RUN_BROWSERS:-$SUITE_BROWSERS}
+    RUN_DEVICES=${RUN_DEVICES:-$SUITE_DEVICES}
+    RUN_NETWORK=${RUN_NETWORK:-$SUITE_NETWORK}
+    export VIEWPORT_WIDTH VIEWPORT_HEIGHT PAGE_TIMEOUT_MS
+fi
+WORKERS=${WORKERS:-4}  # Default to 4 workers if not specified
+RUN_BROWSERS=${RUN_BROWSERS:-${BROWSERS:-firefox}}
+RUN_DEVICES=${RUN_DEVICES:-${DEVICE_PROFILES:-desktop}}
+RUN_NETWORK=${RUN_NETWORK:-${NETWORK_PROFILE:-none}}
+
+# One <browser>-parallel Playwright project per browser
+PROJECT_ARGS=()
+IFS=',' read -ra BROWSER_LIST <<< "$RUN_BROWSERS"
+for BROWSER in "${BROWSER_LIST[@]}"; do
+    case "$BROWSER" in
+        firefox|chromium|webkit)
+            PROJECT_ARGS+=("--project=${BROWSER}-parallel")
+            ;;
+        *)
+            echo "Error: unknown browser \"$BROWSER\" (use firefox, chromium or webkit)"
+            exit 1
+            ;;
+    esac
+done
+
+# The batch spec tests each URL under every profile in DEVICE_PROFILES
+IFS=',' read -ra DEVICE_LIST <<< "$RUN_DEVICES"
+for DEVICE in "${DEVICE_LIST[@]}"; do
+    case "$DEVICE" in
+        desktop|laptop|iphone-13|pixel-7)
+            ;;
+        *)
+            echo "Error: unknown device profile \"$DEVICE\" (use desktop, laptop, iphone-13 or pixel-7)"
+            exit 1
+            ;;
+    esac
+done
+export DEVICE_PROFILES="$RUN_DEVICES"
+
+# Network profiles can also come from tests/network-profiles.json, so ask node
+if ! NETWORK_LABEL=$(node src/runner/check-network-profile.js "$RUN_NETWORK"); then
+    exit 1
+fi
+export NETWORK_PROFILE="$RUN_NETWORK"
+
+# Write the URL list once so every Playwright worker tests the same URLs
+URLS_FILE=$(mktemp)
+CRAWL_FILE=""
+trap 'rm -f "$URLS_FILE" ${CRAWL_FILE:+"$CRAWL_FILE"}' EXIT
+if [ -n "$CRAWL_SEED" ]; then
+    # Discover the site's pages in the first browser; the spec links each page to the seed
+    CRAWL_FILE=$(mktemp)
+    if ! node src/runner/crawl.js "$CRAWL_SEED" --output "$CRAWL_FILE" --browser "${BROWSER_LIST[0]}" "${CRAWL_ARGS[@]}" > "$URLS_FILE"; then
+        echo "Error: could not crawl $CRAWL_SEED"
+        exit 1
+    fi
+    export CRAWL_FILE
+elif [ $DB_READY -eq 1 ]; then
+    node src/database/list-urls.js ${SUITE:+"$SUITE"} > "$URLS_FILE"
+else
+    DATABASE_URL="" node src/database/list-urls.js > "$URLS_FILE"
+fi
+if [ $? -ne 0 ]; then
+    echo "Error: could not load the URL list"
+    exit 1
+fi
+export URLS_FILE
+
+# Count total URLs (use grep -c to count non-empty lines, not newlines)
+TOTAL=$(grep -c . "$URLS_FILE")
+
+if [ "$TOTAL" -eq 0 ]; then
+    echo "Error: no enabled URLs to test"
+    exit 1
+fi
+
+# Each URL is tested once per browser and device profile
+TOTAL_TESTS=$((TOTAL * ${#PROJECT_ARGS[@]} * ${#DEVICE_LIST[@]}))
+
+echo ""
+echo "========================================================================"
+echo "Parallel URL Testing"
+echo "========================================================================"
+if [ -n "$SUITE" ]; then
+    echo "Suite:          $SUITE (${VIEWPORT_WIDTH}x${VIEWPORT_HEIGHT}, ${PAGE_TIMEOUT_MS}ms timeout)"
+fi
+if [ -n "$CRAWL_SEED" ]; then
+    echo "Crawl seed:     $CRAWL_SEED"
+fi
+echo "Browsers:       ${RUN_BROWSERS//,/, }"
+echo "Devices:        ${RUN_DEVICES//,/, }"
+echo "Network:        $NETWORK_LABEL"
+echo "Total URLs:     $TOTAL ($TOTAL_TESTS tests)"
+echo "Parallel workers: $WORKERS"
+echo "Expected time:  ~2-3 minutes (vs ~9-10 minutes sequential)"
+echo "========================================================================"
+echo ""
 
+if [ $DB_READY -eq 1 ]; then
     # Create test run in database and get TEST_RUN_ID
     echo "Creating test run record in database..."
 
     # Capture both stdout and stderr for debugging
-    TEST_RUN_OUTPUT=$(node src/database/create-test-run.js "$TOTAL" "$WORKERS" "Parallel test run from test-urls-parallel.sh" 2>&1)
+    RUN_DESCRIPTION="Parallel test run from test-urls-parallel.sh${CRAWL_SEED:+ (crawl of $CRAWL_SEED)}"
+    TEST_RUN_OUTPUT=$(node src/database/create-test-run.js "$TOTAL_TESTS" "$WORKERS" "$RUN_DESCRIPTION" "$SUITE" 2>&1)
     TEST_RUN_EXIT_CODE=$?
 
     # Extract just the numeric ID from the first line of stdout
@@ -83,9 +268,9 @@ fi
 # Record start time
 START_TIME=$(date +%s%3N)
 
-# Run Playwright batch test with Firefox
+# Run the Playwright batch test in each browser (Firefox by default)
 # Pass TEST_RUN_ID explicitly to ensure it's available to all worker processes
-TEST_RUN_ID="$TEST_RUN_ID" npx playwright test --project=firefox-parallel --workers="$WORKERS"
+TEST_RUN_ID="$TEST_RUN_ID" npx playwright test "${PROJECT_ARGS[@]}" --workers="$WORKERS"
 
 # Check exit status
 EXIT_CODE=$?
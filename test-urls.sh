@@ -1,19 +1,22 @@
 #!/bin/bash
 
-# Script to test all URLs from urls.txt using Playwright
+# Script to test all monitored URLs using Playwright
+# URLs come from the monitored_urls table (tests/urls.txt if the database is
+# unavailable or has no monitored URLs)
 # Usage: ./test-urls.sh
 
-URLS_FILE="tests/urls.txt"
 TEST_SPEC="tests/uchicago-screenshot.spec.js"
 
-# Check if URLs file exists
-if [ ! -f "$URLS_FILE" ]; then
-    echo "Error: $URLS_FILE not found"
+# Write the URL list to a temporary file
+URLS_FILE=$(mktemp)
+trap 'rm -f "$URLS_FILE"' EXIT
+if ! node src/database/list-urls.js > "$URLS_FILE"; then
+    echo "Error: could not load the URL list"
     exit 1
 fi
 
 # Count total URLs
-TOTAL=$(wc -l < "$URLS_FILE")
+TOTAL=$(grep -c . "$URLS_FILE")
 CURRENT=0
 
 echo "Starting tests for $TOTAL URLs..."
@@ -0,0 +1,117 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+import { diffAssets } from '../src/analysis/asset-diff.js';
+
+/**
+ * Asset diff tests on hand-written rows of the requests table (no browser or database needed)
+ * Run with: npx playwright test tests/asset-diff.spec.js --project=chromium
+ */
+
+const options = { minChangeBytes: 1024, minChangePercent: 10 };
+
+/**
+ * Build a row of the requests table
+ * @param {string} url
+ * @param {number} transferSize
+ * @param {{contentType?: string, contentSize?: number, fromCache?: boolean}} [fields]
+ */
+function requestRow(url, transferSize, fields = {}) {
+  return {
+    url,
+    host: new URL(url).hostname,
+    content_type: fields.contentType || 'script',
+    // Rows come back from pg with BIGINT columns as strings
+    transfer_size_bytes: String(transferSize),
+    content_size_bytes: String(fields.contentSize ?? transferSize),
+    from_cache: fields.fromCache || false
+  };
+}
+
+test.describe('asset diff', () => {
+  test('lists added, removed and changed assets', () => {
+    const result = diffAssets([
+      requestRow('https://example.edu/app.js', 10000),
+      requestRow('https://example.edu/old.js', 3000)
+    ], [
+      requestRow('https://example.edu/app.js', 25000),
+      requestRow('https://cdn.example.edu/new.css', 4000, { contentType: 'stylesheet' })
+    ], options);
+
+    expect(result.added.map(asset => asset.url)).toEqual(['https://cdn.example.edu/new.css']);
+    expect(result.removed.map(asset => asset.url)).toEqual(['https://example.edu/old.js']);
+    expect(result.changed).toEqual([{
+      url: 'https://example.edu/app.js',
+      host: 'example.edu',
+      contentType: 'script',
+      requestCount: 1,
+      size: 25000,
+      previousUrl: null,
+      previousSize: 10000,
+      change: 15000,
+      percentChange: 150
+    }]);
+    expect(result.totals).toEqual({
+      previousBytes: 13000,
+      currentBytes: 29000,
+      addedBytes: 4000,
+      removedBytes: 3000,
+      changedBytes: 15000
+    });
+  });
+
+  test('pairs assets whose URLs only differ in their query string', () => {
+    const result = diffAssets([
+      requestRow('https://example.edu/style.css?ver=1.2', 20000),
+      requestRow('https://example.edu/app.js?v=1', 8000)
+    ], [
+      requestRow('https://example.edu/style.css?ver=1.3', 30000),
+      requestRow('https://example.edu/app.js?v=2', 8000)
+    ], options);
+
+    expect(result.added).toEqual([]);
+    expect(result.removed).toEqual([]);
+    // app.js is the same size, so only style.css changed
+    expect(result.changed.map(asset => [asset.url, asset.previousUrl, asset.change])).toEqual([
+      ['https://example.edu/style.css?ver=1.3', 'https://example.edu/style.css?ver=1.2', 10000]
+    ]);
+  });
+
+  test('prefers an exact URL match over a query string match', () => {
+    const result = diffAssets([
+      requestRow('https://example.edu/image?id=1', 5000, { contentType: 'image' })
+    ], [
+      requestRow('https://example.edu/image?id=2', 9000, { contentType: 'image' }),
+      requestRow('https://example.edu/image?id=1', 5000, { contentType: 'image' })
+    ], options);
+
+    expect(result.changed).toEqual([]);
+    expect(result.added.map(asset => asset.url)).toEqual(['https://example.edu/image?id=2']);
+  });
+
+  test('ignores changes below either threshold', () => {
+    const previous = [
+      requestRow('https://example.edu/small.js', 1000),
+      requestRow('https://example.edu/large.js', 100000)
+    ];
+    const current = [
+      // +900 bytes (90%): below the byte minimum
+      requestRow('https://example.edu/small.js', 1900),
+      // +5000 bytes (5%): below the percent minimum
+      requestRow('https://example.edu/large.js', 105000)
+    ];
+
+    expect(diffAssets(previous, current, options).changed).toEqual([]);
+    expect(diffAssets(previous, current, { minChangeBytes: 0, minChangePercent: 0 }).changed).toHaveLength(2);
+  });
+
+  test('uses the uncompressed size of cached responses', () => {
+    const result = diffAssets([
+      requestRow('https://example.edu/app.js', 12000)
+    ], [
+      requestRow('https://example.edu/app.js', 0, { contentSize: 12000, fromCache: true })
+    ], options);
+
+    expect(result.changed).toEqual([]);
+    expect(result.totals.currentBytes).toBe(12000);
+  });
+});
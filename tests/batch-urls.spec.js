@@ -1,27 +1,84 @@
 // @ts-check
 import { test } from '@playwright/test';
+import { execFileSync } from 'child_process';
 import { readFileSync } from 'fs';
 import path from 'path';
 import { runWebsiteTest } from './test-helpers.js';
+import { getDefaultDeviceProfiles } from '../src/runner/device-profiles.js';
+import { getDefaultNetworkProfile } from '../src/runner/network-profiles.js';
 
-// Read URLs from urls.txt file (using sync read to avoid top-level await)
-const urlsFilePath = path.join(process.cwd(), 'tests', 'urls.txt');
-const urlsContent = readFileSync(urlsFilePath, 'utf-8');
-const urls = urlsContent
-  .split('\n')
-  .map(line => line.trim())
-  .filter(line => line.length > 0);
+/**
+ * Load the URLs to test (using sync reads to avoid top-level await):
+ * 1. URLS_FILE if set (the run scripts write the list once so every worker sees the same URLs)
+ * 2. Enabled URLs from the monitored_urls table
+ * 3. tests/urls.txt if the database is unavailable or has no monitored URLs
+ */
+function readUrls(filePath) {
+  return readFileSync(filePath, 'utf-8')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line.length > 0);
+}
 
-console.log(`Loaded ${urls.length} URLs from urls.txt`);
+function loadUrls() {
+  if (process.env.URLS_FILE) {
+    return { urls: readUrls(process.env.URLS_FILE), source: process.env.URLS_FILE };
+  }
+
+  if (process.env.DATABASE_URL) {
+    try {
+      const output = execFileSync('node', [path.join(process.cwd(), 'src', 'database', 'list-urls.js')], {
+        encoding: 'utf-8',
+        stdio: ['ignore', 'pipe', 'ignore'],
+        timeout: 60000
+      });
+      return { urls: output.split('\n').filter(line => line.length > 0), source: 'src/database/list-urls.js' };
+    } catch (error) {
+      console.warn(`Could not load URLs from the database: ${error.message}`);
+    }
+  }
+
+  return { urls: readUrls(path.join(process.cwd(), 'tests', 'urls.txt')), source: 'urls.txt' };
+}
+
+const { urls, source } = loadUrls();
+
+console.log(`Loaded ${urls.length} URLs from ${source}`);
+
+// Crawl runs (test-urls-parallel.sh --crawl) link each discovered page to its seed
+function loadCrawlPages() {
+  if (!process.env.CRAWL_FILE) {
+    return new Map();
+  }
+  const { seedUrl, pages } = JSON.parse(readFileSync(process.env.CRAWL_FILE, 'utf-8'));
+  return new Map(pages.map(page => [page.url, { seedUrl, depth: page.depth }]));
+}
+
+const crawlPages = loadCrawlPages();
+
+// Suite settings passed in by test-urls-parallel.sh and the suite runner
+const viewportWidth = parseInt(process.env.VIEWPORT_WIDTH);
+const viewportHeight = parseInt(process.env.VIEWPORT_HEIGHT);
+const testOptions = {
+  viewport: viewportWidth > 0 && viewportHeight > 0 ? { width: viewportWidth, height: viewportHeight } : null,
+  timeoutMs: parseInt(process.env.PAGE_TIMEOUT_MS) || 60000,
+  networkProfile: getDefaultNetworkProfile()
+};
+
+// Device profiles to test each URL under (DEVICE_PROFILES, default: desktop)
+const deviceProfiles = getDefaultDeviceProfiles();
 
-// Create a test for each URL
+// Create a test for each URL and device profile
 test.describe('Batch URL Screenshot Tests', () => {
   for (const url of urls) {
-    test(`Test URL: ${url}`, async ({ browser }) => {
-      // Set test timeout to 2 minutes for slow-loading pages
-      test.setTimeout(120000);
+    for (const deviceProfile of deviceProfiles) {
+      const title = deviceProfiles.length > 1 ? `Test URL: ${url} [${deviceProfile}]` : `Test URL: ${url}`;
+      test(title, async ({ browser }) => {
+        // Set test timeout to 2 minutes for slow-loading pages (longer if the suite allows slower loads)
+        test.setTimeout(Math.max(120000, testOptions.timeoutMs * 2));
 
-      await runWebsiteTest(browser, url);
-    });
+        await runWebsiteTest(browser, url, { ...testOptions, deviceProfile, crawl: crawlPages.get(url) || null });
+      });
+    }
   }
 });
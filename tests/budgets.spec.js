@@ -0,0 +1,96 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+import { promises as fs } from 'fs';
+import { patternToRegExp, loadBudgets, evaluateBudgets, formatViolation } from '../src/analysis/budgets.js';
+
+/**
+ * Performance budget tests on hand-written budgets (no browser or database needed)
+ * Run with: npx playwright test tests/budgets.spec.js --project=chromium
+ */
+
+const metrics = {
+  navigation: { timeToFirstByte: 900, pageLoadTime: 4200.456 },
+  webVitals: { largestContentfulPaint: null },
+  resources: { total: 80 }
+};
+
+const budgets = [
+  { name: 'Global', match: '*', limits: { total_page_load_ms: 3000, time_to_first_byte_ms: 800, http_5xx_count: 0 } },
+  { name: 'News', match: 'https://news.example.edu/*', limits: { total_page_load_ms: 5000 } },
+  { name: 'Unknown metric', match: '*', limits: { not_a_metric: 1 } }
+];
+
+/**
+ * Write a budget file to the test's output directory
+ * @param {string} name - File name
+ * @param {object} content - Parsed budget file
+ * @returns {Promise<string>} Path of the written file
+ */
+async function writeBudgetFile(name, content) {
+  const filePath = test.info().outputPath(name);
+  await fs.mkdir(test.info().outputPath(), { recursive: true });
+  await fs.writeFile(filePath, JSON.stringify(content));
+  return filePath;
+}
+
+test.describe('budgets', () => {
+  test('matches URLs against wildcard patterns', () => {
+    const pattern = patternToRegExp('https://www.example.edu/news/*');
+
+    expect(pattern.test('https://www.example.edu/news/2025/story')).toBe(true);
+    expect(pattern.test('HTTPS://WWW.EXAMPLE.EDU/news/')).toBe(true);
+    expect(pattern.test('https://www.example.edu/about')).toBe(false);
+    // Dots are literal
+    expect(patternToRegExp('https://example.edu/').test('https://exampleXedu/')).toBe(false);
+  });
+
+  test('reports metrics above their limit', () => {
+    const violations = evaluateBudgets('https://www.example.edu/', metrics, { 200: 40, 503: 2 }, budgets);
+
+    expect(violations).toEqual([
+      { budgetName: 'Global', metric: 'total_page_load_ms', threshold: 3000, actual: 4200.456 },
+      { budgetName: 'Global', metric: 'time_to_first_byte_ms', threshold: 800, actual: 900 },
+      { budgetName: 'Global', metric: 'http_5xx_count', threshold: 0, actual: 2 }
+    ]);
+    expect(formatViolation(violations[0])).toBe('total_page_load_ms 4200.46 > 3000 (Global)');
+  });
+
+  test('lets the last matching budget win', () => {
+    const violations = evaluateBudgets('https://news.example.edu/story', metrics, {}, budgets);
+
+    // News raises the page load limit; the global TTFB limit still applies
+    expect(violations).toEqual([
+      { budgetName: 'Global', metric: 'time_to_first_byte_ms', threshold: 800, actual: 900 }
+    ]);
+
+    const reversed = evaluateBudgets('https://news.example.edu/story', metrics, {}, [budgets[1], budgets[0]]);
+    expect(reversed.map(violation => violation.metric)).toContain('total_page_load_ms');
+  });
+
+  test('skips metrics that were not collected', () => {
+    const lcpBudget = [{ name: 'LCP', match: '*', limits: { largest_contentful_paint_ms: 2500, dom_interactive_ms: 1 } }];
+
+    expect(evaluateBudgets('https://www.example.edu/', metrics, {}, lcpBudget)).toEqual([]);
+  });
+
+  test('drops limits that are not numbers', async () => {
+    const filePath = await writeBudgetFile('budgets.json', {
+      budgets: [{
+        name: 'Weight',
+        match: '*',
+        limits: { total_transfer_size_bytes: '2MB', total_page_load_ms: null, total_resources: 50 }
+      }]
+    });
+
+    expect(loadBudgets(filePath)).toEqual([{ name: 'Weight', match: '*', limits: { total_resources: 50 } }]);
+  });
+
+  test('loads each budget file separately', async () => {
+    const first = await writeBudgetFile('first.json', { budgets: [{ name: 'First', limits: { total_resources: 10 } }] });
+    const second = await writeBudgetFile('second.json', { budgets: [{ name: 'Second', limits: { total_resources: 20 } }] });
+
+    expect(loadBudgets(first).map(budget => budget.name)).toEqual(['First']);
+    expect(loadBudgets(second).map(budget => budget.name)).toEqual(['Second']);
+    expect(loadBudgets(test.info().outputPath('missing.json'))).toEqual([]);
+  });
+});
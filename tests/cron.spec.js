@@ -0,0 +1,68 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+import { parseCron, validateCron, getNextRun } from '../src/scheduler/cron.js';
+
+/**
+ * Cron expression tests for the run scheduler (no browser or database needed)
+ * Run with: npx playwright test tests/cron.spec.js --project=chromium
+ */
+
+/**
+ * Next run after an ISO timestamp, as an ISO timestamp
+ * @param {string} expression
+ * @param {string} after
+ * @param {string} [timezone]
+ * @returns {string|null}
+ */
+function nextRun(expression, after, timezone) {
+  return getNextRun(expression, new Date(after), timezone)?.toISOString() ?? null;
+}
+
+test.describe('cron', () => {
+  test('parses lists, ranges, steps and names', () => {
+    const cron = parseCron('*/20 9-17/4 1,15 JAN-MAR mon,7');
+
+    expect([...cron.minutes]).toEqual([0, 20, 40]);
+    expect([...cron.hours]).toEqual([9, 13, 17]);
+    expect([...cron.daysOfMonth]).toEqual([1, 15]);
+    expect([...cron.months]).toEqual([1, 2, 3]);
+    // 7 is Sunday, like 0
+    expect([...cron.daysOfWeek].sort()).toEqual([0, 1]);
+    expect(parseCron('5/15 * * * *').minutes).toEqual(new Set([5, 20, 35, 50]));
+    expect(parseCron('@weekly')).toEqual(parseCron('0 0 * * 0'));
+  });
+
+  test('rejects invalid expressions', () => {
+    expect(validateCron('0 6 * * 1-5')).toBeNull();
+    expect(validateCron('0 6 * *')).toContain('expected 5 fields');
+    expect(validateCron('60 * * * *')).toContain('Invalid minute value "60"');
+    expect(validateCron('0 0 * * 5-1')).toContain('Invalid day of week range');
+    expect(validateCron('*/0 * * * *')).toContain('Invalid minute step');
+  });
+
+  test('matches either day field when both are restricted', () => {
+    // 2025-01-01 is a Wednesday; Friday the 3rd comes before the 13th
+    expect(nextRun('0 0 13 * FRI', '2025-01-01T12:00:00Z')).toBe('2025-01-03T00:00:00.000Z');
+    expect(nextRun('0 0 13 * FRI', '2025-01-10T12:00:00Z')).toBe('2025-01-13T00:00:00.000Z');
+    // With one of them left as *, only the other one counts
+    expect(nextRun('0 0 13 * *', '2025-01-01T12:00:00Z')).toBe('2025-01-13T00:00:00.000Z');
+    expect(nextRun('0 0 * * FRI', '2025-01-01T12:00:00Z')).toBe('2025-01-03T00:00:00.000Z');
+  });
+
+  test('starts after the given minute', () => {
+    expect(nextRun('30 * * * *', '2025-01-01T10:30:00Z')).toBe('2025-01-01T11:30:00.000Z');
+    expect(nextRun('* * * * *', '2025-01-01T10:30:45Z')).toBe('2025-01-01T10:31:00.000Z');
+  });
+
+  test('keeps the wall-clock time across daylight saving changes', () => {
+    // Chicago moves from CST (UTC-6) to CDT (UTC-5) on 2025-03-09 and back on 2025-11-02
+    expect(nextRun('0 6 * * *', '2025-03-08T13:00:00Z', 'America/Chicago')).toBe('2025-03-09T11:00:00.000Z');
+    expect(nextRun('0 6 * * *', '2025-11-01T12:00:00Z', 'America/Chicago')).toBe('2025-11-02T12:00:00.000Z');
+    // 2:30 doesn't exist on the day the clocks go forward
+    expect(nextRun('30 2 * * *', '2025-03-08T12:00:00Z', 'America/Chicago')).toBe('2025-03-10T07:30:00.000Z');
+  });
+
+  test('returns null for dates that never happen', () => {
+    expect(nextRun('0 0 31 2 *', '2025-01-01T00:00:00Z')).toBeNull();
+  });
+});
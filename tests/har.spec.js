@@ -0,0 +1,82 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+import { normalizeHarEntries } from '../src/analysis/har.js';
+
+/**
+ * HAR normalization tests on hand-written HAR entries (no browser or database needed)
+ * Run with: npx playwright test tests/har.spec.js --project=chromium
+ */
+
+/**
+ * Build a HAR entry with sensible defaults
+ * @param {object} overrides - Fields to replace
+ * @returns {object}
+ */
+function harEntry(overrides = {}) {
+  return {
+    startedDateTime: '2025-01-01T00:00:00.000Z',
+    time: 100,
+    request: { method: 'GET', url: 'https://example.edu/' },
+    response: {
+      status: 200,
+      statusText: 'OK',
+      httpVersion: 'HTTP/2',
+      headers: [],
+      headersSize: -1,
+      bodySize: -1,
+      content: { size: 5000, mimeType: 'text/html; charset=utf-8' }
+    },
+    timings: { blocked: 1, dns: 2, connect: 30, ssl: 20, send: 1, wait: 50, receive: 16 },
+    ...overrides
+  };
+}
+
+test.describe('HAR normalization', () => {
+  test('reports connect without the SSL handshake', () => {
+    const { entries } = normalizeHarEntries({ log: { entries: [harEntry()] } });
+
+    expect(entries[0].timings).toEqual({ blocked: 1, dns: 2, connect: 10, ssl: 20, send: 1, wait: 50, receive: 16 });
+  });
+
+  test('reports unavailable timings (-1) as null', () => {
+    const entry = harEntry({
+      time: -1,
+      timings: { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: 40, receive: 5 }
+    });
+
+    const { entries } = normalizeHarEntries({ log: { entries: [entry] } });
+
+    expect(entries[0].timings).toEqual({ blocked: null, dns: null, connect: null, ssl: null, send: 0, wait: 40, receive: 5 });
+    // Without a total time the duration is the sum of the reported phases
+    expect(entries[0].durationMs).toBe(45);
+  });
+
+  test('keeps connect when only SSL is unavailable', () => {
+    const entry = harEntry({ timings: { blocked: 0, dns: 0, connect: 30, ssl: -1, send: 0, wait: 50, receive: 20 } });
+
+    const { entries } = normalizeHarEntries({ log: { entries: [entry] } });
+
+    expect(entries[0].timings.connect).toBe(30);
+    expect(entries[0].timings.ssl).toBeNull();
+  });
+
+  test('orders requests by start time and measures the total duration', () => {
+    const later = harEntry({
+      startedDateTime: '2025-01-01T00:00:00.250Z',
+      time: 300,
+      request: { method: 'GET', url: 'https://cdn.example.edu/app.js' },
+      response: { status: 200, headers: [], headersSize: 200, bodySize: 800, content: { size: 3000, mimeType: 'text/javascript' } }
+    });
+
+    const result = normalizeHarEntries({ log: { entries: [later, harEntry()] } });
+
+    expect(result.startedAt).toBe('2025-01-01T00:00:00.000Z');
+    expect(result.totalDurationMs).toBe(550);
+    expect(result.entries.map(entry => [entry.index, entry.host, entry.startMs, entry.contentType])).toEqual([
+      [0, 'example.edu', 0, 'document'],
+      [1, 'cdn.example.edu', 250, 'script']
+    ]);
+    // Without _transferSize the transfer size is the headers plus the body
+    expect(result.entries[1].transferSize).toBe(1000);
+  });
+});
@@ -0,0 +1,32 @@
+// @ts-check
+import { test } from '@playwright/test';
+import { runJourneyTest } from './test-helpers.js';
+import { getDefaultDeviceProfiles } from '../src/runner/device-profiles.js';
+import { DEFAULT_STEP_TIMEOUT_MS, loadJourneys } from '../src/runner/journeys.js';
+
+/**
+ * Scripted user journeys from tests/journeys.yaml (or JOURNEYS_FILE)
+ * Run with ./test-journeys.sh; without a journeys file there are no tests
+ */
+const journeys = loadJourneys();
+
+console.log(`Loaded ${journeys.length} journeys`);
+
+// Device profiles to test each journey under (DEVICE_PROFILES, default: desktop)
+const deviceProfiles = getDefaultDeviceProfiles();
+
+// Create a test for each journey and device profile
+test.describe('User Journey Tests', () => {
+  for (const journey of journeys) {
+    for (const deviceProfile of deviceProfiles) {
+      const title = deviceProfiles.length > 1 ? `Journey: ${journey.name} [${deviceProfile}]` : `Journey: ${journey.name}`;
+      test(title, async ({ browser }) => {
+        // Every step can take up to its own timeout, plus time for its screenshot
+        const stepTimeouts = journey.steps.reduce((total, step) => total + (step.timeoutMs || DEFAULT_STEP_TIMEOUT_MS) + 10000, 0);
+        test.setTimeout(Math.max(120000, stepTimeouts));
+
+        await runJourneyTest(browser, journey, { deviceProfile });
+      });
+    }
+  }
+});
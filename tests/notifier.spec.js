@@ -0,0 +1,159 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+import http from 'http';
+import {
+  getNotificationConfig,
+  shouldNotify,
+  deliverWebhook,
+  sendNotifications
+} from '../src/notifications/notifier.js';
+
+/**
+ * Notifier tests against a local HTTP stub (no browser or database needed)
+ * Run with: npx playwright test tests/notifier.spec.js --project=chromium
+ */
+
+const summary = {
+  run: {
+    id: 42,
+    uuid: '00000000-0000-0000-0000-000000000042',
+    status: 'PARTIAL',
+    timestamp: '2025-01-01T00:00:00.000Z',
+    durationMs: 120000,
+    totalUrls: 3,
+    testsCompleted: 3,
+    passed: 2,
+    failed: 1
+  },
+  failingUrls: [{ url: 'https://example.edu/', status: 'TIMEOUT', errorMessage: 'Navigation timeout' }],
+  regressions: [],
+  httpErrors: {
+    statusCodes: [{ statusCode: 404, tests: 1, responses: 2 }],
+    topRequests: [{ url: 'https://example.edu/missing.png', statusCode: 404, count: 2 }]
+  }
+};
+
+const fastRetries = { maxAttempts: 3, retryDelayMs: 10, timeoutMs: 1000 };
+
+/**
+ * Start a webhook stub that answers with the given status codes in turn
+ * (the last one is repeated) and records every request body
+ * @param {number[]} statusCodes
+ */
+async function startStub(statusCodes) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push(JSON.parse(body));
+      res.statusCode = statusCodes[Math.min(requests.length, statusCodes.length) - 1];
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(undefined)));
+  const address = /** @type {import('net').AddressInfo} */ (server.address());
+  return {
+    url: `http://127.0.0.1:${address.port}/hook`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+test.describe('notifier', () => {
+  test('reads webhook targets from the environment', () => {
+    const config = getNotificationConfig({
+      NOTIFY_WEBHOOK_URLS: 'http://a.test/hook, http://b.test/hook',
+      NOTIFY_SLACK_WEBHOOK_URLS: 'https://hooks.slack.test/services/x',
+      NOTIFY_DASHBOARD_URL: 'http://localhost:3000/'
+    });
+
+    expect(config.targets).toEqual([
+      { url: 'http://a.test/hook', format: 'generic' },
+      { url: 'http://b.test/hook', format: 'generic' },
+      { url: 'https://hooks.slack.test/services/x', format: 'slack' }
+    ]);
+    expect(config.notifyOn).toBe('failures');
+    expect(config.dashboardUrl).toBe('http://localhost:3000');
+  });
+
+  test('ignores webhook URLs that are not http(s) URLs', () => {
+    const config = getNotificationConfig({
+      NOTIFY_WEBHOOK_URLS: 'not a url, http://a.test/hook, ftp://b.test/hook',
+      NOTIFY_SLACK_WEBHOOK_URLS: 'hooks.slack.test/services/x'
+    });
+
+    expect(config.targets).toEqual([{ url: 'http://a.test/hook', format: 'generic' }]);
+  });
+
+  test('only notifies about clean runs when NOTIFY_ON=always', () => {
+    const clean = { ...summary, run: { ...summary.run, status: 'COMPLETED', failed: 0 }, failingUrls: [] };
+
+    expect(shouldNotify(summary, 'failures')).toBe(true);
+    expect(shouldNotify(clean, 'failures')).toBe(false);
+    expect(shouldNotify(clean, 'always')).toBe(true);
+  });
+
+  test('posts generic and Slack payloads', async () => {
+    const stub = await startStub([200]);
+    try {
+      const deliveries = await sendNotifications(summary, {
+        ...fastRetries,
+        targets: [{ url: stub.url, format: 'generic' }, { url: stub.url, format: 'slack' }],
+        notifyOn: 'failures',
+        dashboardUrl: 'http://localhost:3000'
+      });
+
+      expect(deliveries.map(d => d.delivered)).toEqual([true, true]);
+      expect(deliveries[0].target).toBe(new URL(stub.url).host);
+
+      const [generic, slack] = stub.requests;
+      expect(generic.event).toBe('test_run.finished');
+      expect(generic.run.id).toBe(42);
+      expect(generic.failingUrls[0].url).toBe('https://example.edu/');
+      expect(generic.httpErrors.topRequests[0].statusCode).toBe(404);
+      expect(generic.dashboardUrl).toBe('http://localhost:3000/run-details.html?id=42');
+
+      expect(slack.text).toContain('Test run #42 PARTIAL');
+      expect(JSON.stringify(slack.blocks)).toContain('https://example.edu/missing.png');
+    } finally {
+      await stub.close();
+    }
+  });
+
+  test('retries server errors until the webhook accepts', async () => {
+    const stub = await startStub([503, 500, 200]);
+    try {
+      const result = await deliverWebhook(stub.url, { hello: 'world' }, fastRetries);
+
+      expect(result).toEqual({ delivered: true, attempts: 3, responseStatus: 200, error: null });
+      expect(stub.requests).toHaveLength(3);
+    } finally {
+      await stub.close();
+    }
+  });
+
+  test('gives up after the last attempt', async () => {
+    const stub = await startStub([502]);
+    try {
+      const result = await deliverWebhook(stub.url, { hello: 'world' }, fastRetries);
+
+      expect(result).toEqual({ delivered: false, attempts: 3, responseStatus: 502, error: 'HTTP 502' });
+    } finally {
+      await stub.close();
+    }
+  });
+
+  test('does not retry client errors', async () => {
+    const stub = await startStub([404]);
+    try {
+      const result = await deliverWebhook(stub.url, { hello: 'world' }, fastRetries);
+
+      expect(result.delivered).toBe(false);
+      expect(result.attempts).toBe(1);
+      expect(stub.requests).toHaveLength(1);
+    } finally {
+      await stub.close();
+    }
+  });
+});
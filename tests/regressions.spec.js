@@ -0,0 +1,51 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+import { median, evaluateRegression } from '../src/analysis/regressions.js';
+
+/**
+ * Regression detection tests on hand-written baselines (no browser or database needed)
+ * Run with: npx playwright test tests/regressions.spec.js --project=chromium
+ */
+
+const options = { baselineSize: 10, minSamples: 5, madThreshold: 3, minChangePercent: 20 };
+
+test.describe('regressions', () => {
+  test('takes the median of odd and even length lists', () => {
+    expect(median([])).toBeNull();
+    expect(median([3, 1, 2])).toBe(2);
+    expect(median([4, 1, 3, 2])).toBe(2.5);
+  });
+
+  test('needs enough baseline tests', () => {
+    expect(evaluateRegression(5000, [1000, 1000, 1000, 1000], options)).toBeNull();
+    expect(evaluateRegression(null, [1000, 1000, 1000, 1000, 1000], options)).toBeNull();
+  });
+
+  test('flags a regression above both thresholds', () => {
+    const history = [900, 950, 1000, 1050, 1100];
+
+    // MAD 50: allowed increase is max(3 × 1.4826 × 50, 20% of 1000) = 222.39
+    expect(evaluateRegression(1200, history, options)).toBeNull();
+    expect(evaluateRegression(1250, history, options)).toEqual({
+      baseline: 1000,
+      mad: 50,
+      actual: 1250,
+      percentChange: 25,
+      sampleCount: 5
+    });
+  });
+
+  test('falls back to the percent threshold when the MAD is 0', () => {
+    const history = [1000, 1000, 1000, 1000, 1200];
+
+    expect(median(history.map(value => Math.abs(value - 1000)))).toBe(0);
+    expect(evaluateRegression(1200, history, options)).toBeNull();
+    expect(evaluateRegression(1201, history, options)?.mad).toBe(0);
+    // Without a percent threshold any increase over a perfectly stable baseline counts
+    expect(evaluateRegression(1001, history, { ...options, minChangePercent: 0 })?.percentChange).toBe(0.1);
+  });
+
+  test('ignores baselines of 0', () => {
+    expect(evaluateRegression(500, [0, 0, 0, 0, 0], options)).toBeNull();
+  });
+});
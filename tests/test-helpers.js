@@ -1,11 +1,28 @@
+import { test, devices } from '@playwright/test';
 import { promises as fs } from 'fs';
 import path from 'path';
 import { initializePool, isDatabaseConnected } from '../src/database/client.js';
 import { insertUrlTest, getTestRunIdFromEnv, createTestRun } from '../src/database/ingest.js';
+import { getMonitoredUrlByUrl } from '../src/database/monitored-urls.js';
+import { insertJourneyTest } from '../src/database/journeys.js';
+import { evaluateBudgets, formatViolation } from '../src/analysis/budgets.js';
+import { compareWithBaseline } from '../src/analysis/visual-diff.js';
+import { formatAccessibilityViolation, getAccessibilityOptions, runAccessibilityAudit } from '../src/analysis/accessibility.js';
+import { checkLinks, collectLinks, formatBrokenLink, getLinkCheckOptions } from '../src/analysis/link-checker.js';
+import { DEVICE_PROFILES, DEFAULT_DEVICE_PROFILE } from '../src/runner/device-profiles.js';
+import { describeStep, runJourneyStep } from '../src/runner/journeys.js';
+import { DEFAULT_NETWORK_PROFILE, getNetworkProfile, isThrottled } from '../src/runner/network-profiles.js';
+import { startThrottlingProxy } from '../src/runner/throttling-proxy.js';
 
 // Global variable to store auto-created test run ID for the current test session
 let autoCreatedTestRunId = null;
 
+// How long to wait for a URL's wait-for selectors before taking the screenshot anyway
+const SCREENSHOT_WAIT_TIMEOUT_MS = 10000;
+
+// Test time left after the link check for storing the results (and the visual diff)
+const LINK_CHECK_RESERVED_MS = 20000;
+
 /**
  * Auto-scroll function to trigger lazy-loaded images and content
  * Scrolls progressively down the page with pauses to allow content to load
@@ -44,6 +61,64 @@ export async function autoScrollPage(page) {
   return scrollDuration;
 }
 
+/**
+ * Install PerformanceObservers that record Core Web Vitals while the page loads
+ * Runs inside the page via context.addInitScript(), before any page script.
+ * Metrics the browser engine does not support are left as null
+ * (Firefox has no layout-shift or longtask entries, for example).
+ */
+export function installWebVitalsObservers() {
+  const vitals = {
+    lcp: null,
+    fcp: null,
+    cls: null,
+    longTasks: null
+  };
+  window.__pumpkinWebVitals = vitals;
+
+  const supported = (typeof PerformanceObserver !== 'undefined' && PerformanceObserver.supportedEntryTypes) || [];
+  const observe = (type, onEntry) => {
+    if (!supported.includes(type)) return false;
+    new PerformanceObserver(list => list.getEntries().forEach(onEntry))
+      .observe({ type, buffered: true });
+    return true;
+  };
+
+  observe('paint', entry => {
+    if (entry.name === 'first-contentful-paint') {
+      vitals.fcp = entry.startTime;
+    }
+  });
+
+  observe('largest-contentful-paint', entry => {
+    vitals.lcp = entry.renderTime || entry.loadTime || entry.startTime;
+  });
+
+  // CLS uses session windows: shifts less than 1s apart, capped at 5s per window
+  let sessionValue = 0;
+  let sessionStart = 0;
+  let sessionLast = 0;
+  if (observe('layout-shift', entry => {
+    if (entry.hadRecentInput) return;
+    if (sessionValue > 0 && entry.startTime - sessionLast < 1000 && entry.startTime - sessionStart < 5000) {
+      sessionValue += entry.value;
+    } else {
+      sessionValue = entry.value;
+      sessionStart = entry.startTime;
+    }
+    sessionLast = entry.startTime;
+    vitals.cls = Math.max(vitals.cls || 0, sessionValue);
+  })) {
+    vitals.cls = 0;
+  }
+
+  if (observe('longtask', entry => {
+    vitals.longTasks.push({ startTime: entry.startTime, duration: entry.duration });
+  })) {
+    vitals.longTasks = [];
+  }
+}
+
 /**
  * Collect performance metrics from the browser
  */
@@ -62,12 +137,14 @@ export async function collectPerformanceMetrics(page) {
         responseTime: navTiming.responseEnd - navTiming.responseStart,
         domContentLoaded: navTiming.domContentLoadedEventEnd - navTiming.domContentLoadedEventStart,
         domInteractive: navTiming.domInteractive - navTiming.fetchStart,
-        pageLoadTime: navTiming.loadEventEnd - navTiming.fetchStart,
+        pageLoadTime: navTiming.loadEventEnd > 0 ? navTiming.loadEventEnd - navTiming.fetchStart : null,
         transferSize: navTiming.transferSize || 0,
         encodedBodySize: navTiming.encodedBodySize || 0,
         decodedBodySize: navTiming.decodedBodySize || 0
       } : null,
 
+      webVitals: null,
+
       resources: {
         total: resourceTimings.length,
         byType: {},
@@ -76,6 +153,22 @@ export async function collectPerformanceMetrics(page) {
       }
     };
 
+    // Core Web Vitals recorded by installWebVitalsObservers()
+    // Total Blocking Time = sum of the long task time over 50ms after First Contentful Paint
+    const vitals = window.__pumpkinWebVitals;
+    if (vitals) {
+      metrics.webVitals = {
+        largestContentfulPaint: vitals.lcp,
+        firstContentfulPaint: vitals.fcp,
+        cumulativeLayoutShift: vitals.cls,
+        totalBlockingTime: vitals.longTasks
+          ? vitals.longTasks
+            .filter(task => vitals.fcp === null || task.startTime >= vitals.fcp)
+            .reduce((total, task) => total + Math.max(0, task.duration - 50), 0)
+          : null
+      };
+    }
+
     // Categorize resources by type
     resourceTimings.forEach(resource => {
       const type = resource.initiatorType || 'other';
@@ -190,14 +283,233 @@ async function ensureTestRunId() {
   }
 }
 
+/**
+ * Classify a test failure into one of the url_tests status values
+ * - TIMEOUT: any Playwright timeout (navigation, load state, screenshot)
+ * - FAILED:  the page could not be loaded (DNS, connection, TLS, aborted navigation)
+ * - ERROR:   anything else that went wrong after the page loaded
+ * (Pages that load but breach a performance budget are also FAILED - see runWebsiteTest)
+ * @param {Error} error - Error thrown during the test
+ * @param {string} phase - Test phase in which the error was thrown
+ * @returns {'TIMEOUT'|'FAILED'|'ERROR'}
+ */
+export function classifyTestError(error, phase) {
+  if (error && error.name === 'TimeoutError') {
+    return 'TIMEOUT';
+  }
+  if (phase === 'navigation') {
+    return 'FAILED';
+  }
+  return 'ERROR';
+}
+
+/**
+ * Check whether this is the last attempt Playwright will make for the current test
+ * Failed attempts that will be retried are not stored, so a flaky URL is not
+ * counted as failed more than once in the same test run
+ * @returns {boolean}
+ */
+function isFinalAttempt() {
+  try {
+    const info = test.info();
+    return info.retry >= info.project.retries;
+  } catch (error) {
+    // Not running inside a Playwright test
+    return true;
+  }
+}
+
+/**
+ * Browser context options for a device profile
+ * @param {string} deviceProfile - Key of DEVICE_PROFILES
+ * @param {string} browserName - 'firefox', 'chromium' or 'webkit'
+ * @param {{width: number, height: number}|null} viewport - Suite viewport, used by the desktop profile
+ * @returns {object}
+ */
+function getDeviceContextOptions(deviceProfile, browserName, viewport) {
+  const profile = DEVICE_PROFILES[deviceProfile];
+  if (!profile) {
+    throw new Error(`Unknown device profile: ${deviceProfile}`);
+  }
+
+  if (profile.device) {
+    // The profile runs in whichever browser the project uses, not the device's own
+    const { defaultBrowserType, ...descriptor } = devices[profile.device];
+    // Firefox can't emulate a mobile browser; it still gets the screen size, scale, user agent and touch
+    if (browserName === 'firefox') {
+      delete descriptor.isMobile;
+    }
+    return descriptor;
+  }
+  if (profile.viewport) {
+    return { viewport: profile.viewport, deviceScaleFactor: profile.deviceScaleFactor };
+  }
+  return viewport ? { viewport } : {};
+}
+
+/**
+ * Describe a network profile for the test log, e.g. "Slow 3G (400ms RTT, 400/400 Kbps, CPU 4x)"
+ * @param {import('../src/runner/network-profiles.js').NetworkProfile} profile
+ * @returns {string}
+ */
+function describeNetworkProfile(profile) {
+  if (!isThrottled(profile)) {
+    return profile.label;
+  }
+  const cpu = profile.cpuSlowdown > 1 ? `, CPU ${profile.cpuSlowdown}x` : '';
+  return `${profile.label} (${profile.latencyMs}ms RTT, ${profile.downloadKbps}/${profile.uploadKbps} Kbps${cpu})`;
+}
+
+/**
+ * Load the screenshot settings of a monitored URL
+ * @param {string} url - URL to test
+ * @returns {Promise<{waitForSelectors: string[], hideSelectors: string[], maskSelectors: string[], diffIgnoreSelectors: string[]}|null>}
+ *   Null without a database, for URLs that aren't monitored (e.g. from tests/urls.txt) and for URLs without settings
+ */
+async function loadScreenshotSettings(url) {
+  try {
+    await initializePool();
+    if (!isDatabaseConnected()) {
+      return null;
+    }
+
+    const monitoredUrl = await getMonitoredUrlByUrl(url);
+    if (!monitoredUrl) {
+      return null;
+    }
+    const settings = {
+      waitForSelectors: monitoredUrl.wait_for_selectors || [],
+      hideSelectors: monitoredUrl.hide_selectors || [],
+      maskSelectors: monitoredUrl.mask_selectors || [],
+      diffIgnoreSelectors: monitoredUrl.diff_ignore_selectors || []
+    };
+    return Object.values(settings).some(selectors => selectors.length > 0) ? settings : null;
+  } catch (error) {
+    console.warn('⚠ Could not load screenshot settings:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Prepare a page for its screenshot: wait for, hide and mask the URL's selectors,
+ * and find the regions the visual diff should skip
+ * Selectors that match nothing (or aren't valid CSS) are reported rather than failing the test
+ * @param {object} page - Playwright page
+ * @param {{waitForSelectors: string[], hideSelectors: string[], maskSelectors: string[], diffIgnoreSelectors: string[]}} settings
+ * @returns {Promise<{screenshotOptions: object, masks: object}>} Options for page.screenshot(), and the
+ *   record of what was applied (stored as url_tests.screenshot_masks)
+ */
+export async function applyScreenshotSettings(page, settings) {
+  const masks = { waitedFor: [], hidden: [], masked: [], ignored: [], notFound: [], ignoredRegions: [] };
+
+  // Wait for all selectors at once, so together they take at most SCREENSHOT_WAIT_TIMEOUT_MS
+  const visible = await Promise.all(settings.waitForSelectors.map(selector =>
+    page.locator(selector).first().waitFor({ state: 'visible', timeout: SCREENSHOT_WAIT_TIMEOUT_MS })
+      .then(() => true)
+      .catch(() => false)
+  ));
+  settings.waitForSelectors.forEach((selector, index) => {
+    (visible[index] ? masks.waitedFor : masks.notFound).push(selector);
+  });
+
+  // Hidden elements keep their space, so the rest of the page doesn't move
+  const hiddenCounts = await page.evaluate(selectors => selectors.map(selector => {
+    try {
+      const elements = document.querySelectorAll(selector);
+      elements.forEach(element => element.style.setProperty('visibility', 'hidden', 'important'));
+      return elements.length;
+    } catch (error) {
+      return 0;
+    }
+  }), settings.hideSelectors);
+  settings.hideSelectors.forEach((selector, index) => {
+    (hiddenCounts[index] > 0 ? masks.hidden : masks.notFound).push(selector);
+  });
+
+  const maskLocators = [];
+  for (const selector of settings.maskSelectors) {
+    const locator = page.locator(selector);
+    if (await locator.count().catch(() => 0) > 0) {
+      maskLocators.push(locator);
+      masks.masked.push(selector);
+    } else {
+      masks.notFound.push(selector);
+    }
+  }
+
+  // Regions in screenshot pixels: full-page coordinates times the device pixel ratio
+  const regionsBySelector = await page.evaluate(selectors => selectors.map(selector => {
+    try {
+      return [...document.querySelectorAll(selector)]
+        .map(element => element.getBoundingClientRect())
+        .filter(rect => rect.width > 0 && rect.height > 0)
+        .map(rect => ({
+          x: Math.max(0, Math.floor((rect.left + window.scrollX) * window.devicePixelRatio)),
+          y: Math.max(0, Math.floor((rect.top + window.scrollY) * window.devicePixelRatio)),
+          width: Math.ceil(rect.width * window.devicePixelRatio),
+          height: Math.ceil(rect.height * window.devicePixelRatio)
+        }));
+    } catch (error) {
+      return [];
+    }
+  }), settings.diffIgnoreSelectors);
+  settings.diffIgnoreSelectors.forEach((selector, index) => {
+    (regionsBySelector[index].length > 0 ? masks.ignored : masks.notFound).push(selector);
+    masks.ignoredRegions.push(...regionsBySelector[index]);
+  });
+
+  return {
+    screenshotOptions: maskLocators.length > 0 ? { mask: maskLocators } : {},
+    masks
+  };
+}
+
+/**
+ * Throttle a Chromium page's network and CPU through the DevTools protocol
+ * @param {object} context - Playwright browser context
+ * @param {object} page - Page in the context
+ * @param {import('../src/runner/network-profiles.js').NetworkProfile} profile - Throttled network profile
+ */
+async function applyChromiumThrottling(context, page, profile) {
+  const session = await context.newCDPSession(page);
+  await session.send('Network.enable');
+  await session.send('Network.emulateNetworkConditions', {
+    offline: false,
+    latency: profile.latencyMs,
+    // DevTools expects bytes per second
+    downloadThroughput: profile.downloadKbps * 1000 / 8,
+    uploadThroughput: profile.uploadKbps * 1000 / 8
+  });
+  if (profile.cpuSlowdown > 1) {
+    await session.send('Emulation.setCPUThrottlingRate', { rate: profile.cpuSlowdown });
+  }
+}
+
 /**
  * Run a complete website screenshot test with performance metrics
+ * Failures are recorded with status FAILED, TIMEOUT or ERROR (plus any partial
+ * metrics, HAR and screenshot captured before the failure) and then re-thrown.
+ * Pages that breach a performance budget are recorded as FAILED and throw too,
+ * so Playwright retries them and reports them as failed
  * @param {object} browser - Playwright browser instance
  * @param {string} url - URL to test
+ * @param {{viewport?: {width: number, height: number}|null, timeoutMs?: number, deviceProfile?: string, networkProfile?: string,
+ *   crawl?: {seedUrl: string, depth: number}|null}} [options]
+ *   - viewport: page size of the desktop profile (default: the Playwright project's device viewport)
+ *   - timeoutMs: navigation and load timeout (default: 60000)
+ *   - deviceProfile: device to emulate, a key of DEVICE_PROFILES (default: 'desktop')
+ *   - networkProfile: network and CPU throttling, a name from loadNetworkProfiles (default: 'none')
+ *   - crawl: seed URL and link depth of a page found by a crawl (default: not crawled)
  */
-export async function runWebsiteTest(browser, url) {
+export async function runWebsiteTest(browser, url, { viewport = null, timeoutMs = 60000, deviceProfile = DEFAULT_DEVICE_PROFILE, networkProfile = DEFAULT_NETWORK_PROFILE, crawl = null } = {}) {
   const testStartTime = Date.now();
 
+  const network = getNetworkProfile(networkProfile);
+  if (!network) {
+    throw new Error(`Unknown network profile: ${networkProfile}`);
+  }
+  const browserName = browser.browserType().name();
+
   // Create test-history directory if it doesn't exist
   const testResultsDir = path.join(process.cwd(), 'test-history');
   await fs.mkdir(testResultsDir, { recursive: true });
@@ -210,61 +522,145 @@ export async function runWebsiteTest(browser, url) {
 
   // Generate timestamp and create directory name with URL
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  const dirName = `${timestamp}__${urlWithoutProtocol}`;
+  const deviceSuffix = deviceProfile === DEFAULT_DEVICE_PROFILE ? '' : `__${deviceProfile}`;
+  const dirName = `${timestamp}__${urlWithoutProtocol}${deviceSuffix}`;
   const testRunDir = path.join(testResultsDir, dirName);
   await fs.mkdir(testRunDir, { recursive: true });
 
   // Define file paths within the timestamped directory
   const screenshotPath = path.join(testRunDir, 'screenshot.png');
   const harPath = path.join(testRunDir, 'network.har');
+  const diffPath = path.join(testRunDir, 'diff.png');
 
   // Create browser context with HAR recording enabled
   console.log(`Test run directory: ${testRunDir}`);
-  console.log('Starting HAR recording...');
-  const context = await browser.newContext({
-    recordHar: { path: harPath }
-  });
+  console.log(`Device profile: ${DEVICE_PROFILES[deviceProfile]?.label || deviceProfile}`);
+  console.log(`Network profile: ${describeNetworkProfile(network)}`);
 
-  // Create new page in the context
-  const page = await context.newPage();
+  // Selectors to wait for, hide, mask and skip in the visual diff (configured per monitored URL)
+  const screenshotSettings = await loadScreenshotSettings(url);
 
-  // Navigate to the URL
-  console.log(`Target URL: ${url}`);
-  console.log(`Navigating to ${url}...`);
-  await page.goto(url, {
-    waitUntil: 'domcontentloaded',
-    timeout: 60000  // 60 second timeout for navigation
-  });
+  // Chromium is throttled through DevTools; other engines go through a local shaping proxy
+  const throttlingProxy = isThrottled(network) && browserName !== 'chromium'
+    ? await startThrottlingProxy(network)
+    : null;
+  if (throttlingProxy && network.cpuSlowdown > 1) {
+    console.log(`⚠ CPU slowdown is only available in Chromium - not applied in ${browserName}`);
+  }
 
-  // Wait for all page elements to load
-  console.log('Waiting for page to fully load...');
-  await page.waitForLoadState('load', { timeout: 60000 });
+  let context = null;
+  let page;
+  try {
+    console.log('Starting HAR recording...');
+    context = await browser.newContext({
+      recordHar: { path: harPath },
+      ...getDeviceContextOptions(deviceProfile, browserName, viewport),
+      ...(throttlingProxy ? { proxy: { server: throttlingProxy.server } } : {})
+    });
 
-  // Give extra time for dynamic content to render
-  await page.waitForTimeout(2000);
+    // Observe Core Web Vitals from the very start of the page load
+    await context.addInitScript(installWebVitalsObservers);
 
-  // Auto-scroll to trigger lazy-loaded images
-  console.log('Auto-scrolling to load lazy-loaded content...');
-  const scrollDuration = await autoScrollPage(page);
-  console.log(`Auto-scroll complete. Duration: ${scrollDuration}ms`);
+    // Create new page in the context
+    page = await context.newPage();
+    if (isThrottled(network) && browserName === 'chromium') {
+      await applyChromiumThrottling(context, page, network);
+    }
+  } catch (error) {
+    // Don't leave the proxy listening in the worker when the context can't be set up
+    await context?.close().catch(() => {});
+    await throttlingProxy?.close();
+    throw error;
+  }
 
-  // Collect performance metrics
-  console.log('Collecting performance metrics...');
-  const performanceMetrics = await collectPerformanceMetrics(page);
+  // Values filled in as the test progresses - on failure we keep whatever was captured
+  let phase = 'navigation';
+  let testError = null;
+  let scrollDuration = 0;
+  let performanceMetrics = {};
+  let screenshotTaken = false;
+  let screenshotMasks = null;
+  let accessibilityViolations = null;
+  let pageLinks = null;
 
-  // Take screenshot
-  console.log(`Taking screenshot...`);
-  await page.screenshot({
-    path: screenshotPath,
-    fullPage: true
-  });
+  try {
+    // Navigate to the URL
+    console.log(`Target URL: ${url}`);
+    console.log(`Navigating to ${url}...`);
+    await page.goto(url, {
+      waitUntil: 'domcontentloaded',
+      timeout: timeoutMs
+    });
+
+    // Wait for all page elements to load
+    console.log('Waiting for page to fully load...');
+    await page.waitForLoadState('load', { timeout: timeoutMs });
+
+    phase = 'render';
+
+    // Give extra time for dynamic content to render
+    await page.waitForTimeout(2000);
+
+    // Auto-scroll to trigger lazy-loaded images
+    console.log('Auto-scrolling to load lazy-loaded content...');
+    scrollDuration = await autoScrollPage(page);
+    console.log(`Auto-scroll complete. Duration: ${scrollDuration}ms`);
+
+    // Collect performance metrics
+    phase = 'metrics';
+    console.log('Collecting performance metrics...');
+    performanceMetrics = await collectPerformanceMetrics(page);
+
+    // Audit accessibility before screenshot settings hide anything
+    accessibilityViolations = await auditAccessibility(page);
+
+    // Collect the page's links now; they are checked once the browser is closed
+    pageLinks = await collectPageLinks(page);
+
+    // Take screenshot
+    phase = 'screenshot';
+    let screenshotOptions = {};
+    if (screenshotSettings) {
+      console.log('Applying screenshot settings...');
+      ({ screenshotOptions, masks: screenshotMasks } = await applyScreenshotSettings(page, screenshotSettings));
+      if (screenshotMasks.notFound.length > 0) {
+        console.log(`⚠ Selectors not found on the page: ${screenshotMasks.notFound.join(', ')}`);
+      }
+    }
+    console.log(`Taking screenshot...`);
+    await page.screenshot({
+      path: screenshotPath,
+      fullPage: true,
+      ...screenshotOptions
+    });
+    screenshotTaken = true;
+  } catch (error) {
+    testError = error;
+    console.error(`✗ Test failed during ${phase}: ${error.message}`);
+
+    // Salvage whatever the page can still give us (a page that never loaded has no metrics)
+    if (phase !== 'metrics' && classifyTestError(error, phase) !== 'FAILED') {
+      performanceMetrics = await collectPerformanceMetrics(page).catch(() => ({}));
+    }
+    if (!screenshotTaken) {
+      screenshotTaken = await page.screenshot({ path: screenshotPath, timeout: 10000 })
+        .then(() => true)
+        .catch(() => false);
+    }
+  }
 
   // Collect metadata before closing context
-  const userAgent = await page.evaluate(() => navigator.userAgent);
+  const userAgent = await page.evaluate(() => navigator.userAgent).catch(() => 'N/A');
   const pageTitle = await page.title().catch(() => 'N/A');
+  const viewportSize = page.viewportSize();
+  const deviceScaleFactor = await page.evaluate(() => window.devicePixelRatio).catch(() => null);
 
-  // Close context to finalize HAR file
-  await context.close();
+  // Close context to finalize HAR file (a partial HAR is still written on failure)
+  try {
+    await context.close();
+  } finally {
+    await throttlingProxy?.close();
+  }
   console.log('HAR recording saved.');
 
   const testDuration = Date.now() - testStartTime;
@@ -273,28 +669,318 @@ export async function runWebsiteTest(browser, url) {
   console.log('Parsing HTTP response codes from HAR file...');
   const httpResponseCodes = await parseHttpResponseCodes(harPath);
 
+  // Check performance budgets - a page that loads but breaches a budget is FAILED
+  const budgetViolations = testError ? [] : evaluateBudgets(url, performanceMetrics, httpResponseCodes);
+  const budgetError = budgetViolations.length > 0
+    ? new Error(`Performance budget exceeded: ${budgetViolations.map(formatViolation).join('; ')}`)
+    : null;
+  if (budgetError) {
+    console.log(`✗ ${budgetViolations.length} performance budget(s) exceeded:`);
+    budgetViolations.forEach(violation => console.log(`  - ${formatViolation(violation)}`));
+  }
+
+  // Check the page's links for broken ones (not counted in the test duration)
+  const linkCheck = pageLinks ? await checkPageLinks(pageLinks, getLinkCheckDeadline(testStartTime)) : null;
+
   // Gather test metadata
   const testMetadata = {
     timestamp: new Date().toISOString(),
     url: url,
-    browser: browser.browserType().name(),
+    browser: browserName,
+    deviceProfile: deviceProfile,
+    viewportWidth: viewportSize?.width ?? null,
+    viewportHeight: viewportSize?.height ?? null,
+    deviceScaleFactor: deviceScaleFactor,
+    networkProfile: networkProfile,
+    crawlSeedUrl: crawl?.seedUrl ?? null,
+    crawlDepth: crawl?.depth ?? null,
     userAgent: userAgent,
     screenshotPath: screenshotPath,
     harPath: harPath,
+    screenshotMasks: screenshotMasks,
     pageTitle: pageTitle,
     testDuration: testDuration,
     scrollDuration: scrollDuration,
-    testStatus: 'PASSED'
+    testStatus: testError ? classifyTestError(testError, phase) : (budgetError ? 'FAILED' : 'PASSED'),
+    errorMessage: (testError || budgetError)?.message ?? null,
+    budgetViolations: budgetViolations,
+    accessibilityViolations: accessibilityViolations,
+    linkCheck: linkCheck,
+    visualDiff: null
   };
 
+  // Compare the screenshot with the baseline of this URL, browser and device profile
+  // (the approved baseline or previous test is looked up in the database)
+  if (!testError) {
+    testMetadata.visualDiff = await compareScreenshotWithBaseline(testMetadata, diffPath);
+  }
+
   console.log(`\n${'='.repeat(70)}`);
-  console.log(`Test run completed successfully!`);
-  console.log(`All files saved to: ${testRunDir}`);
-  console.log(`  - Screenshot: screenshot.png`);
+  if (testError) {
+    console.log(`Test run ${testMetadata.testStatus}: ${testMetadata.errorMessage}`);
+    console.log(`Partial results saved to: ${testRunDir}`);
+    console.log(`  - Screenshot: ${screenshotTaken ? 'screenshot.png' : 'not captured'}`);
+  } else {
+    console.log(budgetError ? `Test run FAILED: ${budgetError.message}` : `Test run completed successfully!`);
+    console.log(`All files saved to: ${testRunDir}`);
+    console.log(`  - Screenshot: screenshot.png`);
+  }
   console.log(`  - HAR file: network.har`);
+  if (testMetadata.visualDiff) {
+    console.log(`  - Visual diff: diff.png (${testMetadata.visualDiff.mismatchPercent}% of pixels changed)`);
+  }
   console.log(`${'='.repeat(70)}`);
 
   // Store results in database if connection is available
+  // Failed attempts that Playwright is about to retry are not stored
+  const failure = testError || budgetError;
+  if (!failure || isFinalAttempt()) {
+    await storeTestResults(testMetadata, performanceMetrics, httpResponseCodes);
+  } else {
+    console.log('⚠ Test will be retried - not storing this failed attempt in database');
+  }
+
+  // Throw so Playwright still reports the test as failed
+  if (failure) {
+    throw failure;
+  }
+
+  return testMetadata;
+}
+
+/**
+ * Run a scripted user journey, timing and screenshotting each step
+ * The steps run in order in one page; after a failed step the rest are skipped.
+ * The journey is stored (PASSED or FAILED, with every step) and a failure re-thrown
+ * @param {object} browser - Playwright browser instance
+ * @param {import('../src/runner/journeys.js').Journey} journey - Journey from loadJourneys
+ * @param {{deviceProfile?: string}} [options]
+ *   - deviceProfile: device to emulate, a key of DEVICE_PROFILES (default: 'desktop')
+ */
+export async function runJourneyTest(browser, journey, { deviceProfile = DEFAULT_DEVICE_PROFILE } = {}) {
+  const browserName = browser.browserType().name();
+
+  // One directory per journey test, with a screenshot per step
+  const journeySlug = journey.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const deviceSuffix = deviceProfile === DEFAULT_DEVICE_PROFILE ? '' : `__${deviceProfile}`;
+  const testRunDir = path.join(process.cwd(), 'test-history', `${timestamp}__journey__${journeySlug}${deviceSuffix}`);
+  await fs.mkdir(testRunDir, { recursive: true });
+
+  console.log(`Journey: ${journey.name} (${journey.steps.length} steps)`);
+  console.log(`Test run directory: ${testRunDir}`);
+  console.log(`Device profile: ${DEVICE_PROFILES[deviceProfile]?.label || deviceProfile}`);
+
+  const context = await browser.newContext(getDeviceContextOptions(deviceProfile, browserName, null));
+  const page = await context.newPage();
+
+  const steps = [];
+  let journeyError = null;
+  for (const [index, step] of journey.steps.entries()) {
+    const stepRecord = {
+      name: describeStep(step),
+      action: step.action,
+      target: step.url || step.selector || null,
+      value: step.value ?? step.key ?? step.text ?? null,
+      status: 'SKIPPED',
+      duration: null,
+      pageUrl: null,
+      screenshotPath: null,
+      errorMessage: null
+    };
+    steps.push(stepRecord);
+    if (journeyError) {
+      continue;
+    }
+
+    console.log(`[${index + 1}/${journey.steps.length}] ${stepRecord.name}...`);
+    const stepStartTime = Date.now();
+    try {
+      await runJourneyStep(page, step);
+      stepRecord.status = 'PASSED';
+    } catch (error) {
+      journeyError = error;
+      stepRecord.status = 'FAILED';
+      stepRecord.errorMessage = error.message.split('\n')[0];
+    }
+    stepRecord.duration = Date.now() - stepStartTime;
+    stepRecord.pageUrl = page.url();
+    console.log(`  ${stepRecord.status === 'PASSED' ? '✓' : '✗'} ${stepRecord.duration}ms${stepRecord.errorMessage ? ` - ${stepRecord.errorMessage}` : ''}`);
+
+    // The page as the step left it (as it was when a step failed)
+    const screenshotPath = path.join(testRunDir, `step-${String(index + 1).padStart(2, '0')}.png`);
+    if (await page.screenshot({ path: screenshotPath, timeout: 10000 }).then(() => true).catch(() => false)) {
+      stepRecord.screenshotPath = screenshotPath;
+    }
+  }
+
+  await context.close();
+
+  const failedStep = steps.find(step => step.status === 'FAILED');
+  const journeyTest = {
+    journeyName: journey.name,
+    browser: browserName,
+    deviceProfile: deviceProfile,
+    status: journeyError ? 'FAILED' : 'PASSED',
+    errorMessage: failedStep ? `Step ${steps.indexOf(failedStep) + 1} (${failedStep.name}) failed: ${failedStep.errorMessage}` : null,
+    totalDuration: steps.reduce((total, step) => total + (step.duration || 0), 0),
+    timestamp: new Date().toISOString(),
+    steps: steps
+  };
+
+  console.log(`\n${'='.repeat(70)}`);
+  console.log(`Journey ${journeyTest.status}: ${journey.name} (${journeyTest.totalDuration}ms)`);
+  if (journeyTest.errorMessage) {
+    console.log(journeyTest.errorMessage);
+  }
+  console.log(`Screenshots saved to: ${testRunDir}`);
+  console.log(`${'='.repeat(70)}`);
+
+  // Failed attempts that Playwright is about to retry are not stored
+  if (!journeyError || isFinalAttempt()) {
+    await storeJourneyResults(journeyTest);
+  } else {
+    console.log('⚠ Test will be retried - not storing this failed attempt in database');
+  }
+
+  if (journeyError) {
+    throw journeyError;
+  }
+
+  return journeyTest;
+}
+
+/**
+ * Run the accessibility audit on a loaded page
+ * Violations are logged but don't fail the test
+ * @param {object} page - Playwright page
+ * @returns {Promise<Array<object>|null>} Violated rules, or null if the audit is disabled or couldn't run
+ */
+async function auditAccessibility(page) {
+  const options = getAccessibilityOptions();
+  if (!options.enabled) {
+    return null;
+  }
+
+  try {
+    console.log('Running accessibility audit...');
+    const violations = await runAccessibilityAudit(page, options);
+    if (violations.length > 0) {
+      console.log(`⚠ ${violations.length} accessibility rule(s) violated:`);
+      violations.forEach(violation => console.log(`  - ${formatAccessibilityViolation(violation)}`));
+    } else {
+      console.log('✓ No accessibility violations found');
+    }
+    return violations;
+  } catch (error) {
+    console.warn('⚠ Accessibility audit failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Collect a loaded page's links if link checks are enabled
+ * @param {object} page - Playwright page
+ * @returns {Promise<{origin: string, links: Array<object>}|null>} Links to check, or null if link
+ *   checks are disabled or the links couldn't be read
+ */
+async function collectPageLinks(page) {
+  if (!getLinkCheckOptions().enabled) {
+    return null;
+  }
+
+  try {
+    return await collectLinks(page);
+  } catch (error) {
+    console.warn('⚠ Could not collect links:', error.message);
+    return null;
+  }
+}
+
+/**
+ * When the link check has to finish so the test's results are still stored before
+ * the Playwright test times out
+ * @param {number} testStartTime - When runWebsiteTest started (ms)
+ * @returns {number} Timestamp (ms), or Infinity outside a Playwright test or without a test timeout
+ */
+function getLinkCheckDeadline(testStartTime) {
+  try {
+    const timeout = test.info().timeout;
+    return timeout > 0 ? testStartTime + timeout - LINK_CHECK_RESERVED_MS : Infinity;
+  } catch (error) {
+    // Not running inside a Playwright test
+    return Infinity;
+  }
+}
+
+/**
+ * Check a page's links for broken ones
+ * Broken links are logged but don't fail the test
+ * @param {{origin: string, links: Array<object>}} pageLinks - Links from collectPageLinks
+ * @param {number} deadline - Timestamp (ms) by which the check must finish
+ * @returns {Promise<object|null>} Link check results, or null if the check couldn't run
+ */
+async function checkPageLinks(pageLinks, deadline) {
+  const options = getLinkCheckOptions();
+  try {
+    console.log(`Checking links (${options.scope})...`);
+    const linkCheck = await checkLinks(pageLinks, options, deadline);
+    if (Date.now() >= deadline) {
+      console.warn('⚠ Link check ran out of time - links without a result are counted as skipped');
+    }
+    if (linkCheck.brokenLinks.length > 0) {
+      console.log(`⚠ ${linkCheck.brokenLinks.length} of ${linkCheck.checked} link(s) broken:`);
+      linkCheck.brokenLinks.forEach(link => console.log(`  - ${formatBrokenLink(link)}`));
+    } else {
+      console.log(`✓ All ${linkCheck.checked} link(s) work`);
+    }
+    return linkCheck;
+  } catch (error) {
+    console.warn('⚠ Link check failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Compare a test's screenshot with the baseline of the same URL, browser and device profile
+ * @param {object} testMetadata - Test metadata from runWebsiteTest
+ * @param {string} diffPath - Where to save the diff image
+ * @returns {Promise<object|null>} Visual diff, or null without a database or an earlier screenshot
+ */
+async function compareScreenshotWithBaseline(testMetadata, diffPath) {
+  try {
+    await initializePool();
+    if (!isDatabaseConnected()) {
+      return null;
+    }
+
+    console.log('Comparing screenshot with the baseline...');
+    const visualDiff = await compareWithBaseline(testMetadata, diffPath);
+    if (!visualDiff) {
+      console.log('No earlier screenshot to compare with');
+      return null;
+    }
+
+    const baseline = `${visualDiff.approvedBaseline ? 'the approved baseline' : 'the previous screenshot'} (test ${visualDiff.baselineTestId})`;
+    if (visualDiff.changed) {
+      console.log(`⚠ Visually changed: ${visualDiff.mismatchPercent}% of pixels differ from ${baseline}`);
+    } else {
+      console.log(`✓ No visual change (${visualDiff.mismatchPercent}% of pixels differ from ${baseline})`);
+    }
+    return visualDiff;
+  } catch (error) {
+    console.warn('⚠ Visual diff failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Store a URL test result in the database if a connection is available
+ * @param {object} testMetadata - Test metadata from runWebsiteTest
+ * @param {object} performanceMetrics - Performance metrics from collectPerformanceMetrics
+ * @param {object} httpResponseCodes - HTTP response code counts
+ */
+async function storeTestResults(testMetadata, performanceMetrics, httpResponseCodes) {
   try {
     // Ensure we have a test run ID (from env or auto-created)
     const testRunId = await ensureTestRunId();
@@ -321,6 +1007,27 @@ export async function runWebsiteTest(browser, url) {
   } catch (dbError) {
     console.warn('Database storage failed (results still saved to filesystem):', dbError.message);
   }
+}
 
-  return testMetadata;
+/**
+ * Store a journey test in the database if a connection is available
+ * @param {object} journeyTest - Journey test from runJourneyTest
+ */
+async function storeJourneyResults(journeyTest) {
+  try {
+    const testRunId = await ensureTestRunId();
+
+    if (testRunId) {
+      const journeyTestId = await insertJourneyTest(testRunId, journeyTest);
+      if (journeyTestId) {
+        console.log(`✓ Journey stored in database (ID: ${journeyTestId}, Test Run: ${testRunId})`);
+      } else {
+        console.warn('⚠ Failed to store journey in database');
+      }
+    } else {
+      console.log('⚠ No test run ID available - screenshots saved to filesystem only');
+    }
+  } catch (dbError) {
+    console.warn('Database storage failed (screenshots still saved to filesystem):', dbError.message);
+  }
 }
@@ -0,0 +1,79 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+import { getRegistrableDomain, findEntity, summarizeThirdParties } from '../src/analysis/third-parties.js';
+
+/**
+ * Third-party attribution tests on hand-written requests (no browser or database needed)
+ * Run with: npx playwright test tests/third-parties.spec.js --project=chromium
+ */
+
+/**
+ * Build a request as normalized by normalizeHarEntries
+ * @param {string} host
+ * @param {string} contentType
+ * @param {number} startMs
+ * @param {number} durationMs
+ * @param {number} transferSize
+ */
+function request(host, contentType, startMs, durationMs, transferSize) {
+  return { host, contentType, startMs, durationMs, transferSize };
+}
+
+test.describe('third parties', () => {
+  test('finds the registrable domain of a host', () => {
+    expect(getRegistrableDomain('www.law.uchicago.edu')).toBe('uchicago.edu');
+    expect(getRegistrableDomain('WWW.Example.EDU.')).toBe('example.edu');
+    expect(getRegistrableDomain('localhost')).toBe('localhost');
+    expect(getRegistrableDomain('192.168.0.10')).toBe('192.168.0.10');
+  });
+
+  test('keeps one label below multi-label public suffixes', () => {
+    expect(getRegistrableDomain('www.ox.ac.uk')).toBe('ox.ac.uk');
+    expect(getRegistrableDomain('ac.uk')).toBe('ac.uk');
+    expect(getRegistrableDomain('lib.school.k12.il.us')).toBe('school.k12.il.us');
+    expect(getRegistrableDomain('someone.github.io')).toBe('someone.github.io');
+    // The longest suffix wins
+    expect(getRegistrableDomain('assets.bucket.s3.amazonaws.com')).toBe('bucket.s3.amazonaws.com');
+  });
+
+  test('matches the most specific domain of the entity map', () => {
+    expect(findEntity('fonts.googleapis.com')?.name).toBe('Google Fonts');
+    expect(findEntity('www.googleapis.com')?.name).toBe('Google CDN');
+    expect(findEntity('cdn.example.edu')).toBeNull();
+  });
+
+  test('groups requests by vendor, with the first party first', () => {
+    const summary = summarizeThirdParties([
+      request('www.example.edu', 'document', 0, 100, 20000),
+      request('cdn.example.edu', 'script', 100, 200, 30000),
+      request('', 'image', 150, 0, 0),
+      request('www.googletagmanager.com', 'script', 100, 300, 80000),
+      request('fonts.googleapis.com', 'stylesheet', 120, 50, 2000),
+      request('fonts.gstatic.com', 'font', 200, 50, 40000),
+      request('static.vendor.test', 'image', 300, 100, 5000)
+    ], 'https://www.example.edu/');
+
+    expect(summary.map(group => [group.name, group.category, group.requestCount, group.transferSize])).toEqual([
+      ['example.edu', 'first-party', 3, 50000],
+      ['Google Tag Manager', 'tag-manager', 1, 80000],
+      ['Google Fonts', 'fonts', 2, 42000],
+      ['vendor.test', 'other', 1, 5000]
+    ]);
+    expect(summary[0].hosts).toEqual(['cdn.example.edu', 'www.example.edu']);
+  });
+
+  test('counts blocking time until the DOM is interactive, overlaps once', () => {
+    const requests = [
+      request('www.example.edu', 'document', 0, 100, 20000),
+      request('www.googletagmanager.com', 'script', 100, 300, 80000),
+      request('www.googletagmanager.com', 'script', 200, 100, 10000),
+      request('www.googletagmanager.com', 'image', 200, 500, 1000)
+    ];
+
+    const [, tagManager] = summarizeThirdParties(requests, 'https://www.example.edu/', 250);
+    expect(tagManager.blockingTimeMs).toBe(150);
+
+    const [, untilLoaded] = summarizeThirdParties(requests, 'https://www.example.edu/');
+    expect(untilLoaded.blockingTimeMs).toBe(300);
+  });
+});
@@ -0,0 +1,88 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+import { promises as fs } from 'fs';
+import { PNG } from 'pngjs';
+import { diffScreenshots } from '../src/analysis/visual-diff.js';
+
+/**
+ * Screenshot diffing tests on generated PNG files (no browser or database needed)
+ * Run with: npx playwright test tests/visual-diff.spec.js --project=chromium
+ */
+
+const options = { pixelThreshold: 0.1 };
+
+/**
+ * Write a white PNG with optional black blocks
+ * @param {string} name - File name in the test's output directory
+ * @param {number} width
+ * @param {number} height
+ * @param {Array<{x: number, y: number, width: number, height: number}>} [blocks]
+ * @returns {Promise<string>} Path of the written file
+ */
+async function writePng(name, width, height, blocks = []) {
+  const image = new PNG({ width, height });
+  image.data.fill(255);
+  for (const block of blocks) {
+    for (let y = block.y; y < block.y + block.height; y++) {
+      for (let x = block.x; x < block.x + block.width; x++) {
+        image.data.set([0, 0, 0, 255], (y * width + x) * 4);
+      }
+    }
+  }
+  const filePath = test.info().outputPath(name);
+  await fs.mkdir(test.info().outputPath(), { recursive: true });
+  await fs.writeFile(filePath, PNG.sync.write(image));
+  return filePath;
+}
+
+test.describe('visual diff', () => {
+  test('finds no changes between identical screenshots', async () => {
+    const previous = await writePng('previous.png', 20, 20, [{ x: 5, y: 5, width: 4, height: 4 }]);
+    const current = await writePng('current.png', 20, 20, [{ x: 5, y: 5, width: 4, height: 4 }]);
+
+    const result = await diffScreenshots(previous, current, test.info().outputPath('diff.png'), options);
+
+    expect(result).toEqual({ mismatchPercent: 0, changedPixels: 0, totalPixels: 400, width: 20, height: 20 });
+  });
+
+  test('counts changed pixels', async () => {
+    const previous = await writePng('previous.png', 20, 20);
+    const current = await writePng('current.png', 20, 20, [{ x: 5, y: 5, width: 4, height: 4 }]);
+
+    const result = await diffScreenshots(previous, current, test.info().outputPath('diff.png'), options);
+
+    expect(result.changedPixels).toBe(16);
+    expect(result.mismatchPercent).toBe(4);
+  });
+
+  test('counts the area only one screenshot covers as changed', async () => {
+    const previous = await writePng('previous.png', 20, 20);
+    const current = await writePng('current.png', 10, 30);
+    const diffPath = test.info().outputPath('diff.png');
+
+    const result = await diffScreenshots(previous, current, diffPath, options);
+
+    // 20 × 30 diff image; only the 10 × 20 top-left corner is in both screenshots
+    expect(result).toEqual({ mismatchPercent: 66.67, changedPixels: 400, totalPixels: 600, width: 20, height: 30 });
+    const diff = PNG.sync.read(await fs.readFile(diffPath));
+    expect([diff.width, diff.height]).toEqual([20, 30]);
+  });
+
+  test('skips ignored regions, also outside the overlap', async () => {
+    const previous = await writePng('previous.png', 20, 20);
+    const current = await writePng('current.png', 20, 25, [{ x: 5, y: 5, width: 4, height: 4 }]);
+
+    const result = await diffScreenshots(previous, current, test.info().outputPath('diff.png'), {
+      ...options,
+      ignoreRegions: [
+        // Left half of the block
+        { x: 5, y: 5, width: 2, height: 4 },
+        // The 5 rows only the current screenshot has (the region reaches past the image)
+        { x: 0, y: 20, width: 30, height: 10 }
+      ]
+    });
+
+    expect(result.changedPixels).toBe(8);
+    expect(result.totalPixels).toBe(500);
+  });
+});